@@ -0,0 +1,351 @@
+#!/usr/bin/env node
+import { readFileSync, writeFileSync } from "node:fs";
+import { basename, extname } from "node:path";
+import { parseArgs } from "node:util";
+import {
+  MESH_TYPES,
+  DEFAULT_SH_DEGREE,
+  DEFAULT_HOLDOUT,
+  DEFAULT_SEED,
+  ORIGIN_METHODS,
+  QUANT_BITS,
+  QUANT_MODES,
+  HYBRID_MODES,
+  ADAPTIVE_TOLERANCE,
+  INTERPOLATION_METHODS,
+  DEFAULT_INTERPOLATION,
+  FILL_METHODS,
+  DEFAULT_FILL,
+  MESH_FORMATS,
+  CLASSICAL_ORDERS,
+  VALIDATION_SAMPLES,
+  parsePointCloud,
+  estimateOrigin,
+  runPhasePipeline,
+  encodeDphz,
+  decodeDphz,
+  createSurfaceSampler,
+  fibonacciDirections,
+  surfacePoints,
+  extractModelSurface,
+  encodeMesh,
+  createRandom,
+  validateClassical,
+  cubeConvergence,
+} from "../src/dephaze/index.js";
+
+// === DEPHAZE COMMAND LINE ===
+// Headless access to the library for batch work. Every command prints a short report,
+// or with --json one JSON document on stdout. Errors go to stderr: a bad command line
+// (unknown command or option, out-of-range value) exits with code 2, any other failure 1.
+
+const MESH_RESOLUTION = 48;
+const POINT_SAMPLES = 4000;
+
+const USAGE = `Usage: dephaze <command> [input] [options]
+
+Commands:
+  encode <cloud>        Encode a PLY / XYZ / OBJ point cloud into a .dphz file
+  decode <file.dphz>    Decode a .dphz file into points (.xyz) or a mesh (.stl .obj .ply .glb)
+  metrics <cloud>       Print the error metrics and byte sizes of an encoding
+  validate              Run the kernel validation benchmarks (always JSON)
+
+Scan options (encode, metrics):
+  --mesh <type>         Synthetic scan (${MESH_TYPES.join(", ")}) instead of a cloud file
+  --density <n>         Synthetic scan points (500)
+  --noise <σ>           Synthetic range noise (0)
+  --outliers <share>    Synthetic outlier share (0)
+  --scanners <n>        Synthetic virtual scanners, 0 = seen from Ω₀ (0)
+  --origin <x,y,z|method>  Ω₀ of a cloud, or one of ${ORIGIN_METHODS.join(", ")} (0,0,0)
+  --seed <n>            Seed of the synthetic scan and the holdout split (${DEFAULT_SEED})
+  --holdout <share>     Share of the scan held out for the accuracy metrics (${DEFAULT_HOLDOUT})
+
+Encoding options (encode, metrics):
+  --mode <mode>         spatial, fourier, harmonic, layered or adaptive (spatial)
+  --resolution <N>      Phase resolution, the finest one for adaptive maps (32)
+  --top-k <K>           Fourier / SH coefficients kept (20)
+  --sh-degree <L>       Spherical-harmonic degree (${DEFAULT_SH_DEGREE})
+  --hybrid              Store the residual against a fitted primitive
+  --bits <b>            Quantize to ${QUANT_BITS.join(", ")} bits per value
+  --tolerance <e>       RMS radial error an adaptive cell may keep (${ADAPTIVE_TOLERANCE})
+  --interpolation <m>   Spatial reconstruction: ${INTERPOLATION_METHODS.join(", ")} (${DEFAULT_INTERPOLATION})
+  --fill <m>            Empty-cell inpainting: ${FILL_METHODS.join(", ")} (${DEFAULT_FILL})
+  --model <file.dphz>   metrics only: score this file instead of a fresh encoding
+
+Decode options:
+  --mesh-resolution <n> Grid cells per axis for mesh output (${MESH_RESOLUTION})
+  --samples <n>         Directions sampled for .xyz output (4000)
+  --scale <s>           Multiply coordinates by s, e.g. the scale encode reports (1)
+
+Validate options:
+  --shape <shape>       sphere, octahedron, cube or all (all)
+  --samples <n>         Monte-Carlo samples per benchmark (${VALIDATION_SAMPLES})
+  --seed <n>            Seed of the samples (${DEFAULT_SEED})
+  --skip-convergence    Leave out the cube convergence curve
+
+  -o, --output <file>   Output file (encode, decode)
+  --json                Print the result as JSON
+  -h, --help            Show this help`;
+
+const OPTIONS = {
+  output: { type: "string", short: "o" },
+  mesh: { type: "string" },
+  density: { type: "string", default: "500" },
+  noise: { type: "string", default: "0" },
+  outliers: { type: "string", default: "0" },
+  scanners: { type: "string", default: "0" },
+  origin: { type: "string", default: "0,0,0" },
+  seed: { type: "string", default: String(DEFAULT_SEED) },
+  holdout: { type: "string", default: String(DEFAULT_HOLDOUT) },
+  mode: { type: "string", default: "spatial" },
+  resolution: { type: "string", default: "32" },
+  "top-k": { type: "string", default: "20" },
+  "sh-degree": { type: "string", default: String(DEFAULT_SH_DEGREE) },
+  hybrid: { type: "boolean", default: false },
+  bits: { type: "string" },
+  tolerance: { type: "string", default: String(ADAPTIVE_TOLERANCE) },
+  interpolation: { type: "string", default: DEFAULT_INTERPOLATION },
+  fill: { type: "string", default: DEFAULT_FILL },
+  model: { type: "string" },
+  "mesh-resolution": { type: "string", default: String(MESH_RESOLUTION) },
+  samples: { type: "string" },
+  scale: { type: "string", default: "1" },
+  shape: { type: "string", default: "all" },
+  "skip-convergence": { type: "boolean", default: false },
+  json: { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+const PHASE_MODES = ["spatial", "fourier", "harmonic", "layered", "adaptive"];
+
+// A bad option value: reported with a pointer to --help and exit code 2.
+const usageError = (message) => Object.assign(new Error(message), { usage: true });
+
+// "at least 0 and below 1" for the bounds a number option sets.
+const describeRange = ({ min, max, below }) =>
+  [
+    min !== undefined && `at least ${min}`,
+    max !== undefined && `at most ${max}`,
+    below !== undefined && `below ${below}`,
+  ]
+    .filter(Boolean)
+    .join(" and ");
+
+// Option `name` as a finite number within { min, max, below } (all optional, below exclusive).
+const number = (values, name, range = {}) => {
+  const value = Number(values[name]);
+  if (values[name] === undefined || !Number.isFinite(value)) throw usageError(`--${name} expects a number, got "${values[name]}"`);
+  const { min = -Infinity, max = Infinity, below = Infinity } = range;
+  if (value < min || value > max || value >= below) throw usageError(`--${name} must be ${describeRange(range)}, got "${values[name]}"`);
+  return value;
+};
+
+// Option `name` as an integer, at least 0 unless `range` says otherwise.
+const integer = (values, name, range = { min: 0 }) => {
+  const value = number(values, name, range);
+  if (!Number.isInteger(value)) throw usageError(`--${name} expects an integer, got "${values[name]}"`);
+  return value;
+};
+
+const oneOf = (value, allowed, name) => {
+  if (!allowed.includes(value)) throw usageError(`--${name} must be one of ${allowed.join(", ")}, got "${value}"`);
+  return value;
+};
+
+const readBytes = (file) => new Uint8Array(readFileSync(file));
+
+// Ω₀ from --origin: "x,y,z" or an ORIGIN_METHODS estimate over the cloud.
+const parseOrigin = (value, vertices) => {
+  if (ORIGIN_METHODS.includes(value)) return estimateOrigin(vertices, value);
+  const [x, y, z] = value.split(",").map(Number);
+  if (![x, y, z].every(Number.isFinite)) throw usageError(`--origin expects x,y,z or one of ${ORIGIN_METHODS.join(", ")}`);
+  return { x, y, z };
+};
+
+// Pipeline scan from the positional cloud file or --mesh.
+const readScan = (file, values) => {
+  const seed = integer(values, "seed");
+  if (values.mesh) {
+    return {
+      name: values.mesh,
+      scan: {
+        meshType: oneOf(values.mesh, MESH_TYPES, "mesh"),
+        density: integer(values, "density", { min: 1 }),
+        seed,
+        scanner: {
+          noise: number(values, "noise", { min: 0 }),
+          outliers: number(values, "outliers", { min: 0, max: 1 }),
+          scanners: integer(values, "scanners"),
+        },
+      },
+    };
+  }
+  if (!file) throw new Error("Expected a point cloud file or --mesh <type>");
+  const vertices = parsePointCloud(file, readBytes(file));
+  return { name: file, scan: { vertices, origin: parseOrigin(values.origin, vertices), seed } };
+};
+
+// Run the pipeline for encode / metrics; `model` replaces the fresh encoding.
+const encodeScan = (file, values, model) => {
+  const { name, scan } = readScan(file, values);
+  const mode = model ? (PHASE_MODES.includes(model.mode) ? model.mode : "spatial") : oneOf(values.mode, PHASE_MODES, "mode");
+  const quantization = values.bits === undefined ? null : oneOf(number(values, "bits"), QUANT_BITS, "bits");
+  if (quantization && !QUANT_MODES.includes(mode)) throw new Error(`A ${mode} map cannot be quantized`);
+  if (values.hybrid && !HYBRID_MODES.includes(mode)) throw new Error(`A ${mode} map cannot have a hybrid base`);
+
+  const result = runPhasePipeline({
+    scan,
+    phaseResolution: integer(values, "resolution", { min: 1 }),
+    mode,
+    topK: integer(values, "top-k", { min: 1 }),
+    shDegree: integer(values, "sh-degree"),
+    hybrid: values.hybrid,
+    holdout: number(values, "holdout", { min: 0, below: 1 }),
+    quantization,
+    tolerance: number(values, "tolerance", { min: 0 }),
+    interpolation: oneOf(values.interpolation, INTERPOLATION_METHODS, "interpolation"),
+    fill: oneOf(values.fill, FILL_METHODS, "fill"),
+    model,
+  });
+  const { phaseMap, fourierData, shData, layeredMap, adaptiveMap, base } = result;
+  const encoded = model || {
+    mode,
+    phaseMap,
+    fourierData,
+    shData,
+    layeredMap,
+    adaptiveMap,
+    base,
+    interpolation: values.interpolation,
+    quantization: result.quantization,
+  };
+  return { name, scan, result, model: encoded };
+};
+
+// Metrics report of a pipeline run, as printed and as JSON.
+const metricsReport = ({ name, scan, result, model }) => ({
+  input: name,
+  mode: model.mode,
+  seed: scan.seed,
+  scale: result.scale,
+  trainingPoints: result.points.length,
+  bytes: result.metrics.dephazeSize,
+  meshBytes: result.metrics.meshSize,
+  ratio: result.metrics.ratio,
+  xiStability: result.metrics.xiStability,
+  avgError: result.metrics.avgError,
+  layers: result.metrics.layers,
+  adaptive: result.metrics.adaptive,
+  interpolation: model.mode === "spatial" ? model.interpolation ?? "nearest" : null,
+  interpolationComparison: result.interpolation,
+  base: model.base ?? null,
+  quantization: model.quantization ?? null,
+  simulation: result.simulation,
+  accuracy: result.accuracy,
+});
+
+const formatStats = (stats) =>
+  `RMSE ${stats.rmse.toFixed(4)}, max ${stats.maxError.toFixed(4)}, relative ${(stats.relativeError * 100).toFixed(2)}%, ` +
+  `Hausdorff ${stats.hausdorff.toFixed(4)}, Chamfer ${stats.chamfer.toFixed(4)}`;
+
+const printMetrics = (report) => {
+  console.log(`${report.input}: ${report.mode}, ${report.trainingPoints} training points, scale ${report.scale.toPrecision(4)}`);
+  console.log(`  .dphz ${report.bytes} B vs mesh ${report.meshBytes} B (${report.ratio.toFixed(1)}×)`);
+  if (report.adaptive) {
+    const { leaves, nodes, depth, N } = report.adaptive;
+    console.log(`  quadtree: ${leaves} leaves, ${nodes} nodes, depth ${depth} (finest cells as ${N}² = ${N * N})`);
+  }
+  if (report.interpolation) console.log(`  interpolation: ${report.interpolation}`);
+  console.log(`  Ξ stability ${report.xiStability.toFixed(2)}% (training points)`);
+  if (report.accuracy.holdout) console.log(`  held out (${report.accuracy.holdout.count}): ${formatStats(report.accuracy.holdout)}`);
+  if (report.accuracy.groundTruth) console.log(`  ground truth: ${formatStats(report.accuracy.groundTruth)}`);
+  if (report.interpolationComparison) {
+    const rmse = (value) => (value === null ? "–" : value.toFixed(4)).padStart(8);
+    console.log("  fill       interpolation  training  held out  ground truth (RMSE)");
+    report.interpolationComparison.forEach((row) =>
+      console.log(`  ${row.fill.padEnd(10)} ${row.interpolation.padEnd(13)} ${rmse(row.trainRmse)}  ${rmse(row.rmse)}  ${rmse(row.truthRmse)}`)
+    );
+  }
+};
+
+const defaultOutput = (name, extension) => `${basename(name, extname(name))}${extension}`;
+
+const COMMANDS = {
+  encode: (file, values) => {
+    const run = encodeScan(file, values);
+    const bytes = encodeDphz(run.model);
+    const output = values.output || defaultOutput(run.name, ".dphz");
+    writeFileSync(output, bytes);
+    return { report: { ...metricsReport(run), output }, print: (report) => (printMetrics(report), console.log(`  wrote ${output}`)) };
+  },
+
+  metrics: (file, values) => {
+    const model = values.model ? decodeDphz(readBytes(values.model)) : undefined;
+    const report = metricsReport(encodeScan(file, values, model));
+    if (values.model) report.model = values.model;
+    return { report, print: printMetrics };
+  },
+
+  decode: (file, values) => {
+    if (!file) throw new Error("Expected a .dphz file");
+    const model = decodeDphz(readBytes(file));
+    const output = values.output || defaultOutput(file, ".xyz");
+    const format = extname(output).slice(1).toLowerCase();
+    const scale = number(values, "scale");
+    const report = { input: file, mode: model.mode, output, format };
+
+    if (format === "xyz") {
+      const directions = fibonacciDirections(values.samples === undefined ? POINT_SAMPLES : integer(values, "samples", { min: 1 }));
+      const points = surfacePoints(createSurfaceSampler(model), directions);
+      writeFileSync(output, points.map((p) => `${p.x * scale} ${p.y * scale} ${p.z * scale}`).join("\n") + "\n");
+      report.points = points.length;
+    } else {
+      oneOf(format, Object.keys(MESH_FORMATS), "output extension");
+      const mesh = extractModelSurface(model, { resolution: integer(values, "mesh-resolution", { min: 1 }) });
+      if (scale !== 1) mesh.positions.forEach((v, k) => (mesh.positions[k] = v * scale));
+      writeFileSync(output, encodeMesh(mesh, format, { name: basename(file, extname(file)) }));
+      report.vertices = mesh.positions.length / 3;
+      report.triangles = mesh.indices.length / 3;
+    }
+    return {
+      report,
+      print: (r) => console.log(`${r.input}: ${r.mode} → ${r.output} (${r.points !== undefined ? `${r.points} points` : `${r.vertices} vertices, ${r.triangles} triangles`})`),
+    };
+  },
+
+  validate: (file, values) => {
+    const shapes = values.shape === "all" ? Object.keys(CLASSICAL_ORDERS) : [oneOf(values.shape, Object.keys(CLASSICAL_ORDERS), "shape")];
+    const count = values.samples === undefined ? VALIDATION_SAMPLES : integer(values, "samples", { min: 1 });
+    const seed = integer(values, "seed");
+    const random = createRandom(seed);
+    const benchmarks = shapes.map((shape) => validateClassical(shape, { count, random }));
+    const convergence = values["skip-convergence"] ? null : cubeConvergence({ count, random });
+    return { report: { seed, count, benchmarks, convergence }, print: null };
+  },
+};
+
+const main = (argv) => {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  const [command, file] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!COMMANDS[command]) throw usageError(`Unknown command "${command}"`);
+
+  const { report, print } = COMMANDS[command](file, values);
+  // JSON has no Infinity (the cube's order): write it as a string rather than null.
+  if (values.json || !print) console.log(JSON.stringify(report, (key, value) => (value === Infinity ? "Infinity" : value), 2));
+  else print(report);
+  return 0;
+};
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (err) {
+  // parseArgs rejects unknown options and missing values with ERR_PARSE_ARGS_* codes.
+  const usage = err.usage || String(err.code).startsWith("ERR_PARSE_ARGS");
+  console.error(`dephaze: ${err.message}`);
+  if (usage) console.error('Run "dephaze --help" for the options.');
+  process.exitCode = usage ? 2 : 1;
+}
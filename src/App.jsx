@@ -1,16 +1,123 @@
-import React, { useState } from 'react';
+import React, { useState, useRef, useMemo, useEffect } from 'react';
+import { Download, Upload, X } from 'lucide-react';
 import DephazeValidation from './DephazeValidation';
 import DephazeViewer from './DephazeViewer';
 import DephazeAnisotropicMapping from './DephazeAnisotropicMapping';
+import { encodeSessionHash, parseSessionHash, encodeSession, parseSession } from './dephaze/index.js';
+
+const tabs = [
+  { id: 'viewer', label: '3D INTERACTIVE VIEWER', icon: '🌀' },
+  { id: 'validation', label: 'CORE VALIDATION', icon: '📐' },
+  { id: 'anisotropic', label: 'ANISOTROPIC MAPPING', icon: '🌌' }
+];
+
+const DEFAULT_TAB = 'viewer';
+
+// The URL hash is rewritten at most this often while controls are dragged or animating.
+const HASH_INTERVAL = 250;
+
+const validTab = (id) => tabs.some((t) => t.id === id);
+
+// Session in the URL hash when the page opens: { session, error }.
+const readHashSession = () => {
+  const empty = { tab: DEFAULT_TAB, tabs: {} };
+  if (typeof window === 'undefined') return { session: empty, error: null };
+  try {
+    const session = parseSessionHash(window.location.hash);
+    return { session: session ? { ...session, tab: validTab(session.tab) ? session.tab : DEFAULT_TAB } : empty, error: null };
+  } catch (err) {
+    return { session: empty, error: err.message };
+  }
+};
 
 function App() {
-  const [tab, setTab] = useState('viewer');
+  const [opened] = useState(readHashSession);
+  const [tab, setTab] = useState(opened.session.tab);
+  const [sessionError, setSessionError] = useState(opened.error);
+  const [restored, setRestored] = useState(0); // bumped to remount the tabs on a loaded session
+  // Latest { tab, tabs } of every tab; a ref, so reporting state does not re-render the app.
+  const sessionRef = useRef(opened.session);
+  const hashTimerRef = useRef(null);
+  const sessionInputRef = useRef(null);
+
+  const writeHash = () => {
+    if (hashTimerRef.current) return;
+    hashTimerRef.current = setTimeout(() => {
+      hashTimerRef.current = null;
+      window.history.replaceState(null, '', encodeSessionHash(sessionRef.current));
+    }, HASH_INTERVAL);
+  };
+
+  // One stable callback per tab: each tab reports its parameters whenever they change.
+  const stateHandlers = useMemo(
+    () =>
+      Object.fromEntries(
+        tabs.map((t) => [
+          t.id,
+          (params) => {
+            sessionRef.current = { ...sessionRef.current, tabs: { ...sessionRef.current.tabs, [t.id]: params } };
+            writeHash();
+          }
+        ])
+      ),
+    []
+  );
 
-  const tabs = [
-    { id: 'viewer', label: '3D INTERACTIVE VIEWER', icon: '🌀' },
-    { id: 'validation', label: 'CORE VALIDATION', icon: '📐' },
-    { id: 'anisotropic', label: 'ANISOTROPIC MAPPING', icon: '🌌' }
-  ];
+  const selectTab = (id) => {
+    sessionRef.current = { ...sessionRef.current, tab: id };
+    setTab(id);
+    writeHash();
+  };
+
+  const restoreSession = (session) => {
+    const next = { tab: validTab(session.tab) ? session.tab : sessionRef.current.tab, tabs: session.tabs };
+    sessionRef.current = next;
+    setTab(next.tab);
+    setRestored((k) => k + 1);
+    setSessionError(null);
+    writeHash();
+  };
+
+  // A pasted link opened in the same window.
+  useEffect(() => {
+    const onHashChange = () => {
+      try {
+        const session = parseSessionHash(window.location.hash);
+        if (session) restoreSession(session);
+      } catch (err) {
+        setSessionError(err.message);
+      }
+    };
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  }, []);
+
+  const saveSession = () => {
+    const url = URL.createObjectURL(new Blob([encodeSession(sessionRef.current)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'dephaze_session.json';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const loadSession = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    file
+      .text()
+      .then((text) => restoreSession(parseSession(text)))
+      .catch((err) => setSessionError(`${file.name}: ${err.message}`));
+  };
+
+  // Every tab takes initialState, its parameters restored from a session (undefined
+  // when there are none; read them through sessionParam), and onStateChange, which it
+  // calls with its current parameters whenever they change.
+  const tabProps = (id) => ({
+    initialState: sessionRef.current.tabs[id],
+    onStateChange: stateHandlers[id]
+  });
 
   return (
     <div className="bg-[#0f172a] min-h-screen text-white font-sans">
@@ -29,7 +136,7 @@ function App() {
               {tabs.map((t) => (
                 <button
                   key={t.id}
-                  onClick={() => setTab(t.id)}
+                  onClick={() => selectTab(t.id)}
                   className={`px-4 py-2 rounded-lg text-xs font-bold transition-all duration-200 flex items-center gap-2 ${
                     tab === t.id
                       ? 'bg-indigo-600 text-white shadow-lg shadow-indigo-500/20'
@@ -41,15 +148,40 @@ function App() {
                 </button>
               ))}
             </div>
+
+            <div className="flex gap-2">
+              <button
+                onClick={saveSession}
+                title="Download every tab's parameters, the scan seed and imported points as JSON"
+                className="px-3 py-2 rounded-lg text-xs font-bold bg-slate-900 border border-slate-700 text-slate-300 hover:text-white hover:bg-slate-800 flex items-center gap-2"
+              >
+                <Download size={14} /> SAVE SESSION
+              </button>
+              <button
+                onClick={() => sessionInputRef.current.click()}
+                className="px-3 py-2 rounded-lg text-xs font-bold bg-slate-900 border border-slate-700 text-slate-300 hover:text-white hover:bg-slate-800 flex items-center gap-2"
+              >
+                <Upload size={14} /> LOAD SESSION
+              </button>
+              <input ref={sessionInputRef} type="file" accept=".json,application/json" onChange={loadSession} className="hidden" />
+            </div>
           </div>
+          {sessionError && (
+            <div className="mb-3 px-3 py-2 rounded-lg bg-red-900/40 border border-red-700 text-red-200 text-xs flex items-center justify-between">
+              <span>Session not restored: {sessionError}</span>
+              <button onClick={() => setSessionError(null)} className="text-red-300 hover:text-white">
+                <X size={14} />
+              </button>
+            </div>
+          )}
         </div>
       </nav>
 
       {/* Main Content Area */}
       <main className="animate-in fade-in duration-500">
-        {tab === 'viewer' && <DephazeViewer />}
-        {tab === 'validation' && <DephazeValidation />}
-        {tab === 'anisotropic' && <DephazeAnisotropicMapping />}
+        {tab === 'viewer' && <DephazeViewer key={`viewer-${restored}`} {...tabProps('viewer')} />}
+        {tab === 'validation' && <DephazeValidation key={`validation-${restored}`} {...tabProps('validation')} />}
+        {tab === 'anisotropic' && <DephazeAnisotropicMapping key={`anisotropic-${restored}`} {...tabProps('anisotropic')} />}
       </main>
 
       {/* Footer Branding */}
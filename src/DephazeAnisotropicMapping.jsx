@@ -1,272 +1,421 @@
 import React, { useState, useMemo, useRef, useEffect } from "react";
-import { Scan, Zap, Cpu, Target, Database, Atom, Waves } from "lucide-react";
-
-const DephazePhaseMap = () => {
-  const canvasRef = useRef(null);
-  const [rotation, setRotation] = useState({ x: 0.8, y: 0.5 });
-  const [phaseResolution, setPhaseResolution] = useState(32);
-  const [scanDensity, setScanDensity] = useState(500);
-  const [meshType, setMeshType] = useState("bumpy");
-  const [viewMode, setViewMode] = useState("both");
-  const [compressionMode, setCompressionMode] = useState("spatial"); // 'spatial' or 'fourier'
-  const [fourierTopK, setFourierTopK] = useState(20);
-
-  // === PHI3 IMAGO PHASE HELPERS (direction-only, non-circular) ===
-  // Goal: make Fourier/spatial map more compressible by storing W = R * Xi_dir(direction),
-  // where Xi_dir depends only on direction (theta, phi), not on R (so reconstruction is not circular).
-  const PHI3 = 4.2360679;
-  const TAU = 2 * Math.PI;
-
-  // Xi_dir depends ONLY on direction (theta, phi):
-  // Xi_dir = 1 / ( |ux|^PHI3 + |uy|^PHI3 + |uz|^PHI3 )^(1/PHI3)
-  const xiDir = (theta, phi) => {
-    const ux = Math.sin(phi) * Math.cos(theta);
-    const uy = Math.sin(phi) * Math.sin(theta);
-    const uz = Math.cos(phi);
-
-    const denom = Math.pow(
-      Math.pow(Math.abs(ux), PHI3) +
-        Math.pow(Math.abs(uy), PHI3) +
-        Math.pow(Math.abs(uz), PHI3),
-      1 / PHI3
-    );
-
-    return 1 / Math.max(denom, 1e-12);
-  };
-
-  // Store a PHI3-warped radius so Fourier/spatial compression is more stable:
-  //   W = R * Xi_dir  =>  R = W / Xi_dir
-  const warpR = (R, theta, phi) => R * xiDir(theta, phi);
-  const unwarpR = (W, theta, phi) => W / xiDir(theta, phi);
+import { Scan, Zap, Cpu, Target, Database, Atom, Waves, Download, Upload, X, TrendingDown, Dices, Radar, LayoutGrid } from "lucide-react";
+import { ScatterChart, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from "recharts";
+import {
+  TAU,
+  direction,
+  project3D,
+  DEFAULT_SH_DEGREE,
+  createSurfaceSampler,
+  encodeDphz,
+  decodeDphz,
+  DPHZ_MIME,
+  MESH_FORMATS,
+  createRaymarchScene,
+  POINT_CLOUD_EXTENSIONS,
+  parsePointCloud,
+  packVertices,
+  ORIGIN_METHODS,
+  estimateOrigin,
+  HYBRID_MODES,
+  HYBRID_ENERGY_FRACTION,
+  getShapeName,
+  DEFAULT_HOLDOUT,
+  SWEEP_MODES,
+  rateDistortionCSV,
+  QUANT_BITS,
+  QUANT_MODES,
+  DEFAULT_SEED,
+  MAX_SEED,
+  randomSeed,
+  sessionParam,
+  numberIn,
+  finiteNumber,
+  objectOf,
+  validateCloud,
+  MESH_TYPES,
+  ADAPTIVE_TOLERANCE,
+  adaptiveLeaves,
+  INTERPOLATION_METHODS,
+  DEFAULT_INTERPOLATION,
+  FILL_METHODS,
+  DEFAULT_FILL,
+  SCANNER_DEFAULTS,
+} from "./dephaze/index.js";
+import { getDephazePool, isAbortError } from "./workers/workerPool.js";
+import { unpackPipelineResult } from "./workers/jobs.js";
+import { createProgressiveRenderer } from "./workers/progressiveRenderer.js";
+
+// Per-mode colours: dot RGB for the canvas, Tailwind classes for the legend.
+const MODE_STYLES = {
+  spatial: { label: "Spatial", rgb: { r: 100, g: 150, b: 255 }, dot: "bg-blue-500 shadow-blue-500/50", text: "text-blue-300" },
+  fourier: { label: "Fourier", rgb: { r: 100, g: 255, b: 150 }, dot: "bg-green-500 shadow-green-500/50", text: "text-green-300" },
+  harmonic: { label: "Harmonic", rgb: { r: 90, g: 220, b: 255 }, dot: "bg-cyan-500 shadow-cyan-500/50", text: "text-cyan-300" },
+  layered: { label: "Layered", rgb: { r: 255, g: 170, b: 80 }, dot: "bg-orange-500 shadow-orange-500/50", text: "text-orange-300" },
+  adaptive: { label: "Adaptive", rgb: { r: 255, g: 110, b: 190 }, dot: "bg-pink-500 shadow-pink-500/50", text: "text-pink-300" },
+};
 
-  // === 1. SCANNING (φ⁻³ Observable Pattern) ===
-  const scannedPoints = useMemo(() => {
-    const points = [];
+// Rows of the accuracy table: label and formatter for each error statistic.
+const ACCURACY_ROWS = [
+  { key: "rmse", label: "RMSE", format: (v) => v.toFixed(4) },
+  { key: "maxError", label: "Max |e|", format: (v) => v.toFixed(4) },
+  { key: "relativeError", label: "Relative", format: (v) => `${(v * 100).toFixed(2)}%` },
+  { key: "hausdorff", label: "Hausdorff", format: (v) => v.toFixed(4) },
+  { key: "chamfer", label: "Chamfer", format: (v) => v.toFixed(4) },
+];
 
-    for (let i = 0; i < scanDensity; i++) {
-      const theta = Math.random() * TAU;
-      const phi = Math.random() * Math.PI;
+// Modes whose transport is computed from the uniform phase map, and so from its fill.
+const GRID_MODES = ["spatial", "fourier", "harmonic"];
 
-      let R = 2.0;
+const rgbString = ({ r, g, b }) => `rgb(${r}, ${g}, ${b})`;
 
-      if (meshType === "bumpy") {
-        R += 0.35 * Math.sin(theta * 3) * Math.cos(phi * 2);
-        R += 0.25 * Math.sin(theta * 5 + phi * 3);
-      } else if (meshType === "spike") {
-        R += 0.6 * Math.abs(Math.sin(theta * 2)) * Math.abs(Math.cos(phi * 2));
-      } else {
-        R += 0.3 * Math.sin(theta * 2.3 + phi * 1.7);
-        R += 0.15 * Math.cos(theta * 4.1) * Math.sin(phi * 3.3);
-      }
+// Tooltip for one rate–distortion sweep point.
+const SweepTooltip = ({ active, payload }) => {
+  if (!active || !payload || payload.length === 0) return null;
+  const row = payload[0].payload;
+  return (
+    <div className="bg-slate-900 border border-slate-700 p-2 rounded text-[9px] text-slate-300">
+      <p className="font-bold uppercase">{MODE_STYLES[row.mode].label}</p>
+      <p>
+        N = {row.N}
+        {row.K !== null ? `, K = ${row.K}` : ""}
+        {row.tolerance !== null ? `, τ = ${row.tolerance}` : ""}, {row.bits ? `${row.bits}-bit` : "float32"}
+      </p>
+      <p>{row.bytes} B</p>
+      <p>RMSE {row.rmse.toFixed(4)}</p>
+    </div>
+  );
+};
 
-      const x = R * Math.sin(phi) * Math.cos(theta);
-      const y = R * Math.sin(phi) * Math.sin(theta);
-      const z = R * Math.cos(phi);
+// Stand-ins until the first pipeline result arrives.
+const NO_POINTS = [];
+const NO_RAY_CHECK = { multiHit: [], occupied: 0, visibleFraction: 1 };
+
+// Restored values must lie within the controls' own ranges (see sessionParam).
+const XY = objectOf({ x: finiteNumber, y: finiteNumber });
+const XYZ = objectOf({ x: finiteNumber, y: finiteNumber, z: finiteNumber });
+const SCANNER_FIELDS = objectOf({
+  noise: numberIn(0, 0.1),
+  outliers: numberIn(0, 0.1),
+  scanners: numberIn(0, 8, { integer: true }),
+  distance: numberIn(0, Infinity),
+});
+
+const DephazePhaseMap = ({ initialState, onStateChange = () => {} }) => {
+  const restore = (key, fallback, allowed) => sessionParam(initialState, key, fallback, allowed);
+  const canvasRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const cloudInputRef = useRef(null);
+  const [rotation, setRotation] = useState(() => restore("rotation", { x: 0.8, y: 0.5 }, XY));
+  const [phaseResolution, setPhaseResolution] = useState(() => restore("phaseResolution", 32, numberIn(16, 64, { integer: true })));
+  const [scanDensity, setScanDensity] = useState(() => restore("scanDensity", 500, numberIn(200, 2000, { integer: true })));
+  const [seed, setSeed] = useState(() => restore("seed", DEFAULT_SEED, numberIn(0, MAX_SEED, { integer: true }))); // drives the synthetic scan and the holdout split
+  const [scanner, setScanner] = useState(() => restore("scanner", SCANNER_DEFAULTS, SCANNER_FIELDS)); // { noise, outliers, scanners, distance }
+  const [importedCloud, setImportedCloud] = useState(() => restore("importedCloud", null, validateCloud)); // { name, vertices } from a PLY/XYZ/OBJ file
+  // A link cannot carry imported points; without them the tab falls back to a synthetic mesh.
+  const [meshType, setMeshType] = useState(() => {
+    const type = restore("meshType", "bumpy", [...MESH_TYPES, "imported"]);
+    return type === "imported" && !importedCloud ? "bumpy" : type;
+  });
+  const [viewMode, setViewMode] = useState(() => restore("viewMode", "both", ["mesh", "dephaze", "both", "raymarch"]));
+  const [compressionMode, setCompressionMode] = useState(() => restore("compressionMode", "spatial", Object.keys(MODE_STYLES))); // 'spatial', 'fourier', 'harmonic', 'layered' or 'adaptive'
+  const [fourierTopK, setFourierTopK] = useState(() => restore("fourierTopK", 20, numberIn(5, 100, { integer: true }))); // Top-K for both Fourier and SH transport
+  const [shDegree, setShDegree] = useState(() => restore("shDegree", DEFAULT_SH_DEGREE, numberIn(4, 32, { integer: true })));
+  const [hybrid, setHybrid] = useState(() => restore("hybrid", false)); // store the residual against a fitted primitive
+  const [tolerance, setTolerance] = useState(() => restore("tolerance", ADAPTIVE_TOLERANCE, numberIn(0.01, 0.2))); // RMS error an adaptive cell may keep
+  const [interpolation, setInterpolation] = useState(() => restore("interpolation", DEFAULT_INTERPOLATION, INTERPOLATION_METHODS)); // how a spatial map is read between cell centres
+  const [fill, setFill] = useState(() => restore("fill", DEFAULT_FILL, FILL_METHODS)); // how empty phase-map cells are inpainted
+  const [holdout, setHoldout] = useState(() => restore("holdout", DEFAULT_HOLDOUT, numberIn(0.1, 0.5))); // share of the scan kept out of the map
+  const [quantization, setQuantization] = useState(() => restore("quantization", null, QUANT_BITS)); // stored bits per value, null for float32
+  const [loadedFile, setLoadedFile] = useState(null); // { name, model } from an opened .dphz
+  const [fileError, setFileError] = useState(null);
+  const [origin, setOrigin] = useState(() => restore("origin", { x: 0, y: 0, z: 0 }, XYZ)); // Ω₀ for imported geometry
+  const [showRayCheck, setShowRayCheck] = useState(() => restore("showRayCheck", true));
+  const [exportResolution, setExportResolution] = useState(() => restore("exportResolution", 48, numberIn(16, 96, { integer: true }))); // grid cells per axis for mesh export
+  const [exporting, setExporting] = useState(null); // mesh format being written, null when idle
+  const [sweep, setSweep] = useState(null); // { label, rows } of the last rate–distortion sweep
+  const [sweepProgress, setSweepProgress] = useState(null);
 
-      const xi = xiDir(theta, phi);
-      const Rw = warpR(R, theta, phi);
+  useEffect(() => {
+    onStateChange({
+      rotation,
+      phaseResolution,
+      scanDensity,
+      seed,
+      scanner,
+      meshType,
+      viewMode,
+      compressionMode,
+      fourierTopK,
+      shDegree,
+      hybrid,
+      holdout,
+      quantization,
+      tolerance,
+      interpolation,
+      fill,
+      origin,
+      showRayCheck,
+      exportResolution,
+      importedCloud,
+    });
+  }, [onStateChange, rotation, phaseResolution, scanDensity, seed, scanner, meshType, viewMode, compressionMode, fourierTopK, shDegree, hybrid, holdout, quantization, tolerance, interpolation, fill, origin, showRayCheck, exportResolution, importedCloud]);
 
-      points.push({ x, y, z, theta, phi, R, xi, Rw });
-    }
+  // === 1–3, 5. SCAN → PHASE MAP → TRANSPORT → METRICS (worker pool) ===
+  // The whole pipeline runs off the main thread; a newer parameter set supersedes
+  // the job in flight, and the previous result stays on screen until it lands.
+  const [pipeline, setPipeline] = useState(null);
+  const [progress, setProgress] = useState(null);
 
-    return points;
-  }, [meshType, scanDensity]);
-
-  // === 2. PHASE MAP CONSTRUCTION (Spatial Domain) ===
-  // IMPORTANT: we store Rw (warped radius) instead of R.
-  const phaseMap = useMemo(() => {
-    const map = Array(phaseResolution)
-      .fill(null)
-      .map(() =>
-        Array(phaseResolution)
-          .fill(null)
-          .map(() => ({ Rw: warpR(2.0, 0, Math.PI / 2), count: 0 }))
-      );
-
-    scannedPoints.forEach((p) => {
-      const thetaIdx =
-        Math.floor((p.theta / TAU) * phaseResolution) % phaseResolution;
-      const phiIdx = Math.floor((p.phi / Math.PI) * phaseResolution);
-
-      if (phiIdx >= 0 && phiIdx < phaseResolution) {
-        if (map[thetaIdx][phiIdx].count === 0) {
-          map[thetaIdx][phiIdx].Rw = p.Rw;
-        } else {
-          map[thetaIdx][phiIdx].Rw =
-            (map[thetaIdx][phiIdx].Rw * map[thetaIdx][phiIdx].count + p.Rw) /
-            (map[thetaIdx][phiIdx].count + 1);
-        }
-        map[thetaIdx][phiIdx].count += 1;
-      }
-    });
+  const currentScan = () =>
+    meshType === "imported" && importedCloud
+      ? { vertices: packVertices(importedCloud.vertices), origin, seed }
+      : { meshType, density: scanDensity, seed, scanner };
 
-    // Interpolate empty cells (simple 4-neighborhood fill)
-    for (let i = 0; i < phaseResolution; i++) {
-      for (let j = 0; j < phaseResolution; j++) {
-        if (map[i][j].count === 0) {
-          const i1 = (i - 1 + phaseResolution) % phaseResolution;
-          const i2 = (i + 1) % phaseResolution;
-          const j1 = Math.max(0, j - 1);
-          const j2 = Math.min(phaseResolution - 1, j + 1);
-
-          let sum = 0;
-          let cnt = 0;
-          if (map[i1][j].count > 0) {
-            sum += map[i1][j].Rw;
-            cnt++;
-          }
-          if (map[i2][j].count > 0) {
-            sum += map[i2][j].Rw;
-            cnt++;
-          }
-          if (map[i][j1].count > 0) {
-            sum += map[i][j1].Rw;
-            cnt++;
-          }
-          if (map[i][j2].count > 0) {
-            sum += map[i][j2].Rw;
-            cnt++;
-          }
-
-          if (cnt > 0) {
-            map[i][j].Rw = sum / cnt;
-          } else {
-            // fallback: warped default radius at that direction
-            const theta = ((i + 0.5) / phaseResolution) * TAU;
-            const phi = ((j + 0.5) / phaseResolution) * Math.PI;
-            map[i][j].Rw = warpR(2.0, theta, phi);
-          }
+  useEffect(() => {
+    const scan = currentScan();
+
+    setProgress(0);
+    getDephazePool()
+      .run(
+        "phasePipeline",
+        {
+          scan,
+          phaseResolution,
+          mode: compressionMode,
+          topK: fourierTopK,
+          shDegree,
+          hybrid,
+          holdout,
+          quantization,
+          tolerance,
+          interpolation,
+          fill,
+          model: loadedFile ? loadedFile.model : null,
+        },
+        {
+          channel: "phasePipeline",
+          onProgress: setProgress,
+          transfer: scan.vertices ? [scan.vertices.buffer] : [],
         }
-      }
-    }
-
-    return map;
-  }, [scannedPoints, phaseResolution]);
+      )
+      .then((result) => {
+        setPipeline(unpackPipelineResult(result));
+        setProgress(null);
+      })
+      .catch((err) => {
+        if (isAbortError(err)) return;
+        setFileError(err.message);
+        setProgress(null);
+      });
+  }, [meshType, scanDensity, seed, scanner, importedCloud, origin, phaseResolution, compressionMode, fourierTopK, shDegree, hybrid, holdout, quantization, tolerance, interpolation, fill, loadedFile]);
 
-  // === 3. FOURIER COMPRESSION (Frequency Domain) ===
-  // We compute DFT on the warped-radius field Rw(theta,phi).
-  const fourierData = useMemo(() => {
-    if (compressionMode !== "fourier") return null;
+  const scannedPoints = pipeline ? pipeline.points : NO_POINTS;
 
-    const matrix = phaseMap.map((row) => row.map((cell) => cell.Rw));
-    const N = phaseResolution;
+  // Directions where one ray from Ω₀ crosses the surface more than once.
+  const rayCheck = pipeline ? pipeline.rayCheck : NO_RAY_CHECK;
 
-    // DC component
-    let dcSum = 0;
-    for (let i = 0; i < N; i++) {
-      for (let j = 0; j < N; j++) {
-        dcSum += matrix[i][j];
-      }
-    }
-    const dc = dcSum / (N * N);
-
-    const allCoeffs = [];
-    const maxFreqX = Math.floor(N / 2);
-    const maxFreqY = Math.floor(N / 2);
-
-    for (let kx = -maxFreqX; kx <= maxFreqX; kx++) {
-      for (let ky = -maxFreqY; ky <= maxFreqY; ky++) {
-        if (kx === 0 && ky === 0) continue;
-
-        let real = 0;
-        let imag = 0;
-
-        for (let i = 0; i < N; i++) {
-          for (let j = 0; j < N; j++) {
-            const angle = -TAU * (kx * i / N + ky * j / N);
-            const val = matrix[i][j] - dc;
-            real += val * Math.cos(angle);
-            imag += val * Math.sin(angle);
-          }
-        }
+  // The active stored representation: an opened .dphz file takes precedence. The mode
+  // is the one the pipeline ran with, so after a mode switch the previous model stays
+  // on screen until the new result lands.
+  const model = useMemo(() => {
+    if (loadedFile) return loadedFile.model;
+    if (!pipeline) return null;
+    const { mode, phaseMap, fourierData, shData, layeredMap, adaptiveMap, base, quantization: stored } = pipeline;
+    return { mode, phaseMap, fourierData, shData, layeredMap, adaptiveMap, base, interpolation, quantization: stored };
+  }, [loadedFile, pipeline, interpolation]);
 
-        const amplitude = Math.sqrt(real * real + imag * imag);
+  // === 4. RECONSTRUCTION ===
+  // Every surface radius along a direction (one per layer boundary).
+  const reconstructSurfaces = useMemo(() => (model ? createSurfaceSampler(model) : () => []), [model]);
 
-        if (amplitude > 0.0001) {
-          allCoeffs.push({
-            kx,
-            ky,
-            real: real / (N * N),
-            imag: imag / (N * N),
-            amplitude: amplitude / (N * N),
-          });
-        }
-      }
+  const metrics = useMemo(() => {
+    if (!pipeline) {
+      return { meshSize: 0, dephazeSize: 0, ratio: "–", xiStability: "–", avgError: "–", compressionVsMesh: "–", layers: null, adaptive: null };
     }
-
-    allCoeffs.sort((a, b) => b.amplitude - a.amplitude);
-    const topCoeffs = allCoeffs.slice(0, Math.min(fourierTopK, allCoeffs.length));
+    const m = pipeline.metrics;
 
     return {
-      coefficients: topCoeffs,
-      dc,
-      N: phaseResolution,
-      totalCoeffs: allCoeffs.length,
+      meshSize: m.meshSize,
+      dephazeSize: m.dephazeSize,
+      ratio: m.ratio.toFixed(1),
+      xiStability: m.xiStability.toFixed(1),
+      avgError: (m.avgError * 100).toFixed(2),
+      compressionVsMesh: m.ratio.toFixed(0),
+      layers: m.layers,
+      adaptive: m.adaptive,
     };
-  }, [phaseMap, phaseResolution, compressionMode, fourierTopK]);
+  }, [pipeline]);
+
+  // === RATE–DISTORTION SWEEP ===
+  // Encode every (mode, N, K) combination of the current scan in the worker pool and
+  // chart held-out RMSE against the real .dphz size.
+  const runSweep = () => {
+    const scan = currentScan();
+    const label = `${meshType === "imported" && importedCloud ? importedCloud.name : meshType}${hybrid ? " + hybrid base" : ""}`;
+    setSweepProgress(0);
+    getDephazePool()
+      .run(
+        "rateDistortion",
+        { scan, holdout, hybrid, options: { shDegree, interpolation, fill } },
+        {
+          channel: "rateDistortion",
+          onProgress: setSweepProgress,
+          transfer: scan.vertices ? [scan.vertices.buffer] : [],
+        }
+      )
+      .then((rows) => {
+        setSweep({ label, rows });
+        setSweepProgress(null);
+      })
+      .catch((err) => {
+        if (isAbortError(err)) return;
+        setFileError(`Sweep: ${err.message}`);
+        setSweepProgress(null);
+      });
+  };
 
-  // === 4. RECONSTRUCTION ===
-  // Reconstruct R by reconstructing warped-radius Rw, then unwarping:
-  //   R = Rw / Xi_dir(theta,phi)
-  const reconstructR = (theta, phi) => {
-    if (compressionMode === "fourier" && fourierData) {
-      const N = fourierData.N;
+  const downloadSweepCSV = () => {
+    const url = URL.createObjectURL(new Blob([rateDistortionCSV(sweep.rows)], { type: "text/csv" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `dephaze_rate_distortion_${sweep.label.replace(/[^\w.-]+/g, "_")}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
 
-      const ti = (theta / TAU) * N;
-      const tj = (phi / Math.PI) * N;
+  // === .dphz FILE I/O ===
+  const downloadDphz = () => {
+    if (!model) return;
+    const blob = new Blob([encodeDphz(model)], { type: DPHZ_MIME });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = loadedFile ? loadedFile.name : `dephaze_${meshType}_${model.mode}.dphz`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
 
-      let Rw = fourierData.dc;
+  const openDphz = async (file) => {
+    if (!file) return;
+    try {
+      const decoded = decodeDphz(await file.arrayBuffer());
+      if (decoded.mode !== "primitive") setCompressionMode(decoded.mode);
+      setLoadedFile({ name: file.name, model: decoded });
+      setFileError(null);
+    } catch (err) {
+      setFileError(`${file.name}: ${err.message}`);
+    }
+  };
 
-      fourierData.coefficients.forEach((coeff) => {
-        const angle = TAU * (coeff.kx * ti / N + coeff.ky * tj / N);
-        const contribution = coeff.real * Math.cos(angle) - coeff.imag * Math.sin(angle);
-        Rw += contribution;
+  // === MESH EXPORT ===
+  // Tessellate the reconstructed field in the worker pool and save it as STL/OBJ/PLY/GLB.
+  const exportMesh = (format) => {
+    if (!model) return;
+    const { extension, mime } = MESH_FORMATS[format];
+    const name = loadedFile ? loadedFile.name.replace(/\.dphz$/i, "") : `dephaze_${meshType}_${model.mode}`;
+    setExporting(format);
+    getDephazePool()
+      .run("meshExport", { model, format, options: { resolution: exportResolution }, name }, { channel: "meshExport" })
+      .then((bytes) => {
+        const url = URL.createObjectURL(new Blob([bytes], { type: mime }));
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = name + extension;
+        link.click();
+        URL.revokeObjectURL(url);
+        setExporting(null);
+      })
+      .catch((err) => {
+        if (!isAbortError(err)) {
+          setFileError(`Mesh export: ${err.message}`);
+          setExporting(null);
+        }
       });
+  };
 
-      const R = unwarpR(Rw, theta, phi);
-      return Math.max(0.5, Math.min(4.0, R));
+  // === POINT CLOUD IMPORT ===
+  const importPointCloud = async (file) => {
+    if (!file) return;
+    try {
+      const vertices = parsePointCloud(file.name, await file.arrayBuffer());
+      setImportedCloud({ name: file.name, vertices });
+      setMeshType("imported");
+      setFileError(null);
+    } catch (err) {
+      setFileError(`${file.name}: ${err.message}`);
     }
+  };
 
-    // Spatial
-    const ti = Math.floor((theta / TAU) * phaseResolution) % phaseResolution;
-    const tj = Math.floor((phi / Math.PI) * phaseResolution);
+  const handleDrop = (e) => {
+    e.preventDefault();
+    const file = e.dataTransfer.files[0];
+    if (!file) return;
+    if (file.name.toLowerCase().endsWith(".dphz")) openDphz(file);
+    else importPointCloud(file);
+  };
 
-    if (tj < 0 || tj >= phaseResolution) return 2.0;
+  const selectMode = (mode) => {
+    setLoadedFile(null);
+    setCompressionMode(mode);
+  };
 
-    return unwarpR(phaseMap[ti][tj].Rw, theta, phi);
+  const methodLabel = () => {
+    if (!model) return "…";
+    if (model.mode === "primitive") return `Primitive R=${model.R.toFixed(2)}, n=${model.n.toFixed(2)}`;
+    if (model.mode === "layered") return `${model.layeredMap.length}² cells, ${metrics.layers} layers`;
+    if (model.mode === "adaptive") {
+      return metrics.adaptive ? `${metrics.adaptive.leaves} quadtree cells, finest ${metrics.adaptive.N}²` : "…";
+    }
+    const base =
+      (model.base ? ` + base R=${model.base.R.toFixed(2)}, n=${model.base.n.toFixed(2)}` : "") +
+      (model.quantization ? `, ${model.quantization.bits}-bit` : "");
+    if (model.mode === "fourier") return `${model.fourierData.coefficients.length} Fourier coeffs${base}`;
+    if (model.mode === "harmonic") return `${model.shData.coefficients.length} SH coeffs (L ≤ ${model.shData.L})${base}`;
+    return `${model.phaseMap.length}² cells, ${model.interpolation ?? "nearest"}${base}`;
   };
 
-  // === 5. METRICS (Ξ Stability) ===
-  const metrics = useMemo(() => {
-    const meshSize = scanDensity * 12;
+  // === 6. 3D RENDERER ===
+  // Ray-march view: tiles are traced in the worker pool into an offscreen frame; each
+  // landed tile bumps raymarchTick so the canvas effect below composites it.
+  const raymarchRef = useRef(null);
+  const [raymarchTick, setRaymarchTick] = useState(0);
 
-    let dephazeSize;
-    if (compressionMode === "fourier") {
-      dephazeSize = 16 + fourierTopK * 16 + 8;
-    } else {
-      dephazeSize = 16 + phaseResolution * phaseResolution * 4;
-    }
+  // Bounding sphere and Lipschitz normalisation only change with the model, not the view.
+  const raymarchScene = useMemo(() => {
+    if (viewMode !== "raymarch" || !model) return null;
+    return createRaymarchScene(model, (MODE_STYLES[model.mode] || MODE_STYLES[compressionMode]).rgb);
+  }, [viewMode, model, compressionMode]);
 
-    let errorSum = 0;
-    scannedPoints.forEach((p) => {
-      const reconstructed = reconstructR(p.theta, p.phi);
-      errorSum += Math.abs(reconstructed - p.R);
+  useEffect(() => {
+    if (!raymarchScene) {
+      if (raymarchRef.current) raymarchRef.current.renderer.cancel();
+      return;
+    }
+    if (!raymarchRef.current) {
+      const frame = document.createElement("canvas");
+      frame.width = 600;
+      frame.height = 600;
+      const frameCtx = frame.getContext("2d");
+      const renderer = createProgressiveRenderer({
+        onTile: (tile, rgba) => {
+          frameCtx.putImageData(new ImageData(rgba, tile.w, tile.h), tile.x, tile.y);
+          setRaymarchTick((tick) => tick + 1);
+        },
+      });
+      raymarchRef.current = { renderer, frame };
+    }
+    raymarchRef.current.renderer.request(raymarchScene, {
+      width: 600,
+      height: 600,
+      scale: 90,
+      rotX: rotation.x,
+      rotY: rotation.y,
     });
+  }, [raymarchScene, rotation]);
 
-    const avgError = errorSum / scannedPoints.length;
-    const xiStability = Math.max(0, 100 - avgError * 50);
-
-    return {
-      meshSize,
-      dephazeSize,
-      ratio: (meshSize / dephazeSize).toFixed(1),
-      xiStability: xiStability.toFixed(1),
-      avgError: (avgError * 100).toFixed(2),
-      compressionVsMesh: (meshSize / dephazeSize).toFixed(0),
-    };
-  }, [scannedPoints, phaseMap, phaseResolution, scanDensity, compressionMode, fourierTopK]);
+  useEffect(() => () => raymarchRef.current && raymarchRef.current.renderer.cancel(), []);
 
-  // === 6. 3D RENDERER ===
   useEffect(() => {
     const canvas = canvasRef.current;
     if (!canvas) return;
@@ -288,34 +437,39 @@ const DephazePhaseMap = () => {
     const scale = 90;
     const points = [];
 
-    if (viewMode !== "mesh") {
+    if (viewMode === "raymarch" && raymarchRef.current) {
+      ctx.drawImage(raymarchRef.current.frame, 0, 0);
+    }
+
+    if (viewMode === "dephaze" || viewMode === "both") {
       const res = 40;
       for (let i = 0; i <= res; i++) {
         const theta = (i / res) * TAU;
         for (let j = 0; j <= res; j++) {
           const phi = (j / res) * Math.PI;
-          const R = reconstructR(theta, phi);
 
-          const x = R * Math.sin(phi) * Math.cos(theta);
-          const y = R * Math.sin(phi) * Math.sin(theta);
-          const z = R * Math.cos(phi);
+          reconstructSurfaces(theta, phi).forEach((R) => {
+            const x = R * Math.sin(phi) * Math.cos(theta);
+            const y = R * Math.sin(phi) * Math.sin(theta);
+            const z = R * Math.cos(phi);
 
-          const cosX = Math.cos(rotation.x);
-          const sinX = Math.sin(rotation.x);
-          const y1 = y * cosX - z * sinX;
-          const z1 = y * sinX + z * cosX;
+            const cosX = Math.cos(rotation.x);
+            const sinX = Math.sin(rotation.x);
+            const y1 = y * cosX - z * sinX;
+            const z1 = y * sinX + z * cosX;
 
-          const cosY = Math.cos(rotation.y);
-          const sinY = Math.sin(rotation.y);
-          const x2 = x * cosY + z1 * sinY;
-          const z2 = -x * sinY + z1 * cosY;
+            const cosY = Math.cos(rotation.y);
+            const sinY = Math.sin(rotation.y);
+            const x2 = x * cosY + z1 * sinY;
+            const z2 = -x * sinY + z1 * cosY;
 
-          points.push({ x: x2, y: y1, z: z2, type: "dephaze" });
+            points.push({ x: x2, y: y1, z: z2, type: "dephaze" });
+          });
         }
       }
     }
 
-    if (viewMode !== "dephaze") {
+    if (viewMode === "mesh" || viewMode === "both") {
       scannedPoints.slice(0, 250).forEach((p) => {
         const cosX = Math.cos(rotation.x);
         const sinX = Math.sin(rotation.x);
@@ -347,10 +501,7 @@ const DephazePhaseMap = () => {
         ctx.arc(centerX + p.x * scale, centerY - p.y * scale, 4 + depth * 2, 0, TAU);
         ctx.fill();
       } else {
-        const color =
-          compressionMode === "fourier"
-            ? { r: 100, g: 255, b: 150 } // Green for Fourier
-            : { r: 100, g: 150, b: 255 }; // Blue for spatial
+        const color = MODE_STYLES[compressionMode].rgb;
 
         const brightness = depth;
         ctx.fillStyle = `rgba(${color.r * brightness}, ${color.g * brightness}, ${color.b}, ${0.4 + depth * 0.5})`;
@@ -359,7 +510,61 @@ const DephazePhaseMap = () => {
         ctx.fill();
       }
     });
-  }, [rotation, scannedPoints, phaseMap, viewMode, phaseResolution, compressionMode, fourierData]);
+
+    // Star-shapedness overlay: rays from Ω₀ with multiple surface hits.
+    if (showRayCheck) {
+      rayCheck.multiHit.forEach((cell) => {
+        const u = direction(cell.theta, cell.phi);
+        const outer = cell.hits[cell.hits.length - 1];
+        const end = project3D(u.x * outer, u.y * outer, u.z * outer, rotation.x, rotation.y);
+
+        ctx.strokeStyle = "rgba(251, 191, 36, 0.35)";
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(centerX, centerY);
+        ctx.lineTo(centerX + end.x * scale, centerY - end.y * scale);
+        ctx.stroke();
+
+        cell.hits.forEach((r) => {
+          const hit = project3D(u.x * r, u.y * r, u.z * r, rotation.x, rotation.y);
+          ctx.strokeStyle = "rgba(251, 191, 36, 0.9)";
+          ctx.beginPath();
+          ctx.arc(centerX + hit.x * scale, centerY - hit.y * scale, 4, 0, TAU);
+          ctx.stroke();
+        });
+      });
+    }
+  }, [rotation, scannedPoints, viewMode, compressionMode, reconstructSurfaces, rayCheck, showRayCheck, raymarchTick]);
+
+  // Quadtree cells of an adaptive map, unrolled over (θ, φ) and coloured by radius.
+  const cellCanvasRef = useRef(null);
+  const cellLeaves = useMemo(() => (model && model.mode === "adaptive" ? adaptiveLeaves(model.adaptiveMap) : null), [model]);
+
+  useEffect(() => {
+    const canvas = cellCanvasRef.current;
+    if (!canvas || !cellLeaves) return;
+
+    const ctx = canvas.getContext("2d");
+    const width = (canvas.width = 600);
+    const height = (canvas.height = 300);
+    const radii = cellLeaves.map((leaf) => reconstructSurfaces((leaf.theta0 + leaf.theta1) / 2, (leaf.phi0 + leaf.phi1) / 2)[0]);
+    const min = radii.reduce((low, r) => Math.min(low, r), Infinity);
+    const span = radii.reduce((high, r) => Math.max(high, r), -Infinity) - min || 1;
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.lineWidth = 0.5;
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.35)";
+    cellLeaves.forEach((leaf, k) => {
+      const t = (radii[k] - min) / span;
+      const x = (leaf.theta0 / TAU) * width;
+      const y = (leaf.phi0 / Math.PI) * height;
+      const w = ((leaf.theta1 - leaf.theta0) / TAU) * width;
+      const h = ((leaf.phi1 - leaf.phi0) / Math.PI) * height;
+      ctx.fillStyle = `hsl(${230 + 100 * t}, 70%, ${20 + 35 * t}%)`;
+      ctx.fillRect(x, y, w, h);
+      ctx.strokeRect(x, y, w, h);
+    });
+  }, [cellLeaves, reconstructSurfaces]);
 
   return (
     <div className="p-6 max-w-7xl mx-auto bg-slate-950 text-white min-h-screen font-mono">
@@ -403,7 +608,7 @@ const DephazePhaseMap = () => {
             </div>
             <div className="bg-black bg-opacity-50 p-3 rounded-lg">
               <p className="text-[8px] text-slate-500 uppercase tracking-wider">Points</p>
-              <p className="text-xl font-bold text-white">{scanDensity}</p>
+              <p className="text-xl font-bold text-white">{scannedPoints.length}</p>
             </div>
           </div>
 
@@ -413,7 +618,7 @@ const DephazePhaseMap = () => {
             </h3>
             <div className="grid grid-cols-2 gap-2 mb-3">
               <button
-                onClick={() => setCompressionMode("spatial")}
+                onClick={() => selectMode("spatial")}
                 className={`p-2 rounded-lg text-[9px] font-bold transition ${
                   compressionMode === "spatial" ? "bg-blue-600 text-white" : "bg-slate-800 text-slate-400"
                 }`}
@@ -422,17 +627,96 @@ const DephazePhaseMap = () => {
                 <div className="text-[7px] opacity-70">Phase Map</div>
               </button>
               <button
-                onClick={() => setCompressionMode("fourier")}
+                onClick={() => selectMode("fourier")}
                 className={`p-2 rounded-lg text-[9px] font-bold transition ${
                   compressionMode === "fourier" ? "bg-green-600 text-white" : "bg-slate-800 text-slate-400"
                 }`}
               >
                 FOURIER
-                <div className="text-[7px] opacity-70">DFT</div>
+                <div className="text-[7px] opacity-70">FFT</div>
+              </button>
+              <button
+                onClick={() => selectMode("harmonic")}
+                className={`p-2 rounded-lg text-[9px] font-bold transition ${
+                  compressionMode === "harmonic" ? "bg-cyan-600 text-white" : "bg-slate-800 text-slate-400"
+                }`}
+              >
+                HARMONIC
+                <div className="text-[7px] opacity-70">Spherical SH</div>
+              </button>
+              <button
+                onClick={() => selectMode("layered")}
+                className={`p-2 rounded-lg text-[9px] font-bold transition ${
+                  compressionMode === "layered" ? "bg-orange-600 text-white" : "bg-slate-800 text-slate-400"
+                }`}
+              >
+                LAYERED
+                <div className="text-[7px] opacity-70">Entry/Exit</div>
+              </button>
+              <button
+                onClick={() => selectMode("adaptive")}
+                className={`col-span-2 p-2 rounded-lg text-[9px] font-bold transition ${
+                  compressionMode === "adaptive" ? "bg-pink-600 text-white" : "bg-slate-800 text-slate-400"
+                }`}
+              >
+                ADAPTIVE
+                <div className="text-[7px] opacity-70">Quadtree</div>
               </button>
             </div>
 
-            {compressionMode === "fourier" && (
+            <button
+              onClick={() => setHybrid(!hybrid)}
+              disabled={!HYBRID_MODES.includes(compressionMode)}
+              className={`w-full p-2 rounded-lg text-[9px] font-bold transition disabled:opacity-40 ${
+                hybrid && HYBRID_MODES.includes(compressionMode) ? "bg-purple-600 text-white" : "bg-slate-800 text-slate-400"
+              }`}
+            >
+              HYBRID BASE: {hybrid ? "ON" : "OFF"}
+              <div className="text-[7px] opacity-70">Fitted Lamé primitive + residual map</div>
+            </button>
+
+            <p className="text-[8px] text-slate-400 mt-3 mb-2 uppercase">Stored Precision</p>
+            <div className="grid grid-cols-4 gap-2">
+              {[null, ...QUANT_BITS.slice().reverse()].map((bits) => (
+                <button
+                  key={bits ?? "float"}
+                  onClick={() => setQuantization(bits)}
+                  disabled={!QUANT_MODES.includes(compressionMode)}
+                  className={`p-1.5 rounded text-[8px] font-bold transition disabled:opacity-40 ${
+                    quantization === bits && QUANT_MODES.includes(compressionMode)
+                      ? "bg-amber-600 text-white"
+                      : "bg-slate-800 text-slate-400"
+                  }`}
+                >
+                  {bits ? `${bits}-BIT` : "FLOAT"}
+                </button>
+              ))}
+            </div>
+            <p className="text-[7px] text-slate-500 mt-1">
+              Quantized values are range-coded; storage and every error metric include the rounding.
+            </p>
+
+            {pipeline && pipeline.hybrid && !loadedFile && (
+              <div className="mt-3 pt-3 border-t border-slate-700 text-[8px] text-slate-400 space-y-1">
+                <p className="uppercase">
+                  Base: R = {pipeline.hybrid.base.R.toFixed(3)}, n = {pipeline.hybrid.base.n.toFixed(2)}{" "}
+                  <span className="text-purple-300">({getShapeName(pipeline.hybrid.base.n)})</span>
+                </p>
+                <p>
+                  Residual energy: {pipeline.hybrid.warped.energy.toFixed(4)} → {pipeline.hybrid.hybrid.energy.toFixed(4)}{" "}
+                  <span className="text-emerald-400">({((1 - pipeline.hybrid.energyRatio) * 100).toFixed(0)}% less)</span>
+                </p>
+                <p>
+                  Fourier Top-K: {pipeline.hybrid.warped.topK} → {pipeline.hybrid.hybrid.topK} ({pipeline.hybrid.warped.bytes} B →{" "}
+                  {pipeline.hybrid.hybrid.bytes} B)
+                </p>
+                <p className="text-[7px] text-slate-500">
+                  Fixed φ³ warp → hybrid, at the error budget the warp leaves with {HYBRID_ENERGY_FRACTION * 100}% of its energy
+                </p>
+              </div>
+            )}
+
+            {(compressionMode === "fourier" || compressionMode === "harmonic") && (
               <div className="mt-3 pt-3 border-t border-slate-700">
                 <p className="text-[8px] text-slate-400 mb-2 uppercase">Top-K Coefficients</p>
                 <input
@@ -448,9 +732,131 @@ const DephazePhaseMap = () => {
                   <span>Smooth (5)</span>
                   <span>Detailed (100)</span>
                 </div>
-                <p className="text-center text-lg font-bold text-green-400">K = {fourierTopK}</p>
-                {fourierData && (
-                  <p className="text-center text-[7px] text-slate-500 mt-1">{fourierData.totalCoeffs} available</p>
+                <p className={`text-center text-lg font-bold ${compressionMode === "harmonic" ? "text-cyan-400" : "text-green-400"}`}>
+                  K = {fourierTopK}
+                </p>
+                {model && (model.fourierData || model.shData) && (
+                  <p className="text-center text-[7px] text-slate-500 mt-1">
+                    {(model.fourierData || model.shData).totalCoeffs} available
+                  </p>
+                )}
+              </div>
+            )}
+
+            {compressionMode === "harmonic" && (
+              <div className="mt-3 pt-3 border-t border-slate-700">
+                <p className="text-[8px] text-slate-400 mb-2 uppercase">SH Degree (L)</p>
+                <input
+                  type="range"
+                  min="4"
+                  max="32"
+                  step="2"
+                  value={shDegree}
+                  onChange={(e) => setShDegree(parseInt(e.target.value))}
+                  className="w-full h-1 bg-slate-800 rounded-lg"
+                />
+                <p className="text-center text-lg font-bold text-cyan-400">L = {shDegree}</p>
+                <p className="text-center text-[7px] text-slate-500 mt-1">{(shDegree + 1) * (shDegree + 1)} basis functions</p>
+              </div>
+            )}
+
+            {compressionMode === "adaptive" && (
+              <div className="mt-3 pt-3 border-t border-slate-700">
+                <p className="text-[8px] text-slate-400 mb-2 uppercase">Refinement Tolerance (RMS)</p>
+                <input
+                  type="range"
+                  min="0.01"
+                  max="0.2"
+                  step="0.01"
+                  value={tolerance}
+                  onChange={(e) => setTolerance(parseFloat(e.target.value))}
+                  className="w-full h-1 bg-slate-800 rounded-lg"
+                />
+                <div className="flex justify-between text-[7px] text-slate-500 mt-1 mb-2">
+                  <span>Detailed (0.01)</span>
+                  <span>Coarse (0.2)</span>
+                </div>
+                <p className="text-center text-lg font-bold text-pink-400">τ = {tolerance.toFixed(2)}</p>
+                <p className="text-center text-[7px] text-slate-500 mt-1">
+                  Cells split until their radial error is below τ, down to the {phaseResolution}² grid
+                </p>
+              </div>
+            )}
+
+            {GRID_MODES.includes(compressionMode) && (
+              <div className="mt-3 pt-3 border-t border-slate-700">
+                {compressionMode === "spatial" && (
+                  <>
+                    <p className="text-[8px] text-slate-400 mb-2 uppercase">Interpolation</p>
+                    <div className="grid grid-cols-4 gap-2 mb-3">
+                      {INTERPOLATION_METHODS.map((method) => (
+                        <button
+                          key={method}
+                          onClick={() => setInterpolation(method)}
+                          className={`p-1.5 rounded text-[8px] font-bold uppercase transition ${
+                            interpolation === method ? "bg-blue-600 text-white" : "bg-slate-800 text-slate-400"
+                          }`}
+                        >
+                          {method}
+                        </button>
+                      ))}
+                    </div>
+                  </>
+                )}
+                <p className="text-[8px] text-slate-400 mb-2 uppercase">Empty-Cell Fill</p>
+                <div className="grid grid-cols-2 gap-2">
+                  {FILL_METHODS.map((method) => (
+                    <button
+                      key={method}
+                      onClick={() => setFill(method)}
+                      className={`p-1.5 rounded text-[8px] font-bold uppercase transition ${
+                        fill === method ? "bg-blue-600 text-white" : "bg-slate-800 text-slate-400"
+                      }`}
+                    >
+                      {method}
+                    </button>
+                  ))}
+                </div>
+                <p className="text-[7px] text-slate-500 mt-1">
+                  Neighbors averages the observed 4-neighbours once; diffusion solves the Laplace equation over every hole.
+                </p>
+
+                {pipeline && pipeline.interpolation && !loadedFile && (
+                  <>
+                    <table className="w-full mt-3 text-[8px]">
+                      <thead>
+                        <tr className="text-slate-500 uppercase">
+                          <th className="text-left font-normal">Fill / Interp.</th>
+                          <th className="text-right font-normal">Held-out</th>
+                          <th className="text-right font-normal">Truth</th>
+                          <th className="text-right font-normal">Gain</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {pipeline.interpolation.map((row) => {
+                          const baseline = pipeline.interpolation[0];
+                          const key = row.truthRmse !== null ? "truthRmse" : "rmse";
+                          const active = row.fill === fill && row.interpolation === interpolation;
+                          return (
+                            <tr key={`${row.fill}-${row.interpolation}`} className={active ? "text-blue-300 font-bold" : "text-slate-400"}>
+                              <td>
+                                {row.fill} / {row.interpolation}
+                              </td>
+                              <td className="text-right">{row.rmse !== null ? row.rmse.toFixed(4) : "–"}</td>
+                              <td className="text-right">{row.truthRmse !== null ? row.truthRmse.toFixed(4) : "–"}</td>
+                              <td className="text-right text-emerald-400">
+                                {baseline[key] > 0 ? `${((1 - row[key] / baseline[key]) * 100).toFixed(0)}%` : "–"}
+                              </td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                    <p className="text-[7px] text-slate-500 mt-1">
+                      Radial RMSE of the spatial map; gain (on ground truth where known) against neighbors / nearest, the
+                      plain cell lookup
+                    </p>
+                  </>
                 )}
               </div>
             )}
@@ -463,15 +869,74 @@ const DephazePhaseMap = () => {
             <div className="bg-black bg-opacity-50 p-3 rounded-lg mb-2">
               <p className="text-[8px] text-slate-500 uppercase tracking-wider">Storage</p>
               <p className="text-2xl font-black text-blue-500">
-                {compressionMode === "fourier" ? `${metrics.dephazeSize.toFixed(0)} B` : `${(metrics.dephazeSize / 1024).toFixed(1)} KB`}
+                {!model
+                  ? "…"
+                  : model.mode === "fourier" || model.mode === "harmonic" || model.mode === "primitive"
+                  ? `${metrics.dephazeSize.toFixed(0)} B`
+                  : `${(metrics.dephazeSize / 1024).toFixed(1)} KB`}
               </p>
             </div>
             <div className="bg-black bg-opacity-50 p-3 rounded-lg">
               <p className="text-[8px] text-slate-500 uppercase tracking-wider">Method</p>
               <p className="text-sm font-bold text-white">
-                {compressionMode === "fourier" ? `${fourierTopK} Fourier coeffs` : `${phaseResolution}² cells`}
+                {methodLabel()}
               </p>
             </div>
+            <div className="grid grid-cols-2 gap-2 mt-2">
+              <button
+                onClick={downloadDphz}
+                className="p-2 rounded-lg text-[9px] font-bold transition bg-slate-800 text-slate-300 hover:bg-slate-700 flex items-center justify-center gap-1"
+              >
+                <Download size={10} /> Download .dphz
+              </button>
+              <button
+                onClick={() => fileInputRef.current?.click()}
+                className="p-2 rounded-lg text-[9px] font-bold transition bg-slate-800 text-slate-300 hover:bg-slate-700 flex items-center justify-center gap-1"
+              >
+                <Upload size={10} /> Open .dphz
+              </button>
+            </div>
+            <p className="mt-3 text-[8px] text-slate-400 mb-2 uppercase">Mesh Export Grid: {exportResolution}³</p>
+            <input
+              type="range"
+              min="16"
+              max="96"
+              step="8"
+              value={exportResolution}
+              onChange={(e) => setExportResolution(parseInt(e.target.value))}
+              className="w-full h-1 bg-slate-800 rounded-lg"
+            />
+            <div className="grid grid-cols-4 gap-1 mt-2">
+              {Object.entries(MESH_FORMATS).map(([format, { label }]) => (
+                <button
+                  key={format}
+                  onClick={() => exportMesh(format)}
+                  disabled={!model || exporting !== null}
+                  className="p-2 rounded-lg text-[9px] font-bold transition bg-slate-800 text-slate-300 hover:bg-slate-700 disabled:opacity-50 flex items-center justify-center gap-1"
+                >
+                  <Download size={10} /> {exporting === format ? "…" : label}
+                </button>
+              ))}
+            </div>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".dphz"
+              className="hidden"
+              onChange={(e) => {
+                openDphz(e.target.files[0]);
+                e.target.value = "";
+              }}
+            />
+            {loadedFile && (
+              <div className="mt-2 bg-blue-900 bg-opacity-30 p-2 rounded flex items-center justify-between">
+                <p className="text-[8px] text-blue-300 truncate">Loaded: {loadedFile.name}</p>
+                <button onClick={() => setLoadedFile(null)} className="text-blue-300 hover:text-white">
+                  <X size={10} />
+                </button>
+              </div>
+            )}
+            {fileError && <p className="mt-2 text-[8px] text-red-400">{fileError}</p>}
           </div>
 
           <div className="bg-emerald-950 bg-opacity-50 p-4 rounded-xl border border-emerald-600 border-opacity-50">
@@ -481,36 +946,92 @@ const DephazePhaseMap = () => {
             <div className="text-center mb-3">
               <p className="text-4xl font-black text-white">{metrics.xiStability}%</p>
               <p className="text-[8px] text-slate-500 mt-1">Error: {metrics.avgError}%</p>
+              <p className="text-[7px] text-slate-600 mt-1 uppercase">Legacy, on the training points</p>
             </div>
             <div className="text-center pt-3 border-t border-emerald-800">
               <p className={`text-4xl font-black ${compressionMode === "fourier" ? "text-green-400" : "text-emerald-400"}`}>
                 {metrics.compressionVsMesh}×
               </p>
               <p className="text-[8px] text-slate-400 uppercase tracking-wider">vs Mesh</p>
-              {compressionMode === "fourier" && parseInt(metrics.compressionVsMesh, 10) > 50 && (
+              {(compressionMode === "fourier" || compressionMode === "harmonic") && parseInt(metrics.compressionVsMesh, 10) > 50 && (
                 <div className="mt-2 bg-green-900 bg-opacity-30 p-2 rounded">
                   <p className="text-[8px] text-green-300 font-bold">🔥 EXTREME COMPRESSION!</p>
                 </div>
               )}
             </div>
           </div>
+
+          <div className="bg-slate-900 p-4 rounded-xl border border-cyan-500 border-opacity-40">
+            <h3 className="text-cyan-400 font-bold text-xs mb-3 uppercase flex items-center gap-2">
+              <Target size={14} /> Accuracy
+            </h3>
+            <p className="text-[8px] text-slate-400 mb-1 uppercase">Held out: {Math.round(holdout * 100)}% of the scan</p>
+            <input
+              type="range"
+              min="0.1"
+              max="0.5"
+              step="0.05"
+              value={holdout}
+              onChange={(e) => setHoldout(parseFloat(e.target.value))}
+              className="w-full h-1 bg-slate-800 rounded-lg mb-3"
+            />
+            {pipeline && pipeline.accuracy ? (
+              <table className="w-full text-[8px]">
+                <thead className="text-slate-500 uppercase">
+                  <tr>
+                    <th className="text-left font-normal pb-1" />
+                    <th className="text-right font-normal pb-1">Held-out ({pipeline.accuracy.holdout ? pipeline.accuracy.holdout.count : 0})</th>
+                    <th className="text-right font-normal pb-1">Ground truth</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {ACCURACY_ROWS.map(({ key, label, format }) => (
+                    <tr key={key} className="border-t border-slate-800">
+                      <td className="py-1 text-slate-400">{label}</td>
+                      <td className="py-1 text-right text-white">
+                        {pipeline.accuracy.holdout ? format(pipeline.accuracy.holdout[key]) : "–"}
+                      </td>
+                      <td className="py-1 text-right text-white">
+                        {pipeline.accuracy.groundTruth ? format(pipeline.accuracy.groundTruth[key]) : "–"}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : (
+              <p className="text-[8px] text-slate-500">…</p>
+            )}
+            <p className="text-[7px] text-slate-500 mt-2">
+              Radial errors to the nearest reconstructed surface, in units of R (mean R = 2). Held-out Hausdorff and Chamfer
+              run from each test point to the reconstructed surface. Ground truth is the analytic surface of the synthetic
+              meshes, compared both ways.
+            </p>
+          </div>
         </div>
 
         <div className="lg:col-span-2 space-y-3">
-          <div className="bg-slate-900 bg-opacity-70 rounded-2xl border border-slate-700 p-4 relative overflow-hidden">
+          <div
+            className="bg-slate-900 bg-opacity-70 rounded-2xl border border-slate-700 p-4 relative overflow-hidden"
+            onDragOver={(e) => e.preventDefault()}
+            onDrop={handleDrop}
+          >
             <div className="absolute top-4 left-4 space-y-1.5 z-10 bg-black bg-opacity-60 p-3 rounded-lg backdrop-blur-sm">
               <div className="flex items-center gap-2">
                 <div className="w-3 h-3 bg-red-500 rounded-full shadow-lg shadow-red-500/50" />
                 <span className="text-[9px] text-red-300 uppercase">φ⁻³ Mesh</span>
               </div>
               <div className="flex items-center gap-2">
-                <div className={`w-3 h-3 rounded-full shadow-lg ${
-                  compressionMode === "fourier" ? "bg-green-500 shadow-green-500/50" : "bg-blue-500 shadow-blue-500/50"
-                }`} />
-                <span className={`text-[9px] uppercase ${compressionMode === "fourier" ? "text-green-300" : "text-blue-300"}`}>
-                  φ³ {compressionMode === "fourier" ? "Fourier" : "Spatial"}
+                <div className={`w-3 h-3 rounded-full shadow-lg ${MODE_STYLES[compressionMode].dot}`} />
+                <span className={`text-[9px] uppercase ${MODE_STYLES[compressionMode].text}`}>
+                  φ³ {MODE_STYLES[compressionMode].label}
                 </span>
               </div>
+              {rayCheck.multiHit.length > 0 && (
+                <button onClick={() => setShowRayCheck(!showRayCheck)} className="flex items-center gap-2">
+                  <div className={`w-3 h-3 rounded-full border-2 border-amber-400 ${showRayCheck ? "" : "opacity-30"}`} />
+                  <span className="text-[9px] text-amber-300 uppercase">Multi-hit rays ({rayCheck.multiHit.length})</span>
+                </button>
+              )}
             </div>
 
             <div className="absolute top-4 right-4 flex gap-1 z-10">
@@ -538,6 +1059,14 @@ const DephazePhaseMap = () => {
               >
                 BOTH
               </button>
+              <button
+                onClick={() => setViewMode("raymarch")}
+                className={`px-3 py-1.5 text-[9px] font-bold rounded transition ${
+                  viewMode === "raymarch" ? "bg-emerald-600" : "bg-slate-800 hover:bg-slate-700"
+                }`}
+              >
+                RAY
+              </button>
             </div>
 
             <canvas
@@ -553,9 +1082,39 @@ const DephazePhaseMap = () => {
               className="cursor-grab active:cursor-grabbing w-full rounded-lg"
             />
 
-            <p className="text-center text-[8px] text-slate-500 mt-2 uppercase tracking-wider">Drag to rotate</p>
+            {progress !== null && (
+              <div className="absolute bottom-10 left-8 right-8 z-10">
+                <div className="h-1 bg-slate-800 rounded-full overflow-hidden">
+                  <div className="h-full bg-purple-500 transition-all" style={{ width: `${Math.round(progress * 100)}%` }} />
+                </div>
+                <p className="text-center text-[8px] text-purple-300 mt-1 uppercase tracking-wider">
+                  Resolving phase field… {Math.round(progress * 100)}%
+                </p>
+              </div>
+            )}
+
+            <p className="text-center text-[8px] text-slate-500 mt-2 uppercase tracking-wider">Drag to rotate | Drop a PLY / XYZ / OBJ scan or .dphz file</p>
           </div>
 
+          {cellLeaves && (
+            <div className="bg-slate-900 bg-opacity-70 p-4 rounded-xl border border-pink-500 border-opacity-30">
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="text-pink-400 text-[10px] uppercase font-bold flex items-center gap-2">
+                  <LayoutGrid size={12} /> Quadtree Cells
+                </h3>
+                <span className="text-[8px] text-slate-500">θ 0 → 2π across, φ 0 → π down, colour = reconstructed R</span>
+              </div>
+              <canvas ref={cellCanvasRef} className="w-full rounded" />
+              {metrics.adaptive && (
+                <p className="text-[8px] text-slate-400 mt-2">
+                  {metrics.adaptive.leaves} cells where a uniform map at the finest level needs {metrics.adaptive.N}² ={" "}
+                  {metrics.adaptive.N * metrics.adaptive.N}. Stored as {Math.ceil(metrics.adaptive.nodes / 8)} B of tree structure
+                  ({metrics.adaptive.nodes} nodes, 1 bit each) plus {metrics.adaptive.leaves * 4} B of cell values.
+                </p>
+              )}
+            </div>
+          )}
+
           <div className="grid grid-cols-2 gap-3">
             <div className="bg-slate-900 bg-opacity-70 p-4 rounded-xl border border-purple-500 border-opacity-30">
               <h3 className="text-purple-400 text-[10px] mb-3 uppercase flex items-center gap-2 font-bold">
@@ -594,7 +1153,7 @@ const DephazePhaseMap = () => {
             </div>
           </div>
 
-          <div className="grid grid-cols-3 gap-2">
+          <div className="grid grid-cols-4 gap-2">
             {["bumpy", "spike", "organic"].map((type) => (
               <button
                 key={type}
@@ -609,18 +1168,286 @@ const DephazePhaseMap = () => {
                 {type}
               </button>
             ))}
+            <button
+              onClick={() => (importedCloud ? setMeshType("imported") : cloudInputRef.current?.click())}
+              className={`p-3 rounded-lg text-[10px] font-bold uppercase transition ${
+                meshType === "imported"
+                  ? "bg-gradient-to-br from-purple-600 to-purple-800 text-white shadow-lg"
+                  : "bg-slate-800 text-slate-400 hover:bg-slate-700"
+              }`}
+            >
+              <div className="text-lg mb-1">📂</div>
+              <div className="truncate">{importedCloud ? importedCloud.name : "import"}</div>
+            </button>
+            <input
+              ref={cloudInputRef}
+              type="file"
+              accept={POINT_CLOUD_EXTENSIONS.join(",")}
+              className="hidden"
+              onChange={(e) => {
+                importPointCloud(e.target.files[0]);
+                e.target.value = "";
+              }}
+            />
+          </div>
+
+          <div className="bg-slate-900 bg-opacity-70 p-4 rounded-xl border border-cyan-500 border-opacity-30">
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="text-cyan-400 text-[10px] uppercase font-bold flex items-center gap-2">
+                <Radar size={12} /> Scanner Simulation
+              </h3>
+              <div className="flex items-center gap-1">
+                <label className="text-[8px] text-slate-500 uppercase">
+                  Seed
+                  <input
+                    type="number"
+                    min="0"
+                    max={MAX_SEED}
+                    value={seed}
+                    onChange={(e) => setSeed(Math.min(MAX_SEED, Math.max(0, parseInt(e.target.value) || 0)))}
+                    className="w-24 ml-1 p-1 bg-slate-800 rounded text-white text-[10px] font-mono"
+                  />
+                </label>
+                <button
+                  onClick={() => setSeed(randomSeed())}
+                  title="New seed"
+                  className="p-1.5 rounded bg-slate-800 hover:bg-slate-700 text-slate-300"
+                >
+                  <Dices size={12} />
+                </button>
+              </div>
+            </div>
+            {meshType === "imported" ? (
+              <p className="text-[8px] text-slate-500">The seed drives the holdout split of imported scans.</p>
+            ) : (
+              <>
+                <div className="grid grid-cols-3 gap-3">
+                  <label className="text-[8px] text-slate-400 uppercase">
+                    Noise σ {scanner.noise.toFixed(3)}
+                    <input
+                      type="range"
+                      min="0"
+                      max="0.1"
+                      step="0.005"
+                      value={scanner.noise}
+                      onChange={(e) => setScanner({ ...scanner, noise: parseFloat(e.target.value) })}
+                      className="w-full h-2 bg-slate-800 rounded-lg"
+                    />
+                  </label>
+                  <label className="text-[8px] text-slate-400 uppercase">
+                    Outliers {(scanner.outliers * 100).toFixed(1)}%
+                    <input
+                      type="range"
+                      min="0"
+                      max="0.1"
+                      step="0.005"
+                      value={scanner.outliers}
+                      onChange={(e) => setScanner({ ...scanner, outliers: parseFloat(e.target.value) })}
+                      className="w-full h-2 bg-slate-800 rounded-lg"
+                    />
+                  </label>
+                  <label className="text-[8px] text-slate-400 uppercase">
+                    Scanners {scanner.scanners || "– (Ω₀)"}
+                    <input
+                      type="range"
+                      min="0"
+                      max="8"
+                      step="1"
+                      value={scanner.scanners}
+                      onChange={(e) => setScanner({ ...scanner, scanners: parseInt(e.target.value) })}
+                      className="w-full h-2 bg-slate-800 rounded-lg"
+                    />
+                  </label>
+                </div>
+                {pipeline && pipeline.simulation && (
+                  <p className="text-[8px] text-slate-500 mt-2">
+                    {pipeline.simulation.sampled} sampled | {pipeline.simulation.occluded} occluded | {pipeline.simulation.outliers}{" "}
+                    outliers
+                  </p>
+                )}
+              </>
+            )}
+          </div>
+
+          {meshType === "imported" && importedCloud && (
+            <div className="bg-slate-900 bg-opacity-70 p-4 rounded-xl border border-purple-500 border-opacity-30">
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="text-purple-400 text-[10px] uppercase font-bold">Ω₀ Origin</h3>
+                <button
+                  onClick={() => cloudInputRef.current?.click()}
+                  className="px-2 py-1 text-[8px] font-bold rounded bg-slate-800 hover:bg-slate-700 text-slate-300"
+                >
+                  Replace scan
+                </button>
+              </div>
+              <div className="grid grid-cols-3 gap-2 mb-2">
+                {ORIGIN_METHODS.map((method) => (
+                  <button
+                    key={method}
+                    onClick={() => {
+                      const o = estimateOrigin(importedCloud.vertices, method);
+                      const round = (v) => Math.round(v * 1000) / 1000;
+                      setOrigin({ x: round(o.x), y: round(o.y), z: round(o.z) });
+                    }}
+                    className="p-1 rounded text-[8px] font-bold uppercase bg-slate-800 hover:bg-slate-700 text-slate-300"
+                  >
+                    {method === "bbox" ? "BBox" : method}
+                  </button>
+                ))}
+              </div>
+              <div className="grid grid-cols-3 gap-2">
+                {["x", "y", "z"].map((axis) => (
+                  <label key={axis} className="text-[8px] text-slate-500 uppercase">
+                    {axis}
+                    <input
+                      type="number"
+                      step="0.1"
+                      value={origin[axis]}
+                      onChange={(e) => setOrigin({ ...origin, [axis]: parseFloat(e.target.value) || 0 })}
+                      className="w-full mt-1 p-1 bg-slate-800 rounded text-white text-[10px]"
+                    />
+                  </label>
+                ))}
+              </div>
+              <p className="text-[8px] text-slate-500 mt-2">
+                {importedCloud.vertices.length} vertices, normalized ×{pipeline ? (1 / pipeline.scale).toPrecision(3) : "…"} to mean R = 2
+              </p>
+              <p className={`text-[8px] mt-1 ${rayCheck.multiHit.length > 0 ? "text-amber-400" : "text-emerald-400"}`}>
+                Visible from Ω₀: {(rayCheck.visibleFraction * 100).toFixed(1)}% | Multi-hit directions:{" "}
+                {rayCheck.multiHit.length}/{rayCheck.occupied}
+                {rayCheck.multiHit.length > 0 ? " (not star-shaped)" : " (star-shaped)"}
+              </p>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="mt-6 bg-slate-900 bg-opacity-70 p-4 rounded-xl border border-amber-500 border-opacity-40">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-amber-400 font-bold text-xs uppercase flex items-center gap-2">
+            <TrendingDown size={14} /> Rate–Distortion Sweep
+            {sweep && <span className="text-[8px] text-slate-500 normal-case font-normal">{sweep.label}</span>}
+          </h3>
+          <div className="flex gap-2">
+            <button
+              onClick={runSweep}
+              disabled={sweepProgress !== null}
+              className="px-3 py-1.5 text-[9px] font-bold rounded bg-amber-600 hover:bg-amber-500 disabled:opacity-50"
+            >
+              {sweepProgress !== null ? `Sweeping… ${Math.round(sweepProgress * 100)}%` : "Run Sweep"}
+            </button>
+            <button
+              onClick={downloadSweepCSV}
+              disabled={!sweep}
+              className="px-3 py-1.5 text-[9px] font-bold rounded bg-slate-800 hover:bg-slate-700 disabled:opacity-50 flex items-center gap-1"
+            >
+              <Download size={10} /> CSV
+            </button>
           </div>
         </div>
+        {sweep ? (
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+            <div className="lg:col-span-2 h-72">
+              <ResponsiveContainer width="100%" height="100%">
+                <ScatterChart margin={{ top: 10, right: 20, bottom: 20, left: 10 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#1e293b" />
+                  <XAxis
+                    type="number"
+                    dataKey="bytes"
+                    name="Size"
+                    scale="log"
+                    domain={["auto", "auto"]}
+                    stroke="#475569"
+                    fontSize={9}
+                    label={{ value: ".dphz bytes (log)", position: "insideBottom", offset: -10, fill: "#64748b", fontSize: 9 }}
+                  />
+                  <YAxis
+                    type="number"
+                    dataKey="rmse"
+                    name="RMSE"
+                    stroke="#475569"
+                    fontSize={9}
+                    tickFormatter={(v) => v.toFixed(2)}
+                    label={{ value: "held-out RMSE", angle: -90, position: "insideLeft", fill: "#64748b", fontSize: 9 }}
+                  />
+                  <Tooltip content={<SweepTooltip />} />
+                  <Legend wrapperStyle={{ fontSize: 9 }} />
+                  {SWEEP_MODES.map((mode) => (
+                    <Scatter
+                      key={mode}
+                      name={MODE_STYLES[mode].label}
+                      data={sweep.rows.filter((row) => row.mode === mode)}
+                      fill={rgbString(MODE_STYLES[mode].rgb)}
+                      fillOpacity={0.7}
+                    />
+                  ))}
+                  <Scatter
+                    name="Pareto front"
+                    data={sweep.rows.filter((row) => row.pareto)}
+                    fill="#f59e0b"
+                    line={{ stroke: "#f59e0b", strokeWidth: 2 }}
+                    shape="diamond"
+                  />
+                </ScatterChart>
+              </ResponsiveContainer>
+            </div>
+            <div className="overflow-y-auto max-h-72">
+              <table className="w-full text-[8px]">
+                <thead className="text-slate-500 uppercase">
+                  <tr>
+                    <th className="text-left font-normal pb-1">Pareto front</th>
+                    <th className="text-right font-normal pb-1">N</th>
+                    <th className="text-right font-normal pb-1">K</th>
+                    <th className="text-right font-normal pb-1">τ</th>
+                    <th className="text-right font-normal pb-1">Bits</th>
+                    <th className="text-right font-normal pb-1">Bytes</th>
+                    <th className="text-right font-normal pb-1">RMSE</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {sweep.rows
+                    .filter((row) => row.pareto)
+                    .map((row) => (
+                      <tr key={`${row.mode}-${row.N}-${row.K}-${row.tolerance}-${row.bits}`} className="border-t border-slate-800">
+                        <td className={`py-1 ${MODE_STYLES[row.mode].text}`}>{MODE_STYLES[row.mode].label}</td>
+                        <td className="py-1 text-right text-white">{row.N}</td>
+                        <td className="py-1 text-right text-white">{row.K ?? "–"}</td>
+                        <td className="py-1 text-right text-white">{row.tolerance ?? "–"}</td>
+                        <td className="py-1 text-right text-white">{row.bits ?? "f32"}</td>
+                        <td className="py-1 text-right text-white">{row.bytes}</td>
+                        <td className="py-1 text-right text-white">{row.rmse.toFixed(4)}</td>
+                      </tr>
+                    ))}
+                </tbody>
+              </table>
+              <p className="text-[7px] text-slate-500 mt-2">
+                {sweep.rows.length} combinations of N, K, τ, precision and mode. The CSV also has max, relative and ground-truth errors.
+              </p>
+            </div>
+          </div>
+        ) : (
+          <p className="text-[8px] text-slate-500">
+            Encodes the current scan at every phase resolution, Top-K and stored precision in spatial, Fourier and
+            harmonic mode, and at every refinement tolerance in adaptive mode, and plots held-out RMSE against the
+            real .dphz size.
+          </p>
+        )}
       </div>
 
       <div className="mt-6 bg-slate-900 bg-opacity-50 p-4 rounded-lg border border-slate-700">
         <p className="text-[9px] text-slate-400 text-center leading-relaxed">
-          <span className={compressionMode === "fourier" ? "text-green-400" : "text-purple-400"}>
-            {compressionMode === "fourier" ? "🌊 FOURIER MODE:" : "📊 SPATIAL MODE:"}
+          <span className={{ fourier: "text-green-400", harmonic: "text-cyan-400", layered: "text-orange-400", adaptive: "text-pink-400" }[compressionMode] || "text-purple-400"}>
+            {{ fourier: "🌊 FOURIER MODE:", harmonic: "🌐 HARMONIC MODE:", layered: "🧅 LAYERED MODE:", adaptive: "🔲 ADAPTIVE MODE:" }[compressionMode] || "📊 SPATIAL MODE:"}
           </span>{" "}
           {compressionMode === "fourier"
             ? `Using ${fourierTopK} frequency coefficients to reconstruct amorphous geometry. Low-frequency components capture smooth surfaces with ${metrics.compressionVsMesh}× compression vs mesh.`
-            : `Using ${phaseResolution}×${phaseResolution} phase map cells. Spatial domain reconstruction with ${metrics.ratio}× compression.`}
+            : compressionMode === "harmonic"
+            ? `Using ${fourierTopK} spherical-harmonic coefficients up to degree ${shDegree}. The basis has no seam or pole artifacts, with ${metrics.compressionVsMesh}× compression vs mesh.`
+            : compressionMode === "adaptive"
+            ? `Using ${metrics.adaptive ? metrics.adaptive.leaves : "…"} quadtree cells, refined where the radial error exceeds τ = ${tolerance.toFixed(2)} and no finer than ${phaseResolution}×${phaseResolution}, so storage follows detail. ${metrics.ratio}× compression.`
+            : compressionMode === "layered"
+            ? `Using ${phaseResolution}×${phaseResolution} cells with ${metrics.layers} entry/exit intervals, so concave and hollow objects keep every surface along a ray. ${metrics.ratio}× compression.`
+            : `Using ${phaseResolution}×${phaseResolution} phase map cells, read with ${interpolation} interpolation between cell centres. Spatial domain reconstruction with ${metrics.ratio}× compression.`}
         </p>
       </div>
     </div>
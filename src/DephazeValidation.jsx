@@ -1,70 +1,479 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { Sliders, Zap, Database } from 'lucide-react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { Sliders, Zap, Database, Download, GitBranch, Film, Play, Pause, SkipBack, Plus, Trash2, Upload } from 'lucide-react';
+import {
+  project3D,
+  getShapeName,
+  primitiveMemory,
+  primitiveShape,
+  meshStats,
+  MESH_FORMATS,
+  ISOSURFACE_METHODS,
+  createRaymarchScene,
+  EPSILON_MIN,
+  EPSILON_MAX,
+  CSG_OPERATIONS,
+  DEFAULT_BLEND,
+  isLeaf,
+  validateTree,
+  treeLeaves,
+  nodeAt,
+  updateNode,
+  removeNode,
+  compositeBytes,
+  EASINGS,
+  sampleTimeline,
+  timelineDuration,
+  sortKeyframes,
+  encodeKeyframes,
+  parseKeyframes,
+  encodeZip,
+  sessionParam,
+  numberIn,
+  finiteNumber,
+  objectOf,
+} from './dephaze/index.js';
+import { getDephazePool, isAbortError } from './workers/workerPool.js';
+import { createProgressiveRenderer } from './workers/progressiveRenderer.js';
 
-const DephazeUniversalKernel = () => {
+// HSL (degrees, fractions) to { r, g, b } in 0–255, for the raymarch material.
+const hslColor = (h, s, l) => {
+  const a = s * Math.min(l, 1 - l);
+  const f = (k0) => {
+    const k = (k0 + h / 30) % 12;
+    return 255 * (l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1)));
+  };
+  return { r: f(0), g: f(8), b: f(4) };
+};
+
+const DEGREES = Math.PI / 180;
+
+// Per-axis sliders: [key, label, min, max, step].
+const AXIS_SLIDERS = [
+  ['a', 'Semi-axis a (x)', 0.5, 4, 0.1],
+  ['b', 'Semi-axis b (y)', 0.5, 4, 0.1],
+  ['c', 'Semi-axis c (z)', 0.5, 4, 0.1],
+  ['e1', 'ε1 (north–south)', EPSILON_MIN, EPSILON_MAX, 0.02],
+  ['e2', 'ε2 (east–west)', EPSILON_MIN, EPSILON_MAX, 0.02],
+];
+const POSE_SLIDERS = [
+  ['rx', 'Rotate x°', -180, 180, 1],
+  ['ry', 'Rotate y°', -180, 180, 1],
+  ['rz', 'Rotate z°', -180, 180, 1],
+  ['tx', 'Translate x', -2, 2, 0.05],
+  ['ty', 'Translate y', -2, 2, 0.05],
+  ['tz', 'Translate z', -2, 2, 0.05],
+];
+
+const EXPORT_FPS = 24;
+
+// Octahedron → sphere → cube, turning half a revolution.
+const DEFAULT_KEYFRAMES = [
+  { time: 0, easing: 'easeInOut', params: { n: 1, R: 2.5, rotX: 0.3, rotY: 0.4, perAxis: false } },
+  { time: 2, easing: 'easeInOut', params: { n: 2, R: 2.5, rotX: 0.3, rotY: 0.4 + Math.PI / 4, perAxis: false } },
+  { time: 5, easing: 'linear', params: { n: 50, R: 2.5, rotX: 0.3, rotY: 0.4 + Math.PI / 2, perAxis: false } },
+];
+
+const AXIS_KEYS = ['a', 'b', 'c', 'e1', 'e2'];
+const POSE_KEYS = ['rx', 'ry', 'rz', 'tx', 'ty', 'tz'];
+
+// Restored values must lie within the controls' own ranges (see sessionParam).
+const sliderFields = (sliders) => Object.fromEntries(sliders.map(([key, , min, max]) => [key, numberIn(min, max)]));
+const N_RANGE = numberIn(1, 50);
+const R_RANGE = numberIn(1, 4);
+const XY = objectOf({ x: finiteNumber, y: finiteNumber });
+const AXIS_FIELDS = objectOf(sliderFields(AXIS_SLIDERS));
+const POSE_FIELDS = objectOf(sliderFields(POSE_SLIDERS));
+const KEYFRAME_PARAMS = {
+  n: N_RANGE,
+  R: R_RANGE,
+  rotX: finiteNumber,
+  rotY: finiteNumber,
+  ...sliderFields(AXIS_SLIDERS),
+  ...sliderFields(POSE_SLIDERS),
+};
+
+// Throw if a keyframe sets a kernel parameter outside its control's range.
+const checkKeyframes = (keyframes) =>
+  keyframes.forEach(({ params }, index) =>
+    Object.entries(params).forEach(([key, value]) => {
+      try {
+        if (KEYFRAME_PARAMS[key]) KEYFRAME_PARAMS[key](value);
+      } catch (err) {
+        throw new Error(`Keyframe ${index} has an invalid ${key}: ${err.message}`);
+      }
+    })
+  );
+
+const pick = (params, keys, fallback) =>
+  Object.fromEntries(keys.map((key) => [key, typeof params[key] === 'number' ? params[key] : fallback[key]]));
+
+const waitFrames = (count) =>
+  new Promise((resolve) => {
+    const step = (left) => (left === 0 ? resolve() : requestAnimationFrame(() => step(left - 1)));
+    step(count);
+  });
+
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const canRecordWebM =
+  typeof MediaRecorder !== 'undefined' &&
+  typeof HTMLCanvasElement !== 'undefined' &&
+  'captureStream' in HTMLCanvasElement.prototype;
+
+const ZERO = { x: 0, y: 0, z: 0 };
+const NEW_PRIMITIVE = { mode: 'primitive', a: 1, b: 1, c: 1, e1: 1, e2: 1, rotation: ZERO, translation: ZERO };
+
+// Starting composite: a rounded cube smoothly blended with a sphere, drilled by a cylinder.
+const DEFAULT_SCENE = {
+  op: 'subtraction',
+  children: [
+    {
+      op: 'blend',
+      k: 0.6,
+      children: [
+        { ...NEW_PRIMITIVE, a: 1.6, b: 1.6, c: 1.6, e1: 0.2, e2: 0.2 },
+        { ...NEW_PRIMITIVE, a: 1.1, b: 1.1, c: 1.1, translation: { x: 0, y: 0, z: 1.6 } },
+      ],
+    },
+    { ...NEW_PRIMITIVE, a: 0.7, b: 0.7, c: 3, e1: 0.1 },
+  ],
+};
+
+// Slider values of a leaf's transform, in the units of POSE_SLIDERS.
+const leafPose = (shape) => ({
+  rx: shape.rotation.x / DEGREES,
+  ry: shape.rotation.y / DEGREES,
+  rz: shape.rotation.z / DEGREES,
+  tx: shape.translation.x,
+  ty: shape.translation.y,
+  tz: shape.translation.z,
+});
+
+const SliderGroup = ({ sliders, values, onChange }) => (
+  <div>
+    {sliders.map(([key, label, min, max, step]) => (
+      <label key={key} className="block mb-1">
+        <span className="text-xs text-gray-300">{label}: {values[key].toFixed(key[0] === 'r' ? 0 : 2)}</span>
+        <input
+          type="range"
+          min={min}
+          max={max}
+          step={step}
+          value={values[key]}
+          onChange={(e) => onChange(key, parseFloat(e.target.value))}
+          className="w-full accent-emerald-500"
+        />
+      </label>
+    ))}
+  </div>
+);
+
+const DephazeUniversalKernel = ({ initialState, onStateChange = () => {} }) => {
+  const restore = (key, fallback, allowed) => sessionParam(initialState, key, fallback, allowed);
   const canvasRef = useRef(null);
-  const [n, setN] = useState(2);
-  const [R, setR] = useState(2.5);
-  const [rotation, setRotation] = useState({ x: 0.3, y: 0.4 });
-  const [showGrid, setShowGrid] = useState(true);
-  const [animate, setAnimate] = useState(false);
+  const [n, setN] = useState(() => restore('n', 2, N_RANGE));
+  const [R, setR] = useState(() => restore('R', 2.5, R_RANGE));
+  const [rotation, setRotation] = useState(() => restore('rotation', { x: 0.3, y: 0.4 }, XY));
+  const [showGrid, setShowGrid] = useState(() => restore('showGrid', true));
+  const [animate, setAnimate] = useState(() => restore('animate', false));
   const animationRef = useRef(null);
+  const [shell, setShell] = useState(null); // packed xyz of resolved surface points
+  const [resolving, setResolving] = useState(null); // sweep / extraction progress, null when idle
+  const [renderMode, setRenderMode] = useState(() => restore('renderMode', 'points', ['points', 'mesh', 'raymarch'])); // 'points', 'mesh' or 'raymarch'
+  const [meshMethod, setMeshMethod] = useState(() => restore('meshMethod', 'marching', ISOSURFACE_METHODS)); // 'marching' or 'dual'
+  const [meshResolution, setMeshResolution] = useState(() => restore('meshResolution', 32, numberIn(16, 96, { integer: true })));
+  const [mesh, setMesh] = useState(null); // { positions, normals, indices } of the Xi = 1 isosurface
+  const [exporting, setExporting] = useState(null); // format being written, null when idle
+  const raymarchRef = useRef(null); // { renderer, frame } once ray marching has been used
+  const [perAxis, setPerAxis] = useState(() => restore('perAxis', false)); // superellipsoid parameters instead of (R, n)
+  const [axes, setAxes] = useState(() => restore('axes', { a: 2.5, b: 2.5, c: 2.5, e1: 1, e2: 1 }, AXIS_FIELDS));
+  const [pose, setPose] = useState(() => restore('pose', { rx: 0, ry: 0, rz: 0, tx: 0, ty: 0, tz: 0 }, POSE_FIELDS));
+  const [composite, setComposite] = useState(() => restore('composite', false)); // scene tree instead of one primitive
+  const [scene, setScene] = useState(() => restore('scene', DEFAULT_SCENE, validateTree));
+  const [selected, setSelected] = useState([]); // path of the node being edited
+  const [keyframes, setKeyframes] = useState(() => restore('keyframes', DEFAULT_KEYFRAMES, (frames) => checkKeyframes(parseKeyframes(encodeKeyframes(frames)))));
+  const [time, setTime] = useState(() => restore('time', 0, numberIn(0, Infinity))); // playhead, seconds
+  const [playing, setPlaying] = useState(false);
+  const [loop, setLoop] = useState(() => restore('loop', true));
+  const [recording, setRecording] = useState(null); // { kind: 'png' | 'webm', progress } while exporting
+  const [timelineError, setTimelineError] = useState(null);
+  const frameJobRef = useRef(Promise.resolve()); // settles when the current view has resolved
+  const recorderRef = useRef(null);
+  const keyframeInputRef = useRef(null);
+  const duration = timelineDuration(keyframes);
 
-  /**
-   * DEPHAZE Universal Stability Kernel
-   * Calculates the stability coefficient Xi based on spatial coordinates.
-   */
-  const Xi = (x, y, z, R, n) => {
-    if (n === Infinity || n > 50) {
-      // Limit Topology (n → ∞): Cube (L∞ norm / Chebyshev distance)
-      return R / Math.max(Math.abs(x), Math.abs(y), Math.abs(z));
+  useEffect(() => {
+    onStateChange({ n, R, rotation, showGrid, animate, renderMode, meshMethod, meshResolution, perAxis, axes, pose, composite, scene, keyframes, time, loop });
+  }, [onStateChange, n, R, rotation, showGrid, animate, renderMode, meshMethod, meshResolution, perAxis, axes, pose, composite, scene, keyframes, time, loop]);
+
+  const model = useMemo(() => {
+    if (composite) return { mode: 'composite', root: scene };
+    if (!perAxis) return { mode: 'primitive', R, n };
+    return {
+      mode: 'primitive',
+      ...axes,
+      rotation: { x: pose.rx * DEGREES, y: pose.ry * DEGREES, z: pose.rz * DEGREES },
+      translation: { x: pose.tx, y: pose.ty, z: pose.tz },
+    };
+  }, [composite, scene, perAxis, R, n, axes, pose]);
+  const sceneBytes = compositeBytes({ mode: 'composite', root: scene });
+  const shapeLabel = composite
+    ? `Composite (${sceneBytes.primitives})`
+    : getShapeName(perAxis ? primitiveShape(model) : n);
+  // Colour follows the north–south order, which is n itself for the uniform kernel.
+  const hue = 200 + (perAxis ? 2 / axes.e1 : n) * 10;
+
+  // Switching to per-axis starts from the current (R, n) shape.
+  const togglePerAxis = (enabled) => {
+    if (enabled) {
+      const e = Math.max(EPSILON_MIN, Math.min(EPSILON_MAX, 2 / n));
+      setAxes({ a: R, b: R, c: R, e1: e, e2: e });
     }
-    // General Topology: Lⁿ norm (Minkowski distance)
-    const sum = Math.pow(Math.abs(x), n) + Math.pow(Math.abs(y), n) + Math.pow(Math.abs(z), n);
-    return R / Math.pow(sum, 1/n);
+    setPerAxis(enabled);
+  };
+
+  // Kernel parameters captured by a keyframe.
+  const captureParams = () => ({
+    n,
+    R,
+    rotX: rotation.x,
+    rotY: rotation.y,
+    perAxis,
+    ...(perAxis ? { ...axes, ...pose } : {}),
+  });
+
+  const applyParams = (params) => {
+    if (typeof params.n === 'number') setN(params.n);
+    if (typeof params.R === 'number') setR(params.R);
+    setRotation((prev) => ({
+      x: typeof params.rotX === 'number' ? params.rotX : prev.x,
+      y: typeof params.rotY === 'number' ? params.rotY : prev.y,
+    }));
+    if (typeof params.perAxis === 'boolean') setPerAxis(params.perAxis);
+    setAxes((prev) => pick(params, AXIS_KEYS, prev));
+    setPose((prev) => pick(params, POSE_KEYS, prev));
+  };
+
+  const seek = (t) => {
+    setTime(t);
+    if (keyframes.length > 0) applyParams(sampleTimeline(keyframes, t));
+  };
+
+  // A keyframe at the playhead replaces one already at that time.
+  const addKeyframe = () => {
+    const keyframe = { time: Number(time.toFixed(2)), easing: 'easeInOut', params: captureParams() };
+    setKeyframes(sortKeyframes([...keyframes.filter((k) => k.time !== keyframe.time), keyframe]));
   };
 
-  /**
-   * Existence Condition: surface is defined where Xi = 1.0
-   */
-  const exists = (x, y, z, R, n) => {
-    const xi = Xi(x, y, z, R, n);
-    return Math.abs(xi - 1.0) < 0.05; // Numerical tolerance for visualization
+  const updateKeyframe = (index, changes) =>
+    setKeyframes(sortKeyframes(keyframes.map((k, i) => (i === index ? { ...k, ...changes } : k))));
+
+  const loadKeyframes = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    file.text().then((text) => {
+      try {
+        const loaded = parseKeyframes(text);
+        checkKeyframes(loaded);
+        setKeyframes(loaded);
+        setTimelineError(null);
+        setPlaying(false);
+        setTime(0);
+        if (loaded.length > 0) applyParams(sampleTimeline(loaded, 0));
+      } catch (err) {
+        setTimelineError(err.message);
+      }
+    });
   };
 
-  // 3D to 2D isometric projection
-  const project3D = (x, y, z, rotX, rotY) => {
-    const cosX = Math.cos(rotX);
-    const sinX = Math.sin(rotX);
-    const y1 = y * cosX - z * sinX;
-    const z1 = y * sinX + z * cosX;
+  // Playback drives the parameters from the timeline once per animation frame. A WebM
+  // recording plays through once and stops the recorder at the end.
+  useEffect(() => {
+    if (!playing) return;
+    const start = performance.now() - time * 1000;
+    let frame;
+    const tick = (now) => {
+      const elapsed = (now - start) / 1000;
+      const once = !loop || recorderRef.current || duration === 0;
+      const t = once ? Math.min(elapsed, duration) : elapsed % duration;
+      setTime(t);
+      applyParams(sampleTimeline(keyframes, t));
+      if (once && elapsed >= duration) {
+        setPlaying(false);
+        if (recorderRef.current) recorderRef.current.stop();
+        return;
+      }
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [playing, keyframes, loop]);
 
-    const cosY = Math.cos(rotY);
-    const sinY = Math.sin(rotY);
-    const x2 = x * cosY + z1 * sinY;
-    const z2 = -x * sinY + z1 * cosY;
+  // Step through the timeline at EXPORT_FPS, waiting for each frame's sweep, mesh or ray
+  // march to finish before capturing the canvas; the PNGs download as one ZIP.
+  const exportFrames = async () => {
+    setPlaying(false);
+    const count = Math.floor(duration * EXPORT_FPS) + 1;
+    const files = [];
+    for (let f = 0; f < count; f++) {
+      setRecording({ kind: 'png', progress: f / count });
+      seek(f / EXPORT_FPS);
+      await waitFrames(2);
+      await frameJobRef.current;
+      await waitFrames(2);
+      const blob = await new Promise((resolve) => canvasRef.current.toBlob(resolve, 'image/png'));
+      files.push({ name: `frame_${String(f).padStart(4, '0')}.png`, bytes: new Uint8Array(await blob.arrayBuffer()) });
+    }
+    files.push({ name: 'keyframes.json', bytes: new TextEncoder().encode(encodeKeyframes(keyframes)) });
+    downloadBlob(new Blob([encodeZip(files)], { type: 'application/zip' }), 'dephaze_animation_frames.zip');
+    setRecording(null);
+  };
 
-    return { x: x2, y: y1, z: z2 };
+  // Record the canvas while the timeline plays once from the start.
+  const recordWebM = () => {
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find((type) =>
+      MediaRecorder.isTypeSupported(type)
+    );
+    const recorder = new MediaRecorder(canvasRef.current.captureStream(EXPORT_FPS), mimeType ? { mimeType } : undefined);
+    const chunks = [];
+    recorder.ondataavailable = (e) => {
+      if (e.data.size > 0) chunks.push(e.data);
+    };
+    recorder.onstop = () => {
+      recorderRef.current = null;
+      downloadBlob(new Blob(chunks, { type: 'video/webm' }), 'dephaze_animation.webm');
+      setRecording(null);
+    };
+    recorderRef.current = recorder;
+    setRecording({ kind: 'webm', progress: 0 });
+    seek(0);
+    recorder.start();
+    setPlaying(true);
   };
 
-  const getShapeName = (n) => {
-    if (n < 1.3) return 'Octahedron';
-    if (n < 1.7) return 'Transitionary State';
-    if (n < 2.3) return 'Euclidean Sphere';
-    if (n < 3.5) return 'Superquadric Transition';
-    if (n < 8) return 'Rounded Cube';
-    return 'Limit Topology (Cube)';
+  const selectedNode = nodeAt(scene, selected);
+  const editSelected = (update) => setScene(updateNode(scene, selected, update));
+  const selectedShape = isLeaf(selectedNode) ? primitiveShape(selectedNode) : null;
+  // Leaves are edited in per-axis form, so (R, n) leaves are expanded on first edit.
+  const setLeafValue = (key, value) =>
+    editSelected((node) => {
+      if (!isLeaf(node)) return { ...node, [key]: value };
+      const leaf = { mode: 'primitive', ...primitiveShape(node) };
+      if (key[0] === 'r' && key.length === 2) return { ...leaf, rotation: { ...leaf.rotation, [key[1]]: value * DEGREES } };
+      if (key[0] === 't' && key.length === 2) return { ...leaf, translation: { ...leaf.translation, [key[1]]: value } };
+      return { ...leaf, [key]: value };
+    });
+  // Removing must leave at least one primitive in the scene.
+  const canRemove = selected.length > 0 && treeLeaves(selectedNode).length < sceneBytes.primitives;
+  const removeSelected = () => {
+    setScene(removeNode(scene, selected));
+    setSelected([]);
+  };
+
+  const renderTreeNode = (node, path) => {
+    const active = path.join('.') === selected.join('.');
+    const shape = isLeaf(node) ? primitiveShape(node) : null;
+    const label = shape
+      ? `${getShapeName(shape)} ${shape.a.toFixed(1)}×${shape.b.toFixed(1)}×${shape.c.toFixed(1)}`
+      : `${CSG_OPERATIONS[node.op].symbol} ${CSG_OPERATIONS[node.op].label}${node.op === 'blend' ? ` k=${(node.k ?? DEFAULT_BLEND).toFixed(2)}` : ''}`;
+    return (
+      <div key={path.join('.')} style={{ marginLeft: path.length ? 14 : 0 }}>
+        <button
+          onClick={() => setSelected(path)}
+          className={`px-1.5 py-0.5 rounded text-left ${active ? 'bg-amber-600 text-white' : 'text-gray-300 hover:bg-slate-700'}`}
+        >
+          {label}
+        </button>
+        {!isLeaf(node) && node.children.map((child, i) => renderTreeNode(child, [...path, i]))}
+      </div>
+    );
+  };
+
+  // The voxel sweep / isosurface extraction runs in the worker pool; moving a slider
+  // supersedes the job in flight.
+  useEffect(() => {
+    if (renderMode === 'raymarch') return;
+    const job = renderMode === 'mesh'
+      ? ['kernelMesh', { model, options: { resolution: meshResolution, method: meshMethod } }, setMesh]
+      : ['kernelShell', { model }, setShell];
+    const [type, payload, setResult] = job;
+
+    setResolving(0);
+    frameJobRef.current = getDephazePool()
+      .run(type, payload, { channel: 'kernelView', onProgress: setResolving })
+      .then((result) => {
+        setResult(result);
+        setResolving(null);
+      })
+      .catch((err) => {
+        if (!isAbortError(err)) setResolving(null);
+      });
+  }, [model, renderMode, meshMethod, meshResolution]);
+
+  // Ray marching renders tiles in the worker pool into an offscreen frame that the
+  // animation loop composites; a newer view restarts at the coarsest stride.
+  useEffect(() => {
+    if (renderMode !== 'raymarch') {
+      if (raymarchRef.current) raymarchRef.current.renderer.cancel();
+      return;
+    }
+    if (!raymarchRef.current) {
+      const frame = document.createElement('canvas');
+      frame.width = 800;
+      frame.height = 600;
+      const frameCtx = frame.getContext('2d');
+      const renderer = createProgressiveRenderer({
+        onTile: (tile, rgba) => frameCtx.putImageData(new ImageData(rgba, tile.w, tile.h), tile.x, tile.y),
+      });
+      raymarchRef.current = { renderer, frame };
+    }
+    frameJobRef.current = raymarchRef.current.renderer.request(
+      createRaymarchScene(model, hslColor(hue, 0.7, 0.6)),
+      { width: 800, height: 600, scale: 50, rotX: rotation.x, rotY: rotation.y }
+    );
+  }, [renderMode, model, rotation]);
+
+  useEffect(() => () => raymarchRef.current && raymarchRef.current.renderer.cancel(), []);
+
+  // Tessellate Xi = 1 at the chosen grid off the main thread and save it as a mesh file.
+  const exportMesh = (format) => {
+    const { extension, mime } = MESH_FORMATS[format];
+    const name = composite
+      ? `dephaze_composite_${sceneBytes.primitives}p`
+      : perAxis
+      ? `dephaze_superellipsoid_${axes.a.toFixed(1)}x${axes.b.toFixed(1)}x${axes.c.toFixed(1)}_e${axes.e1.toFixed(2)}_${axes.e2.toFixed(2)}`
+      : `dephaze_kernel_n${n.toFixed(1)}_R${R.toFixed(1)}`;
+    setExporting(format);
+    getDephazePool()
+      .run(
+        'meshExport',
+        { model, format, options: { resolution: meshResolution, method: meshMethod }, name },
+        { channel: 'meshExport' }
+      )
+      .then((bytes) => {
+        downloadBlob(new Blob([bytes], { type: mime }), name + extension);
+        setExporting(null);
+      })
+      .catch((err) => {
+        if (!isAbortError(err)) setExporting(null);
+      });
   };
 
   const calculateMemory = () => {
-    const meshPoints = 10000;
-    const meshBytes = meshPoints * 3 * 4; // xyz * float32
-    const dephazeBytes = 16; // 2 parameters (R, n) * 8 bytes
-    
+    const memory = primitiveMemory(10000, model);
+
     return {
-      mesh: (meshBytes / 1024).toFixed(2) + ' KB',
-      dephaze: dephazeBytes + ' bytes',
-      ratio: (meshBytes / dephazeBytes).toFixed(0) + 'x'
+      mesh: (memory.meshBytes / 1024).toFixed(2) + ' KB',
+      dephaze: memory.dephazeBytes + ' bytes',
+      ratio: memory.ratio.toFixed(0) + 'x'
     };
   };
 
@@ -95,19 +504,18 @@ const DephazeUniversalKernel = () => {
       }
     }
 
+    if (renderMode === 'raymarch' && raymarchRef.current) {
+      ctx.drawImage(raymarchRef.current.frame, 0, 0);
+    }
+
     const points = [];
-    const step = 0.15;
+    const xyz = renderMode === 'points' && shell ? shell : [];
     
-    for (let x = -3; x <= 3; x += step) {
-      for (let y = -3; y <= 3; y += step) {
-        for (let z = -3; z <= 3; z += step) {
-          if (exists(x, y, z, R, n)) {
-            const projected = project3D(x, y, z, rotation.x, rotation.y);
-            const dist = Math.sqrt(x*x + y*y + z*z);
-            points.push({ ...projected, dist, orig: {x, y, z} });
-          }
-        }
-      }
+    for (let i = 0; i < xyz.length; i += 3) {
+      const x = xyz[i], y = xyz[i + 1], z = xyz[i + 2];
+      const projected = project3D(x, y, z, rotation.x, rotation.y);
+      const dist = Math.sqrt(x*x + y*y + z*z);
+      points.push({ ...projected, dist, orig: {x, y, z} });
     }
 
     points.sort((a, b) => a.z - b.z);
@@ -117,7 +525,6 @@ const DephazeUniversalKernel = () => {
       const screenY = centerY - p.y * scale;
       
       const depthFactor = (p.z + 3) / 6;
-      const hue = 200 + n * 10;
       const saturation = 70;
       const lightness = 30 + depthFactor * 40;
       
@@ -129,6 +536,46 @@ const DephazeUniversalKernel = () => {
       ctx.fill();
     });
 
+    // Shaded isosurface: back-face culled, painter-sorted, Lambert-lit triangles.
+    if (renderMode === 'mesh' && mesh) {
+      const { positions, normals, indices } = mesh;
+      const screen = [];
+      const viewNormals = [];
+      for (let i = 0; i < positions.length; i += 3) {
+        screen.push(project3D(positions[i], positions[i + 1], positions[i + 2], rotation.x, rotation.y));
+        viewNormals.push(project3D(normals[i], normals[i + 1], normals[i + 2], rotation.x, rotation.y));
+      }
+
+      const light = { x: -0.35, y: 0.55, z: 0.76 };
+      const tris = [];
+      for (let t = 0; t < indices.length; t += 3) {
+        const [a, b, c] = [indices[t], indices[t + 1], indices[t + 2]];
+        const nx = viewNormals[a].x + viewNormals[b].x + viewNormals[c].x;
+        const ny = viewNormals[a].y + viewNormals[b].y + viewNormals[c].y;
+        const nz = viewNormals[a].z + viewNormals[b].z + viewNormals[c].z;
+        if (nz <= 0) continue;
+        const len = Math.sqrt(nx*nx + ny*ny + nz*nz) || 1;
+        const lambert = Math.max(0, (nx * light.x + ny * light.y + nz * light.z) / len);
+        tris.push({ a, b, c, depth: screen[a].z + screen[b].z + screen[c].z, lambert });
+      }
+
+      tris.sort((p, q) => p.depth - q.depth);
+
+      tris.forEach(({ a, b, c, lambert }) => {
+        const color = `hsl(${hue}, 70%, ${12 + lambert * 58}%)`;
+        ctx.fillStyle = color;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 0.5;
+        ctx.beginPath();
+        ctx.moveTo(centerX + screen[a].x * scale, centerY - screen[a].y * scale);
+        ctx.lineTo(centerX + screen[b].x * scale, centerY - screen[b].y * scale);
+        ctx.lineTo(centerX + screen[c].x * scale, centerY - screen[c].y * scale);
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+      });
+    }
+
     // UI overlay
     ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
     ctx.fillRect(10, 10, 280, 140);
@@ -138,7 +585,8 @@ const DephazeUniversalKernel = () => {
     ctx.fillText('DEPHAZE KERNEL', 20, 30);
     
     ctx.font = '14px monospace';
-    ctx.fillText(`Ξ = R / ⁿ√(|x|ⁿ+|y|ⁿ+|z|ⁿ) = 1`, 20, 50);
+    if (composite) ctx.fillText('Ξ = 1 on the CSG of the scene tree', 20, 50);
+    else ctx.fillText(perAxis ? 'Ξ = 1 / ‖(x/a, y/b, z/c)‖ε₁,ε₂ = 1' : `Ξ = R / ⁿ√(|x|ⁿ+|y|ⁿ+|z|ⁿ) = 1`, 20, 50);
     
     ctx.strokeStyle = 'rgba(100, 200, 255, 0.5)';
     ctx.lineWidth = 2;
@@ -146,18 +594,34 @@ const DephazeUniversalKernel = () => {
     
     ctx.fillStyle = 'rgba(100, 200, 255, 1)';
     ctx.font = 'bold 14px monospace';
-    ctx.fillText(`Order (n) = ${n.toFixed(2)}`, 20, 75);
-    ctx.fillText(`Scale (R) = ${R.toFixed(2)}`, 20, 95);
+    if (composite) {
+      ctx.fillText(`Primitives: ${sceneBytes.primitives}`, 20, 75);
+      ctx.fillText(`Stored: ${sceneBytes.total} bytes`, 20, 95);
+    } else if (perAxis) {
+      ctx.fillText(`a, b, c = ${axes.a.toFixed(2)}, ${axes.b.toFixed(2)}, ${axes.c.toFixed(2)}`, 20, 75);
+      ctx.fillText(`ε1, ε2 = ${axes.e1.toFixed(2)}, ${axes.e2.toFixed(2)}`, 20, 95);
+    } else {
+      ctx.fillText(`Order (n) = ${n.toFixed(2)}`, 20, 75);
+      ctx.fillText(`Scale (R) = ${R.toFixed(2)}`, 20, 95);
+    }
     
     ctx.fillStyle = 'rgba(200, 150, 255, 1)';
     ctx.font = '12px monospace';
-    ctx.fillText(`Topology: ${getShapeName(n)}`, 20, 115);
-    ctx.fillText(`Resolved Points: ${points.length}`, 20, 135);
+    ctx.fillText(`Topology: ${shapeLabel}`, 20, 115);
+    const pending = resolving !== null ? ` (${Math.round(resolving * 100)}%…)` : '';
+    if (renderMode === 'mesh') {
+      const stats = mesh ? meshStats(mesh) : { triangles: 0, vertices: 0 };
+      ctx.fillText(`Tris: ${stats.triangles} | Verts: ${stats.vertices}${pending}`, 20, 135);
+    } else if (renderMode === 'raymarch') {
+      ctx.fillText('Sphere-traced SDF, Phong shaded', 20, 135);
+    } else {
+      ctx.fillText(`Resolved Points: ${points.length}${pending}`, 20, 135);
+    }
 
     ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
     ctx.font = 'bold 48px sans-serif';
     ctx.textAlign = 'center';
-    ctx.fillText(getShapeName(n), width/2, height - 30);
+    ctx.fillText(shapeLabel, width/2, height - 30);
     ctx.textAlign = 'left';
   };
 
@@ -182,7 +646,7 @@ const DephazeUniversalKernel = () => {
 
     loop();
     return () => cancelAnimationFrame(animationRef.current);
-  }, [n, R, rotation, showGrid, animate]);
+  }, [n, R, model, rotation, showGrid, animate, shell, mesh, renderMode, resolving]);
 
   const memory = calculateMemory();
 
@@ -331,6 +795,306 @@ const DephazeUniversalKernel = () => {
               Enable Auto-Rotation
             </label>
           </div>
+
+          <div className="mt-4 pt-3 border-t border-slate-700">
+            <span className="text-sm text-gray-300">Surface Rendering</span>
+            <div className="grid grid-cols-2 gap-2 mt-2">
+              {[['points', 'Point Sweep'], ['raymarch', 'Ray March'], ['marching', 'Marching Cubes'], ['dual', 'Dual Contour']].map(([id, label]) => {
+                const active = id === 'points' || id === 'raymarch'
+                  ? renderMode === id
+                  : renderMode === 'mesh' && meshMethod === id;
+                return (
+                  <button
+                    key={id}
+                    onClick={() => {
+                      if (id === 'points' || id === 'raymarch') {
+                        setRenderMode(id);
+                      } else {
+                        setRenderMode('mesh');
+                        setMeshMethod(id);
+                      }
+                    }}
+                    className={`px-2 py-1.5 rounded text-xs font-semibold transition ${
+                      active ? 'bg-purple-600 text-white' : 'bg-slate-700 text-gray-300 hover:bg-slate-600'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                );
+              })}
+            </div>
+            <label className="block mt-3">
+              <span className="text-xs text-gray-400">Grid Resolution: {meshResolution}³</span>
+              <input
+                type="range"
+                min="16"
+                max="96"
+                step="8"
+                value={meshResolution}
+                onChange={(e) => setMeshResolution(parseInt(e.target.value))}
+                className="w-full accent-purple-500"
+              />
+            </label>
+            <span className="block mt-2 text-xs text-gray-400">Export Mesh ({meshMethod === 'dual' ? 'dual contouring' : 'marching cubes'})</span>
+            <div className="grid grid-cols-4 gap-2 mt-1">
+              {Object.entries(MESH_FORMATS).map(([format, { label }]) => (
+                <button
+                  key={format}
+                  onClick={() => exportMesh(format)}
+                  disabled={exporting !== null}
+                  className="px-2 py-1.5 rounded text-xs font-semibold transition bg-slate-700 text-gray-300 hover:bg-slate-600 disabled:opacity-50 flex items-center justify-center gap-1"
+                >
+                  <Download size={12} /> {exporting === format ? '…' : label}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="bg-slate-800/80 p-4 rounded-lg border border-slate-700 mb-4">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="font-semibold text-emerald-400">Per-Axis Superellipsoid</h3>
+          <label className="flex items-center gap-2 text-sm cursor-pointer">
+            <input
+              type="checkbox"
+              checked={perAxis}
+              onChange={(e) => togglePerAxis(e.target.checked)}
+              className="rounded border-slate-700"
+            />
+            Use a, b, c, ε1, ε2 and transform (overrides R, n)
+          </label>
+        </div>
+        <div className={`grid grid-cols-2 gap-x-6 gap-y-2 ${perAxis && !composite ? '' : 'opacity-40 pointer-events-none'}`}>
+          <SliderGroup sliders={AXIS_SLIDERS} values={axes} onChange={(key, value) => setAxes({ ...axes, [key]: value })} />
+          <SliderGroup sliders={POSE_SLIDERS} values={pose} onChange={(key, value) => setPose({ ...pose, [key]: value })} />
+        </div>
+      </div>
+
+      <div className="bg-slate-800/80 p-4 rounded-lg border border-slate-700 mb-4">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="font-semibold text-amber-400 flex items-center gap-2">
+            <GitBranch size={18} />
+            Scene Tree
+          </h3>
+          <label className="flex items-center gap-2 text-sm cursor-pointer">
+            <input
+              type="checkbox"
+              checked={composite}
+              onChange={(e) => setComposite(e.target.checked)}
+              className="rounded border-slate-700"
+            />
+            Compose primitives (overrides the single primitive)
+          </label>
+        </div>
+        <div className={`grid grid-cols-2 gap-x-6 ${composite ? '' : 'opacity-40 pointer-events-none'}`}>
+          <div>
+            <div className="bg-black/30 rounded p-2 font-mono text-xs space-y-0.5">{renderTreeNode(scene, [])}</div>
+            <div className="mt-2 text-xs text-gray-400 font-mono">
+              {sceneBytes.primitives} primitives: {sceneBytes.parameters} B parameters + {sceneBytes.structure} B tree
+              = <span className="text-amber-300">{sceneBytes.total} B</span>
+            </div>
+          </div>
+          <div>
+            {selectedShape ? (
+              <>
+                <SliderGroup sliders={AXIS_SLIDERS} values={selectedShape} onChange={setLeafValue} />
+                <SliderGroup sliders={POSE_SLIDERS} values={leafPose(selectedShape)} onChange={setLeafValue} />
+              </>
+            ) : (
+              <>
+                <div className="grid grid-cols-2 gap-2">
+                  {Object.entries(CSG_OPERATIONS).map(([op, { label, symbol }]) => (
+                    <button
+                      key={op}
+                      onClick={() => editSelected((node) => ({ ...node, op, k: op === 'blend' ? node.k ?? DEFAULT_BLEND : undefined }))}
+                      className={`px-2 py-1.5 rounded text-xs font-semibold transition ${
+                        selectedNode.op === op ? 'bg-amber-600 text-white' : 'bg-slate-700 text-gray-300 hover:bg-slate-600'
+                      }`}
+                    >
+                      {symbol} {label}
+                    </button>
+                  ))}
+                </div>
+                {selectedNode.op === 'blend' && (
+                  <SliderGroup
+                    sliders={[['k', 'Blend radius k', 0.05, 2, 0.05]]}
+                    values={{ k: selectedNode.k ?? DEFAULT_BLEND }}
+                    onChange={setLeafValue}
+                  />
+                )}
+                <div className="grid grid-cols-2 gap-2 mt-3">
+                  <button
+                    onClick={() => editSelected((node) => ({ ...node, children: [...node.children, NEW_PRIMITIVE] }))}
+                    className="px-2 py-1.5 rounded text-xs font-semibold transition bg-slate-700 text-gray-300 hover:bg-slate-600"
+                  >
+                    + Primitive
+                  </button>
+                  <button
+                    onClick={() =>
+                      editSelected((node) => ({ ...node, children: [...node.children, { op: 'union', children: [NEW_PRIMITIVE] }] }))
+                    }
+                    className="px-2 py-1.5 rounded text-xs font-semibold transition bg-slate-700 text-gray-300 hover:bg-slate-600"
+                  >
+                    + Group
+                  </button>
+                </div>
+              </>
+            )}
+            <button
+              onClick={removeSelected}
+              disabled={!canRemove}
+              className="w-full mt-3 px-2 py-1.5 rounded text-xs font-semibold transition bg-red-900/60 text-red-200 hover:bg-red-800/60 disabled:opacity-40"
+            >
+              Remove {selectedShape ? 'Primitive' : 'Group'}
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <div className="bg-slate-800/80 p-4 rounded-lg border border-slate-700 mb-4">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="font-semibold text-sky-400 flex items-center gap-2">
+            <Film size={18} />
+            Keyframe Timeline
+          </h3>
+          <span className="text-xs text-gray-400 font-mono">
+            {time.toFixed(2)} s / {duration.toFixed(2)} s
+          </span>
+        </div>
+
+        <div className="flex items-center gap-2 mb-3">
+          <button
+            onClick={() => {
+              if (!playing && time >= duration) seek(0);
+              setPlaying(!playing);
+            }}
+            disabled={keyframes.length < 2 || recording !== null}
+            className="p-2 rounded bg-sky-700 hover:bg-sky-600 disabled:opacity-40"
+          >
+            {playing ? <Pause size={14} /> : <Play size={14} />}
+          </button>
+          <button
+            onClick={() => {
+              setPlaying(false);
+              seek(0);
+            }}
+            disabled={recording !== null}
+            className="p-2 rounded bg-slate-700 hover:bg-slate-600 disabled:opacity-40"
+          >
+            <SkipBack size={14} />
+          </button>
+          <input
+            type="range"
+            min="0"
+            max={duration || 1}
+            step="0.01"
+            value={Math.min(time, duration)}
+            onChange={(e) => {
+              setPlaying(false);
+              seek(parseFloat(e.target.value));
+            }}
+            disabled={recording !== null}
+            className="flex-1 accent-sky-500"
+          />
+          <label className="flex items-center gap-1 text-xs text-gray-300 cursor-pointer">
+            <input type="checkbox" checked={loop} onChange={(e) => setLoop(e.target.checked)} className="rounded border-slate-700" />
+            Loop
+          </label>
+        </div>
+
+        <div className="relative h-4 mb-3 bg-black/30 rounded">
+          {keyframes.map((k, i) => (
+            <div
+              key={i}
+              className="absolute top-0.5 w-3 h-3 -ml-1.5 rotate-45 bg-sky-400"
+              style={{ left: `${duration ? (k.time / duration) * 100 : 0}%` }}
+              title={`${k.time.toFixed(2)} s`}
+            />
+          ))}
+          <div className="absolute top-0 bottom-0 w-0.5 bg-white/70" style={{ left: `${duration ? (Math.min(time, duration) / duration) * 100 : 0}%` }} />
+        </div>
+
+        <div className="space-y-1 mb-3 max-h-40 overflow-y-auto">
+          {keyframes.map((k, i) => (
+            <div key={i} className="flex items-center gap-2 text-xs font-mono bg-black/20 rounded px-2 py-1">
+              <input
+                type="number"
+                min="0"
+                step="0.1"
+                value={k.time}
+                onChange={(e) => {
+                  const value = parseFloat(e.target.value);
+                  if (Number.isFinite(value) && value >= 0) updateKeyframe(i, { time: value });
+                }}
+                className="w-16 bg-slate-900 border border-slate-700 rounded px-1"
+              />
+              <span className="text-gray-400">s</span>
+              <select
+                value={k.easing}
+                onChange={(e) => updateKeyframe(i, { easing: e.target.value })}
+                className="bg-slate-900 border border-slate-700 rounded px-1"
+              >
+                {Object.entries(EASINGS).map(([id, { label }]) => (
+                  <option key={id} value={id}>{label}</option>
+                ))}
+              </select>
+              <span className="flex-1 text-gray-300 truncate">
+                n={k.params.n?.toFixed(2)} R={k.params.R?.toFixed(2)}{k.params.perAxis ? ' per-axis' : ''}
+              </span>
+              <button onClick={() => seek(k.time)} className="text-sky-300 hover:text-sky-200">Go</button>
+              <button onClick={() => updateKeyframe(i, { params: captureParams() })} className="text-sky-300 hover:text-sky-200">
+                Set
+              </button>
+              <button onClick={() => setKeyframes(keyframes.filter((_, j) => j !== i))} className="text-red-300 hover:text-red-200">
+                <Trash2 size={12} />
+              </button>
+            </div>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-3 gap-2">
+          <button
+            onClick={addKeyframe}
+            disabled={recording !== null}
+            className="px-2 py-1.5 rounded text-xs font-semibold transition bg-sky-700 text-white hover:bg-sky-600 disabled:opacity-40 flex items-center justify-center gap-1"
+          >
+            <Plus size={12} /> Keyframe at {time.toFixed(2)} s
+          </button>
+          <button
+            onClick={() => downloadBlob(new Blob([encodeKeyframes(keyframes)], { type: 'application/json' }), 'dephaze_keyframes.json')}
+            disabled={keyframes.length === 0}
+            className="px-2 py-1.5 rounded text-xs font-semibold transition bg-slate-700 text-gray-300 hover:bg-slate-600 disabled:opacity-40 flex items-center justify-center gap-1"
+          >
+            <Download size={12} /> Save JSON
+          </button>
+          <button
+            onClick={() => keyframeInputRef.current.click()}
+            className="px-2 py-1.5 rounded text-xs font-semibold transition bg-slate-700 text-gray-300 hover:bg-slate-600 flex items-center justify-center gap-1"
+          >
+            <Upload size={12} /> Load JSON
+          </button>
+          <input ref={keyframeInputRef} type="file" accept=".json,application/json" onChange={loadKeyframes} className="hidden" />
+          <button
+            onClick={exportFrames}
+            disabled={keyframes.length < 2 || recording !== null}
+            className="px-2 py-1.5 rounded text-xs font-semibold transition bg-slate-700 text-gray-300 hover:bg-slate-600 disabled:opacity-40 flex items-center justify-center gap-1"
+          >
+            <Download size={12} />
+            {recording && recording.kind === 'png' ? `${Math.round(recording.progress * 100)}%…` : `PNG Frames (${EXPORT_FPS} fps)`}
+          </button>
+          <button
+            onClick={recordWebM}
+            disabled={keyframes.length < 2 || recording !== null || !canRecordWebM}
+            className="px-2 py-1.5 rounded text-xs font-semibold transition bg-slate-700 text-gray-300 hover:bg-slate-600 disabled:opacity-40 flex items-center justify-center gap-1"
+          >
+            <Film size={12} /> {recording && recording.kind === 'webm' ? 'Recording…' : 'WebM'}
+          </button>
+        </div>
+        {timelineError && <div className="mt-2 text-xs text-red-400">{timelineError}</div>}
+        <div className="mt-2 text-xs text-gray-500">
+          Keyframes capture n, R, the view rotation and, in per-axis mode, the superellipsoid parameters.
+          PNG frames wait for each frame to resolve and download as a ZIP; WebM records playback in real time.
         </div>
       </div>
 
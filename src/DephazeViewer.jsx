@@ -1,146 +1,208 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { Check, X, AlertCircle } from 'lucide-react';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import {
+  SURFACE_TOLERANCE,
+  primitiveMemory,
+  getShapeName,
+  lameShape,
+  toLocal,
+  FIT_METHODS,
+  samplePrimitivePoints,
+  packVertices,
+  POINT_CLOUD_EXTENSIONS,
+  parsePointCloud,
+  DEFAULT_SEED,
+  MAX_SEED,
+  randomSeed,
+  VALIDATION_SAMPLES,
+  sessionParam,
+  numberIn,
+  validateCloud,
+} from './dephaze/index.js';
+import { getDephazePool, isAbortError } from './workers/workerPool.js';
 
-const DephazeKernelValidation = () => {
+// Synthetic clouds for the inverse fit: the classical references plus an in-between order.
+const FIT_SAMPLES = {
+  octahedron: { label: 'Octahedron', n: 1 },
+  sphere: { label: 'Sphere', n: 2 },
+  rounded: { label: 'Rounded Cube', n: 6 },
+  cube: { label: 'Limit Cube', n: 50 },
+};
+
+const REFERENCE_LABELS = { sphere: 'Sphere (n = 2)', octahedron: 'Octahedron (n = 1)', cube: 'Cube (n → ∞)' };
+
+// Random pose within ±0.5 translation and ±0.6 rad rotation per axis.
+const randomPose = () => {
+  const spread = (s) => (Math.random() * 2 - 1) * s;
+  return {
+    translation: { x: spread(0.5), y: spread(0.5), z: spread(0.5) },
+    rotation: { x: spread(0.6), y: spread(0.6), z: spread(0.6) },
+  };
+};
+
+const rms = (values) => Math.sqrt(values.reduce((sum, v) => sum + v * v, 0) / values.length);
+
+// Monte-Carlo sample counts offered for the classical benchmarks.
+const SAMPLE_COUNTS = [1000, VALIDATION_SAMPLES, 16000];
+
+const sci = (value) => value.toExponential(2);
+const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+const DephazeKernelValidation = ({ initialState, onStateChange = () => {} }) => {
+  const restore = (key, fallback, allowed) => sessionParam(initialState, key, fallback, allowed);
   const [testResults, setTestResults] = useState(null);
   const [activeTest, setActiveTest] = useState(null);
+  const [validationSeed, setValidationSeed] = useState(() => restore('validationSeed', DEFAULT_SEED, numberIn(0, MAX_SEED, { integer: true })));
+  const [validationSamples, setValidationSamples] = useState(() => restore('validationSamples', VALIDATION_SAMPLES, SAMPLE_COUNTS));
+  const [validationProgress, setValidationProgress] = useState(null);
+  const [validationError, setValidationError] = useState(null);
 
-  /**
-   * Core DEPHAZE Kernel - Stability Equation
-   * Resolves the stability coefficient Xi for a given coordinate.
-   */
-  const Xi = (x, y, z, R, n) => {
-    if (n > 50) {
-      // Chebyshev distance for Limit Topology
-      return R / Math.max(Math.abs(x), Math.abs(y), Math.abs(z));
-    }
-    const sum = Math.pow(Math.abs(x), n) + Math.pow(Math.abs(y), n) + Math.pow(Math.abs(z), n);
-    return R / Math.pow(sum, 1/n);
-  };
+  // Inverse fit
+  const [importedCloud, setImportedCloud] = useState(() => restore('importedCloud', null, validateCloud));
+  const [fitSource, setFitSource] = useState(() => {
+    const source = restore('fitSource', 'octahedron', [...Object.keys(FIT_SAMPLES), 'imported']);
+    return source === 'imported' && !importedCloud ? 'octahedron' : source;
+  });
+  const [fitNoise, setFitNoise] = useState(() => restore('fitNoise', 0.02, numberIn(0, 0.2)));
+  const [fitCount, setFitCount] = useState(() => restore('fitCount', 800, numberIn(100, 3000, { integer: true })));
+  const [fitPosed, setFitPosed] = useState(() => restore('fitPosed', false));
+  const [fitMethod, setFitMethod] = useState(() => restore('fitMethod', 'lm', Object.keys(FIT_METHODS)));
+  const [fitCenter, setFitCenter] = useState(() => restore('fitCenter', false));
+  const [fitRotation, setFitRotation] = useState(() => restore('fitRotation', false));
+  const [fitting, setFitting] = useState(false);
+  const [fitResult, setFitResult] = useState(null);
+  const [fitError, setFitError] = useState(null);
 
-  /**
-   * Surface Existence Condition (Xi = 1.0)
-   */
-  const exists = (x, y, z, R, n, tolerance = 0.01) => {
-    const xi = Xi(x, y, z, R, n);
-    return Math.abs(xi - 1.0) < tolerance;
-  };
+  useEffect(() => {
+    onStateChange({ validationSeed, validationSamples, fitSource, fitNoise, fitCount, fitPosed, fitMethod, fitCenter, fitRotation, importedCloud });
+  }, [onStateChange, validationSeed, validationSamples, fitSource, fitNoise, fitCount, fitPosed, fitMethod, fitCenter, fitRotation, importedCloud]);
 
   /**
    * Reference Geometric Functions (Classical Benchmarks)
+   * Textbook Euclidean distances to the surface; classicalTests holds them to the same
+   * metric tolerance as onSurface.
    */
-  const classicalTests = {
-    sphere: (x, y, z, R) => {
-      const dist = Math.sqrt(x*x + y*y + z*z);
-      return Math.abs(dist - R) < 0.01;
-    },
+  const classicalDistances = {
+    sphere: (x, y, z, R) => Math.sqrt(x*x + y*y + z*z) - R,
     octahedron: (x, y, z, R) => {
-      const manhattan = Math.abs(x) + Math.abs(y) + Math.abs(z);
-      return Math.abs(manhattan - R) < 0.01;
+      // Distance to the nearest face plane, or to the nearest edge where that is closer.
+      const [ax, ay, az] = [Math.abs(x), Math.abs(y), Math.abs(z)].sort((a, b) => b - a);
+      const faceDist = (ax + ay + az - R) / Math.sqrt(3);
+      const edgeT = Math.max(0, Math.min(R, (ax - ay + R) / 2));
+      const edgeDist = Math.sqrt((ax - edgeT) ** 2 + (ay - (R - edgeT)) ** 2 + az ** 2);
+      const beyondFace = ax + ay + az - R > 3 * az; // projection falls off the face triangle
+      return beyondFace ? edgeDist : faceDist;
     },
     cube: (x, y, z, R) => {
-      const maxCoord = Math.max(Math.abs(x), Math.abs(y), Math.abs(z));
-      return Math.abs(maxCoord - R) < 0.01;
+      const q = [Math.abs(x) - R, Math.abs(y) - R, Math.abs(z) - R];
+      const outside = Math.sqrt(q.reduce((sum, c) => sum + Math.max(c, 0) ** 2, 0));
+      return outside + Math.min(Math.max(...q), 0);
     }
   };
 
-  const runUniversalTest = (shapeName, n, R = 2) => {
-    setActiveTest(shapeName);
-    const results = {
-      shape: shapeName,
-      n: n,
-      R: R,
-      tested: 0,
-      matched: 0,
-      mismatched: 0,
-      accuracy: 0,
-      samplePoints: [],
-      comparisonData: []
-    };
+  const classicalTests = Object.fromEntries(
+    Object.entries(classicalDistances).map(([name, distance]) => [
+      name,
+      (x, y, z, R) => Math.abs(distance(x, y, z, R)) < SURFACE_TOLERANCE
+    ])
+  );
 
-    const testPoints = [];
-    const step = 0.3;
-
-    for (let x = -3; x <= 3; x += step) {
-      for (let y = -3; y <= 3; y += step) {
-        for (let z = -3; z <= 3; z += step) {
-          const dephazeExists = exists(x, y, z, R, n);
-          let classicalExists = false;
-
-          if (shapeName === 'sphere' && n === 2) {
-            classicalExists = classicalTests.sphere(x, y, z, R);
-          } else if (shapeName === 'octahedron' && n === 1) {
-            classicalExists = classicalTests.octahedron(x, y, z, R);
-          } else if (shapeName === 'cube' && n >= 50) {
-            classicalExists = classicalTests.cube(x, y, z, R);
-          }
-
-          if (dephazeExists || classicalExists) {
-            results.tested++;
-            const match = dephazeExists === classicalExists;
-            
-            if (match) results.matched++;
-            else results.mismatched++;
-
-            if (testPoints.length < 15) {
-              testPoints.push({
-                x: x.toFixed(2),
-                y: y.toFixed(2),
-                z: z.toFixed(2),
-                xi: Xi(x, y, z, R, n).toFixed(4),
-                dephaze: dephazeExists ? '✓' : '✗',
-                classical: classicalExists ? '✓' : '✗',
-                match: match ? 'OK' : 'ERR'
-              });
-            }
-          }
+  // === CLASSICAL BENCHMARKS ===
+  // Monte-Carlo samples on the closed-form shape, scored by Ξ and the distance to the
+  // Lamé surface, plus the cube convergence curve over n (see validation.js).
+  const runUniversalTest = (shapeName) => {
+    setActiveTest(shapeName);
+    setValidationProgress(0);
+    setValidationError(null);
+    getDephazePool()
+      .run(
+        'kernelValidation',
+        { shape: shapeName, seed: validationSeed, count: validationSamples },
+        { channel: 'kernelValidation', onProgress: setValidationProgress }
+      )
+      .then((results) => {
+        setTestResults(results);
+        setValidationProgress(null);
+      })
+      .catch((err) => {
+        if (!isAbortError(err)) {
+          setValidationError(`Validation: ${err.message}`);
+          setValidationProgress(null);
         }
-      }
+      });
+  };
+
+  // === INVERSE FIT ===
+  // Recover (R, n) from a point cloud in the worker pool, then score the Dephaze fit and
+  // the best-fitting classical references by their textbook distances.
+  const importFitCloud = async (file) => {
+    if (!file) return;
+    try {
+      const vertices = parsePointCloud(file.name, await file.arrayBuffer());
+      setImportedCloud({ name: file.name, vertices });
+      setFitSource('imported');
+      setFitError(null);
+    } catch (err) {
+      setFitError(`${file.name}: ${err.message}`);
     }
+  };
 
-    results.accuracy = results.tested > 0 ? (results.matched / results.tested * 100) : 0;
-    results.samplePoints = testPoints;
-
-    const compData = [];
-    for (let testN = 1; testN <= 10; testN += 0.5) {
-      let matches = 0;
-      let total = 0;
-
-      for (let x = -2.5; x <= 2.5; x += 0.5) {
-        for (let y = -2.5; y <= 2.5; y += 0.5) {
-          for (let z = -2.5; z <= 2.5; z += 0.5) {
-            const dephazeEx = exists(x, y, z, R, testN);
-            if (dephazeEx) {
-              total++;
-              if (testN < 1.5 && classicalTests.octahedron(x, y, z, R)) matches++;
-              else if (testN >= 1.5 && testN < 3 && classicalTests.sphere(x, y, z, R)) matches++;
-              else if (testN >= 3 && classicalTests.cube(x, y, z, R)) matches++;
-              else matches += 0.5; 
-            }
-          }
+  const runFit = () => {
+    const sample = FIT_SAMPLES[fitSource];
+    const vertices = sample
+      ? samplePrimitivePoints({ ...lameShape(2, sample.n), ...(fitPosed ? randomPose() : {}) }, fitCount, { noise: fitNoise })
+      : importedCloud.vertices;
+    setFitting(true);
+    setFitError(null);
+    getDephazePool()
+      .run(
+        'primitiveFit',
+        { vertices: packVertices(vertices), options: { method: fitMethod, fitCenter, fitRotation } },
+        { channel: 'primitiveFit' }
+      )
+      .then(({ fit, references }) => {
+        const rows = [
+          {
+            name: `DEPHAZE (n = ${fit.n.toFixed(2)})`,
+            R: fit.R,
+            rms: fit.distances.rms,
+            max: fit.distances.max,
+            within: fit.onSurface * 100
+          },
+          ...Object.entries(references).map(([name, ref]) => {
+            const frame = { rotation: ref.rotation, translation: ref.center };
+            const distances = vertices.map((v) => {
+              const p = toLocal(v.x, v.y, v.z, frame);
+              return classicalDistances[name](p.x, p.y, p.z, ref.R);
+            });
+            return {
+              name: REFERENCE_LABELS[name],
+              R: ref.R,
+              rms: rms(distances),
+              max: distances.reduce((max, d) => Math.max(max, Math.abs(d)), 0),
+              within: (distances.filter((d) => Math.abs(d) < SURFACE_TOLERANCE).length / distances.length) * 100
+            };
+          })
+        ];
+        setFitResult({ fit, rows, pointCount: vertices.length, posed: fitCenter || fitRotation });
+        setFitting(false);
+      })
+      .catch((err) => {
+        if (!isAbortError(err)) {
+          setFitError(`Fit: ${err.message}`);
+          setFitting(false);
         }
-      }
-
-      compData.push({
-        n: testN.toFixed(1),
-        accuracy: total > 0 ? ((matches / total) * 100).toFixed(1) : 0,
-        points: total
       });
-    }
-
-    results.comparisonData = compData;
-    setTestResults(results);
   };
 
   const memoryComparison = (pointCount = 10000) => {
-    const meshBytes = pointCount * 3 * 4;
-    const dephazeBytes = 16; 
+    const memory = primitiveMemory(pointCount);
     
     return {
-      mesh: (meshBytes / 1024).toFixed(2),
-      dephaze: dephazeBytes,
-      ratio: (meshBytes / dephazeBytes).toFixed(0)
+      mesh: (memory.meshBytes / 1024).toFixed(2),
+      dephaze: memory.dephazeBytes,
+      ratio: memory.ratio.toFixed(0)
     };
   };
 
@@ -164,7 +226,7 @@ const DephazeKernelValidation = () => {
 
       <div className="grid grid-cols-3 gap-4 mb-6">
         <button
-          onClick={() => runUniversalTest('octahedron', 1, 2)}
+          onClick={() => runUniversalTest('octahedron')}
           className={`p-6 rounded-lg transition border-2 ${
             activeTest === 'octahedron' ? 'bg-amber-900/40 border-amber-500' : 'bg-slate-900 border-slate-800 hover:border-slate-600'
           }`}
@@ -175,7 +237,7 @@ const DephazeKernelValidation = () => {
         </button>
 
         <button
-          onClick={() => runUniversalTest('sphere', 2, 2)}
+          onClick={() => runUniversalTest('sphere')}
           className={`p-6 rounded-lg transition border-2 ${
             activeTest === 'sphere' ? 'bg-blue-900/40 border-blue-500' : 'bg-slate-900 border-slate-800 hover:border-slate-600'
           }`}
@@ -186,7 +248,7 @@ const DephazeKernelValidation = () => {
         </button>
 
         <button
-          onClick={() => runUniversalTest('cube', 100, 2)}
+          onClick={() => runUniversalTest('cube')}
           className={`p-6 rounded-lg transition border-2 ${
             activeTest === 'cube' ? 'bg-indigo-900/40 border-indigo-500' : 'bg-slate-900 border-slate-800 hover:border-slate-600'
           }`}
@@ -197,35 +259,89 @@ const DephazeKernelValidation = () => {
         </button>
       </div>
 
+      <div className="flex items-center gap-4 mb-6 text-xs text-slate-400">
+        <label className="flex items-center gap-2">
+          Seed
+          <input
+            type="number"
+            min="0"
+            max={MAX_SEED}
+            value={validationSeed}
+            onChange={(e) => setValidationSeed(Math.min(MAX_SEED, Math.max(0, parseInt(e.target.value) || 0)))}
+            className="w-28 p-1 bg-slate-800 rounded text-slate-200 font-mono"
+          />
+        </label>
+        <button onClick={() => setValidationSeed(randomSeed())} className="px-2 py-1 rounded bg-slate-800 hover:bg-slate-700">
+          New seed
+        </button>
+        <span>Samples</span>
+        {SAMPLE_COUNTS.map((count) => (
+          <button
+            key={count}
+            onClick={() => setValidationSamples(count)}
+            className={`px-2 py-1 rounded border ${
+              validationSamples === count ? 'bg-blue-900/40 border-blue-500' : 'bg-slate-800 border-slate-700 hover:border-slate-500'
+            }`}
+          >
+            {count}
+          </button>
+        ))}
+        {validationProgress !== null && <span className="text-blue-400">Sampling… {Math.round(validationProgress * 100)}%</span>}
+        {validationError && (
+          <span className="flex items-center gap-1 text-red-400">
+            <AlertCircle size={14} /> {validationError}
+          </span>
+        )}
+      </div>
+
       {testResults && (
         <div className="space-y-6">
           <div className="bg-slate-900 p-6 rounded-lg border border-slate-700">
             <h2 className="text-xl font-bold mb-4 flex items-center gap-2">
               <Check className="text-emerald-500" />
-              Benchmark Results: {testResults.shape}
+              Benchmark Results: {testResults.benchmark.shape}
             </h2>
+            <p className="text-xs text-slate-500 mb-4">
+              {testResults.benchmark.count} points uniform by area on the classical {testResults.benchmark.shape} (R ={' '}
+              {testResults.benchmark.R}, seed {testResults.seed}), scored against the Lamé surface of order n. Intervals are
+              95%.
+            </p>
 
             <div className="grid grid-cols-4 gap-4 mb-6">
               <div className="bg-black/30 p-4 rounded border border-slate-800">
                 <div className="text-xs text-slate-500 uppercase">Parameter (n)</div>
-                <div className="text-2xl font-bold text-blue-400">{testResults.n}</div>
+                <div className="text-2xl font-bold text-blue-400">
+                  {Number.isFinite(testResults.benchmark.n) ? testResults.benchmark.n : '∞'}
+                </div>
+                <div className="text-xs text-slate-500">{testResults.benchmark.count} samples</div>
               </div>
               <div className="bg-black/30 p-4 rounded border border-slate-800">
-                <div className="text-xs text-slate-500 uppercase">Points Tested</div>
-                <div className="text-2xl font-bold text-slate-300">{testResults.tested}</div>
+                <div className="text-xs text-slate-500 uppercase">Within {SURFACE_TOLERANCE}</div>
+                <div className="text-2xl font-bold text-emerald-500">{percent(testResults.benchmark.onSurface.rate)}</div>
+                <div className="text-xs text-slate-500">
+                  [{percent(testResults.benchmark.onSurface.low)}, {percent(testResults.benchmark.onSurface.high)}]
+                </div>
               </div>
               <div className="bg-black/30 p-4 rounded border border-slate-800">
-                <div className="text-xs text-slate-500 uppercase">Metric Match</div>
-                <div className="text-2xl font-bold text-emerald-500">{testResults.matched}</div>
+                <div className="text-xs text-slate-500 uppercase">Mean |Ξ − 1|</div>
+                <div className="text-2xl font-bold text-cyan-400">{sci(testResults.benchmark.xiError.mean)}</div>
+                <div className="text-xs text-slate-500">
+                  [{sci(testResults.benchmark.xiError.low)}, {sci(testResults.benchmark.xiError.high)}]
+                </div>
               </div>
               <div className="bg-black/30 p-4 rounded border border-slate-800">
-                <div className="text-xs text-slate-500 uppercase">Precision</div>
-                <div className="text-2xl font-bold text-cyan-400">{testResults.accuracy.toFixed(1)}%</div>
+                <div className="text-xs text-slate-500 uppercase">Mean / Max Distance</div>
+                <div className="text-2xl font-bold text-cyan-400">{sci(testResults.benchmark.distance.mean)}</div>
+                <div className="text-xs text-slate-500">
+                  [{sci(testResults.benchmark.distance.low)}, {sci(testResults.benchmark.distance.high)}] · max{' '}
+                  {sci(testResults.benchmark.maxDistance)}
+                  {testResults.benchmark.analyticMax !== null && ` (analytic ${sci(testResults.benchmark.analyticMax)})`}
+                </div>
               </div>
             </div>
 
             <div className="bg-black/20 p-4 rounded-lg mb-4 border border-slate-800">
-              <h3 className="text-sm font-semibold mb-3 text-slate-400">Sample Point Comparison</h3>
+              <h3 className="text-sm font-semibold mb-3 text-slate-400">Sample Points on the Classical Surface</h3>
               <div className="overflow-x-auto">
                 <table className="w-full text-left text-xs font-mono">
                   <thead className="text-slate-500 border-b border-slate-800">
@@ -234,21 +350,21 @@ const DephazeKernelValidation = () => {
                       <th className="pb-2">Y</th>
                       <th className="pb-2">Z</th>
                       <th className="pb-2">Xi Value</th>
-                      <th className="pb-2">DEPHAZE</th>
-                      <th className="pb-2">Classical</th>
-                      <th className="pb-2">Match</th>
+                      <th className="pb-2">Distance</th>
+                      <th className="pb-2">Within {SURFACE_TOLERANCE}</th>
                     </tr>
                   </thead>
                   <tbody>
-                    {testResults.samplePoints.map((point, idx) => (
+                    {testResults.benchmark.samples.map((point, idx) => (
                       <tr key={idx} className="border-b border-slate-800/50 text-slate-400">
-                        <td className="py-2">{point.x}</td>
-                        <td className="py-2">{point.y}</td>
-                        <td className="py-2">{point.z}</td>
-                        <td className="py-2 text-blue-400">{point.xi}</td>
-                        <td className="py-2">{point.dephaze}</td>
-                        <td className="py-2">{point.classical}</td>
-                        <td className="py-2 text-emerald-500">{point.match}</td>
+                        <td className="py-2">{point.x.toFixed(3)}</td>
+                        <td className="py-2">{point.y.toFixed(3)}</td>
+                        <td className="py-2">{point.z.toFixed(3)}</td>
+                        <td className="py-2 text-blue-400">{point.xi.toFixed(6)}</td>
+                        <td className="py-2 text-blue-400">{point.distance.toExponential(3)}</td>
+                        <td className={`py-2 ${point.distance < SURFACE_TOLERANCE ? 'text-emerald-500' : 'text-amber-400'}`}>
+                          {point.distance < SURFACE_TOLERANCE ? 'OK' : 'OUT'}
+                        </td>
                       </tr>
                     ))}
                   </tbody>
@@ -256,17 +372,50 @@ const DephazeKernelValidation = () => {
               </div>
             </div>
 
-            <div className="h-64 mt-6">
-              <h3 className="text-sm font-semibold mb-4 text-slate-400">Accuracy Curve across Parameter Space (n)</h3>
-              <ResponsiveContainer width="100%" height="100%">
-                <LineChart data={testResults.comparisonData}>
-                  <CartesianGrid strokeDasharray="3 3" stroke="#1e293b" />
-                  <XAxis dataKey="n" stroke="#475569" fontSize={10} />
-                  <YAxis stroke="#475569" fontSize={10} />
-                  <Tooltip contentStyle={{ backgroundColor: '#0f172a', border: '1px solid #334155' }} />
-                  <Line type="monotone" dataKey="accuracy" stroke="#3b82f6" strokeWidth={2} dot={false} />
-                </LineChart>
-              </ResponsiveContainer>
+            <div className="grid grid-cols-3 gap-4 mt-6">
+              <div className="col-span-2 h-72">
+                <h3 className="text-sm font-semibold mb-4 text-slate-400">Cube Convergence: Distance to the Lamé Surface vs n</h3>
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={testResults.convergence}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#1e293b" />
+                    <XAxis dataKey="n" type="number" scale="log" domain={['auto', 'auto']} stroke="#475569" fontSize={10} />
+                    <YAxis scale="log" domain={['auto', 'auto']} stroke="#475569" fontSize={10} tickFormatter={sci} />
+                    <Tooltip
+                      contentStyle={{ backgroundColor: '#0f172a', border: '1px solid #334155' }}
+                      formatter={(value) => sci(value)}
+                      labelFormatter={(n) => `n = ${n}`}
+                    />
+                    <Legend wrapperStyle={{ fontSize: 10 }} />
+                    <Line type="monotone" dataKey="analytic" name="Analytic max" stroke="#f59e0b" strokeWidth={2} dot={false} />
+                    <Line type="monotone" dataKey="max" name="Sampled max" stroke="#ef4444" strokeWidth={1} dot={false} />
+                    <Line type="monotone" dataKey="mean" name="Mean" stroke="#3b82f6" strokeWidth={2} dot={false} />
+                    <Line type="monotone" dataKey="low" name="95% CI" stroke="#3b82f6" strokeDasharray="4 4" dot={false} legendType="none" />
+                    <Line type="monotone" dataKey="high" name="95% CI" stroke="#3b82f6" strokeDasharray="4 4" dot={false} />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+              <div className="overflow-y-auto max-h-72">
+                <table className="w-full text-left text-xs font-mono">
+                  <thead className="text-slate-500 border-b border-slate-800">
+                    <tr>
+                      <th className="pb-2">n</th>
+                      <th className="pb-2">Mean [95% CI]</th>
+                      <th className="pb-2">Within {SURFACE_TOLERANCE}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {testResults.convergence.map((row) => (
+                      <tr key={row.n} className="border-b border-slate-800/50 text-slate-400">
+                        <td className="py-1">{row.n}</td>
+                        <td className="py-1">
+                          {sci(row.mean)} [{sci(row.low)}, {sci(row.high)}]
+                        </td>
+                        <td className="py-1">{percent(row.onSurface)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
             </div>
           </div>
 
@@ -296,6 +445,174 @@ const DephazeKernelValidation = () => {
         </div>
       )}
 
+      <div className="mt-6 bg-slate-900 p-6 rounded-lg border border-slate-700">
+        <h2 className="text-xl font-bold mb-1">Inverse Fit</h2>
+        <p className="text-xs text-slate-500 mb-4">
+          Estimate (R, n) from a point cloud and compare the fit with the best sphere, octahedron and cube.
+        </p>
+
+        <div className="grid grid-cols-3 gap-6 mb-4 text-sm">
+          <div className="space-y-2">
+            <div className="text-xs text-slate-500 uppercase">Point Cloud</div>
+            <div className="flex flex-wrap gap-2">
+              {Object.entries(FIT_SAMPLES).map(([key, sample]) => (
+                <button
+                  key={key}
+                  onClick={() => setFitSource(key)}
+                  className={`px-2 py-1 rounded text-xs border ${
+                    fitSource === key ? 'bg-blue-900/40 border-blue-500' : 'bg-slate-800 border-slate-700 hover:border-slate-500'
+                  }`}
+                >
+                  {sample.label} (n = {sample.n})
+                </button>
+              ))}
+              {importedCloud && (
+                <button
+                  onClick={() => setFitSource('imported')}
+                  className={`px-2 py-1 rounded text-xs border ${
+                    fitSource === 'imported' ? 'bg-blue-900/40 border-blue-500' : 'bg-slate-800 border-slate-700 hover:border-slate-500'
+                  }`}
+                >
+                  {importedCloud.name}
+                </button>
+              )}
+            </div>
+            <label className="block text-xs text-slate-400">
+              Import scan:{' '}
+              <input
+                type="file"
+                accept={POINT_CLOUD_EXTENSIONS.join(',')}
+                onChange={(e) => importFitCloud(e.target.files[0])}
+                className="text-xs"
+              />
+            </label>
+          </div>
+
+          <div className="space-y-2">
+            <label className="block text-xs text-slate-400">
+              Points: {fitCount}
+              <input type="range" min="100" max="3000" step="100" value={fitCount}
+                onChange={(e) => setFitCount(Number(e.target.value))}
+                disabled={fitSource === 'imported'} className="w-full" />
+            </label>
+            <label className="block text-xs text-slate-400">
+              Noise σ: {fitNoise.toFixed(3)}
+              <input type="range" min="0" max="0.2" step="0.005" value={fitNoise}
+                onChange={(e) => setFitNoise(Number(e.target.value))}
+                disabled={fitSource === 'imported'} className="w-full" />
+            </label>
+            <label className="flex items-center gap-2 text-xs text-slate-400">
+              <input type="checkbox" checked={fitPosed} onChange={(e) => setFitPosed(e.target.checked)}
+                disabled={fitSource === 'imported'} />
+              Random pose
+            </label>
+          </div>
+
+          <div className="space-y-2">
+            <div className="flex gap-2">
+              {Object.entries(FIT_METHODS).map(([key, { label }]) => (
+                <button
+                  key={key}
+                  onClick={() => setFitMethod(key)}
+                  className={`px-2 py-1 rounded text-xs border ${
+                    fitMethod === key ? 'bg-emerald-900/40 border-emerald-500' : 'bg-slate-800 border-slate-700 hover:border-slate-500'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <label className="flex items-center gap-2 text-xs text-slate-400">
+              <input type="checkbox" checked={fitCenter} onChange={(e) => setFitCenter(e.target.checked)} />
+              Fit center
+            </label>
+            <label className="flex items-center gap-2 text-xs text-slate-400">
+              <input type="checkbox" checked={fitRotation} onChange={(e) => setFitRotation(e.target.checked)} />
+              Fit rotation
+            </label>
+            <button
+              onClick={runFit}
+              disabled={fitting || (fitSource === 'imported' && !importedCloud)}
+              className="w-full px-3 py-2 rounded bg-blue-600 hover:bg-blue-500 disabled:opacity-50 font-semibold"
+            >
+              {fitting ? 'Fitting…' : 'Run Fit'}
+            </button>
+          </div>
+        </div>
+
+        {fitError && (
+          <div className="flex items-center gap-2 text-sm text-red-400 mb-4">
+            <AlertCircle size={16} /> {fitError}
+          </div>
+        )}
+
+        {fitResult && (
+          <>
+            <div className="grid grid-cols-4 gap-4 mb-4">
+              <div className="bg-black/30 p-4 rounded border border-slate-800">
+                <div className="text-xs text-slate-500 uppercase">Fitted R</div>
+                <div className="text-2xl font-bold text-blue-400">{fitResult.fit.R.toFixed(3)}</div>
+              </div>
+              <div className="bg-black/30 p-4 rounded border border-slate-800">
+                <div className="text-xs text-slate-500 uppercase">Fitted n</div>
+                <div className="text-2xl font-bold text-blue-400">{fitResult.fit.n.toFixed(2)}</div>
+                <div className="text-xs text-slate-500">{getShapeName(fitResult.fit.n)}</div>
+              </div>
+              <div className="bg-black/30 p-4 rounded border border-slate-800">
+                <div className="text-xs text-slate-500 uppercase">Ξ − 1 RMS / Max</div>
+                <div className="text-2xl font-bold text-cyan-400">{fitResult.fit.residuals.rms.toExponential(2)}</div>
+                <div className="text-xs text-slate-500">max {fitResult.fit.residuals.max.toExponential(2)}</div>
+              </div>
+              <div className="bg-black/30 p-4 rounded border border-slate-800">
+                <div className="text-xs text-slate-500 uppercase">Iterations</div>
+                <div className="text-2xl font-bold text-slate-300">{fitResult.fit.iterations}</div>
+                <div className={`text-xs flex items-center gap-1 ${fitResult.fit.converged ? 'text-emerald-500' : 'text-amber-400'}`}>
+                  {fitResult.fit.converged ? <Check size={12} /> : <X size={12} />}
+                  {fitResult.fit.converged ? 'converged' : 'iteration limit'} · {fitResult.pointCount} points
+                </div>
+              </div>
+            </div>
+
+            {fitResult.posed && (
+              <div className="text-xs font-mono text-slate-500 mb-4">
+                <span className="mr-6">
+                  center ({fitResult.fit.center.x.toFixed(3)}, {fitResult.fit.center.y.toFixed(3)}, {fitResult.fit.center.z.toFixed(3)})
+                </span>
+                <span>
+                  rotation ({fitResult.fit.rotation.x.toFixed(3)}, {fitResult.fit.rotation.y.toFixed(3)}, {fitResult.fit.rotation.z.toFixed(3)}) rad
+                </span>
+              </div>
+            )}
+
+            <table className="w-full text-left text-xs font-mono">
+              <thead className="text-slate-500 border-b border-slate-800">
+                <tr>
+                  <th className="pb-2">Model</th>
+                  <th className="pb-2">R</th>
+                  <th className="pb-2">RMS Distance</th>
+                  <th className="pb-2">Max Distance</th>
+                  <th className="pb-2">Within {SURFACE_TOLERANCE}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {fitResult.rows.map((row) => {
+                  const best = row.rms === Math.min(...fitResult.rows.map((r) => r.rms));
+                  return (
+                    <tr key={row.name} className={`border-b border-slate-800/50 ${best ? 'text-emerald-400' : 'text-slate-400'}`}>
+                      <td className="py-2">{row.name}</td>
+                      <td className="py-2">{row.R.toFixed(3)}</td>
+                      <td className="py-2">{row.rms.toFixed(4)}</td>
+                      <td className="py-2">{row.max.toFixed(4)}</td>
+                      <td className="py-2">{row.within.toFixed(1)}%</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </>
+        )}
+      </div>
+
       <div className="mt-6 grid grid-cols-2 gap-4">
         <div className="bg-slate-900 p-4 rounded-lg border border-slate-800">
           <h3 className="text-red-400 font-bold mb-3 uppercase text-xs tracking-widest">Legacy Mesh System</h3>
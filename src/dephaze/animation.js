@@ -0,0 +1,89 @@
+// === KEYFRAME ANIMATION ===
+// A timeline is a list of keyframes { time, easing, params }: time in seconds, params a
+// flat object of kernel parameters ({ n, R, rotX, rotY, ... }). Between two keyframes
+// every numeric parameter both define is interpolated with the earlier keyframe's
+// easing; any other value holds until the next keyframe. The order n is interpolated
+// geometrically, so equal times give equal steps in shape from octahedron to cube
+// instead of rushing through the low orders.
+
+export const KEYFRAME_FORMAT = "dephaze-keyframes";
+export const KEYFRAME_VERSION = 1;
+
+const smoothstep = (u) => u * u * (3 - 2 * u);
+
+export const EASINGS = {
+  linear: { label: "Linear", ease: (u) => u },
+  easeIn: { label: "Ease In", ease: (u) => u * u * u },
+  easeOut: { label: "Ease Out", ease: (u) => 1 - (1 - u) ** 3 },
+  easeInOut: { label: "Ease In-Out", ease: smoothstep },
+  step: { label: "Hold", ease: () => 0 },
+};
+
+const GEOMETRIC_PARAMS = new Set(["n"]);
+
+const interpolate = (key, a, b, u) => {
+  if (GEOMETRIC_PARAMS.has(key) && a > 0 && b > 0) return a * Math.pow(b / a, u);
+  return a + (b - a) * u;
+};
+
+export const sortKeyframes = (keyframes) => [...keyframes].sort((p, q) => p.time - q.time);
+
+/**
+ * Time of the last keyframe (0 for an empty timeline).
+ */
+export const timelineDuration = (keyframes) => keyframes.reduce((max, k) => Math.max(max, k.time), 0);
+
+/**
+ * Parameters at `time`. Before the first and after the last keyframe the end values hold.
+ */
+export const sampleTimeline = (keyframes, time) => {
+  const sorted = sortKeyframes(keyframes);
+  if (sorted.length === 0) return {};
+  if (time <= sorted[0].time) return { ...sorted[0].params };
+  const last = sorted[sorted.length - 1];
+  if (time >= last.time) return { ...last.params };
+
+  const i = sorted.findIndex((k) => k.time > time) - 1;
+  const from = sorted[i];
+  const to = sorted[i + 1];
+  const { ease } = EASINGS[from.easing] || EASINGS.linear;
+  const u = ease((time - from.time) / (to.time - from.time));
+
+  const params = { ...to.params, ...from.params };
+  Object.keys(from.params).forEach((key) => {
+    const a = from.params[key];
+    const b = to.params[key];
+    if (typeof a === "number" && typeof b === "number") params[key] = interpolate(key, a, b, u);
+  });
+  return params;
+};
+
+/**
+ * JSON keyframe file (see parseKeyframes).
+ */
+export const encodeKeyframes = (keyframes) =>
+  JSON.stringify({ format: KEYFRAME_FORMAT, version: KEYFRAME_VERSION, keyframes: sortKeyframes(keyframes) }, null, 2);
+
+/**
+ * Parse and validate a keyframe file written by encodeKeyframes.
+ */
+export const parseKeyframes = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Keyframe file is not valid JSON: ${err.message}`);
+  }
+  if (!data || data.format !== KEYFRAME_FORMAT) throw new Error("Not a Dephaze keyframe file");
+  if (data.version !== KEYFRAME_VERSION) throw new Error(`Unsupported keyframe file version ${data.version}`);
+  if (!Array.isArray(data.keyframes)) throw new Error("Keyframe file has no keyframes");
+
+  return sortKeyframes(
+    data.keyframes.map((k, index) => {
+      if (!Number.isFinite(k.time) || k.time < 0) throw new Error(`Keyframe ${index} has an invalid time`);
+      if (k.easing !== undefined && !EASINGS[k.easing]) throw new Error(`Keyframe ${index} has unknown easing "${k.easing}"`);
+      if (!k.params || typeof k.params !== "object") throw new Error(`Keyframe ${index} has no parameters`);
+      return { time: k.time, easing: k.easing || "linear", params: { ...k.params } };
+    })
+  );
+};
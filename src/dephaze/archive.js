@@ -0,0 +1,83 @@
+// === ZIP ARCHIVE ===
+// Minimal ZIP writer (stored entries, no compression) for bundling many small files,
+// such as a PNG frame sequence, into one download. PNG data is already deflated, so
+// storing costs nothing in size.
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_DIRECTORY = 0x06054b50;
+const LOCAL_HEADER_BYTES = 30;
+const CENTRAL_HEADER_BYTES = 46;
+const END_BYTES = 22;
+const UTF8_FLAG = 0x0800;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+export const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * ZIP archive of `files` ([{ name, bytes }]) as a Uint8Array.
+ */
+export const encodeZip = (files) => {
+  if (files.length > 0xffff) throw new Error("Too many files for a ZIP archive");
+  const encoder = new TextEncoder();
+  const entries = files.map(({ name, bytes }) => ({ name: encoder.encode(name), bytes, crc: crc32(bytes) }));
+
+  const dataLength = entries.reduce((sum, e) => sum + LOCAL_HEADER_BYTES + e.name.length + e.bytes.length, 0);
+  const directoryLength = entries.reduce((sum, e) => sum + CENTRAL_HEADER_BYTES + e.name.length, 0);
+  if (dataLength + directoryLength > 0xffffffff) throw new Error("ZIP archive exceeds 4 GB");
+
+  const out = new Uint8Array(dataLength + directoryLength + END_BYTES);
+  const view = new DataView(out.buffer);
+
+  // Fields shared by the local and central headers: version, flags, method (0 = stored),
+  // DOS time and date (left at zero), CRC and sizes, name length.
+  const writeCommon = (offset, e) => {
+    view.setUint16(offset, 20, true);
+    view.setUint16(offset + 2, UTF8_FLAG, true);
+    view.setUint16(offset + 4, 0, true);
+    view.setUint32(offset + 10, e.crc, true);
+    view.setUint32(offset + 14, e.bytes.length, true);
+    view.setUint32(offset + 18, e.bytes.length, true);
+    view.setUint16(offset + 22, e.name.length, true);
+  };
+
+  let offset = 0;
+  entries.forEach((e) => {
+    e.offset = offset;
+    view.setUint32(offset, LOCAL_HEADER, true);
+    writeCommon(offset + 4, e);
+    out.set(e.name, offset + LOCAL_HEADER_BYTES);
+    out.set(e.bytes, offset + LOCAL_HEADER_BYTES + e.name.length);
+    offset += LOCAL_HEADER_BYTES + e.name.length + e.bytes.length;
+  });
+
+  const directoryStart = offset;
+  entries.forEach((e) => {
+    view.setUint32(offset, CENTRAL_HEADER, true);
+    view.setUint16(offset + 4, 20, true); // version made by
+    writeCommon(offset + 6, e);
+    view.setUint32(offset + 42, e.offset, true);
+    out.set(e.name, offset + CENTRAL_HEADER_BYTES);
+    offset += CENTRAL_HEADER_BYTES + e.name.length;
+  });
+
+  view.setUint32(offset, END_OF_DIRECTORY, true);
+  view.setUint16(offset + 8, entries.length, true);
+  view.setUint16(offset + 10, entries.length, true);
+  view.setUint32(offset + 12, directoryLength, true);
+  view.setUint32(offset + 16, directoryStart, true);
+  return out;
+};
@@ -0,0 +1,212 @@
+import { superDistanceBound, superDistance, distanceGradient } from "./distance.js";
+import { EPSILON_MIN, EPSILON_MAX, primitiveShape, shapeBoundingRadius, shapeExtent } from "./superellipsoid.js";
+
+// === CONSTRUCTIVE COMPOSITION ===
+// A composite model is { mode: "composite", root } where root is a scene tree. Leaves
+// are primitive models (either form, see superellipsoid.js); operator nodes are
+//
+//   { op: "union" | "intersection" | "subtraction" | "blend", children: [...], k? }
+//
+// Subtraction removes every later child from the first. Blend is a smooth union whose
+// fillets reach about k / 4 past the sharp union. Fields are combined with min / max and
+// the polynomial smooth minimum, all of which keep distance bounds 1-Lipschitz, so a
+// composite can be sphere-traced and tessellated like a single primitive.
+
+export const CSG_OPERATIONS = {
+  union: { label: "Union", symbol: "∪" },
+  intersection: { label: "Intersection", symbol: "∩" },
+  subtraction: { label: "Subtraction", symbol: "−" },
+  blend: { label: "Smooth Blend", symbol: "⊔" },
+};
+
+export const DEFAULT_BLEND = 0.5;
+
+export const isComposite = (model) => model.mode === "composite";
+
+export const isLeaf = (node) => node.mode === "primitive";
+
+/**
+ * Polynomial smooth minimum: min(a, b) away from the seam, lowered by at most k / 4
+ * where |a − b| < k. Its partial derivatives are convex weights, so it is 1-Lipschitz.
+ */
+export const smoothMin = (a, b, k) => {
+  if (k <= 0) return Math.min(a, b);
+  const h = Math.max(k - Math.abs(a - b), 0) / k;
+  return Math.min(a, b) - (h * h * k) / 4;
+};
+
+const combine = (node, values) => {
+  const [first, ...rest] = values;
+  if (node.op === "union") return Math.min(...values);
+  if (node.op === "intersection") return Math.max(...values);
+  if (node.op === "subtraction") return rest.reduce((f, v) => Math.max(f, -v), first);
+  const k = node.k ?? DEFAULT_BLEND;
+  return rest.reduce((f, v) => smoothMin(f, v, k), first);
+};
+
+const isFiniteVector = (v) => [v.x, v.y, v.z].every(Number.isFinite);
+
+const isExponent = (e) => Number.isFinite(e) && e >= EPSILON_MIN && e <= EPSILON_MAX;
+
+// Leaf parameters in either primitive form: positive finite semi-axes, exponents in
+// [EPSILON_MIN, EPSILON_MAX] (1 ≤ n ≤ LIMIT_ORDER for the kernel form) and a finite pose.
+const validLeaf = (node) => {
+  const shape = primitiveShape(node);
+  return (
+    [shape.a, shape.b, shape.c].every((axis) => Number.isFinite(axis) && axis > 0) &&
+    [shape.e1, shape.e2].every(isExponent) &&
+    isFiniteVector(shape.rotation) &&
+    isFiniteVector(shape.translation)
+  );
+};
+
+/**
+ * Throw if `node` is not a well-formed scene tree.
+ */
+export const validateTree = (node) => {
+  if (!node || typeof node !== "object") throw new Error("Scene node is not an object");
+  if (isLeaf(node)) {
+    if (!validLeaf(node)) throw new Error("Composite primitive has invalid parameters");
+    return;
+  }
+  if (!CSG_OPERATIONS[node.op]) throw new Error(`Unknown composite operation: ${node.op}`);
+  if (!Array.isArray(node.children) || node.children.length === 0) {
+    throw new Error(`Composite ${node.op} node has no children`);
+  }
+  if (node.k !== undefined && !(Number.isFinite(node.k) && node.k >= 0)) {
+    throw new Error(`Composite ${node.op} node has an invalid blend`);
+  }
+  node.children.forEach(validateTree);
+};
+
+/**
+ * Compile a scene tree into one field function. `leafField(primitive)` supplies the
+ * field of each leaf; operators combine the children's values.
+ */
+export const compileTree = (node, leafField) => {
+  if (isLeaf(node)) return leafField(node);
+  const children = node.children.map((child) => compileTree(child, leafField));
+  return (x, y, z) => combine(node, children.map((f) => f(x, y, z)));
+};
+
+/**
+ * Primitive leaves of a scene tree, depth first.
+ */
+export const treeLeaves = (node) => (isLeaf(node) ? [node] : node.children.flatMap(treeLeaves));
+
+export const treeNodeCount = (node) =>
+  isLeaf(node) ? 1 : 1 + node.children.reduce((sum, child) => sum + treeNodeCount(child), 0);
+
+// Fold a per-leaf size over the tree: intersections keep the smallest child, subtraction
+// its first, unions the largest, and each blend seam may add k / 4.
+const treeSize = (node, leafSize) => {
+  if (isLeaf(node)) return leafSize(primitiveShape(node));
+  const sizes = node.children.map((child) => treeSize(child, leafSize));
+  if (node.op === "intersection") return Math.min(...sizes);
+  if (node.op === "subtraction") return sizes[0];
+  const seams = node.op === "blend" ? ((node.k ?? DEFAULT_BLEND) / 4) * (sizes.length - 1) : 0;
+  return Math.max(...sizes) + seams;
+};
+
+/**
+ * Radius of a sphere about the world origin that encloses the composite.
+ */
+export const treeBoundingRadius = (node) => treeSize(node, shapeBoundingRadius);
+
+/**
+ * Half-size of an origin-centred cube that encloses the composite.
+ */
+export const treeExtent = (node) => treeSize(node, shapeExtent);
+
+/**
+ * Distance field of a composite model, in the shape of createDistanceField. Both fields
+ * are the tree combination of leaf distances: exact per leaf, but only a bound after
+ * combination (interior distances of a union are underestimated, blends shift the seam).
+ */
+export const createCompositeField = (model) => {
+  const bound = compileTree(model.root, (leaf) => {
+    const shape = primitiveShape(leaf);
+    return (x, y, z) => superDistanceBound(x, y, z, shape);
+  });
+  const distance = compileTree(model.root, (leaf) => {
+    const shape = primitiveShape(leaf);
+    return (x, y, z) => superDistance(x, y, z, shape);
+  });
+  const gradient = (x, y, z) => distanceGradient(bound, x, y, z);
+
+  return {
+    distance,
+    bound,
+    gradient,
+    normal: (x, y, z) => {
+      const g = gradient(x, y, z);
+      const len = Math.sqrt(g.x * g.x + g.y * g.y + g.z * g.z) || 1;
+      return { x: g.x / len, y: g.y / len, z: g.z / len };
+    },
+    lipschitz: 1,
+    exact: false,
+  };
+};
+
+/**
+ * Brute-force surface sweep of a composite, as sampleShapeShell: grid points whose
+ * distance bound is within `tolerance` of zero (metric, in units of the grid step).
+ */
+export const sampleCompositeShell = (model, { extent = 3, step = 0.15, tolerance = 0.5 } = {}, onProgress) => {
+  const bound = createCompositeField(model).bound;
+  const scale = Math.max(1, (treeExtent(model.root) + step) / extent);
+  const gridExtent = extent * scale;
+  const gridStep = step * scale;
+  const count = Math.round((2 * gridExtent) / gridStep) + 1;
+  const limit = tolerance * gridStep;
+  const xyz = [];
+
+  for (let i = 0; i < count; i++) {
+    const x = -gridExtent + i * gridStep;
+    for (let j = 0; j < count; j++) {
+      const y = -gridExtent + j * gridStep;
+      for (let k = 0; k < count; k++) {
+        const z = -gridExtent + k * gridStep;
+        if (Math.abs(bound(x, y, z)) < limit) xyz.push(x, y, z);
+      }
+    }
+    if (onProgress) onProgress((i + 1) / count);
+  }
+
+  return new Float32Array(xyz);
+};
+
+// --- Immutable tree edits (paths are arrays of child indices from the root) ---
+
+export const nodeAt = (root, path) => path.reduce((node, index) => node.children[index], root);
+
+/**
+ * Copy of `root` with the node at `path` replaced by update(node).
+ */
+export const updateNode = (root, path, update) => {
+  if (path.length === 0) return update(root);
+  const [index, ...rest] = path;
+  return {
+    ...root,
+    children: root.children.map((child, i) => (i === index ? updateNode(child, rest, update) : child)),
+  };
+};
+
+/**
+ * Copy of `root` without the node at `path`. An operator left with no children is
+ * removed as well; the root and its last child cannot be removed.
+ */
+export const removeNode = (root, path) => {
+  if (path.length === 0) throw new Error("Cannot remove the root of a scene tree");
+  const parentPath = path.slice(0, -1);
+  const index = path[path.length - 1];
+  const parent = nodeAt(root, parentPath);
+  if (parent.children.length === 1) {
+    if (parentPath.length === 0) throw new Error("A scene tree needs at least one primitive");
+    return removeNode(root, parentPath);
+  }
+  return updateNode(root, parentPath, (node) => ({
+    ...node,
+    children: node.children.filter((_, i) => i !== index),
+  }));
+};
@@ -0,0 +1,346 @@
+import { TAU, LIMIT_ORDER, lameNorm } from "./kernel.js";
+import { reconstructLayers } from "./reconstruct.js";
+import {
+  primitiveShape,
+  isUniformShape,
+  toWorld,
+  toLocal,
+  shapeNorm,
+  superField,
+  superNormal,
+  shapeLipschitz,
+  projectToSurface,
+} from "./superellipsoid.js";
+
+// === SIGNED DISTANCE ===
+// Xi = R / ||p||ₙ is a ratio, so |Xi − 1| < tol is a shell whose metric thickness varies
+// with direction and n. The functions here return Euclidean signed distances (negative
+// inside) so surface tests, rendering and collision can share one metric tolerance.
+//
+//   lameDistance       exact: closed form for n = 1, 2, ∞, closest-point search otherwise
+//   lameDistanceBound  cheap: |bound| ≤ |distance| with the same sign, safe for sphere tracing
+//   createDistanceField(model)  both, plus gradient/normal, for any reconstruction model
+
+// Metric half-thickness of the shell accepted by onSurface.
+export const SURFACE_TOLERANCE = 0.01;
+
+const CLOSEST_POINT_ITERATIONS = 64;
+const INV_SQRT3 = 1 / Math.sqrt(3);
+
+const isChebyshev = (n) => n === Infinity || n > LIMIT_ORDER;
+
+const length3 = (x, y, z) => Math.sqrt(x * x + y * y + z * z);
+
+/**
+ * Gradient of ||p||ₙ. It has unit Lⁿ-dual norm, so its Euclidean length is 1 for n = 2,
+ * at most 1 for n > 2 and at most 3^(1/n − 1/2) for n < 2.
+ */
+export const lameGradient = (x, y, z, n) => {
+  const ax = Math.abs(x);
+  const ay = Math.abs(y);
+  const az = Math.abs(z);
+
+  if (isChebyshev(n)) {
+    // Subgradient of the Chebyshev norm: the dominant axis.
+    if (ax >= ay && ax >= az) return { x: Math.sign(x), y: 0, z: 0 };
+    if (ay >= az) return { x: 0, y: Math.sign(y), z: 0 };
+    return { x: 0, y: 0, z: Math.sign(z) };
+  }
+
+  const norm = lameNorm(x, y, z, n);
+  if (norm === 0) return { x: 0, y: 0, z: 0 };
+  return {
+    x: Math.sign(x) * Math.pow(ax / norm, n - 1),
+    y: Math.sign(y) * Math.pow(ay / norm, n - 1),
+    z: Math.sign(z) * Math.pow(az / norm, n - 1),
+  };
+};
+
+/**
+ * Outward unit normal of the Lamé level set through (x, y, z).
+ */
+export const lameNormal = (x, y, z, n) => {
+  const g = lameGradient(x, y, z, n);
+  const len = length3(g.x, g.y, g.z) || 1;
+  return { x: g.x / len, y: g.y / len, z: g.z / len };
+};
+
+/**
+ * Lipschitz constant of the Lamé field ||p||ₙ − R (see lameGradient).
+ */
+export const lameLipschitz = (n) => (isChebyshev(n) || n >= 2 ? 1 : Math.pow(3, 1 / n - 0.5));
+
+// Exact SDF of the cube max(|x|, |y|, |z|) = R.
+const boxDistance = (x, y, z, R) => {
+  const qx = Math.abs(x) - R;
+  const qy = Math.abs(y) - R;
+  const qz = Math.abs(z) - R;
+  const outside = length3(Math.max(qx, 0), Math.max(qy, 0), Math.max(qz, 0));
+  return outside + Math.min(Math.max(qx, qy, qz), 0);
+};
+
+// Exact SDF of the octahedron |x| + |y| + |z| = R: faces, then edges.
+const octahedronDistance = (x, y, z, R) => {
+  const p = [Math.abs(x), Math.abs(y), Math.abs(z)];
+  const m = p[0] + p[1] + p[2] - R;
+
+  let q;
+  if (3 * p[0] < m) q = [p[0], p[1], p[2]];
+  else if (3 * p[1] < m) q = [p[1], p[2], p[0]];
+  else if (3 * p[2] < m) q = [p[2], p[0], p[1]];
+  else return m * INV_SQRT3;
+
+  const k = Math.max(0, Math.min(R, 0.5 * (q[2] - q[1] + R)));
+  return length3(q[0], q[1] - R + k, q[2] - k);
+};
+
+/**
+ * Cheap signed distance bound: never overestimates |distance|, and exact for n = 1, 2, ∞.
+ */
+export const lameDistanceBound = (x, y, z, R, n) => {
+  if (isChebyshev(n)) return boxDistance(x, y, z, R);
+  if (n === 2) return length3(x, y, z) - R;
+  if (n === 1) return octahedronDistance(x, y, z, R);
+  return (lameNorm(x, y, z, n) - R) / lameLipschitz(n);
+};
+
+// Radial projection onto the surface (the point with Xi = 1 along the ray through q).
+const radialProject = (q, R, n) => {
+  const norm = lameNorm(q[0], q[1], q[2], n);
+  return norm > 0 ? q.map((c) => (c * R) / norm) : [R, 0, 0];
+};
+
+const distance2 = (a, b) => (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
+
+// Projected descent of |p − s|² over a star-shaped surface from `start`: step along the
+// tangential part of p − s, re-project radially with `project`, halve the step whenever
+// it does not improve. `size` sets the convergence scale.
+const descendToSurface = (p, start, project, normalAt, size) => {
+  let s = start;
+  let best = distance2(p, s);
+  let step = 1;
+
+  for (let iter = 0; iter < CLOSEST_POINT_ITERATIONS && step > 1e-6; iter++) {
+    const nu = normalAt(s);
+    const d = [p[0] - s[0], p[1] - s[1], p[2] - s[2]];
+    const along = d[0] * nu.x + d[1] * nu.y + d[2] * nu.z;
+    const t = [d[0] - along * nu.x, d[1] - along * nu.y, d[2] - along * nu.z];
+    if (length3(t[0], t[1], t[2]) < 1e-12 * size) break;
+
+    const candidate = project([s[0] + step * t[0], s[1] + step * t[1], s[2] + step * t[2]]);
+    const dist = distance2(p, candidate);
+    if (dist < best) {
+      s = candidate;
+      best = dist;
+      step = Math.min(1, step * 2);
+    } else {
+      step *= 0.5;
+    }
+  }
+
+  return { point: s, dist2: best };
+};
+
+/**
+ * Closest point of the Lamé surface to (x, y, z). Starts from the radial projection and
+ * from the face centres on p's side, so points deep inside find their nearest face.
+ */
+export const lameClosestPoint = (x, y, z, R, n) => {
+  const p = [x, y, z];
+  const starts = [radialProject(p, R, n)];
+  p.forEach((c, axis) => {
+    const face = [0, 0, 0];
+    face[axis] = (c < 0 ? -1 : 1) * R;
+    starts.push(face);
+  });
+
+  const project = (q) => radialProject(q, R, n);
+  const normalAt = (q) => lameNormal(q[0], q[1], q[2], n);
+  let best = null;
+  starts.forEach((start) => {
+    const candidate = descendToSurface(p, start, project, normalAt, R);
+    if (!best || candidate.dist2 < best.dist2) best = candidate;
+  });
+
+  const [sx, sy, sz] = best.point;
+  return { x: sx, y: sy, z: sz };
+};
+
+/**
+ * Euclidean signed distance to the surface Xi = 1 (negative inside).
+ */
+export const lameDistance = (x, y, z, R, n) => {
+  if (isChebyshev(n) || n === 2 || n === 1) return lameDistanceBound(x, y, z, R, n);
+  const s = lameClosestPoint(x, y, z, R, n);
+  const d = length3(x - s.x, y - s.y, z - s.z);
+  return lameNorm(x, y, z, n) < R ? -d : d;
+};
+
+// A uniform shape is the kernel (R, n) = (a, 2 / ε).
+const uniformOrder = (shape) => 2 / shape.e1;
+
+/**
+ * Distance bound for a superellipsoid (see superellipsoid.js): exact where
+ * lameDistanceBound is, superField / Lipschitz otherwise.
+ */
+export const superDistanceBound = (x, y, z, shape) => {
+  if (isUniformShape(shape)) return lameDistanceBound(x, y, z, shape.a, uniformOrder(shape));
+  return superField(x, y, z, shape) / shapeLipschitz(shape);
+};
+
+/**
+ * Closest point of a superellipsoid surface, searched from the radial projection and the
+ * local face centres on p's side.
+ */
+export const superClosestPoint = (x, y, z, shape) => {
+  if (isUniformShape(shape)) return lameClosestPoint(x, y, z, shape.a, uniformOrder(shape));
+
+  const p = [x, y, z];
+  const toArray = (v) => [v.x, v.y, v.z];
+  const project = (q) => toArray(projectToSurface(q[0], q[1], q[2], shape));
+  const normalAt = (q) => superNormal(q[0], q[1], q[2], shape);
+
+  const local = toLocal(x, y, z, shape);
+  const starts = [project(p)];
+  [
+    ["x", shape.a],
+    ["y", shape.b],
+    ["z", shape.c],
+  ].forEach(([axis, radius]) => {
+    const face = { x: 0, y: 0, z: 0, [axis]: (local[axis] < 0 ? -1 : 1) * radius };
+    starts.push(toArray(toWorld(face, shape)));
+  });
+
+  let best = null;
+  starts.forEach((start) => {
+    const candidate = descendToSurface(p, start, project, normalAt, Math.min(shape.a, shape.b, shape.c));
+    if (!best || candidate.dist2 < best.dist2) best = candidate;
+  });
+
+  const [sx, sy, sz] = best.point;
+  return { x: sx, y: sy, z: sz };
+};
+
+/**
+ * Euclidean signed distance to a superellipsoid surface (negative inside).
+ */
+export const superDistance = (x, y, z, shape) => {
+  if (isUniformShape(shape)) return lameDistance(x, y, z, shape.a, uniformOrder(shape));
+  const s = superClosestPoint(x, y, z, shape);
+  const d = length3(x - s.x, y - s.y, z - s.z);
+  return shapeNorm(x, y, z, shape) < 1 ? -d : d;
+};
+
+/**
+ * Surface test with a metric tolerance, the same for every n and direction. The bound
+ * rejects most points before the closest-point search runs.
+ */
+export const onSurface = (x, y, z, R, n, tolerance = SURFACE_TOLERANCE) =>
+  Math.abs(lameDistanceBound(x, y, z, R, n)) < tolerance && Math.abs(lameDistance(x, y, z, R, n)) < tolerance;
+
+/**
+ * Central-difference gradient of a scalar field (not normalized).
+ */
+export const distanceGradient = (field, x, y, z, h = 1e-4) => ({
+  x: (field(x + h, y, z) - field(x - h, y, z)) / (2 * h),
+  y: (field(x, y + h, z) - field(x, y - h, z)) / (2 * h),
+  z: (field(x, y, z + h) - field(x, y, z - h)) / (2 * h),
+});
+
+// Directions probed to bound a radial model's slope and radii.
+const SLOPE_SAMPLES_THETA = 64;
+const SLOPE_SAMPLES_PHI = 32;
+
+// Every boundary radius of a model along (theta, phi), with entry = 0 skipped.
+const boundaryRadii = (model, theta, phi) =>
+  reconstructLayers(model, theta, phi).flatMap(({ entry, exit }) => (entry > 0 ? [entry, exit] : [exit]));
+
+/**
+ * Lipschitz normalisation of a radial model: the smallest and largest boundary radius and
+ * the largest relative slope |∇R| / R over the sphere, estimated on a direction grid.
+ */
+export const radialBounds = (model) => {
+  const dTheta = TAU / SLOPE_SAMPLES_THETA;
+  const dPhi = Math.PI / SLOPE_SAMPLES_PHI;
+  let rMin = Infinity;
+  let rMax = 0;
+  let slope = 0;
+
+  for (let i = 0; i < SLOPE_SAMPLES_THETA; i++) {
+    for (let j = 0; j < SLOPE_SAMPLES_PHI; j++) {
+      const theta = (i + 0.5) * dTheta;
+      const phi = (j + 0.5) * dPhi;
+      const here = boundaryRadii(model, theta, phi);
+      const east = boundaryRadii(model, ((i + 1.5) % SLOPE_SAMPLES_THETA) * dTheta, phi);
+      const south = boundaryRadii(model, theta, Math.min(Math.PI, phi + dPhi));
+
+      here.forEach((r, k) => {
+        rMin = Math.min(rMin, r);
+        rMax = Math.max(rMax, r);
+        if (east.length !== here.length || south.length !== here.length) return;
+        const gTheta = (east[k] - r) / (dTheta * Math.sin(phi));
+        const gPhi = (south[k] - r) / dPhi;
+        slope = Math.max(slope, Math.sqrt(gTheta * gTheta + gPhi * gPhi) / r);
+      });
+    }
+  }
+
+  return { rMin: Number.isFinite(rMin) ? rMin : 1, rMax, slope };
+};
+
+/**
+ * Distance field of a reconstruction model (see reconstructR):
+ *   { distance, bound, gradient, normal, lipschitz, exact }
+ * Primitives get the exact Lamé / superellipsoid distance. Radial models get r/B(θ, φ) − 1 per boundary B,
+ * scaled by rMin / √(1 + slope²) so it never overestimates; that bound is their distance.
+ * Pass precomputed radialBounds(model) to skip the direction sweep.
+ */
+export const createDistanceField = (model, bounds) => {
+  if (model.mode === "primitive") {
+    const shape = primitiveShape(model);
+    const normal = (x, y, z) => {
+      const s = superClosestPoint(x, y, z, shape);
+      return superNormal(s.x, s.y, s.z, shape);
+    };
+    return {
+      distance: (x, y, z) => superDistance(x, y, z, shape),
+      bound: (x, y, z) => superDistanceBound(x, y, z, shape),
+      gradient: normal,
+      normal,
+      lipschitz: 1,
+      exact: true,
+    };
+  }
+
+  const { rMin, slope } = bounds || radialBounds(model);
+  const scale = rMin / Math.sqrt(1 + slope * slope);
+
+  const bound = (x, y, z) => {
+    const r = length3(x, y, z);
+    let theta = Math.atan2(y, x);
+    if (theta < 0) theta += TAU;
+    const phi = r < 1e-12 ? 0 : Math.acos(Math.max(-1, Math.min(1, z / r)));
+
+    let f = Infinity;
+    reconstructLayers(model, theta, phi).forEach(({ entry, exit }) => {
+      const inner = entry > 0 ? 1 - r / entry : -Infinity;
+      f = Math.min(f, Math.max(inner, r / exit - 1));
+    });
+    return f * scale;
+  };
+
+  const gradient = (x, y, z) => distanceGradient(bound, x, y, z);
+
+  return {
+    distance: bound,
+    bound,
+    gradient,
+    normal: (x, y, z) => {
+      const g = gradient(x, y, z);
+      const len = length3(g.x, g.y, g.z) || 1;
+      return { x: g.x / len, y: g.y / len, z: g.z / len };
+    },
+    lipschitz: 1,
+    exact: false,
+  };
+};
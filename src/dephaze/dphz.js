@@ -0,0 +1,469 @@
+import { PHI3 } from "./kernel.js";
+import { layerCount } from "./layers.js";
+import { primitiveShape, hasTransform } from "./superellipsoid.js";
+import { isLeaf, treeNodeCount, validateTree } from "./csg.js";
+import { QUANT_MODES, encodeQuantizedPayload, decodeQuantizedPayload } from "./quantize.js";
+import { adaptiveLeaves, adaptiveNodeCount, packAdaptiveTree, unpackAdaptiveTree } from "./quadtree.js";
+import { INTERPOLATION_METHODS } from "./interpolation.js";
+
+// === .dphz CONTAINER (version 1, little-endian) ===
+//
+// Header (16 bytes):
+//   0  char[4]  magic "DPHZ"
+//   4  u8       version
+//   5  u8       mode (0 = primitive, 1 = spatial, 2 = fourier, 3 = layered, 4 = harmonic,
+//               5 = composite, 6 = adaptive), + 0x80 for a hybrid spatial / fourier /
+//               harmonic map, + 0x40 for a quantized one, + 16 × the interpolation of a
+//               spatial map (0 = nearest, 1 = bilinear, 2 = bicubic, 3 = spherical)
+//   6  u16      N, phase resolution (root grid of an adaptive map; 0 for primitive and
+//               composite)
+//   8  f32      warp exponent
+//   12 u32      entry count (N² cells, K coefficients, L intervals, primitive parameters,
+//               composite tree nodes, adaptive leaves)
+//
+// Payload:
+//   primitive  count 0: f64 R, f64 n
+//              count 5: f64 a, b, c, ε1, ε2
+//              count 11: the above, then f64 rotation x, y, z, translation x, y, z
+//   hybrid     f64 base R, f64 base n, then the spatial / fourier / harmonic payload,
+//              whose values are residuals against the base (see kernel.js)
+//   quantized  u8 bits, f64 min | DC | c₀₀, f64 step, then a range-coded stream of the
+//              integer levels and packed indices in place of the f32 payload (see
+//              quantize.js)
+//   spatial    f32 Rw × N², theta-major (cell [i][j] at i * N + j)
+//   fourier    f64 DC, then K × (i16 kx, i16 ky, f32 re, f32 im)
+//   layered    u8 interval count × N² (theta-major), then L × (f32 entry, f32 exit)
+//   harmonic   f64 c₀₀, then K × (u16 l, i16 m, f32 value); N is the source grid
+//   adaptive   quadtree structure, one bit per node depth first over the N² root cells
+//              (1 = split, 0 = leaf), ⌈nodes / 8⌉ bytes, then f32 Rw per leaf in the
+//              same order (see quadtree.js)
+//   composite  scene tree nodes depth first (see csg.js), each starting with a u8 tag:
+//              operator  tag 0–3 (union, intersection, subtraction, blend),
+//                        u8 child count, f32 blend radius k
+//              primitive tag 16 + f64 R, n | tag 17 + 5 × f64 | tag 18 + 11 × f64,
+//                        the parameters of the primitive payload above
+
+export const DPHZ_MAGIC = "DPHZ";
+export const DPHZ_VERSION = 1;
+export const DPHZ_HEADER_BYTES = 16;
+export const DPHZ_MIME = "application/x-dephaze";
+
+const MODE_CODES = { primitive: 0, spatial: 1, fourier: 2, layered: 3, harmonic: 4, composite: 5, adaptive: 6 };
+const MODE_NAMES = ["primitive", "spatial", "fourier", "layered", "harmonic", "composite", "adaptive"];
+
+const HYBRID_FLAG = 0x80;
+const HYBRID_MODES = ["spatial", "fourier", "harmonic"];
+const QUANTIZED_FLAG = 0x40;
+const MODE_MASK = 0x0f;
+const INTERPOLATION_SHIFT = 4;
+
+const OPERATOR_TAGS = ["union", "intersection", "subtraction", "blend"];
+const KERNEL_TAG = 16;
+const TAG_BYTES = 1;
+const OPERATOR_BYTES = 6;
+
+const PRIMITIVE_PAYLOAD_BYTES = 16;
+const BASE_BYTES = 16;
+const SHAPE_PARAMS = 5;
+const TRANSFORM_PARAMS = 6;
+const PARAM_BYTES = 8;
+const CELL_BYTES = 4;
+const DC_BYTES = 8;
+const COEFF_BYTES = 12;
+const LAYER_COUNT_BYTES = 1;
+const INTERVAL_BYTES = 8;
+const SH_COEFF_BYTES = 8;
+
+// Per-axis primitive parameters in payload order (see superellipsoid.js).
+const shapeParams = (model) => {
+  const shape = primitiveShape(model);
+  const params = [shape.a, shape.b, shape.c, shape.e1, shape.e2];
+  if (hasTransform(shape)) {
+    const { rotation: r, translation: t } = shape;
+    params.push(r.x, r.y, r.z, t.x, t.y, t.z);
+  }
+  return params;
+};
+
+// Parameters stored for one primitive: (R, n) for the kernel form, else shapeParams.
+const primitiveParams = (model) => (model.a === undefined ? [model.R, model.n] : shapeParams(model));
+
+const primitiveTag = (model) => {
+  if (model.a === undefined) return KERNEL_TAG;
+  return KERNEL_TAG + (hasTransform(primitiveShape(model)) ? 2 : 1);
+};
+
+const nodeByteLength = (node) =>
+  isLeaf(node)
+    ? TAG_BYTES + primitiveParams(node).length * PARAM_BYTES
+    : OPERATOR_BYTES + node.children.reduce((sum, child) => sum + nodeByteLength(child), 0);
+
+const entryCount = (model) => {
+  if (model.mode === "primitive") return model.a === undefined ? 0 : shapeParams(model).length;
+  if (model.mode === "composite") return treeNodeCount(model.root);
+  if (model.mode === "spatial") return model.phaseMap.length * model.phaseMap.length;
+  if (model.mode === "fourier") return model.fourierData.coefficients.length;
+  if (model.mode === "layered") return layerCount(model.layeredMap);
+  if (model.mode === "harmonic") return model.shData.coefficients.length;
+  if (model.mode === "adaptive") return adaptiveLeaves(model.adaptiveMap).length;
+  return 0;
+};
+
+// Bytes of the structure bits of an adaptive map with `leaves` leaves on an N² root grid.
+const structureBytes = (N, leaves) => Math.ceil(adaptiveNodeCount(N, leaves) / 8);
+
+// Byte length without the hybrid base.
+const unbasedByteLength = (model) => {
+  if (model.mode === "primitive") {
+    return DPHZ_HEADER_BYTES + (model.a === undefined ? PRIMITIVE_PAYLOAD_BYTES : entryCount(model) * PARAM_BYTES);
+  }
+  if (model.mode === "composite") return DPHZ_HEADER_BYTES + nodeByteLength(model.root);
+  if (model.mode === "spatial") return DPHZ_HEADER_BYTES + entryCount(model) * CELL_BYTES;
+  if (model.mode === "layered") {
+    const N = model.layeredMap.length;
+    return DPHZ_HEADER_BYTES + N * N * LAYER_COUNT_BYTES + entryCount(model) * INTERVAL_BYTES;
+  }
+  if (model.mode === "harmonic") return DPHZ_HEADER_BYTES + DC_BYTES + entryCount(model) * SH_COEFF_BYTES;
+  if (model.mode === "adaptive") {
+    const leaves = entryCount(model);
+    return DPHZ_HEADER_BYTES + structureBytes(model.adaptiveMap.root, leaves) + leaves * CELL_BYTES;
+  }
+  return DPHZ_HEADER_BYTES + DC_BYTES + entryCount(model) * COEFF_BYTES;
+};
+
+/**
+ * Exact byte length of the .dphz encoding of `model`. Only a quantized model's payload
+ * is encoded to measure it: the range-coded length depends on the values.
+ */
+export const dphzByteLength = (model) => {
+  const baseBytes = model.base ? BASE_BYTES : 0;
+  if (model.quantization) return DPHZ_HEADER_BYTES + baseBytes + encodeQuantizedPayload(model).length;
+  return baseBytes + unbasedByteLength(model);
+};
+
+// Write a scene tree depth first; returns the offset after it.
+const writeNode = (view, offset, node) => {
+  if (isLeaf(node)) {
+    view.setUint8(offset, primitiveTag(node));
+    offset += TAG_BYTES;
+    primitiveParams(node).forEach((value) => {
+      view.setFloat64(offset, value, true);
+      offset += PARAM_BYTES;
+    });
+    return offset;
+  }
+  if (node.children.length > 0xff) throw new Error("Too many children in one .dphz composite node");
+  view.setUint8(offset, OPERATOR_TAGS.indexOf(node.op));
+  view.setUint8(offset + 1, node.children.length);
+  view.setFloat32(offset + 2, node.k ?? 0, true);
+  return node.children.reduce((next, child) => writeNode(view, next, child), offset + OPERATOR_BYTES);
+};
+
+// Read one scene tree node at state.offset, advancing it.
+const readNode = (view, state) => {
+  const need = (bytes) => {
+    if (state.offset + bytes > view.byteLength) throw new Error("Truncated .dphz payload");
+  };
+  need(TAG_BYTES);
+  const tag = view.getUint8(state.offset);
+
+  if (tag >= KERNEL_TAG) {
+    const count = [2, SHAPE_PARAMS, SHAPE_PARAMS + TRANSFORM_PARAMS][tag - KERNEL_TAG];
+    if (count === undefined) throw new Error(`Unknown .dphz composite tag ${tag}`);
+    need(TAG_BYTES + count * PARAM_BYTES);
+    const p = Array.from({ length: count }, (_, k) => view.getFloat64(state.offset + TAG_BYTES + k * PARAM_BYTES, true));
+    state.offset += TAG_BYTES + count * PARAM_BYTES;
+    if (tag === KERNEL_TAG) return { mode: "primitive", R: p[0], n: p[1] };
+    const leaf = { mode: "primitive", a: p[0], b: p[1], c: p[2], e1: p[3], e2: p[4] };
+    if (count > SHAPE_PARAMS) {
+      leaf.rotation = { x: p[5], y: p[6], z: p[7] };
+      leaf.translation = { x: p[8], y: p[9], z: p[10] };
+    }
+    return leaf;
+  }
+
+  const op = OPERATOR_TAGS[tag];
+  if (!op) throw new Error(`Unknown .dphz composite tag ${tag}`);
+  need(OPERATOR_BYTES);
+  const childCount = view.getUint8(state.offset + 1);
+  const k = view.getFloat32(state.offset + 2, true);
+  state.offset += OPERATOR_BYTES;
+  const node = { op, children: Array.from({ length: childCount }, () => readNode(view, state)) };
+  if (op === "blend") node.k = k;
+  return node;
+};
+
+/**
+ * Serialize a primitive, composite or phase-map model into a .dphz byte array.
+ */
+export const encodeDphz = (model) => {
+  const mode = MODE_CODES[model.mode];
+  if (mode === undefined) throw new Error(`Unknown Dephaze mode: ${model.mode}`);
+  if (model.mode === "composite") validateTree(model.root);
+  if (model.base && !HYBRID_MODES.includes(model.mode)) throw new Error(`A ${model.mode} model cannot have a hybrid base`);
+  if (model.quantization && !QUANT_MODES.includes(model.mode)) throw new Error(`A ${model.mode} model cannot be quantized`);
+
+  const resolutions = {
+    spatial: () => model.phaseMap.length,
+    fourier: () => model.fourierData.N,
+    layered: () => model.layeredMap.length,
+    harmonic: () => model.shData.N,
+    adaptive: () => model.adaptiveMap.root,
+  };
+  const N = resolutions[model.mode] ? resolutions[model.mode]() : 0;
+  if (N > 0xffff) throw new Error(`Phase resolution ${N} does not fit the .dphz header`);
+  const interpolation = model.mode === "spatial" ? INTERPOLATION_METHODS.indexOf(model.interpolation ?? "nearest") : 0;
+  if (interpolation < 0) throw new Error(`Unknown interpolation: ${model.interpolation}`);
+
+  const payload = model.quantization ? encodeQuantizedPayload(model) : null;
+  const bytes = new Uint8Array(
+    payload ? DPHZ_HEADER_BYTES + (model.base ? BASE_BYTES : 0) + payload.length : dphzByteLength(model)
+  );
+  const view = new DataView(bytes.buffer);
+
+  for (let i = 0; i < 4; i++) bytes[i] = DPHZ_MAGIC.charCodeAt(i);
+  view.setUint8(4, DPHZ_VERSION);
+  view.setUint8(
+    5,
+    mode | (model.base ? HYBRID_FLAG : 0) | (payload ? QUANTIZED_FLAG : 0) | (interpolation << INTERPOLATION_SHIFT)
+  );
+  view.setUint16(6, N, true);
+  view.setFloat32(8, model.warpExponent ?? PHI3, true);
+  view.setUint32(12, entryCount(model), true);
+
+  let offset = DPHZ_HEADER_BYTES;
+  if (model.base) {
+    view.setFloat64(offset, model.base.R, true);
+    view.setFloat64(offset + 8, model.base.n, true);
+    offset += BASE_BYTES;
+  }
+
+  if (payload) {
+    bytes.set(payload, offset);
+  } else if (model.mode === "composite") {
+    writeNode(view, offset, model.root);
+  } else if (model.mode === "primitive" && model.a !== undefined) {
+    shapeParams(model).forEach((value, k) => view.setFloat64(offset + k * PARAM_BYTES, value, true));
+  } else if (model.mode === "primitive") {
+    view.setFloat64(offset, model.R, true);
+    view.setFloat64(offset + 8, model.n, true);
+  } else if (model.mode === "spatial") {
+    model.phaseMap.forEach((row) =>
+      row.forEach((cell) => {
+        view.setFloat32(offset, cell.Rw, true);
+        offset += CELL_BYTES;
+      })
+    );
+  } else if (model.mode === "layered") {
+    const cells = model.layeredMap.flat();
+    cells.forEach((cell) => {
+      if (cell.layers.length > 0xff) throw new Error("Too many layers in one .dphz cell");
+      view.setUint8(offset, cell.layers.length);
+      offset += LAYER_COUNT_BYTES;
+    });
+    cells.forEach((cell) =>
+      cell.layers.forEach((l) => {
+        view.setFloat32(offset, l.entry, true);
+        view.setFloat32(offset + 4, l.exit, true);
+        offset += INTERVAL_BYTES;
+      })
+    );
+  } else if (model.mode === "adaptive") {
+    const { structure, values } = packAdaptiveTree(model.adaptiveMap);
+    bytes.set(structure, offset);
+    offset += structure.length;
+    values.forEach((Rw) => {
+      view.setFloat32(offset, Rw, true);
+      offset += CELL_BYTES;
+    });
+  } else if (model.mode === "harmonic") {
+    view.setFloat64(offset, model.shData.dc, true);
+    offset += DC_BYTES;
+    model.shData.coefficients.forEach((c) => {
+      view.setUint16(offset, c.l, true);
+      view.setInt16(offset + 2, c.m, true);
+      view.setFloat32(offset + 4, c.value, true);
+      offset += SH_COEFF_BYTES;
+    });
+  } else {
+    view.setFloat64(offset, model.fourierData.dc, true);
+    offset += DC_BYTES;
+    model.fourierData.coefficients.forEach((c) => {
+      view.setInt16(offset, c.kx, true);
+      view.setInt16(offset + 2, c.ky, true);
+      view.setFloat32(offset + 4, c.real, true);
+      view.setFloat32(offset + 8, c.imag, true);
+      offset += COEFF_BYTES;
+    });
+  }
+
+  return bytes;
+};
+
+/**
+ * Parse a .dphz ArrayBuffer / typed array back into a model usable by reconstructR.
+ */
+export const decodeDphz = (input) => {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  if (bytes.byteLength < DPHZ_HEADER_BYTES) throw new Error("Truncated .dphz header");
+
+  const magic = String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]);
+  if (magic !== DPHZ_MAGIC) throw new Error("Not a .dphz file (bad magic)");
+
+  const version = view.getUint8(4);
+  if (version !== DPHZ_VERSION) throw new Error(`Unsupported .dphz version ${version}`);
+
+  const hybrid = (view.getUint8(5) & HYBRID_FLAG) !== 0;
+  const quantized = (view.getUint8(5) & QUANTIZED_FLAG) !== 0;
+  const mode = MODE_NAMES[view.getUint8(5) & MODE_MASK];
+  const interpolation = (view.getUint8(5) & ~(HYBRID_FLAG | QUANTIZED_FLAG)) >> INTERPOLATION_SHIFT;
+  if (
+    !mode ||
+    (hybrid && !HYBRID_MODES.includes(mode)) ||
+    (quantized && !QUANT_MODES.includes(mode)) ||
+    (interpolation > 0 && mode !== "spatial")
+  ) {
+    throw new Error(`Unknown .dphz mode ${view.getUint8(5)}`);
+  }
+
+  const N = view.getUint16(6, true);
+  const warpExponent = view.getFloat32(8, true);
+  const count = view.getUint32(12, true);
+
+  const model = { mode, warpExponent };
+  if (mode === "spatial") model.interpolation = INTERPOLATION_METHODS[interpolation];
+  if (mode === "spatial" && count !== N * N) throw new Error(`Spatial .dphz expects ${N * N} cells, found ${count}`);
+  if (mode === "adaptive" && (N === 0 || count < N * N || (count - N * N) % 3 !== 0)) {
+    throw new Error(`Adaptive .dphz cannot have ${count} leaves on a ${N}² root grid`);
+  }
+  if (mode === "primitive" && count > 0) {
+    if (count !== SHAPE_PARAMS && count !== SHAPE_PARAMS + TRANSFORM_PARAMS) {
+      throw new Error(`Primitive .dphz expects ${SHAPE_PARAMS} or ${SHAPE_PARAMS + TRANSFORM_PARAMS} parameters, found ${count}`);
+    }
+    if (bytes.byteLength < DPHZ_HEADER_BYTES + count * PARAM_BYTES) throw new Error("Truncated .dphz payload");
+    const p = Array.from({ length: count }, (_, k) => view.getFloat64(DPHZ_HEADER_BYTES + k * PARAM_BYTES, true));
+    [model.a, model.b, model.c, model.e1, model.e2] = p;
+    if (count > SHAPE_PARAMS) {
+      model.rotation = { x: p[5], y: p[6], z: p[7] };
+      model.translation = { x: p[8], y: p[9], z: p[10] };
+    }
+    return model;
+  }
+  if (mode === "composite") {
+    const state = { offset: DPHZ_HEADER_BYTES };
+    model.root = readNode(view, state);
+    validateTree(model.root);
+    if (treeNodeCount(model.root) !== count) throw new Error(`Composite .dphz expects ${count} nodes, found ${treeNodeCount(model.root)}`);
+    return model;
+  }
+  if (mode === "primitive") {
+    if (bytes.byteLength < DPHZ_HEADER_BYTES + PRIMITIVE_PAYLOAD_BYTES) throw new Error("Truncated .dphz payload");
+    model.R = view.getFloat64(DPHZ_HEADER_BYTES, true);
+    model.n = view.getFloat64(DPHZ_HEADER_BYTES + 8, true);
+    return model;
+  }
+
+  const payloadBytes = {
+    spatial: count * CELL_BYTES,
+    fourier: DC_BYTES + count * COEFF_BYTES,
+    layered: N * N * LAYER_COUNT_BYTES + count * INTERVAL_BYTES,
+    harmonic: DC_BYTES + count * SH_COEFF_BYTES,
+    adaptive: mode === "adaptive" ? structureBytes(N, count) + count * CELL_BYTES : 0,
+  };
+  const baseBytes = hybrid ? BASE_BYTES : 0;
+  if (bytes.byteLength < DPHZ_HEADER_BYTES + baseBytes + (quantized ? 0 : payloadBytes[mode])) {
+    throw new Error("Truncated .dphz payload");
+  }
+
+  let offset = DPHZ_HEADER_BYTES;
+  if (hybrid) {
+    model.base = { R: view.getFloat64(offset, true), n: view.getFloat64(offset + 8, true) };
+    offset += BASE_BYTES;
+  }
+
+  if (quantized) return Object.assign(model, decodeQuantizedPayload(mode, bytes.subarray(offset), N, count));
+
+  if (mode === "layered") {
+    const counts = bytes.subarray(offset, offset + N * N);
+    if (counts.reduce((sum, c) => sum + c, 0) !== count) throw new Error("Layered .dphz interval count mismatch");
+    offset += N * N * LAYER_COUNT_BYTES;
+
+    model.layeredMap = Array(N)
+      .fill(null)
+      .map((_, i) =>
+        Array(N)
+          .fill(null)
+          .map((__, j) => {
+            const layers = [];
+            for (let k = 0; k < counts[i * N + j]; k++) {
+              layers.push({ entry: view.getFloat32(offset, true), exit: view.getFloat32(offset + 4, true) });
+              offset += INTERVAL_BYTES;
+            }
+            return { layers, count: 1 };
+          })
+      );
+    return model;
+  }
+
+  if (mode === "adaptive") {
+    const structure = bytes.subarray(offset, offset + structureBytes(N, count));
+    offset += structure.length;
+    const values = Array.from({ length: count }, (_, k) => view.getFloat32(offset + k * CELL_BYTES, true));
+    model.adaptiveMap = unpackAdaptiveTree(N, structure, values);
+    return model;
+  }
+
+  if (mode === "spatial") {
+    model.phaseMap = Array(N)
+      .fill(null)
+      .map(() =>
+        Array(N)
+          .fill(null)
+          .map(() => {
+            const cell = { Rw: view.getFloat32(offset, true), count: 1 };
+            offset += CELL_BYTES;
+            return cell;
+          })
+      );
+    return model;
+  }
+
+  const dc = view.getFloat64(offset, true);
+  offset += DC_BYTES;
+
+  if (mode === "harmonic") {
+    const coefficients = [];
+    for (let k = 0; k < count; k++) {
+      const value = view.getFloat32(offset + 4, true);
+      coefficients.push({
+        l: view.getUint16(offset, true),
+        m: view.getInt16(offset + 2, true),
+        value,
+        energy: value * value,
+      });
+      offset += SH_COEFF_BYTES;
+    }
+    const L = coefficients.reduce((max, c) => Math.max(max, c.l), 0);
+    model.shData = { coefficients, dc, L, N, totalCoeffs: count };
+    return model;
+  }
+
+  const coefficients = [];
+  for (let k = 0; k < count; k++) {
+    const real = view.getFloat32(offset + 4, true);
+    const imag = view.getFloat32(offset + 8, true);
+    coefficients.push({
+      kx: view.getInt16(offset, true),
+      ky: view.getInt16(offset + 2, true),
+      real,
+      imag,
+      amplitude: Math.sqrt(real * real + imag * imag),
+    });
+    offset += COEFF_BYTES;
+  }
+
+  model.fourierData = { coefficients, dc, N, totalCoeffs: count };
+  return model;
+};
@@ -0,0 +1,230 @@
+import { TAU, direction } from "./kernel.js";
+import { buildPhaseMap } from "./phaseMap.js";
+import { createSurfaceSampler } from "./reconstruct.js";
+import { FILL_METHODS, INTERPOLATION_METHODS } from "./interpolation.js";
+
+// === ERROR METRICS (held-out and ground truth) ===
+// Ξ Stability is measured on the points that built the map, so it cannot show
+// overfitting. These metrics score a reconstruction on points it has not seen: a
+// held-out split of the scan, and for synthetic meshes the analytic surface itself.
+// Distances are in phase-space units (imported scans are normalised to mean R = 2).
+//
+// `surfaces(theta, phi)` returns every reconstructed surface radius along a direction
+// (see createSurfaceSampler), so layered models are scored by their nearest layer.
+
+// Share of the scan held out of the phase map for validation.
+export const DEFAULT_HOLDOUT = 0.2;
+
+// Directions sampled on each surface for Hausdorff / Chamfer; larger point sets are
+// strided down to this count.
+export const SURFACE_SAMPLES = 2000;
+
+// Halvings of the direction step when refining a point-to-surface distance.
+export const REFINE_STEPS = 8;
+
+const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+
+/**
+ * Split scan points into { train, test }, each point going to test with probability
+ * `holdout`.
+ */
+export const splitScan = (points, holdout = DEFAULT_HOLDOUT, random = Math.random) => {
+  const train = [];
+  const test = [];
+  points.forEach((p) => (random() < holdout ? test : train).push(p));
+  return { train, test };
+};
+
+/**
+ * `count` near-uniform directions { theta, phi } on the sphere (Fibonacci lattice).
+ */
+export const fibonacciDirections = (count) =>
+  Array.from({ length: count }, (_, k) => {
+    const phi = Math.acos(1 - (2 * (k + 0.5)) / count);
+    const theta = (((k * GOLDEN_ANGLE) % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+    return { theta, phi };
+  });
+
+/**
+ * Radial error of the nearest reconstructed surface at each sample { theta, phi, R }:
+ * { count, rmse, maxError, meanError, relativeError } with relativeError the mean of
+ * |error| / R.
+ */
+export const radialErrorStats = (samples, surfaces) => {
+  if (samples.length === 0) return { count: 0, rmse: 0, maxError: 0, meanError: 0, relativeError: 0 };
+
+  let sumSq = 0;
+  let sumAbs = 0;
+  let sumRel = 0;
+  let maxError = 0;
+  samples.forEach((s) => {
+    const error = Math.min(...surfaces(s.theta, s.phi).map((r) => Math.abs(r - s.R)));
+    sumSq += error * error;
+    sumAbs += error;
+    sumRel += error / s.R;
+    maxError = Math.max(maxError, error);
+  });
+
+  return {
+    count: samples.length,
+    rmse: Math.sqrt(sumSq / samples.length),
+    maxError,
+    meanError: sumAbs / samples.length,
+    relativeError: sumRel / samples.length,
+  };
+};
+
+/**
+ * Points { x, y, z, theta, phi } on every reconstructed surface along the given directions.
+ */
+export const surfacePoints = (surfaces, directions) =>
+  directions.flatMap(({ theta, phi }) => {
+    const u = direction(theta, phi);
+    return surfaces(theta, phi).map((r) => ({ x: r * u.x, y: r * u.y, z: r * u.z, theta, phi }));
+  });
+
+const strided = (points, limit) => {
+  const stride = Math.max(1, Math.ceil(points.length / limit));
+  return points.filter((_, i) => i % stride === 0);
+};
+
+/**
+ * Distance from each point of `from` to its nearest point of `to` (brute force).
+ */
+export const nearestDistances = (from, to) =>
+  from.map((a) => {
+    let best = Infinity;
+    to.forEach((b) => {
+      const dx = a.x - b.x;
+      const dy = a.y - b.y;
+      const dz = a.z - b.z;
+      best = Math.min(best, dx * dx + dy * dy + dz * dz);
+    });
+    return Math.sqrt(best);
+  });
+
+// (theta, phi) with phi reflected back into [0, π] over the pole and theta wrapped into [0, 2π).
+const overPole = (theta, phi) => {
+  if (phi < 0) return overPole(theta + Math.PI, -phi);
+  if (phi > Math.PI) return overPole(theta + Math.PI, 2 * Math.PI - phi);
+  return { theta: ((theta % TAU) + TAU) % TAU, phi };
+};
+
+/**
+ * Distance from each point { x, y, z } to the nearest reconstructed surface. The search
+ * starts at the nearest of `samples` (surfacePoints, `spacing` radians apart) and moves
+ * to the best of the eight neighbouring directions (continuing over the poles) while that
+ * is closer, halving the step REFINE_STEPS times, so the result does not depend on how
+ * dense the samples are.
+ */
+export const surfaceDistances = (points, surfaces, samples, spacing) =>
+  points.map((p) => {
+    const distanceAlong = (theta, phi) => {
+      const u = direction(theta, phi);
+      return Math.min(...surfaces(theta, phi).map((r) => Math.hypot(p.x - r * u.x, p.y - r * u.y, p.z - r * u.z)));
+    };
+
+    let best = samples.reduce((nearest, s) => {
+      const distance = Math.hypot(p.x - s.x, p.y - s.y, p.z - s.z);
+      return distance < nearest.distance ? { theta: s.theta, phi: s.phi, distance } : nearest;
+    }, { distance: Infinity });
+
+    let step = spacing;
+    for (let k = 0; k <= REFINE_STEPS; k++, step /= 2) {
+      let moved = true;
+      while (moved) {
+        moved = false;
+        const dTheta = step / Math.max(Math.sin(best.phi), step);
+        const { theta, phi } = best;
+        [-1, 0, 1].forEach((a) =>
+          [-1, 0, 1].forEach((b) => {
+            if (a === 0 && b === 0) return;
+            const { theta: t, phi: f } = overPole(theta + a * dTheta, phi + b * step);
+            const distance = distanceAlong(t, f);
+            if (distance < best.distance) {
+              best = { theta: t, phi: f, distance };
+              moved = true;
+            }
+          })
+        );
+      }
+    }
+    return best.distance;
+  });
+
+/**
+ * Symmetric Hausdorff distance (the larger directed maximum) and Chamfer distance (the
+ * mean of the two directed mean distances) between two point sets.
+ */
+export const hausdorffChamfer = (a, b) => {
+  if (a.length === 0 || b.length === 0) return { hausdorff: 0, chamfer: 0 };
+  const ab = nearestDistances(a, b);
+  const ba = nearestDistances(b, a);
+  const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+  return {
+    hausdorff: Math.max(Math.max(...ab), Math.max(...ba)),
+    chamfer: (mean(ab) + mean(ba)) / 2,
+  };
+};
+
+/**
+ * Score a reconstruction against held-out scan points `test` and, when given, an
+ * analytic ground-truth radius function `truth(theta, phi)`. Returns
+ * { holdout, groundTruth } where each carries the radialErrorStats fields plus
+ * hausdorff and chamfer; groundTruth is null without `truth`, holdout null without
+ * test points.
+ *
+ * The ground-truth distances are symmetric between the two dense surfaces. The test
+ * points are too sparse to stand for a surface, so their hausdorff and chamfer are the
+ * largest and mean distance from each test point to the reconstruction (surfaceDistances).
+ */
+export const evaluateAccuracy = ({ surfaces, test, truth }) => {
+  const directions = fibonacciDirections(SURFACE_SAMPLES);
+  const reconstructed = strided(surfacePoints(surfaces, directions), SURFACE_SAMPLES);
+
+  let holdout = null;
+  if (test.length > 0) {
+    const spacing = Math.sqrt((4 * Math.PI) / directions.length);
+    const distances = surfaceDistances(strided(test, SURFACE_SAMPLES), surfaces, reconstructed, spacing);
+    holdout = {
+      ...radialErrorStats(test, surfaces),
+      hausdorff: Math.max(...distances),
+      chamfer: distances.reduce((sum, d) => sum + d, 0) / distances.length,
+    };
+  }
+
+  let groundTruth = null;
+  if (truth) {
+    const samples = directions.map(({ theta, phi }) => ({ theta, phi, R: truth(theta, phi) }));
+    const exact = surfacePoints((theta, phi) => [truth(theta, phi)], directions);
+    groundTruth = { ...radialErrorStats(samples, surfaces), ...hausdorffChamfer(exact, reconstructed) };
+  }
+
+  return { holdout, groundTruth };
+};
+
+/**
+ * Spatial map of the training `points` under every fill × interpolation combination
+ * (see interpolation.js): rows { fill, interpolation, trainRmse, rmse, truthRmse } with
+ * the radial RMSE on the training points, on the held-out `test` points (null without
+ * any) and against `truth(theta, phi)` (null without it). The first row, neighbors ×
+ * nearest, is the plain cell lookup the other rows improve on.
+ */
+export const compareInterpolation = ({ points, test, truth, phaseResolution, base }) => {
+  const samples = truth
+    ? fibonacciDirections(SURFACE_SAMPLES).map(({ theta, phi }) => ({ theta, phi, R: truth(theta, phi) }))
+    : null;
+  return FILL_METHODS.flatMap((fill) => {
+    const phaseMap = buildPhaseMap(points, phaseResolution, { base, fill });
+    return INTERPOLATION_METHODS.map((interpolation) => {
+      const surfaces = createSurfaceSampler({ mode: "spatial", phaseMap, base, interpolation });
+      return {
+        fill,
+        interpolation,
+        trainRmse: radialErrorStats(points, surfaces).rmse,
+        rmse: test.length > 0 ? radialErrorStats(test, surfaces).rmse : null,
+        truthRmse: samples ? radialErrorStats(samples, surfaces).rmse : null,
+      };
+    });
+  });
+};
@@ -0,0 +1,131 @@
+// === FFT (any length) ===
+// Radix-2 Cooley–Tukey for powers of two, Bluestein's chirp-z for everything else,
+// so phase resolutions like 24 or 40 stay O(N log N).
+
+const isPowerOfTwo = (n) => n > 0 && (n & (n - 1)) === 0;
+
+// In-place iterative radix-2 transform. `inverse` flips the twiddle sign (unscaled).
+const fftRadix2 = (re, im, inverse) => {
+  const n = re.length;
+
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  const sign = inverse ? 1 : -1;
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1;
+    const step = (sign * 2 * Math.PI) / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const wr = Math.cos(step * k);
+        const wi = Math.sin(step * k);
+        const a = start + k;
+        const b = a + half;
+        const tr = re[b] * wr - im[b] * wi;
+        const ti = re[b] * wi + im[b] * wr;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+};
+
+// Bluestein: express an N-point DFT as a power-of-two circular convolution.
+const fftBluestein = (re, im) => {
+  const n = re.length;
+  let m = 1;
+  while (m < 2 * n - 1) m <<= 1;
+
+  const chirpRe = new Float64Array(n);
+  const chirpIm = new Float64Array(n);
+  for (let k = 0; k < n; k++) {
+    // k² mod 2n keeps the angle exact for large k.
+    const angle = (Math.PI * ((k * k) % (2 * n))) / n;
+    chirpRe[k] = Math.cos(angle);
+    chirpIm[k] = -Math.sin(angle);
+  }
+
+  const aRe = new Float64Array(m);
+  const aIm = new Float64Array(m);
+  for (let k = 0; k < n; k++) {
+    aRe[k] = re[k] * chirpRe[k] - im[k] * chirpIm[k];
+    aIm[k] = re[k] * chirpIm[k] + im[k] * chirpRe[k];
+  }
+
+  const bRe = new Float64Array(m);
+  const bIm = new Float64Array(m);
+  bRe[0] = chirpRe[0];
+  bIm[0] = -chirpIm[0];
+  for (let k = 1; k < n; k++) {
+    bRe[k] = bRe[m - k] = chirpRe[k];
+    bIm[k] = bIm[m - k] = -chirpIm[k];
+  }
+
+  fftRadix2(aRe, aIm, false);
+  fftRadix2(bRe, bIm, false);
+  for (let k = 0; k < m; k++) {
+    const r = aRe[k] * bRe[k] - aIm[k] * bIm[k];
+    aIm[k] = aRe[k] * bIm[k] + aIm[k] * bRe[k];
+    aRe[k] = r;
+  }
+  fftRadix2(aRe, aIm, true);
+
+  for (let k = 0; k < n; k++) {
+    const r = aRe[k] / m;
+    const i = aIm[k] / m;
+    re[k] = r * chirpRe[k] - i * chirpIm[k];
+    im[k] = r * chirpIm[k] + i * chirpRe[k];
+  }
+};
+
+/**
+ * In-place forward DFT X[k] = Σ x[n]·e^(−2πikn/N) of any length (unscaled).
+ */
+export const fft = (re, im) => {
+  if (re.length <= 1) return;
+  if (isPowerOfTwo(re.length)) fftRadix2(re, im, false);
+  else fftBluestein(re, im);
+};
+
+/**
+ * Forward 2D DFT of a real N×N matrix (matrix[i][j]).
+ * Returns { re, im } as row-major Float64Arrays: bin (ki, kj) at ki * N + kj.
+ */
+export const fft2d = (matrix) => {
+  const N = matrix.length;
+  const re = new Float64Array(N * N);
+  const im = new Float64Array(N * N);
+  const rowRe = new Float64Array(N);
+  const rowIm = new Float64Array(N);
+
+  for (let i = 0; i < N; i++) {
+    for (let j = 0; j < N; j++) rowRe[j] = matrix[i][j];
+    rowIm.fill(0);
+    fft(rowRe, rowIm);
+    re.set(rowRe, i * N);
+    im.set(rowIm, i * N);
+  }
+
+  for (let j = 0; j < N; j++) {
+    for (let i = 0; i < N; i++) {
+      rowRe[i] = re[i * N + j];
+      rowIm[i] = im[i * N + j];
+    }
+    fft(rowRe, rowIm);
+    for (let i = 0; i < N; i++) {
+      re[i * N + j] = rowRe[i];
+      im[i * N + j] = rowIm[i];
+    }
+  }
+
+  return { re, im };
+};
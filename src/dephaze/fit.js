@@ -0,0 +1,293 @@
+import { LIMIT_ORDER } from "./kernel.js";
+import { shapeNorm, toWorld } from "./superellipsoid.js";
+import { SURFACE_TOLERANCE, createDistanceField } from "./distance.js";
+import { gaussian } from "./random.js";
+
+// === INVERSE FITTING ===
+// Estimate kernel parameters from surface points by least squares on the Xi − 1
+// residual. The unknowns are R and n, and optionally the centre Ω₀ and an XYZ Euler
+// rotation (the pose of a per-axis primitive, see superellipsoid.js):
+//
+//   r_i = R / ‖Rot⁻¹ (p_i − c)‖ₙ − 1
+//
+// R is optimised as ln R and n through a logistic map onto (1, LIMIT_ORDER), so every
+// trial stays a valid convex kernel. Either Levenberg–Marquardt (numeric Jacobian) or
+// Nelder–Mead does the minimising, restarted from several orders because the cost has
+// separate basins near the octahedron, sphere and cube.
+
+export const FIT_METHODS = {
+  lm: { label: "Levenberg–Marquardt" },
+  "nelder-mead": { label: "Nelder–Mead" },
+};
+
+// Orders tried as starting points when n is free.
+const START_ORDERS = [1.2, 2, 4, 10, 40];
+
+const N_SPAN = LIMIT_ORDER - 1;
+const toOrder = (u) => 1 + N_SPAN / (1 + Math.exp(-u));
+const fromOrder = (n) => {
+  const t = Math.min(Math.max((n - 1) / N_SPAN, 1e-6), 1 - 1e-6);
+  return Math.log(t / (1 - t));
+};
+
+const sumSquares = (values) => values.reduce((sum, v) => sum + v * v, 0);
+
+/**
+ * Summary of a residual vector: { count, rms, meanAbs, median, max } (of |r|).
+ */
+export const residualStats = (values) => {
+  if (values.length === 0) return { count: 0, rms: 0, meanAbs: 0, median: 0, max: 0 };
+  const abs = values.map(Math.abs).sort((a, b) => a - b);
+  const mid = abs.length >> 1;
+  return {
+    count: values.length,
+    rms: Math.sqrt(sumSquares(values) / values.length),
+    meanAbs: abs.reduce((sum, v) => sum + v, 0) / abs.length,
+    median: abs.length % 2 ? abs[mid] : (abs[mid - 1] + abs[mid]) / 2,
+    max: abs[abs.length - 1],
+  };
+};
+
+// Solve A x = b by Gaussian elimination with partial pivoting; null when singular.
+const solve = (A, b) => {
+  const size = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < size; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < size; row++) if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) pivot = row;
+    if (Math.abs(M[pivot][col]) < 1e-300) return null;
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+    for (let row = col + 1; row < size; row++) {
+      const f = M[row][col] / M[col][col];
+      for (let k = col; k <= size; k++) M[row][k] -= f * M[col][k];
+    }
+  }
+  const x = Array(size).fill(0);
+  for (let row = size - 1; row >= 0; row--) {
+    let s = M[row][size];
+    for (let k = row + 1; k < size; k++) s -= M[row][k] * x[k];
+    x[row] = s / M[row][row];
+  }
+  return x;
+};
+
+/**
+ * Minimise Σ r(x)² with Levenberg–Marquardt, Jacobian by forward differences.
+ * Returns { x, cost, iterations, converged }.
+ */
+export const levenbergMarquardt = (residuals, x0, { maxIterations = 100, tolerance = 1e-12 } = {}) => {
+  let x = [...x0];
+  let r = residuals(x);
+  let cost = sumSquares(r);
+  let lambda = 1e-3;
+
+  for (let iteration = 1; iteration <= maxIterations; iteration++) {
+    const J = x.map((xk, k) => {
+      const h = 1e-6 * Math.max(1, Math.abs(xk));
+      const shifted = [...x];
+      shifted[k] += h;
+      return residuals(shifted).map((value, i) => (value - r[i]) / h);
+    });
+    const JtJ = J.map((a) => J.map((b) => a.reduce((sum, v, i) => sum + v * b[i], 0)));
+    const Jtr = J.map((a) => a.reduce((sum, v, i) => sum + v * r[i], 0));
+
+    let improved = false;
+    while (lambda < 1e12) {
+      const A = JtJ.map((row, i) => row.map((v, j) => (i === j ? v + lambda * (v + 1e-12) : v)));
+      const delta = solve(A, Jtr.map((v) => -v));
+      if (delta) {
+        const candidate = x.map((v, k) => v + delta[k]);
+        const rCandidate = residuals(candidate);
+        const costCandidate = sumSquares(rCandidate);
+        if (costCandidate < cost) {
+          const gain = cost - costCandidate;
+          x = candidate;
+          r = rCandidate;
+          cost = costCandidate;
+          lambda = Math.max(lambda / 3, 1e-12);
+          improved = true;
+          if (gain <= tolerance * Math.max(cost, 1e-30)) return { x, cost, iterations: iteration, converged: true };
+          break;
+        }
+      }
+      lambda *= 4;
+    }
+    if (!improved) return { x, cost, iterations: iteration, converged: true };
+  }
+
+  return { x, cost, iterations: maxIterations, converged: false };
+};
+
+/**
+ * Minimise cost(x) with the Nelder–Mead simplex. `step` is the initial simplex size per
+ * coordinate. Returns { x, cost, iterations, converged }.
+ */
+export const nelderMead = (cost, x0, { step, maxIterations = 400, tolerance = 1e-12 } = {}) => {
+  const size = x0.length;
+  const steps = step || x0.map(() => 0.1);
+  let simplex = [x0, ...x0.map((_, k) => x0.map((v, j) => (j === k ? v + steps[k] : v)))].map((x) => ({
+    x,
+    cost: cost(x),
+  }));
+
+  const along = (from, to, t) => from.map((v, k) => v + t * (to[k] - v));
+
+  for (let iteration = 1; iteration <= maxIterations; iteration++) {
+    simplex.sort((a, b) => a.cost - b.cost);
+    const best = simplex[0];
+    const worst = simplex[size];
+    if (worst.cost - best.cost <= tolerance * Math.max(Math.abs(best.cost), 1e-30)) {
+      return { x: best.x, cost: best.cost, iterations: iteration, converged: true };
+    }
+
+    const centroid = Array(size).fill(0);
+    simplex.slice(0, size).forEach((p) => p.x.forEach((v, k) => (centroid[k] += v / size)));
+
+    const evaluate = (x) => ({ x, cost: cost(x) });
+    const reflected = evaluate(along(centroid, worst.x, -1));
+    if (reflected.cost < best.cost) {
+      const expanded = evaluate(along(centroid, worst.x, -2));
+      simplex[size] = expanded.cost < reflected.cost ? expanded : reflected;
+    } else if (reflected.cost < simplex[size - 1].cost) {
+      simplex[size] = reflected;
+    } else {
+      const contracted = evaluate(
+        reflected.cost < worst.cost ? along(centroid, worst.x, -0.5) : along(centroid, worst.x, 0.5)
+      );
+      if (contracted.cost < Math.min(reflected.cost, worst.cost)) {
+        simplex[size] = contracted;
+      } else {
+        simplex = simplex.map((p, i) => (i === 0 ? p : evaluate(along(best.x, p.x, 0.5))));
+      }
+    }
+  }
+
+  simplex.sort((a, b) => a.cost - b.cost);
+  return { x: simplex[0].x, cost: simplex[0].cost, iterations: maxIterations, converged: false };
+};
+
+const centroidOf = (vertices) => {
+  const c = { x: 0, y: 0, z: 0 };
+  vertices.forEach((v) => {
+    c.x += v.x / vertices.length;
+    c.y += v.y / vertices.length;
+    c.z += v.z / vertices.length;
+  });
+  return c;
+};
+
+const median = (values) => residualStats(values).median;
+
+/**
+ * Fit a kernel primitive to `vertices` ([{ x, y, z }]).
+ *
+ * Options: method ("lm" | "nelder-mead"), fitCenter, fitRotation, n (hold the order
+ * fixed, e.g. to fit a classical reference), maxIterations.
+ *
+ * Returns { R, n, center, rotation, model, method, iterations, converged, residuals,
+ * distances, onSurface }: residuals summarises Xi − 1, distances the Euclidean
+ * point-to-surface distance of the fitted model, and onSurface is the fraction of points
+ * within SURFACE_TOLERANCE of it.
+ */
+export const fitPrimitive = (
+  vertices,
+  { method = "lm", fitCenter = false, fitRotation = false, n: fixedOrder, maxIterations } = {}
+) => {
+  if (vertices.length < 3) throw new Error("Fitting needs at least 3 points");
+  if (!FIT_METHODS[method]) throw new Error(`Unknown fit method "${method}"`);
+
+  const start = fitCenter ? centroidOf(vertices) : { x: 0, y: 0, z: 0 };
+  const freeOrder = fixedOrder === undefined;
+
+  // x = [ln R, (order), (cx, cy, cz), (rx, ry, rz)]
+  const unpack = (x) => {
+    let k = 0;
+    const R = Math.exp(x[k++]);
+    const n = freeOrder ? toOrder(x[k++]) : fixedOrder;
+    const center = fitCenter ? { x: x[k++], y: x[k++], z: x[k++] } : start;
+    const rotation = fitRotation ? { x: x[k++], y: x[k++], z: x[k++] } : { x: 0, y: 0, z: 0 };
+    return { R, n, center, rotation };
+  };
+  const shapeOf = ({ R, n, center, rotation }) => ({
+    a: R,
+    b: R,
+    c: R,
+    e1: 2 / n,
+    e2: 2 / n,
+    rotation,
+    translation: center,
+  });
+  const residuals = (x) => {
+    const shape = shapeOf(unpack(x));
+    return vertices.map((v) => 1 / shapeNorm(v.x, v.y, v.z, shape) - 1);
+  };
+
+  const orders = freeOrder ? START_ORDERS : [fixedOrder];
+  let best = null;
+  orders.forEach((n0) => {
+    const unit = { a: 1, b: 1, c: 1, e1: 2 / n0, e2: 2 / n0, translation: start };
+    const R0 = median(vertices.map((v) => shapeNorm(v.x, v.y, v.z, unit))) || 1;
+    const x0 = [Math.log(R0)];
+    const steps = [0.1];
+    if (freeOrder) {
+      x0.push(fromOrder(n0));
+      steps.push(0.5);
+    }
+    if (fitCenter) {
+      x0.push(start.x, start.y, start.z);
+      steps.push(0.1 * R0, 0.1 * R0, 0.1 * R0);
+    }
+    if (fitRotation) {
+      x0.push(0, 0, 0);
+      steps.push(0.1, 0.1, 0.1);
+    }
+
+    const run =
+      method === "lm"
+        ? levenbergMarquardt(residuals, x0, { maxIterations: maxIterations ?? 100 })
+        : nelderMead((x) => sumSquares(residuals(x)), x0, { step: steps, maxIterations: maxIterations ?? 400 * x0.length });
+    if (!best || run.cost < best.cost) best = run;
+  });
+
+  const params = unpack(best.x);
+  const posed = fitCenter || fitRotation;
+  const model = posed
+    ? { mode: "primitive", ...shapeOf(params) }
+    : { mode: "primitive", R: params.R, n: params.n };
+  const field = createDistanceField(model);
+  const distances = vertices.map((v) => field.distance(v.x, v.y, v.z));
+
+  return {
+    ...params,
+    model,
+    method,
+    iterations: best.iterations,
+    converged: best.converged,
+    residuals: residualStats(residuals(best.x)),
+    distances: residualStats(distances),
+    onSurface: distances.filter((d) => Math.abs(d) < SURFACE_TOLERANCE).length / distances.length,
+  };
+};
+
+/**
+ * `count` points on a primitive's surface (uniform in direction from its centre), each
+ * displaced by isotropic Gaussian noise of standard deviation `noise`.
+ */
+export const samplePrimitivePoints = (shape, count, { noise = 0, random = Math.random } = {}) => {
+  const local = { ...shape, rotation: undefined, translation: undefined };
+  const vertices = [];
+  for (let i = 0; i < count; i++) {
+    const z = 2 * random() - 1;
+    const angle = 2 * Math.PI * random();
+    const s = Math.sqrt(1 - z * z);
+    const u = { x: s * Math.cos(angle), y: s * Math.sin(angle), z };
+    const r = 1 / shapeNorm(u.x, u.y, u.z, local);
+    const p = toWorld({ x: u.x * r, y: u.y * r, z: u.z * r }, shape);
+    vertices.push({
+      x: p.x + noise * gaussian(random),
+      y: p.y + noise * gaussian(random),
+      z: p.z + noise * gaussian(random),
+    });
+  }
+  return vertices;
+};
@@ -0,0 +1,78 @@
+import { TAU } from "./kernel.js";
+import { fft2d } from "./fft.js";
+
+// === 3. FOURIER COMPRESSION (Frequency Domain) ===
+// We compute the DFT of the warped-radius field Rw(theta,phi) with an FFT and keep
+// the Top-K coefficients by amplitude. Signed frequencies kx, ky run over
+// [-N/2, N/2]; for even N both ±N/2 are listed, as they evaluate differently
+// between grid points.
+export const fourierCompress = (matrix, topK) => {
+  const N = matrix.length;
+
+  // DC component
+  let dcSum = 0;
+  for (let i = 0; i < N; i++) {
+    for (let j = 0; j < N; j++) {
+      dcSum += matrix[i][j];
+    }
+  }
+  const dc = dcSum / (N * N);
+
+  // The DC bin is excluded below, so subtracting dc would only change bin (0, 0).
+  const spectrum = fft2d(matrix);
+
+  const allCoeffs = [];
+  const maxFreqX = Math.floor(N / 2);
+  const maxFreqY = Math.floor(N / 2);
+  const bin = (k) => ((k % N) + N) % N;
+
+  for (let kx = -maxFreqX; kx <= maxFreqX; kx++) {
+    for (let ky = -maxFreqY; ky <= maxFreqY; ky++) {
+      if (kx === 0 && ky === 0) continue;
+
+      const idx = bin(kx) * N + bin(ky);
+      const real = spectrum.re[idx];
+      const imag = spectrum.im[idx];
+      const amplitude = Math.sqrt(real * real + imag * imag);
+
+      if (amplitude > 0.0001) {
+        allCoeffs.push({
+          kx,
+          ky,
+          real: real / (N * N),
+          imag: imag / (N * N),
+          amplitude: amplitude / (N * N),
+        });
+      }
+    }
+  }
+
+  allCoeffs.sort((a, b) => b.amplitude - a.amplitude);
+  const topCoeffs = allCoeffs.slice(0, Math.min(topK, allCoeffs.length));
+
+  return {
+    coefficients: topCoeffs,
+    dc,
+    N,
+    totalCoeffs: allCoeffs.length,
+  };
+};
+
+/**
+ * Evaluate the truncated Fourier series at (theta, phi), returning the warped radius Rw.
+ */
+export const evaluateFourier = (fourierData, theta, phi) => {
+  const N = fourierData.N;
+
+  const ti = (theta / TAU) * N;
+  const tj = (phi / Math.PI) * N;
+
+  let Rw = fourierData.dc;
+
+  fourierData.coefficients.forEach((coeff) => {
+    const angle = TAU * (coeff.kx * ti / N + coeff.ky * tj / N);
+    Rw += coeff.real * Math.cos(angle) - coeff.imag * Math.sin(angle);
+  });
+
+  return Rw;
+};
@@ -0,0 +1,83 @@
+import { buildPhaseMap, phaseMatrix } from "./phaseMap.js";
+import { fourierCompress } from "./fourier.js";
+import { fitPrimitive } from "./fit.js";
+import { dphzByteLength } from "./dphz.js";
+
+// === HYBRID REPRESENTATION (fitted primitive + residual map) ===
+// The fixed φ³ warp treats every object alike. A hybrid map first fits a Lamé primitive
+// (R, n) to the scan around Ω₀ and stores only R − R_base(θ, φ), so the spatial,
+// Fourier or harmonic transport carries what the primitive does not already explain.
+
+export const HYBRID_MODES = ["spatial", "fourier", "harmonic"];
+
+// Top-K is compared at a common error budget: the energy the fixed-warp map discards
+// when it keeps this share of its own. (Near 1 the budget drowns in cell noise.)
+export const HYBRID_ENERGY_FRACTION = 0.95;
+
+// Points used by the base fit; larger scans are strided down to this count.
+const FIT_SAMPLE = 2000;
+
+/**
+ * Fit the base primitive { R, n } to scan points, centred on Ω₀.
+ */
+export const fitBase = (points, options) => {
+  const stride = Math.max(1, Math.ceil(points.length / FIT_SAMPLE));
+  const sample = points.filter((_, i) => i % stride === 0);
+  const { R, n } = fitPrimitive(sample, options);
+  return { R, n };
+};
+
+/**
+ * Mean squared deviation of a phase matrix from its mean: the energy the transport has
+ * to carry beyond the DC term.
+ */
+export const spectralEnergy = (matrix) => {
+  const values = matrix.flat();
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  return values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+};
+
+/**
+ * Smallest Fourier Top-K of a phase matrix whose discarded non-DC energy is at most
+ * `budget`, with the resulting truncated transport data.
+ */
+export const topKForBudget = (matrix, budget) => {
+  const full = fourierCompress(matrix, Infinity);
+  const energies = full.coefficients.map((c) => c.amplitude * c.amplitude);
+
+  let K = 0;
+  let discarded = energies.reduce((sum, e) => sum + e, 0);
+  while (K < energies.length && discarded > budget) discarded -= energies[K++];
+
+  return { K, fourierData: { ...full, coefficients: full.coefficients.slice(0, K) } };
+};
+
+// Energy, and Top-K within the error budget, of one phase matrix.
+const transportCost = (matrix, budget, base) => {
+  const { K, fourierData } = topKForBudget(matrix, budget);
+  return {
+    energy: spectralEnergy(matrix),
+    topK: K,
+    bytes: dphzByteLength({ mode: "fourier", fourierData, base }),
+  };
+};
+
+/**
+ * Fixed-warp versus hybrid phase map of the same scan: residual energy, and the Fourier
+ * Top-K (and .dphz bytes) each needs to stay within the same error budget (see
+ * HYBRID_ENERGY_FRACTION). The ratios are hybrid / warped, so values below 1 are savings.
+ */
+export const compareHybrid = (points, phaseResolution, base) => {
+  const warpedMatrix = phaseMatrix(buildPhaseMap(points, phaseResolution));
+  const budget = (1 - HYBRID_ENERGY_FRACTION) * spectralEnergy(warpedMatrix);
+  const warped = transportCost(warpedMatrix, budget);
+  const hybrid = transportCost(phaseMatrix(buildPhaseMap(points, phaseResolution, { base })), budget, base);
+  return {
+    budget,
+    base,
+    warped,
+    hybrid,
+    energyRatio: warped.energy > 0 ? hybrid.energy / warped.energy : 1,
+    topKRatio: warped.topK > 0 ? hybrid.topK / warped.topK : 1,
+  };
+};
@@ -0,0 +1,329 @@
+// Public API of the UI-free Dephaze library.
+// Components and Node scripts import from here rather than from individual modules.
+
+export {
+  TAU,
+  PHI3,
+  LIMIT_ORDER,
+  lameNorm,
+  lameField,
+  Xi,
+  exists,
+  direction,
+  xiDir,
+  warpR,
+  unwarpR,
+  baseRadius,
+  encodeRadius,
+  decodeRadius,
+  getShapeName,
+  project3D,
+  sampleKernelShell,
+} from "./kernel.js";
+
+export {
+  BASE_RADIUS,
+  HIT_GAP,
+  MESH_TYPES,
+  meshRadius,
+  scanPoint,
+  generateScan,
+  cellIndex,
+  cellCenter,
+  clusterRadii,
+  buildPhaseMap,
+  phaseMatrix,
+  reconstructSpatial,
+} from "./phaseMap.js";
+
+export {
+  INTERPOLATION_METHODS,
+  DEFAULT_INTERPOLATION,
+  FILL_METHODS,
+  DEFAULT_FILL,
+  INPAINT_TOLERANCE,
+  INPAINT_ITERATIONS,
+  samplePhaseMap,
+  inpaintPhaseMap,
+} from "./interpolation.js";
+
+export { fft, fft2d } from "./fft.js";
+
+export { fourierCompress, evaluateFourier } from "./fourier.js";
+
+export { DEFAULT_SH_DEGREE, shIndex, shBasis, shCompress, evaluateSH } from "./sphericalHarmonics.js";
+
+export {
+  FOURIER_R_MIN,
+  FOURIER_R_MAX,
+  reconstructR,
+  createReconstructor,
+  reconstructLayers,
+  createSurfaceSampler,
+} from "./reconstruct.js";
+
+export {
+  PRIMITIVE_BYTES,
+  SUPERELLIPSOID_BYTES,
+  TRANSFORM_BYTES,
+  primitiveBytes,
+  PRIMITIVE_TAG_BYTES,
+  OPERATOR_BYTES,
+  compositeBytes,
+  meshBytes,
+  primitiveMemory,
+  phaseMapBytes,
+  averageRadialError,
+  averageSurfaceError,
+  xiStability,
+  computeMetrics,
+} from "./metrics.js";
+
+export {
+  DPHZ_MAGIC,
+  DPHZ_VERSION,
+  DPHZ_HEADER_BYTES,
+  DPHZ_MIME,
+  dphzByteLength,
+  encodeDphz,
+  decodeDphz,
+} from "./dphz.js";
+
+export {
+  POINT_CLOUD_EXTENSIONS,
+  parsePLY,
+  parseXYZ,
+  parseOBJ,
+  parsePointCloud,
+  toPhasePoints,
+} from "./pointCloud.js";
+
+export {
+  ORIGIN_METHODS,
+  centroid,
+  boundingBoxCenter,
+  starDiagnostic,
+  visibleFraction,
+  optimizeOrigin,
+  estimateOrigin,
+} from "./origin.js";
+
+export {
+  MAX_LAYERS,
+  hitsToIntervals,
+  buildLayeredPhaseMap,
+  layersAt,
+  surfaceRadii,
+  layerCount,
+} from "./layers.js";
+
+export {
+  ADAPTIVE_ROOT,
+  ADAPTIVE_TOLERANCE,
+  ADAPTIVE_MIN_POINTS,
+  adaptiveDepth,
+  buildAdaptivePhaseMap,
+  adaptiveLeafAt,
+  reconstructAdaptive,
+  adaptiveLeaves,
+  adaptiveStats,
+  adaptiveNodeCount,
+  packAdaptiveTree,
+  unpackAdaptiveTree,
+} from "./quadtree.js";
+
+export {
+  packVertices,
+  unpackVertices,
+  packPoints,
+  unpackPoints,
+  packPhaseMap,
+  unpackPhaseMap,
+} from "./transfer.js";
+
+export {
+  HYBRID_MODES,
+  HYBRID_ENERGY_FRACTION,
+  fitBase,
+  spectralEnergy,
+  topKForBudget,
+  compareHybrid,
+} from "./hybrid.js";
+
+export {
+  DEFAULT_HOLDOUT,
+  SURFACE_SAMPLES,
+  REFINE_STEPS,
+  splitScan,
+  fibonacciDirections,
+  radialErrorStats,
+  surfacePoints,
+  nearestDistances,
+  surfaceDistances,
+  hausdorffChamfer,
+  evaluateAccuracy,
+  compareInterpolation,
+} from "./errorMetrics.js";
+
+export {
+  SWEEP_MODES,
+  SWEEP_RESOLUTIONS,
+  SWEEP_TOP_KS,
+  SWEEP_QUANTIZATIONS,
+  SWEEP_TOLERANCES,
+  paretoFront,
+  sweepRateDistortion,
+  rateDistortionCSV,
+} from "./rateDistortion.js";
+
+export {
+  createProbabilities,
+  createRangeEncoder,
+  createRangeDecoder,
+  createUIntModel,
+  encodeUInt,
+  decodeUInt,
+  zigzag,
+  unzigzag,
+} from "./rangeCoder.js";
+
+export {
+  QUANT_BITS,
+  QUANT_MODES,
+  quantizeModel,
+  encodeQuantizedPayload,
+  decodeQuantizedPayload,
+} from "./quantize.js";
+
+export { DEFAULT_SEED, MAX_SEED, createRandom, gaussian, randomSeed } from "./random.js";
+
+export { SCANNER_DEFAULTS, scannerPositions, lineOfSight, simulateScan } from "./scanner.js";
+
+export {
+  CLASSICAL_ORDERS,
+  VALIDATION_SAMPLES,
+  CONVERGENCE_ORDERS,
+  sampleClassicalSurface,
+  meanInterval,
+  wilsonInterval,
+  cubeHausdorff,
+  validateClassical,
+  cubeConvergence,
+} from "./validation.js";
+
+export { loadScan, runPhasePipeline } from "./pipeline.js";
+
+export {
+  ISOSURFACE_METHODS,
+  fieldNormal,
+  marchingCubes,
+  dualContouring,
+  extractIsosurface,
+  extractKernelSurface,
+  extractShapeSurface,
+  extractCompositeSurface,
+  modelField,
+  extractModelSurface,
+  meshStats,
+  openEdgeCount,
+} from "./isosurface.js";
+
+export {
+  EPSILON_MIN,
+  EPSILON_MAX,
+  lameShape,
+  primitiveShape,
+  hasTransform,
+  isUniformShape,
+  rotateToWorld,
+  toWorld,
+  toLocal,
+  shapeNorm,
+  superXi,
+  superField,
+  superExists,
+  superGradient,
+  superNormal,
+  shapeLipschitz,
+  shapeBoundingRadius,
+  shapeExtent,
+  projectToSurface,
+  sampleShapeShell,
+  shapeRadius,
+} from "./superellipsoid.js";
+
+export {
+  CSG_OPERATIONS,
+  DEFAULT_BLEND,
+  isComposite,
+  isLeaf,
+  smoothMin,
+  validateTree,
+  compileTree,
+  treeLeaves,
+  treeNodeCount,
+  treeBoundingRadius,
+  treeExtent,
+  createCompositeField,
+  sampleCompositeShell,
+  nodeAt,
+  updateNode,
+  removeNode,
+} from "./csg.js";
+
+export {
+  SURFACE_TOLERANCE,
+  lameGradient,
+  lameNormal,
+  lameLipschitz,
+  lameDistanceBound,
+  lameClosestPoint,
+  lameDistance,
+  onSurface,
+  superDistanceBound,
+  superClosestPoint,
+  superDistance,
+  distanceGradient,
+  radialBounds,
+  createDistanceField,
+} from "./distance.js";
+
+export { MESH_FORMATS, encodeSTL, encodeOBJ, encodePLY, encodeGLB, encodeMesh } from "./meshExport.js";
+
+export { RAYMARCH_STRIDES, RAYMARCH_TILE, createRaymarchScene, renderTile, tileGrid } from "./raymarch.js";
+
+export {
+  KEYFRAME_FORMAT,
+  KEYFRAME_VERSION,
+  EASINGS,
+  sortKeyframes,
+  timelineDuration,
+  sampleTimeline,
+  encodeKeyframes,
+  parseKeyframes,
+} from "./animation.js";
+
+export { crc32, encodeZip } from "./archive.js";
+
+export {
+  FIT_METHODS,
+  residualStats,
+  levenbergMarquardt,
+  nelderMead,
+  fitPrimitive,
+  samplePrimitivePoints,
+} from "./fit.js";
+
+export {
+  SESSION_FORMAT,
+  SESSION_VERSION,
+  sessionParam,
+  numberIn,
+  finiteNumber,
+  objectOf,
+  validateCloud,
+  encodeSessionHash,
+  parseSessionHash,
+  encodeSession,
+  parseSession,
+} from "./session.js";
@@ -0,0 +1,182 @@
+import { TAU } from "./kernel.js";
+
+// === PHASE-MAP INTERPOLATION AND INPAINTING ===
+// A spatial phase map stores one value per (θ, φ) cell. Reconstruction can read it as:
+//   nearest    the containing cell's value (a staircase at every cell edge)
+//   bilinear   the four surrounding cell centres, linear in θ and φ
+//   bicubic    the sixteen surrounding cell centres, Catmull-Rom in θ and φ
+//   spherical  bilinear on the sphere: weights along each row are the great-circle
+//              arc fractions slerp would use between the two centre directions, and
+//              above the first (below the last) row of centres the value runs to a
+//              single pole value, the mean of that row, so the surface closes
+// Every method wraps around the θ = 0 / 2π seam. Bilinear and bicubic continue past
+// the first and last rows over the pole, into the same row on the opposite side
+// (θ + π; the nearest column for odd N). Bilinear is the default: the synthetic meshes
+// take different radii at the poles along different θ, which spherical cannot follow.
+//
+// Cells no scan point fell into are inpainted when the map is built. The "neighbors"
+// fill averages the observed 4-neighbours once, so holes wider than a cell keep the
+// default radius inside. The "diffusion" fill solves the discrete Laplace equation over
+// every hole, with the observed cells fixed: holes are first filled ring by ring from
+// their rim, then relaxed by SOR with a factor sized to the deepest hole.
+
+export const INTERPOLATION_METHODS = ["nearest", "bilinear", "bicubic", "spherical"];
+export const DEFAULT_INTERPOLATION = "bilinear";
+
+export const FILL_METHODS = ["neighbors", "diffusion"];
+export const DEFAULT_FILL = "diffusion";
+
+// SOR stops once no hole value moves by more than this, or after this many sweeps.
+export const INPAINT_TOLERANCE = 1e-7;
+export const INPAINT_ITERATIONS = 2000;
+
+const wrap = (i, N) => ((i % N) + N) % N;
+
+// Cell (i, j) with i wrapped around the seam and j reflected over the poles.
+const cellAt = (phaseMap, i, j) => {
+  const N = phaseMap.length;
+  if (j < 0 || j >= N) {
+    i += N >> 1;
+    j = Math.max(0, Math.min(N - 1, j < 0 ? -1 - j : 2 * N - 1 - j));
+  }
+  return phaseMap[wrap(i, N)][j];
+};
+
+// Continuous grid coordinates with cell centres at integers.
+const gridCoordinates = (N, theta, phi) => ({
+  u: ((((theta / TAU) % 1) + 1) % 1) * N - 0.5,
+  v: (phi / Math.PI) * N - 0.5,
+});
+
+// Catmull-Rom weights of the four samples around fraction t.
+const cubicWeights = (t) => {
+  const t2 = t * t;
+  const t3 = t2 * t;
+  return [(-t3 + 2 * t2 - t) / 2, (3 * t3 - 5 * t2 + 2) / 2, (-3 * t3 + 4 * t2 + t) / 2, (t3 - t2) / 2];
+};
+
+const bilinear = (phaseMap, u, v) => {
+  const i = Math.floor(u);
+  const j = Math.floor(v);
+  const fu = u - i;
+  const fv = v - j;
+  const row = (jj) => (1 - fu) * cellAt(phaseMap, i, jj).Rw + fu * cellAt(phaseMap, i + 1, jj).Rw;
+  return (1 - fv) * row(j) + fv * row(j + 1);
+};
+
+const bicubic = (phaseMap, u, v) => {
+  const i = Math.floor(u);
+  const j = Math.floor(v);
+  const wu = cubicWeights(u - i);
+  const wv = cubicWeights(v - j);
+  let value = 0;
+  wv.forEach((b, dj) => {
+    wu.forEach((a, di) => {
+      value += a * b * cellAt(phaseMap, i + di - 1, j + dj - 1).Rw;
+    });
+  });
+  return value;
+};
+
+// Great-circle angle between two directions on the parallel at colatitude phi, dTheta apart.
+const parallelArc = (phi, dTheta) => 2 * Math.asin(Math.min(1, Math.sin(phi) * Math.abs(Math.sin(dTheta / 2))));
+
+// Row j read at column coordinate u, weighted by arc fraction (see above).
+const slerpRow = (phaseMap, j, u) => {
+  const N = phaseMap.length;
+  const i = Math.floor(u);
+  const fu = u - i;
+  const phi = ((j + 0.5) / N) * Math.PI;
+  const step = TAU / N;
+  const before = parallelArc(phi, fu * step);
+  const after = parallelArc(phi, (1 - fu) * step);
+  const t = before + after > 0 ? before / (before + after) : fu;
+  return (1 - t) * phaseMap[wrap(i, N)][j].Rw + t * phaseMap[wrap(i + 1, N)][j].Rw;
+};
+
+const rowMean = (phaseMap, j) => phaseMap.reduce((sum, column) => sum + column[j].Rw, 0) / phaseMap.length;
+
+const spherical = (phaseMap, u, v) => {
+  const N = phaseMap.length;
+  // Polar caps: between the pole and the first (last) row of centres, along the meridian.
+  if (v < 0) {
+    const t = Math.max(0, v + 0.5) / 0.5;
+    return (1 - t) * rowMean(phaseMap, 0) + t * slerpRow(phaseMap, 0, u);
+  }
+  if (v > N - 1) {
+    const t = Math.max(0, N - 0.5 - v) / 0.5;
+    return (1 - t) * rowMean(phaseMap, N - 1) + t * slerpRow(phaseMap, N - 1, u);
+  }
+  const j = Math.min(Math.floor(v), N - 2);
+  const fv = v - j;
+  return (1 - fv) * slerpRow(phaseMap, j, u) + fv * slerpRow(phaseMap, j + 1, u);
+};
+
+/**
+ * Stored value (Rw, or the residual of a hybrid map) of a phase map along (theta, phi),
+ * read with one of INTERPOLATION_METHODS; null for phi outside [0, π].
+ */
+export const samplePhaseMap = (phaseMap, theta, phi, method = "nearest") => {
+  const N = phaseMap.length;
+  if (!(phi >= 0 && phi <= Math.PI)) return null;
+  const { u, v } = gridCoordinates(N, theta, phi);
+  if (method === "bilinear") return bilinear(phaseMap, u, v);
+  if (method === "bicubic") return bicubic(phaseMap, u, v);
+  if (method === "spherical") return spherical(phaseMap, u, v);
+  if (method !== "nearest") throw new Error(`Unknown interpolation: ${method}`);
+  return phaseMap[wrap(Math.round(u), N)][Math.min(N - 1, Math.round(v))].Rw;
+};
+
+// The four grid neighbours of cell (i, j), across the seam and over the poles.
+const neighbors = (phaseMap, i, j) => [
+  cellAt(phaseMap, i - 1, j),
+  cellAt(phaseMap, i + 1, j),
+  cellAt(phaseMap, i, j - 1),
+  cellAt(phaseMap, i, j + 1),
+];
+
+/**
+ * Fill the unobserved cells (count 0) of a phase map in place with the "diffusion"
+ * method above. Returns { holes, depth, iterations }: depth is the number of rings the
+ * deepest hole needed, iterations the SOR sweeps run. A map without observed cells is
+ * left unchanged.
+ */
+export const inpaintPhaseMap = (phaseMap, { tolerance = INPAINT_TOLERANCE, iterations = INPAINT_ITERATIONS } = {}) => {
+  const holes = [];
+  phaseMap.forEach((column, i) => column.forEach((cell, j) => cell.count === 0 && holes.push({ cell, i, j })));
+  if (holes.length === 0 || holes.length === phaseMap.length * phaseMap.length) {
+    return { holes: holes.length, depth: 0, iterations: 0 };
+  }
+
+  // Ring by ring from the rim: each cell the mean of its already-filled neighbours.
+  const filled = new Set(phaseMap.flat().filter((cell) => cell.count > 0));
+  let pending = holes;
+  let depth = 0;
+  while (pending.length > 0) {
+    const ring = pending
+      .map((hole) => ({ hole, around: neighbors(phaseMap, hole.i, hole.j).filter((n) => filled.has(n)) }))
+      .filter(({ around }) => around.length > 0);
+    ring.forEach(({ hole, around }) => (hole.cell.Rw = around.reduce((sum, n) => sum + n.Rw, 0) / around.length));
+    ring.forEach(({ hole }) => filled.add(hole.cell));
+    pending = pending.filter((hole) => !filled.has(hole.cell));
+    depth++;
+  }
+
+  // Optimal SOR factor for a hole about 2·depth cells across.
+  const omega = 2 / (1 + Math.sin(Math.PI / (2 * depth + 1)));
+  const stencils = holes.map(({ cell, i, j }) => ({ cell, around: neighbors(phaseMap, i, j) }));
+  let sweeps = 0;
+  while (sweeps < iterations) {
+    sweeps++;
+    let change = 0;
+    stencils.forEach(({ cell, around }) => {
+      const mean = (around[0].Rw + around[1].Rw + around[2].Rw + around[3].Rw) / 4;
+      const delta = omega * (mean - cell.Rw);
+      cell.Rw += delta;
+      change = Math.max(change, Math.abs(delta));
+    });
+    if (change < tolerance) break;
+  }
+
+  return { holes: holes.length, depth, iterations: sweeps };
+};
@@ -0,0 +1,486 @@
+import { TAU, lameField } from "./kernel.js";
+import { reconstructLayers } from "./reconstruct.js";
+import { primitiveShape, superField, shapeExtent } from "./superellipsoid.js";
+import { isComposite, treeExtent, createCompositeField } from "./csg.js";
+
+// === ISOSURFACE EXTRACTION ===
+// Triangle meshes of the zero set of a scalar field f (negative inside), sampled on a
+// regular grid. Marching cubes places vertices on grid edges; dual contouring places
+// one vertex per surface sheet in each cell by minimizing a QEF, which keeps the edges
+// of n → ∞ cubes sharp. Both share the same cell topology, so both are watertight.
+//
+// Meshes are indexed ({ positions, normals, indices } typed arrays). Vertices are shared
+// between neighbouring cells, so a surface that closes inside the grid is watertight.
+
+export const ISOSURFACE_METHODS = ["marching", "dual"];
+
+// Cube corner c sits at (c & 1, (c >> 1) & 1, (c >> 2) & 1).
+const CORNERS = [0, 1, 2, 3, 4, 5, 6, 7].map((c) => [c & 1, (c >> 1) & 1, (c >> 2) & 1]);
+
+// The 12 cube edges as corner pairs, each along one axis from its lower corner.
+const EDGES = [];
+CORNERS.forEach((_, c) => {
+  [1, 2, 4].forEach((bit) => {
+    if (!(c & bit)) EDGES.push([c, c | bit]);
+  });
+});
+const edgeId = (a, b) => EDGES.findIndex(([p, q]) => (p === a && q === b) || (p === b && q === a));
+
+// The 6 faces as corner cycles.
+const FACES = [
+  [0, 1, 3, 2],
+  [4, 5, 7, 6],
+  [0, 1, 5, 4],
+  [2, 3, 7, 6],
+  [0, 2, 6, 4],
+  [1, 3, 7, 5],
+];
+
+// Loop table, generated rather than transcribed: for each inside-corner mask, walk every
+// face to collect crossing segments (ambiguous faces always separate the inside corners,
+// so neighbouring cubes agree) and chain the segments into loops of crossed edges. Each
+// loop is one sheet of the surface inside the cube.
+const LOOP_TABLE = Array(256)
+  .fill(null)
+  .map((_, mask) => {
+    const inside = (c) => (mask >> c) & 1;
+    const segments = [];
+
+    FACES.forEach((face) => {
+      const crossed = [];
+      for (let k = 0; k < 4; k++) {
+        const a = face[k];
+        const b = face[(k + 1) % 4];
+        if (inside(a) !== inside(b)) crossed.push({ edge: edgeId(a, b), k });
+      }
+      if (crossed.length === 2) {
+        segments.push([crossed[0].edge, crossed[1].edge]);
+      } else if (crossed.length === 4) {
+        // Pair each crossing with its neighbour around an inside corner.
+        const startsInside = inside(face[0]);
+        const order = startsInside ? [3, 0, 1, 2] : [0, 1, 2, 3];
+        segments.push([crossed[order[0]].edge, crossed[order[1]].edge]);
+        segments.push([crossed[order[2]].edge, crossed[order[3]].edge]);
+      }
+    });
+
+    const loops = [];
+    while (segments.length > 0) {
+      const loop = segments.pop();
+      let closed = false;
+      while (!closed) {
+        const tail = loop[loop.length - 1];
+        const next = segments.findIndex((s) => s[0] === tail || s[1] === tail);
+        if (next < 0) break;
+        const [s] = segments.splice(next, 1);
+        const other = s[0] === tail ? s[1] : s[0];
+        if (other === loop[0]) closed = true;
+        else loop.push(other);
+      }
+      loops.push(loop);
+    }
+
+    return loops;
+  });
+
+// Triangle table: every loop fanned from its first edge.
+const TRI_TABLE = LOOP_TABLE.map((loops) =>
+  loops.flatMap((loop) => loop.slice(1, -1).flatMap((e, k) => [loop[0], e, loop[k + 2]]))
+);
+
+/**
+ * Sample `field` at the (resolution + 1)³ nodes of the box [min, max]³.
+ */
+const sampleGrid = (field, min, max, resolution) => {
+  const n = resolution + 1;
+  const size = (max - min) / resolution;
+  const values = new Float64Array(n * n * n);
+  for (let k = 0; k < n; k++) {
+    for (let j = 0; j < n; j++) {
+      for (let i = 0; i < n; i++) {
+        values[(k * n + j) * n + i] = field(min + i * size, min + j * size, min + k * size);
+      }
+    }
+  }
+  return { values, n, size };
+};
+
+/**
+ * Normalized central-difference gradient of `field` at (x, y, z).
+ */
+export const fieldNormal = (field, x, y, z, h = 1e-4) => {
+  const gx = field(x + h, y, z) - field(x - h, y, z);
+  const gy = field(x, y + h, z) - field(x, y - h, z);
+  const gz = field(x, y, z + h) - field(x, y, z - h);
+  const len = Math.sqrt(gx * gx + gy * gy + gz * gz) || 1;
+  return [gx / len, gy / len, gz / len];
+};
+
+// Pack vertex/normal/index lists, orienting every triangle so its winding agrees with
+// the outward field gradient at its vertices.
+const finishMesh = (positions, normals, indices) => {
+  for (let t = 0; t < indices.length; t += 3) {
+    const [a, b, c] = [indices[t] * 3, indices[t + 1] * 3, indices[t + 2] * 3];
+    const u = [positions[b] - positions[a], positions[b + 1] - positions[a + 1], positions[b + 2] - positions[a + 2]];
+    const v = [positions[c] - positions[a], positions[c + 1] - positions[a + 1], positions[c + 2] - positions[a + 2]];
+    const cross = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+    const nx = normals[a] + normals[b] + normals[c];
+    const ny = normals[a + 1] + normals[b + 1] + normals[c + 1];
+    const nz = normals[a + 2] + normals[b + 2] + normals[c + 2];
+    if (cross[0] * nx + cross[1] * ny + cross[2] * nz < 0) {
+      [indices[t + 1], indices[t + 2]] = [indices[t + 2], indices[t + 1]];
+    }
+  }
+
+  return {
+    positions: new Float32Array(positions),
+    normals: new Float32Array(normals),
+    indices: new Uint32Array(indices),
+  };
+};
+
+/**
+ * Marching cubes over [min, max]³ with `resolution` cells per axis.
+ */
+export const marchingCubes = (field, { min, max, resolution }) => {
+  const { values, n, size } = sampleGrid(field, min, max, resolution);
+  const positions = [];
+  const normals = [];
+  const indices = [];
+  const edgeVertices = new Map(); // global edge key -> vertex index
+
+  const node = (i, j, k) => (k * n + j) * n + i;
+
+  const vertexOnEdge = (i, j, k, e) => {
+    const [ca, cb] = EDGES[e];
+    const [ax, ay, az] = CORNERS[ca];
+    const [bx, by, bz] = CORNERS[cb];
+    const axis = bx !== ax ? 0 : by !== ay ? 1 : 2;
+    const key = node(i + ax, j + ay, k + az) * 3 + axis;
+
+    if (!edgeVertices.has(key)) {
+      const fa = values[node(i + ax, j + ay, k + az)];
+      const fb = values[node(i + bx, j + by, k + bz)];
+      const t = fa / (fa - fb);
+      const x = min + (i + ax + t * (bx - ax)) * size;
+      const y = min + (j + ay + t * (by - ay)) * size;
+      const z = min + (k + az + t * (bz - az)) * size;
+      edgeVertices.set(key, positions.length / 3);
+      positions.push(x, y, z);
+      normals.push(...fieldNormal(field, x, y, z, size * 0.01));
+    }
+    return edgeVertices.get(key);
+  };
+
+  for (let k = 0; k < resolution; k++) {
+    for (let j = 0; j < resolution; j++) {
+      for (let i = 0; i < resolution; i++) {
+        let mask = 0;
+        CORNERS.forEach(([dx, dy, dz], c) => {
+          if (values[node(i + dx, j + dy, k + dz)] < 0) mask |= 1 << c;
+        });
+        if (mask === 0 || mask === 255) continue;
+
+        TRI_TABLE[mask].forEach((e) => indices.push(vertexOnEdge(i, j, k, e)));
+      }
+    }
+  }
+
+  return finishMesh(positions, normals, indices);
+};
+
+// Solve the 3×3 system M x = b (Cramer's rule); null when singular.
+const solve3 = (m, b) => {
+  const det = (a) =>
+    a[0] * (a[4] * a[8] - a[5] * a[7]) - a[1] * (a[3] * a[8] - a[5] * a[6]) + a[2] * (a[3] * a[7] - a[4] * a[6]);
+  const d = det(m);
+  if (Math.abs(d) < 1e-12) return null;
+  return [0, 1, 2].map((col) => {
+    const mc = m.slice();
+    for (let r = 0; r < 3; r++) mc[r * 3 + col] = b[r];
+    return det(mc) / d;
+  });
+};
+
+/**
+ * Dual contouring over [min, max]³ with `resolution` cells per axis. Each sheet of the
+ * surface in a cell (a loop of LOOP_TABLE, usually the only one) gets the vertex
+ * minimizing Σ (nᵢ·(x − pᵢ))² over its edge crossings, biased towards their mass point
+ * and clamped to the cell. A cell the surface crosses twice (an ambiguous face, or a
+ * feature thinner than a cell) keeps one vertex per sheet, so the mesh stays manifold
+ * with the topology marching cubes would give.
+ */
+export const dualContouring = (field, { min, max, resolution, bias = 0.05 }) => {
+  const { values, n, size } = sampleGrid(field, min, max, resolution);
+  const positions = [];
+  const normals = [];
+  const indices = [];
+  const sheetVertices = new Map(); // cell index · 12 + cube edge -> vertex of the sheet crossing it
+
+  const node = (i, j, k) => (k * n + j) * n + i;
+  const cell = (i, j, k) => (k * resolution + j) * resolution + i;
+
+  // Vertex of the sheet crossing cube edges `loop` of cell (i, j, k).
+  const sheetVertex = (loop, i, j, k) => {
+    const ata = [0, 0, 0, 0, 0, 0, 0, 0, 0];
+    const atb = [0, 0, 0];
+    const mass = [0, 0, 0];
+
+    loop.forEach((e) => {
+      const [ca, cb] = EDGES[e];
+      const [ax, ay, az] = CORNERS[ca];
+      const [bx, by, bz] = CORNERS[cb];
+      const fa = values[node(i + ax, j + ay, k + az)];
+      const fb = values[node(i + bx, j + by, k + bz)];
+      const t = fa / (fa - fb);
+      const p = [
+        min + (i + ax + t * (bx - ax)) * size,
+        min + (j + ay + t * (by - ay)) * size,
+        min + (k + az + t * (bz - az)) * size,
+      ];
+      const nrm = fieldNormal(field, p[0], p[1], p[2], size * 0.01);
+      const d = nrm[0] * p[0] + nrm[1] * p[1] + nrm[2] * p[2];
+      for (let r = 0; r < 3; r++) {
+        for (let c = 0; c < 3; c++) ata[r * 3 + c] += nrm[r] * nrm[c];
+        atb[r] += nrm[r] * d;
+        mass[r] += p[r];
+      }
+    });
+
+    const centre = mass.map((v) => v / loop.length);
+    // Regularize towards the mass point so flat regions stay well-posed.
+    const w = bias;
+    const m = ata.slice();
+    const b = atb.slice();
+    for (let r = 0; r < 3; r++) {
+      m[r * 3 + r] += w;
+      b[r] += w * centre[r];
+    }
+    const solved = solve3(m, b) || centre;
+
+    const lo = [min + i * size, min + j * size, min + k * size];
+    return solved.map((v, r) => Math.min(lo[r] + size, Math.max(lo[r], v)));
+  };
+
+  for (let k = 0; k < resolution; k++) {
+    for (let j = 0; j < resolution; j++) {
+      for (let i = 0; i < resolution; i++) {
+        let mask = 0;
+        CORNERS.forEach(([dx, dy, dz], c) => {
+          if (values[node(i + dx, j + dy, k + dz)] < 0) mask |= 1 << c;
+        });
+
+        LOOP_TABLE[mask].forEach((loop) => {
+          const x = sheetVertex(loop, i, j, k);
+          loop.forEach((e) => sheetVertices.set(cell(i, j, k) * 12 + e, positions.length / 3));
+          positions.push(...x);
+          normals.push(...fieldNormal(field, x[0], x[1], x[2], size * 0.01));
+        });
+      }
+    }
+  }
+
+  // Vertex, in cell (ci, cj, ck), of the sheet crossing the grid edge from node (i, j, k)
+  // along axis `bit` (1, 2 or 4 for x, y, z).
+  const vertexAt = (ci, cj, ck, i, j, k, bit) => {
+    const corner = (i - ci) | ((j - cj) << 1) | ((k - ck) << 2);
+    return sheetVertices.get(cell(ci, cj, ck) * 12 + edgeId(corner, corner | bit));
+  };
+
+  // One quad per sign-changing grid edge, joining the sheets it crosses in the four
+  // cells around it; an edge on the grid boundary has fewer cells and gets none. Each
+  // quad remembers the edge's inside node and crossing point.
+  const quads = [];
+  const pairUses = new Map();
+  const pairKey = (a, b) => (a < b ? `${a},${b}` : `${b},${a}`);
+  for (let k = 0; k < resolution; k++) {
+    for (let j = 0; j < resolution; j++) {
+      for (let i = 0; i < resolution; i++) {
+        const f0 = values[node(i, j, k)];
+        const around = [
+          [[i + 1, j, k], 1, [[i, j, k], [i, j - 1, k], [i, j - 1, k - 1], [i, j, k - 1]]],
+          [[i, j + 1, k], 2, [[i, j, k], [i - 1, j, k], [i - 1, j, k - 1], [i, j, k - 1]]],
+          [[i, j, k + 1], 4, [[i, j, k], [i - 1, j, k], [i - 1, j - 1, k], [i, j - 1, k]]],
+        ];
+        around.forEach(([end, bit, cells]) => {
+          if (cells.some((c) => c.some((index) => index < 0))) return;
+          const f1 = values[node(...end)];
+          if (f0 < 0 === f1 < 0) return;
+          const v = cells.map(([ci, cj, ck]) => vertexAt(ci, cj, ck, i, j, k, bit));
+          if (v.some((idx) => idx === undefined)) return;
+          const t = f0 / (f0 - f1);
+          const point = [i, j, k].map((c, r) => min + (c + t * (end[r] - c)) * size);
+          quads.push({ v, inside: f0 < 0 ? node(i, j, k) : node(...end), point });
+          v.forEach((a, r) => {
+            const key = pairKey(a, v[(r + 1) % 4]);
+            pairUses.set(key, (pairUses.get(key) || 0) + 1);
+          });
+        });
+      }
+    }
+  }
+
+  // Two sheets can meet across both segments of an ambiguous face (a tunnel through it),
+  // and the edge joining them would then bound four quads. Such an edge is split per
+  // segment by a vertex at the mean of the segment's crossings; the segment is named by
+  // the inside corner it cuts off, which is the inside node of both of its grid edges.
+  const faceVertices = new Map(); // pair + segment -> { index, sum, count }
+  const faceVertex = (a, b, { inside, point }) => {
+    const key = `${pairKey(a, b)}:${inside}`;
+    if (!faceVertices.has(key)) {
+      faceVertices.set(key, { index: positions.length / 3, sum: [0, 0, 0], count: 0 });
+      positions.push(0, 0, 0);
+      normals.push(0, 0, 0);
+    }
+    const entry = faceVertices.get(key);
+    point.forEach((c, r) => (entry.sum[r] += c));
+    entry.count++;
+    return entry.index;
+  };
+
+  // Quads are fanned from their first corner; a split quad from its face vertex, so
+  // none of its diagonals can coincide with an edge of a neighbouring quad.
+  quads.forEach((quad) => {
+    const polygon = [];
+    let hub = 0;
+    quad.v.forEach((a, r) => {
+      const b = quad.v[(r + 1) % 4];
+      polygon.push(a);
+      if (pairUses.get(pairKey(a, b)) > 2) {
+        if (hub === 0) hub = polygon.length;
+        polygon.push(faceVertex(a, b, quad));
+      }
+    });
+    const fan = [...polygon.slice(hub), ...polygon.slice(0, hub)];
+    for (let t = 1; t + 1 < fan.length; t++) indices.push(fan[0], fan[t], fan[t + 1]);
+  });
+
+  faceVertices.forEach(({ index, sum, count }) => {
+    const x = sum.map((c) => c / count);
+    positions.splice(index * 3, 3, ...x);
+    normals.splice(index * 3, 3, ...fieldNormal(field, x[0], x[1], x[2], size * 0.01));
+  });
+
+  return finishMesh(positions, normals, indices);
+};
+
+/**
+ * Extract the zero set of `field` with one of ISOSURFACE_METHODS.
+ */
+export const extractIsosurface = (field, { method = "marching", ...grid }) =>
+  method === "dual" ? dualContouring(field, grid) : marchingCubes(field, grid);
+
+export const meshStats = (mesh) => ({
+  vertices: mesh.positions.length / 3,
+  triangles: mesh.indices.length / 3,
+});
+
+/**
+ * Number of edges not shared by exactly two triangles; 0 for a watertight mesh.
+ */
+export const openEdgeCount = (mesh) => {
+  const uses = new Map();
+  const { indices } = mesh;
+  for (let t = 0; t < indices.length; t += 3) {
+    for (let k = 0; k < 3; k++) {
+      const a = indices[t + k];
+      const b = indices[t + ((k + 1) % 3)];
+      const key = a < b ? `${a},${b}` : `${b},${a}`;
+      uses.set(key, (uses.get(key) || 0) + 1);
+    }
+  }
+  let open = 0;
+  uses.forEach((count) => {
+    if (count !== 2) open++;
+  });
+  return open;
+};
+
+/**
+ * Mesh of the kernel surface Xi = 1 for (R, n). Since |x|, |y|, |z| ≤ R for every
+ * n ≥ 1, a box a couple of cells wider than R encloses it and the mesh is closed.
+ */
+export const extractKernelSurface = (R, n, { resolution = 32, method = "marching" } = {}) => {
+  const extent = R * (1 + 2.5 / resolution) + 1e-3;
+  return extractIsosurface((x, y, z) => lameField(x, y, z, R, n), {
+    method,
+    min: -extent,
+    max: extent,
+    resolution,
+  });
+};
+
+/**
+ * Mesh of a superellipsoid (see superellipsoid.js) over a cube enclosing its rotated box.
+ */
+export const extractShapeSurface = (shape, { resolution = 32, method = "marching" } = {}) => {
+  const extent = shapeExtent(shape) * (1 + 2.5 / resolution) + 1e-3;
+  return extractIsosurface((x, y, z) => superField(x, y, z, shape), {
+    method,
+    min: -extent,
+    max: extent,
+    resolution,
+  });
+};
+
+// Directions probed to bound a reconstructed model before choosing its grid.
+const EXTENT_SAMPLES_THETA = 64;
+const EXTENT_SAMPLES_PHI = 32;
+const EXTENT_MARGIN = 1.15;
+
+/**
+ * Signed radial field of a stored model: negative inside any of its [entry, exit]
+ * intervals along the ray through (x, y, z), positive outside.
+ */
+export const modelField = (model) => (x, y, z) => {
+  const r = Math.sqrt(x * x + y * y + z * z);
+  let theta = Math.atan2(y, x);
+  if (theta < 0) theta += TAU;
+  const phi = r < 1e-12 ? 0 : Math.acos(Math.max(-1, Math.min(1, z / r)));
+
+  let f = Infinity;
+  reconstructLayers(model, theta, phi).forEach(({ entry, exit }) => {
+    f = Math.min(f, Math.max(entry - r, r - exit));
+  });
+  return f;
+};
+
+/**
+ * Mesh of a composite model (see csg.js), from its combined distance bound.
+ */
+export const extractCompositeSurface = (model, { resolution = 48, method = "marching" } = {}) => {
+  const extent = treeExtent(model.root) * (1 + 2.5 / resolution) + 1e-3;
+  return extractIsosurface(createCompositeField(model).bound, { method, min: -extent, max: extent, resolution });
+};
+
+/**
+ * Mesh of any reconstruction model (see reconstructR) or composite. Primitive models use
+ * the exact Lamé field; radial models tessellate their radial field, intersected with a
+ * box just inside the grid so the mesh is closed even where a spike escapes the probe.
+ */
+export const extractModelSurface = (model, { resolution = 48, method = "marching" } = {}) => {
+  if (model.mode === "primitive") {
+    if (model.a === undefined) return extractKernelSurface(model.R, model.n, { resolution, method });
+    return extractShapeSurface(primitiveShape(model), { resolution, method });
+  }
+  if (isComposite(model)) return extractCompositeSurface(model, { resolution, method });
+
+  let maxR = 0;
+  for (let i = 0; i < EXTENT_SAMPLES_THETA; i++) {
+    for (let j = 0; j < EXTENT_SAMPLES_PHI; j++) {
+      const theta = ((i + 0.5) / EXTENT_SAMPLES_THETA) * TAU;
+      const phi = ((j + 0.5) / EXTENT_SAMPLES_PHI) * Math.PI;
+      reconstructLayers(model, theta, phi).forEach(({ exit }) => {
+        maxR = Math.max(maxR, exit);
+      });
+    }
+  }
+
+  const extent = maxR * EXTENT_MARGIN * (1 + 2.5 / resolution) + 1e-3;
+  const wall = extent * (1 - 1.5 / resolution);
+  const radial = modelField(model);
+  const field = (x, y, z) =>
+    Math.max(radial(x, y, z), Math.max(Math.abs(x), Math.abs(y), Math.abs(z)) - wall);
+
+  return extractIsosurface(field, { method, min: -extent, max: extent, resolution });
+};
@@ -0,0 +1,172 @@
+// DEPHAZE Universal Stability Kernel (UI-free).
+// Shared by the 3D viewer, the numerical validation and the phase-map pipeline.
+
+export const TAU = 2 * Math.PI;
+
+// φ³ curvature exponent used by the direction-only phase warp.
+export const PHI3 = 4.2360679;
+
+// Above this order the Lⁿ norm is replaced by its Chebyshev limit.
+export const LIMIT_ORDER = 50;
+
+/**
+ * Lⁿ norm of (x, y, z), with the Chebyshev limit above LIMIT_ORDER.
+ */
+export const lameNorm = (x, y, z, n) => {
+  if (n === Infinity || n > LIMIT_ORDER) {
+    // Limit Topology (n → ∞): Cube (L∞ norm / Chebyshev distance)
+    return Math.max(Math.abs(x), Math.abs(y), Math.abs(z));
+  }
+  // General Topology: Lⁿ norm (Minkowski distance)
+  const sum = Math.pow(Math.abs(x), n) + Math.pow(Math.abs(y), n) + Math.pow(Math.abs(z), n);
+  return Math.pow(sum, 1 / n);
+};
+
+/**
+ * DEPHAZE Universal Stability Kernel
+ * Calculates the stability coefficient Xi based on spatial coordinates.
+ */
+export const Xi = (x, y, z, R, n) => R / lameNorm(x, y, z, n);
+
+/**
+ * Implicit form of the Xi = 1 surface that stays finite at Ω₀:
+ * negative inside, zero on the surface, positive outside.
+ */
+export const lameField = (x, y, z, R, n) => lameNorm(x, y, z, n) - R;
+
+/**
+ * Existence Condition: surface is defined where Xi = 1.0
+ */
+export const exists = (x, y, z, R, n, tolerance = 0.01) => {
+  const xi = Xi(x, y, z, R, n);
+  return Math.abs(xi - 1.0) < tolerance;
+};
+
+/**
+ * Unit direction for spherical phase coordinates (theta = azimuth, phi = polar).
+ */
+export const direction = (theta, phi) => ({
+  x: Math.sin(phi) * Math.cos(theta),
+  y: Math.sin(phi) * Math.sin(theta),
+  z: Math.cos(phi),
+});
+
+// === PHI3 IMAGO PHASE HELPERS (direction-only, non-circular) ===
+// Goal: make Fourier/spatial map more compressible by storing W = R * Xi_dir(direction),
+// where Xi_dir depends only on direction (theta, phi), not on R (so reconstruction is not circular).
+
+// Xi_dir depends ONLY on direction (theta, phi):
+// Xi_dir = 1 / ( |ux|^PHI3 + |uy|^PHI3 + |uz|^PHI3 )^(1/PHI3)
+// The exponent defaults to PHI3; decoded payloads may carry their own.
+export const xiDir = (theta, phi, exponent = PHI3) => {
+  const u = direction(theta, phi);
+
+  const denom = Math.pow(
+    Math.pow(Math.abs(u.x), exponent) +
+      Math.pow(Math.abs(u.y), exponent) +
+      Math.pow(Math.abs(u.z), exponent),
+    1 / exponent
+  );
+
+  return 1 / Math.max(denom, 1e-12);
+};
+
+// Store a PHI3-warped radius so Fourier/spatial compression is more stable:
+//   W = R * Xi_dir  =>  R = W / Xi_dir
+export const warpR = (R, theta, phi, exponent = PHI3) => R * xiDir(theta, phi, exponent);
+export const unwarpR = (W, theta, phi, exponent = PHI3) => W / xiDir(theta, phi, exponent);
+
+// === HYBRID BASE (direction-only, non-circular) ===
+// A hybrid map stores the residual against a primitive fitted to the scan,
+//   W = R − R_base(theta, phi)  =>  R = R_base + W,
+// so the map only carries what the primitive does not explain. `base` is { R, n }.
+export const baseRadius = (base, theta, phi) => {
+  const u = direction(theta, phi);
+  return Xi(u.x, u.y, u.z, base.R, base.n);
+};
+
+/**
+ * Stored phase value for radius R: the residual against `base` when given, else the
+ * warped radius.
+ */
+export const encodeRadius = (R, theta, phi, { base, warpExponent = PHI3 } = {}) =>
+  base ? R - baseRadius(base, theta, phi) : warpR(R, theta, phi, warpExponent);
+
+/**
+ * Inverse of encodeRadius.
+ */
+export const decodeRadius = (W, theta, phi, { base, warpExponent = PHI3 } = {}) =>
+  base ? baseRadius(base, theta, phi) + W : unwarpR(W, theta, phi, warpExponent);
+
+// Relative tolerance for calling two semi-axes or exponents equal.
+const SAME = 0.05;
+const same = (p, q) => Math.abs(p - q) <= SAME * Math.max(Math.abs(p), Math.abs(q));
+
+// Label for a superellipsoid { a, b, c, e1, e2 } (see superellipsoid.js).
+const classifySuperellipsoid = ({ a, b, c, e1, e2 }) => {
+  const round = (e) => e > 0.8 && e < 1.25;
+  const square = (e) => e < 0.3;
+  const pointed = (e) => e > 1.7;
+  const equalAxes = [same(a, b), same(b, c), same(a, c)].filter(Boolean).length;
+
+  if (equalAxes === 3 && same(e1, e2)) return getShapeName(2 / e1);
+  if (round(e1) && round(e2)) return equalAxes > 0 ? "Spheroid" : "Ellipsoid";
+  if (square(e1) && square(e2)) return equalAxes === 3 ? "Limit Topology (Cube)" : "Cuboid";
+  if (square(e1) && round(e2)) return "Cylinder";
+  if (round(e1) && square(e2)) return "Pillow";
+  if (pointed(e1) && round(e2)) return "Bicone";
+  if (pointed(e1) && pointed(e2)) return "Octahedral Superellipsoid";
+  return "Superellipsoid";
+};
+
+/**
+ * Topology label for a kernel order n, or for per-axis superellipsoid parameters.
+ */
+export const getShapeName = (n) => {
+  if (typeof n === "object") return classifySuperellipsoid(n);
+  if (n < 1.3) return "Octahedron";
+  if (n < 1.7) return "Transitionary State";
+  if (n < 2.3) return "Euclidean Sphere";
+  if (n < 3.5) return "Superquadric Transition";
+  if (n < 8) return "Rounded Cube";
+  return "Limit Topology (Cube)";
+};
+
+// 3D to 2D isometric projection
+export const project3D = (x, y, z, rotX, rotY) => {
+  const cosX = Math.cos(rotX);
+  const sinX = Math.sin(rotX);
+  const y1 = y * cosX - z * sinX;
+  const z1 = y * sinX + z * cosX;
+
+  const cosY = Math.cos(rotY);
+  const sinY = Math.sin(rotY);
+  const x2 = x * cosY + z1 * sinY;
+  const z2 = -x * sinY + z1 * cosY;
+
+  return { x: x2, y: y1, z: z2 };
+};
+
+/**
+ * Brute-force surface sweep: every point of a cubic grid over [-extent, extent]³
+ * that satisfies the existence condition. Returns packed xyz as a Float32Array.
+ * `onProgress(fraction)` is called once per x slice.
+ */
+export const sampleKernelShell = (R, n, { extent = 3, step = 0.15, tolerance = 0.05 } = {}, onProgress) => {
+  const count = Math.round((2 * extent) / step) + 1;
+  const xyz = [];
+
+  for (let i = 0; i < count; i++) {
+    const x = -extent + i * step;
+    for (let j = 0; j < count; j++) {
+      const y = -extent + j * step;
+      for (let k = 0; k < count; k++) {
+        const z = -extent + k * step;
+        if (exists(x, y, z, R, n, tolerance)) xyz.push(x, y, z);
+      }
+    }
+    if (onProgress) onProgress((i + 1) / count);
+  }
+
+  return new Float32Array(xyz);
+};
@@ -0,0 +1,104 @@
+import { BASE_RADIUS, HIT_GAP, cellIndex, clusterRadii } from "./phaseMap.js";
+
+// === MULTI-LAYER PHASE MAP (non-star-shaped objects) ===
+// Each (θ, φ) cell holds the radial intervals [entry, exit] where its ray is inside
+// the object. An odd number of hits means Ω₀ is inside the solid, so the first
+// interval starts at 0; a star-shaped cell is the single interval [0, R].
+//
+// Unlike the single-layer map, layers store plain radii: the direction-only warp
+// exists for Fourier transport, which layered maps do not use.
+
+export const MAX_LAYERS = 4;
+
+/**
+ * Pair ascending surface hits into [entry, exit] intervals.
+ */
+export const hitsToIntervals = (hits, maxLayers = MAX_LAYERS) => {
+  const intervals = [];
+  let k = 0;
+
+  if (hits.length % 2 === 1) {
+    intervals.push({ entry: 0, exit: hits[0] });
+    k = 1;
+  }
+  for (; k + 1 < hits.length; k += 2) {
+    intervals.push({ entry: hits[k], exit: hits[k + 1] });
+  }
+
+  return intervals.slice(0, maxLayers);
+};
+
+export const buildLayeredPhaseMap = (points, phaseResolution, { gap = HIT_GAP, maxLayers = MAX_LAYERS } = {}) => {
+  const N = phaseResolution;
+  const radii = Array(N)
+    .fill(null)
+    .map(() =>
+      Array(N)
+        .fill(null)
+        .map(() => [])
+    );
+
+  let meanR = 0;
+  points.forEach((p) => {
+    const { thetaIdx, phiIdx } = cellIndex(p.theta, p.phi, N);
+    if (phiIdx >= 0 && phiIdx < N) radii[thetaIdx][phiIdx].push(p.R);
+    meanR += p.R;
+  });
+  meanR /= Math.max(points.length, 1);
+
+  const map = radii.map((row) =>
+    row.map((cellRadii) => {
+      if (cellRadii.length === 0) return { layers: [], count: 0 };
+      cellRadii.sort((a, b) => a - b);
+      const hits = clusterRadii(cellRadii, gap * meanR).map((h) => h.R);
+      return { layers: hitsToIntervals(hits, maxLayers), count: cellRadii.length };
+    })
+  );
+
+  // Empty cells copy the first observed 4-neighbour, else a default sphere.
+  for (let i = 0; i < N; i++) {
+    for (let j = 0; j < N; j++) {
+      if (map[i][j].count > 0) continue;
+
+      const neighbours = [
+        map[(i - 1 + N) % N][j],
+        map[(i + 1) % N][j],
+        map[i][Math.max(0, j - 1)],
+        map[i][Math.min(N - 1, j + 1)],
+      ];
+      const source = neighbours.find((n) => n.count > 0);
+      map[i][j].layers = source
+        ? source.layers.map((l) => ({ ...l }))
+        : [{ entry: 0, exit: BASE_RADIUS }];
+    }
+  }
+
+  return map;
+};
+
+/**
+ * Radial intervals stored for the cell containing (theta, phi). A cell without any
+ * (which a .dphz file may hold) reads as the default sphere, like a direction off the map.
+ */
+export const layersAt = (layeredMap, theta, phi) => {
+  const N = layeredMap.length;
+  const { thetaIdx, phiIdx } = cellIndex(theta, phi, N);
+  if (phiIdx < 0 || phiIdx >= N) return [{ entry: 0, exit: BASE_RADIUS }];
+  const { layers } = layeredMap[thetaIdx][phiIdx];
+  return layers.length > 0 ? layers : [{ entry: 0, exit: BASE_RADIUS }];
+};
+
+/**
+ * Surface radii (every non-zero entry and every exit) of a list of intervals.
+ */
+export const surfaceRadii = (intervals) => {
+  const radii = [];
+  intervals.forEach((l) => {
+    if (l.entry > 0) radii.push(l.entry);
+    radii.push(l.exit);
+  });
+  return radii;
+};
+
+export const layerCount = (layeredMap) =>
+  layeredMap.reduce((sum, row) => sum + row.reduce((s, cell) => s + cell.layers.length, 0), 0);
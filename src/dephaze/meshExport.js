@@ -0,0 +1,219 @@
+// === MESH EXPORT ===
+// Writers for indexed triangle meshes ({ positions, normals, indices }, as produced by
+// the isosurface extractors). Every encoder returns a Uint8Array ready for a Blob or
+// fs.writeFileSync.
+//
+//   stl  binary STL, facet normals from the triangle winding
+//   obj  Wavefront OBJ with per-vertex normals (1-based, v//vn faces)
+//   ply  binary little-endian PLY, float xyz + normals, uchar/uint face lists
+//   glb  glTF 2.0 binary container, one mesh with POSITION, NORMAL and u32 indices
+
+export const MESH_FORMATS = {
+  stl: { label: "STL", extension: ".stl", mime: "model/stl" },
+  obj: { label: "OBJ", extension: ".obj", mime: "model/obj" },
+  ply: { label: "PLY", extension: ".ply", mime: "application/x-ply" },
+  glb: { label: "glTF", extension: ".glb", mime: "model/gltf-binary" },
+};
+
+const STL_HEADER_BYTES = 80;
+const STL_FACET_BYTES = 50;
+
+const GLB_MAGIC = 0x46546c67; // "glTF"
+const GLB_CHUNK_JSON = 0x4e4f534a;
+const GLB_CHUNK_BIN = 0x004e4942;
+const GL_FLOAT = 5126;
+const GL_UNSIGNED_INT = 5125;
+const GL_ARRAY_BUFFER = 34962;
+const GL_ELEMENT_ARRAY_BUFFER = 34963;
+
+const encodeText = (text) => new TextEncoder().encode(text);
+
+const triangleCount = (mesh) => mesh.indices.length / 3;
+
+/**
+ * Binary STL. The 80-byte header carries `name`; attribute byte counts are zero.
+ */
+export const encodeSTL = (mesh, { name = "dephaze" } = {}) => {
+  const { positions, indices } = mesh;
+  const count = triangleCount(mesh);
+  const bytes = new Uint8Array(STL_HEADER_BYTES + 4 + count * STL_FACET_BYTES);
+  const view = new DataView(bytes.buffer);
+
+  bytes.set(encodeText(name).subarray(0, STL_HEADER_BYTES));
+  view.setUint32(STL_HEADER_BYTES, count, true);
+
+  let offset = STL_HEADER_BYTES + 4;
+  for (let t = 0; t < indices.length; t += 3) {
+    const [a, b, c] = [indices[t] * 3, indices[t + 1] * 3, indices[t + 2] * 3];
+    const u = [positions[b] - positions[a], positions[b + 1] - positions[a + 1], positions[b + 2] - positions[a + 2]];
+    const v = [positions[c] - positions[a], positions[c + 1] - positions[a + 1], positions[c + 2] - positions[a + 2]];
+    const normal = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+    const len = Math.sqrt(normal[0] ** 2 + normal[1] ** 2 + normal[2] ** 2) || 1;
+
+    normal.forEach((value) => {
+      view.setFloat32(offset, value / len, true);
+      offset += 4;
+    });
+    [a, b, c].forEach((vertex) => {
+      for (let k = 0; k < 3; k++) {
+        view.setFloat32(offset, positions[vertex + k], true);
+        offset += 4;
+      }
+    });
+    view.setUint16(offset, 0, true);
+    offset += 2;
+  }
+
+  return bytes;
+};
+
+/**
+ * Wavefront OBJ (text). Vertex normals share the vertex numbering.
+ */
+export const encodeOBJ = (mesh, { name = "dephaze" } = {}) => {
+  const { positions, normals, indices } = mesh;
+  const lines = [`# Dephaze surface, ${positions.length / 3} vertices, ${triangleCount(mesh)} triangles`, `o ${name}`];
+
+  for (let i = 0; i < positions.length; i += 3) {
+    lines.push(`v ${positions[i].toFixed(6)} ${positions[i + 1].toFixed(6)} ${positions[i + 2].toFixed(6)}`);
+  }
+  for (let i = 0; i < normals.length; i += 3) {
+    lines.push(`vn ${normals[i].toFixed(6)} ${normals[i + 1].toFixed(6)} ${normals[i + 2].toFixed(6)}`);
+  }
+  for (let t = 0; t < indices.length; t += 3) {
+    const [a, b, c] = [indices[t] + 1, indices[t + 1] + 1, indices[t + 2] + 1];
+    lines.push(`f ${a}//${a} ${b}//${b} ${c}//${c}`);
+  }
+
+  return encodeText(lines.join("\n") + "\n");
+};
+
+/**
+ * Binary little-endian PLY with per-vertex normals.
+ */
+export const encodePLY = (mesh, { name = "dephaze" } = {}) => {
+  const { positions, normals, indices } = mesh;
+  const vertexCount = positions.length / 3;
+  const count = triangleCount(mesh);
+  const header = encodeText(
+    [
+      "ply",
+      "format binary_little_endian 1.0",
+      `comment ${name}`,
+      `element vertex ${vertexCount}`,
+      "property float x",
+      "property float y",
+      "property float z",
+      "property float nx",
+      "property float ny",
+      "property float nz",
+      `element face ${count}`,
+      "property list uchar uint vertex_indices",
+      "end_header",
+      "",
+    ].join("\n")
+  );
+
+  const bytes = new Uint8Array(header.length + vertexCount * 24 + count * 13);
+  const view = new DataView(bytes.buffer);
+  bytes.set(header);
+
+  let offset = header.length;
+  for (let i = 0; i < positions.length; i += 3) {
+    for (let k = 0; k < 3; k++) view.setFloat32(offset + k * 4, positions[i + k], true);
+    for (let k = 0; k < 3; k++) view.setFloat32(offset + 12 + k * 4, normals[i + k], true);
+    offset += 24;
+  }
+  for (let t = 0; t < indices.length; t += 3) {
+    view.setUint8(offset, 3);
+    for (let k = 0; k < 3; k++) view.setUint32(offset + 1 + k * 4, indices[t + k], true);
+    offset += 13;
+  }
+
+  return bytes;
+};
+
+const pad4 = (length) => (length + 3) & ~3;
+
+/**
+ * glTF 2.0 binary (.glb): JSON chunk followed by one BIN chunk holding positions,
+ * normals and indices back to back.
+ */
+export const encodeGLB = (mesh, { name = "dephaze" } = {}) => {
+  const { positions, normals, indices } = mesh;
+  const vertexCount = positions.length / 3;
+
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < positions.length; i += 3) {
+    for (let k = 0; k < 3; k++) {
+      min[k] = Math.min(min[k], positions[i + k]);
+      max[k] = Math.max(max[k], positions[i + k]);
+    }
+  }
+  if (!vertexCount) {
+    min.fill(0);
+    max.fill(0);
+  }
+
+  const views = [positions, normals, indices].map((array) => array.byteLength);
+  const binLength = views.reduce((sum, length) => sum + length, 0);
+
+  const gltf = {
+    asset: { version: "2.0", generator: "Dephaze" },
+    scene: 0,
+    scenes: [{ nodes: [0] }],
+    nodes: [{ mesh: 0, name }],
+    meshes: [{ name, primitives: [{ attributes: { POSITION: 0, NORMAL: 1 }, indices: 2, mode: 4 }] }],
+    buffers: [{ byteLength: binLength }],
+    bufferViews: [
+      { buffer: 0, byteOffset: 0, byteLength: views[0], target: GL_ARRAY_BUFFER },
+      { buffer: 0, byteOffset: views[0], byteLength: views[1], target: GL_ARRAY_BUFFER },
+      { buffer: 0, byteOffset: views[0] + views[1], byteLength: views[2], target: GL_ELEMENT_ARRAY_BUFFER },
+    ],
+    accessors: [
+      { bufferView: 0, componentType: GL_FLOAT, count: vertexCount, type: "VEC3", min, max },
+      { bufferView: 1, componentType: GL_FLOAT, count: vertexCount, type: "VEC3" },
+      { bufferView: 2, componentType: GL_UNSIGNED_INT, count: indices.length, type: "SCALAR" },
+    ],
+  };
+
+  // JSON is padded with spaces and BIN with zeros to 4-byte chunk boundaries.
+  const json = encodeText(JSON.stringify(gltf));
+  const jsonLength = pad4(json.length);
+  const binPadded = pad4(binLength);
+  const total = 12 + 8 + jsonLength + 8 + binPadded;
+
+  const bytes = new Uint8Array(total);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(0, GLB_MAGIC, true);
+  view.setUint32(4, 2, true);
+  view.setUint32(8, total, true);
+
+  view.setUint32(12, jsonLength, true);
+  view.setUint32(16, GLB_CHUNK_JSON, true);
+  bytes.fill(0x20, 20, 20 + jsonLength);
+  bytes.set(json, 20);
+
+  const binStart = 20 + jsonLength;
+  view.setUint32(binStart, binPadded, true);
+  view.setUint32(binStart + 4, GLB_CHUNK_BIN, true);
+  let offset = binStart + 8;
+  [positions, normals, indices].forEach((array) => {
+    bytes.set(new Uint8Array(array.buffer, array.byteOffset, array.byteLength), offset);
+    offset += array.byteLength;
+  });
+
+  return bytes;
+};
+
+const ENCODERS = { stl: encodeSTL, obj: encodeOBJ, ply: encodePLY, glb: encodeGLB };
+
+/**
+ * Encode `mesh` in one of MESH_FORMATS.
+ */
+export const encodeMesh = (mesh, format, options) => {
+  const encode = ENCODERS[format];
+  if (!encode) throw new Error(`Unknown mesh format "${format}"`);
+  return encode(mesh, options);
+};
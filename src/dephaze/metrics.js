@@ -0,0 +1,123 @@
+// Storage accounting and Ξ Stability for phase-map models.
+import { createSurfaceSampler } from "./reconstruct.js";
+import { dphzByteLength } from "./dphz.js";
+import { layerCount } from "./layers.js";
+import { adaptiveStats } from "./quadtree.js";
+import { primitiveShape, hasTransform } from "./superellipsoid.js";
+import { isComposite, treeLeaves, treeNodeCount } from "./csg.js";
+
+// Legacy mesh: xyz * float32 per point.
+export const meshBytes = (pointCount) => pointCount * 3 * 4;
+
+// Primitive kernel: 2 parameters (R, n) * 8 bytes.
+export const PRIMITIVE_BYTES = 16;
+
+// Superellipsoid: 5 parameters (a, b, c, ε1, ε2), plus 6 for rotation and translation.
+export const SUPERELLIPSOID_BYTES = 40;
+export const TRANSFORM_BYTES = 48;
+
+// Composite tree structure, as stored in .dphz: a tag byte per primitive, and tag,
+// child count and f32 blend radius per operator.
+export const PRIMITIVE_TAG_BYTES = 1;
+export const OPERATOR_BYTES = 6;
+
+/**
+ * Byte breakdown of a composite model (see csg.js): the summed parameter bytes of its
+ * primitives, plus the bytes describing the tree.
+ */
+export const compositeBytes = (model) => {
+  const leaves = treeLeaves(model.root);
+  const parameters = leaves.reduce((sum, leaf) => sum + primitiveBytes(leaf), 0);
+  const operators = treeNodeCount(model.root) - leaves.length;
+  const structure = leaves.length * PRIMITIVE_TAG_BYTES + operators * OPERATOR_BYTES;
+  return { primitives: leaves.length, operators, parameters, structure, total: parameters + structure };
+};
+
+/**
+ * Parameter bytes of a primitive model, in either form (see superellipsoid.js), or the
+ * total of a composite.
+ */
+export const primitiveBytes = (model) => {
+  if (model && isComposite(model)) return compositeBytes(model).total;
+  if (!model || model.a === undefined) return PRIMITIVE_BYTES;
+  return SUPERELLIPSOID_BYTES + (hasTransform(primitiveShape(model)) ? TRANSFORM_BYTES : 0);
+};
+
+export const primitiveMemory = (pointCount = 10000, model) => {
+  const mesh = meshBytes(pointCount);
+  const bytes = primitiveBytes(model);
+  return {
+    meshBytes: mesh,
+    dephazeBytes: bytes,
+    ratio: mesh / bytes,
+  };
+};
+
+/**
+ * Theoretical payload size of a spatial or Fourier phase map, for the model-less form
+ * of computeMetrics.
+ */
+export const phaseMapBytes = ({ mode, phaseResolution, topK }) =>
+  mode === "fourier" ? 16 + topK * 16 + 8 : 16 + phaseResolution * phaseResolution * 4;
+
+/**
+ * Mean absolute radial error of `reconstruct` over the scanned points.
+ */
+export const averageRadialError = (points, reconstruct) => {
+  if (points.length === 0) return 0;
+
+  let errorSum = 0;
+  points.forEach((p) => {
+    errorSum += Math.abs(reconstruct(p.theta, p.phi) - p.R);
+  });
+
+  return errorSum / points.length;
+};
+
+/**
+ * Mean distance from each point to the nearest reconstructed surface along its ray.
+ * `surfaces(theta, phi)` returns every surface radius (see createSurfaceSampler).
+ */
+export const averageSurfaceError = (points, surfaces) => {
+  if (points.length === 0) return 0;
+
+  let errorSum = 0;
+  points.forEach((p) => {
+    errorSum += Math.min(...surfaces(p.theta, p.phi).map((r) => Math.abs(r - p.R)));
+  });
+
+  return errorSum / points.length;
+};
+
+// Ξ Stability: 100 at zero error, 0 at an average radial error of 2.
+export const xiStability = (avgError) => Math.max(0, 100 - avgError * 50);
+
+// === 5. METRICS (Ξ Stability) ===
+// dephazeSize is the byte length of the model's real .dphz encoding; the error of a
+// layered model is measured against the nearest of its surfaces. `adaptive` carries the
+// tree size of an adaptive model (see adaptiveStats).
+//
+// The original form without a model, { points, reconstruct, mode, phaseResolution, topK },
+// is still accepted: it scores `reconstruct` and reports the theoretical payload size.
+export const computeMetrics = ({ points, model, reconstruct, mode, phaseResolution, topK }) => {
+  if (!model) {
+    const meshSize = meshBytes(points.length);
+    const dephazeSize = phaseMapBytes({ mode, phaseResolution, topK });
+    const avgError = averageRadialError(points, reconstruct);
+    return { meshSize, dephazeSize, avgError, xiStability: xiStability(avgError), ratio: meshSize / dephazeSize, layers: null, adaptive: null };
+  }
+
+  const meshSize = meshBytes(points.length);
+  const dephazeSize = dphzByteLength(model);
+  const avgError = averageSurfaceError(points, createSurfaceSampler(model));
+
+  return {
+    meshSize,
+    dephazeSize,
+    avgError,
+    xiStability: xiStability(avgError),
+    ratio: meshSize / dephazeSize,
+    layers: model.mode === "layered" ? layerCount(model.layeredMap) : null,
+    adaptive: model.mode === "adaptive" ? adaptiveStats(model.adaptiveMap) : null,
+  };
+};
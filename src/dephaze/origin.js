@@ -0,0 +1,149 @@
+import { HIT_GAP, cellIndex, cellCenter, clusterRadii } from "./phaseMap.js";
+import { toPhasePoints } from "./pointCloud.js";
+
+// === Ω₀ ESTIMATION & STAR-SHAPEDNESS ===
+// A radial phase map stores one R per direction, so it is faithful only when every
+// ray from Ω₀ crosses the surface once. These helpers pick Ω₀ and report where
+// that assumption fails.
+
+export const ORIGIN_METHODS = ["centroid", "bbox", "optimize"];
+
+// Points used by the optimizer; larger clouds are strided down to this count.
+const OPTIMIZE_SAMPLE = 4000;
+
+export const centroid = (vertices) => {
+  const sum = vertices.reduce((acc, v) => ({ x: acc.x + v.x, y: acc.y + v.y, z: acc.z + v.z }), {
+    x: 0,
+    y: 0,
+    z: 0,
+  });
+  const n = Math.max(vertices.length, 1);
+  return { x: sum.x / n, y: sum.y / n, z: sum.z / n };
+};
+
+const bounds = (vertices) => {
+  const min = { x: Infinity, y: Infinity, z: Infinity };
+  const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+  vertices.forEach((v) => {
+    ["x", "y", "z"].forEach((a) => {
+      min[a] = Math.min(min[a], v[a]);
+      max[a] = Math.max(max[a], v[a]);
+    });
+  });
+  return { min, max };
+};
+
+export const boundingBoxCenter = (vertices) => {
+  const { min, max } = bounds(vertices);
+  return { x: (min.x + max.x) / 2, y: (min.y + max.y) / 2, z: (min.z + max.z) / 2 };
+};
+
+/**
+ * Ray-hit diagnostic for scan points (theta, phi, R).
+ *
+ * Points are binned on a resolution × resolution direction grid. Within a bin, radii
+ * separated by more than `gap` × mean radius are counted as distinct surface hits
+ * (see clusterRadii).
+ * Returns the multi-hit directions, the fraction of occupied directions that are
+ * multi-hit, and the visible fraction: points belonging to the first hit of their ray.
+ */
+export const starDiagnostic = (points, { resolution = 24, gap = HIT_GAP } = {}) => {
+  const bins = new Map();
+  let meanR = 0;
+
+  points.forEach((p) => {
+    const { thetaIdx, phiIdx } = cellIndex(p.theta, p.phi, resolution);
+    if (phiIdx < 0 || phiIdx >= resolution) return;
+    const key = thetaIdx * resolution + phiIdx;
+    if (!bins.has(key)) bins.set(key, []);
+    bins.get(key).push(p.R);
+    meanR += p.R;
+  });
+
+  meanR /= Math.max(points.length, 1);
+  const minGap = gap * meanR;
+
+  const multiHit = [];
+  let visible = 0;
+  let counted = 0;
+
+  bins.forEach((radii, key) => {
+    radii.sort((a, b) => a - b);
+    const hits = clusterRadii(radii, minGap);
+
+    visible += hits[0].count;
+    counted += radii.length;
+
+    if (hits.length > 1) {
+      const i = Math.floor(key / resolution);
+      const j = key % resolution;
+      multiHit.push({ i, j, ...cellCenter(i, j, resolution), hits: hits.map((h) => h.R) });
+    }
+  });
+
+  return {
+    resolution,
+    occupied: bins.size,
+    multiHit,
+    multiHitFraction: bins.size > 0 ? multiHit.length / bins.size : 0,
+    visibleFraction: counted > 0 ? visible / counted : 1,
+  };
+};
+
+/**
+ * Fraction of vertices that are the first surface hit along their ray from `origin`.
+ */
+export const visibleFraction = (vertices, origin, options) =>
+  starDiagnostic(toPhasePoints(vertices, origin, { normalize: false }).points, options).visibleFraction;
+
+/**
+ * Compass search for the Ω₀ that maximizes visibleFraction, starting from the
+ * better of the centroid and the bounding-box center.
+ */
+export const optimizeOrigin = (vertices, { iterations = 40, options } = {}) => {
+  const stride = Math.max(1, Math.ceil(vertices.length / OPTIMIZE_SAMPLE));
+  const sample = vertices.filter((_, i) => i % stride === 0);
+
+  const { min, max } = bounds(sample);
+  let step = 0.25 * Math.max(max.x - min.x, max.y - min.y, max.z - min.z);
+  const minStep = step / 64;
+
+  let best = centroid(sample);
+  let bestScore = visibleFraction(sample, best, options);
+
+  const boxCenter = boundingBoxCenter(sample);
+  const boxScore = visibleFraction(sample, boxCenter, options);
+  if (boxScore > bestScore) {
+    best = boxCenter;
+    bestScore = boxScore;
+  }
+
+  for (let it = 0; it < iterations && step > minStep && bestScore < 1; it++) {
+    let improved = false;
+
+    for (const axis of ["x", "y", "z"]) {
+      for (const sign of [-1, 1]) {
+        const candidate = { ...best, [axis]: best[axis] + sign * step };
+        const score = visibleFraction(sample, candidate, options);
+        if (score > bestScore) {
+          best = candidate;
+          bestScore = score;
+          improved = true;
+        }
+      }
+    }
+
+    if (!improved) step /= 2;
+  }
+
+  return best;
+};
+
+/**
+ * Ω₀ for `vertices` by one of ORIGIN_METHODS.
+ */
+export const estimateOrigin = (vertices, method = "centroid") => {
+  if (method === "bbox") return boundingBoxCenter(vertices);
+  if (method === "optimize") return optimizeOrigin(vertices);
+  return centroid(vertices);
+};
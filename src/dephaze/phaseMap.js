@@ -0,0 +1,180 @@
+import { TAU, PHI3, direction, xiDir, warpR, baseRadius, encodeRadius, decodeRadius } from "./kernel.js";
+import { FILL_METHODS, DEFAULT_FILL, inpaintPhaseMap, samplePhaseMap } from "./interpolation.js";
+
+// Radius used for directions that have never been observed.
+export const BASE_RADIUS = 2.0;
+
+export const MESH_TYPES = ["bumpy", "spike", "organic"];
+
+/**
+ * Analytic radius of the synthetic test meshes along (theta, phi).
+ */
+export const meshRadius = (meshType, theta, phi) => {
+  let R = BASE_RADIUS;
+
+  if (meshType === "bumpy") {
+    R += 0.35 * Math.sin(theta * 3) * Math.cos(phi * 2);
+    R += 0.25 * Math.sin(theta * 5 + phi * 3);
+  } else if (meshType === "spike") {
+    R += 0.6 * Math.abs(Math.sin(theta * 2)) * Math.abs(Math.cos(phi * 2));
+  } else {
+    R += 0.3 * Math.sin(theta * 2.3 + phi * 1.7);
+    R += 0.15 * Math.cos(theta * 4.1) * Math.sin(phi * 3.3);
+  }
+
+  return R;
+};
+
+/**
+ * A measured sample along (theta, phi) at radius R, carrying its warped radius.
+ */
+export const scanPoint = (theta, phi, R) => {
+  const u = direction(theta, phi);
+  return {
+    x: R * u.x,
+    y: R * u.y,
+    z: R * u.z,
+    theta,
+    phi,
+    R,
+    xi: xiDir(theta, phi),
+    Rw: warpR(R, theta, phi),
+  };
+};
+
+// === 1. SCANNING (φ⁻³ Observable Pattern) ===
+export const generateScan = (meshType, density, random = Math.random) => {
+  const points = [];
+
+  for (let i = 0; i < density; i++) {
+    const theta = random() * TAU;
+    const phi = random() * Math.PI;
+    points.push(scanPoint(theta, phi, meshRadius(meshType, theta, phi)));
+  }
+
+  return points;
+};
+
+/**
+ * Cell indices of a direction on an N×N (theta, phi) grid.
+ * phiIdx may fall outside [0, N) for phi outside [0, π).
+ */
+export const cellIndex = (theta, phi, N) => ({
+  thetaIdx: Math.floor((theta / TAU) * N) % N,
+  phiIdx: Math.floor((phi / Math.PI) * N),
+});
+
+// Direction through the centre of cell (i, j).
+export const cellCenter = (i, j, N) => ({
+  theta: ((i + 0.5) / N) * TAU,
+  phi: ((j + 0.5) / N) * Math.PI,
+});
+
+// Radii along one ray further apart than HIT_GAP × mean radius are separate surface hits.
+export const HIT_GAP = 0.25;
+
+/**
+ * Group ascending radii into surface hits, splitting wherever consecutive radii
+ * differ by more than `minGap`. Each hit reports its mean radius and sample count.
+ */
+export const clusterRadii = (sortedRadii, minGap) => {
+  const hits = [];
+  let sum = 0;
+  let count = 0;
+
+  sortedRadii.forEach((r, k) => {
+    if (k > 0 && r - sortedRadii[k - 1] > minGap) {
+      hits.push({ R: sum / count, count });
+      sum = 0;
+      count = 0;
+    }
+    sum += r;
+    count++;
+  });
+  if (count > 0) hits.push({ R: sum / count, count });
+
+  return hits;
+};
+
+// === 2. PHASE MAP CONSTRUCTION (Spatial Domain) ===
+// IMPORTANT: we store Rw (warped radius) instead of R. With a fitted `base` primitive
+// (hybrid map) the same slot holds the residual R − R_base instead (see encodeRadius),
+// and unobserved directions fall back to the base rather than to BASE_RADIUS. Empty
+// cells are inpainted by `fill`, "diffusion" or "neighbors" (see interpolation.js).
+export const buildPhaseMap = (points, phaseResolution, { base, fill = DEFAULT_FILL } = {}) => {
+  const valueOf = base ? (p) => encodeRadius(p.R, p.theta, p.phi, { base }) : (p) => p.Rw;
+
+  const map = Array(phaseResolution)
+    .fill(null)
+    .map(() =>
+      Array(phaseResolution)
+        .fill(null)
+        .map(() => ({ Rw: warpR(BASE_RADIUS, 0, Math.PI / 2), count: 0 }))
+    );
+
+  points.forEach((p) => {
+    const { thetaIdx, phiIdx } = cellIndex(p.theta, p.phi, phaseResolution);
+
+    if (phiIdx >= 0 && phiIdx < phaseResolution) {
+      const cell = map[thetaIdx][phiIdx];
+      const value = valueOf(p);
+      if (cell.count === 0) {
+        cell.Rw = value;
+      } else {
+        cell.Rw = (cell.Rw * cell.count + value) / (cell.count + 1);
+      }
+      cell.count += 1;
+    }
+  });
+
+  if (!FILL_METHODS.includes(fill)) throw new Error(`Unknown phase map fill: ${fill}`);
+  // Diffusion fills every hole, unless no cell was observed at all (fallback below).
+  if (fill === "diffusion" && inpaintPhaseMap(map).iterations > 0) return map;
+
+  // Interpolate empty cells (simple 4-neighborhood fill)
+  for (let i = 0; i < phaseResolution; i++) {
+    for (let j = 0; j < phaseResolution; j++) {
+      if (map[i][j].count === 0) {
+        const i1 = (i - 1 + phaseResolution) % phaseResolution;
+        const i2 = (i + 1) % phaseResolution;
+        const j1 = Math.max(0, j - 1);
+        const j2 = Math.min(phaseResolution - 1, j + 1);
+
+        let sum = 0;
+        let cnt = 0;
+        [map[i1][j], map[i2][j], map[i][j1], map[i][j2]].forEach((n) => {
+          if (n.count > 0) {
+            sum += n.Rw;
+            cnt++;
+          }
+        });
+
+        if (cnt > 0) {
+          map[i][j].Rw = sum / cnt;
+        } else {
+          // fallback: the base itself, or the warped default radius at that direction
+          const { theta, phi } = cellCenter(i, j, phaseResolution);
+          map[i][j].Rw = base ? 0 : warpR(BASE_RADIUS, theta, phi);
+        }
+      }
+    }
+  }
+
+  return map;
+};
+
+/**
+ * Warped-radius matrix (Rw per cell) of a phase map.
+ */
+export const phaseMatrix = (phaseMap) => phaseMap.map((row) => row.map((cell) => cell.Rw));
+
+/**
+ * Spatial-mode reconstruction: the map read with `interpolation` (see interpolation.js),
+ * then unwarped (or the base added back for a hybrid map).
+ */
+export const reconstructSpatial = (phaseMap, theta, phi, warpExponent = PHI3, base, interpolation = "nearest") => {
+  const value = samplePhaseMap(phaseMap, theta, phi, interpolation);
+  if (value === null) return base ? baseRadius(base, theta, phi) : BASE_RADIUS;
+
+  return decodeRadius(value, theta, phi, { base, warpExponent });
+};
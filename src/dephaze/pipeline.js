@@ -0,0 +1,126 @@
+import { buildPhaseMap, phaseMatrix, meshRadius } from "./phaseMap.js";
+import { toPhasePoints } from "./pointCloud.js";
+import { starDiagnostic } from "./origin.js";
+import { fourierCompress } from "./fourier.js";
+import { shCompress, DEFAULT_SH_DEGREE } from "./sphericalHarmonics.js";
+import { buildLayeredPhaseMap } from "./layers.js";
+import { ADAPTIVE_TOLERANCE, buildAdaptivePhaseMap } from "./quadtree.js";
+import { computeMetrics } from "./metrics.js";
+import { HYBRID_MODES, fitBase, compareHybrid } from "./hybrid.js";
+import { DEFAULT_HOLDOUT, splitScan, evaluateAccuracy, compareInterpolation } from "./errorMetrics.js";
+import { DEFAULT_INTERPOLATION, DEFAULT_FILL } from "./interpolation.js";
+import { createSurfaceSampler } from "./reconstruct.js";
+import { QUANT_MODES, quantizeModel } from "./quantize.js";
+import { createRandom } from "./random.js";
+import { simulateScan } from "./scanner.js";
+
+/**
+ * Scan points for a pipeline `scan` (see below): { points, scale, simulation } with
+ * simulation the scanner statistics of a synthetic scan (null for imported ones).
+ */
+export const loadScan = (scan, random = createRandom(scan.seed)) => {
+  if (scan.vertices) return { ...toPhasePoints(scan.vertices, scan.origin), simulation: null };
+  const { points, stats } = simulateScan(scan.meshType, scan.density, scan.scanner, random);
+  return { points, scale: 1, simulation: stats };
+};
+
+// === PHASE-MAP PIPELINE ===
+// Scan → phase map → transport → metrics in one call, so it can run off the main thread.
+//
+// `scan` is either { meshType, density, scanner } (synthetic, measured through the
+// scanner model of scanner.js) or { vertices, origin } (imported). Its `seed` drives
+// the synthetic scan and the holdout split, so a seed reproduces a run exactly; without
+// one they use Math.random.
+// `model` optionally replaces the built representation (e.g. an opened .dphz file)
+// for the metrics. With `hybrid`, spatial, Fourier and harmonic maps store the residual
+// against a primitive fitted to the scan (see hybrid.js), and `hybrid` in the result
+// compares it with the fixed-warp map. `onProgress(fraction)` is called between stages.
+// The result carries the `mode` it was built for, so a caller can tell a stale result
+// from a current one.
+//
+// Empty cells of the spatial map are inpainted by `fill`, and a spatial model is read
+// back with `interpolation` (see interpolation.js); for spatial mode `interpolation` in
+// the result scores every fill × interpolation pair (see compareInterpolation).
+//
+// An adaptive map refines a quadtree up to resolution `phaseResolution` wherever its
+// RMS radial error exceeds `tolerance` (see quadtree.js).
+//
+// `quantization` (8, 12 or 16 bits) rounds spatial, Fourier and harmonic maps to the
+// levels a quantized .dphz stores (see quantize.js); the returned transport data, the
+// storage and every metric then include the quantization error.
+//
+// A `holdout` share of the scan is kept out of the map; `accuracy` scores the
+// reconstruction on it (and on the analytic surface of synthetic meshes), while
+// `points` and the legacy `metrics` cover the training points only.
+export const runPhasePipeline = (
+  {
+    scan,
+    phaseResolution,
+    mode,
+    topK,
+    shDegree = DEFAULT_SH_DEGREE,
+    model,
+    hybrid = false,
+    holdout = DEFAULT_HOLDOUT,
+    quantization = null,
+    tolerance = ADAPTIVE_TOLERANCE,
+    interpolation = DEFAULT_INTERPOLATION,
+    fill = DEFAULT_FILL,
+  },
+  onProgress = () => {}
+) => {
+  onProgress(0);
+
+  const random = createRandom(scan.seed);
+  const { points: scanned, scale, simulation } = loadScan(scan, random);
+  const { train: points, test } = splitScan(scanned, holdout, random);
+  const rayCheck = starDiagnostic(points);
+  onProgress(0.25);
+
+  const base = hybrid && HYBRID_MODES.includes(mode) ? fitBase(points) : undefined;
+  const exactMap = buildPhaseMap(points, phaseResolution, { base, fill });
+  onProgress(0.4);
+
+  const built = {
+    mode,
+    phaseMap: exactMap,
+    fourierData: mode === "fourier" ? fourierCompress(phaseMatrix(exactMap), topK) : null,
+    shData: mode === "harmonic" ? shCompress(phaseMatrix(exactMap), shDegree, topK) : null,
+    layeredMap: mode === "layered" ? buildLayeredPhaseMap(points, phaseResolution) : null,
+    adaptiveMap: mode === "adaptive" ? buildAdaptivePhaseMap(points, phaseResolution, { tolerance }) : null,
+    base,
+    interpolation,
+  };
+  const stored = quantization && QUANT_MODES.includes(mode) ? quantizeModel(built, quantization) : built;
+  const { phaseMap, fourierData, shData, layeredMap, adaptiveMap } = stored;
+  onProgress(0.7);
+
+  const active = model || stored;
+  const metrics = computeMetrics({ points, model: active });
+  const comparison = base ? compareHybrid(points, phaseResolution, base) : null;
+  onProgress(0.8);
+
+  const truth = scan.vertices ? null : (theta, phi) => meshRadius(scan.meshType, theta, phi);
+  const interpolationRows = mode === "spatial" ? compareInterpolation({ points, test, truth, phaseResolution, base }) : null;
+  const accuracy = evaluateAccuracy({ surfaces: createSurfaceSampler(active), test, truth });
+  onProgress(1);
+
+  return {
+    mode,
+    points,
+    scale,
+    simulation,
+    rayCheck,
+    phaseMap,
+    fourierData,
+    shData,
+    layeredMap,
+    adaptiveMap,
+    base,
+    quantization: stored.quantization ?? null,
+    hybrid: comparison,
+    interpolation: interpolationRows,
+    metrics,
+    accuracy,
+  };
+};
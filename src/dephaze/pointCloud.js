@@ -0,0 +1,229 @@
+import { TAU } from "./kernel.js";
+import { BASE_RADIUS, scanPoint } from "./phaseMap.js";
+
+// === POINT CLOUD IMPORT (PLY / XYZ / OBJ) ===
+// Parsers return plain vertex lists [{ x, y, z }]; toPhasePoints turns them into
+// scan points (theta, phi, R) around a chosen Ω₀ so they feed the phase-map pipeline.
+
+export const POINT_CLOUD_EXTENSIONS = [".ply", ".xyz", ".obj"];
+
+const PLY_TYPES = {
+  char: ["getInt8", 1],
+  int8: ["getInt8", 1],
+  uchar: ["getUint8", 1],
+  uint8: ["getUint8", 1],
+  short: ["getInt16", 2],
+  int16: ["getInt16", 2],
+  ushort: ["getUint16", 2],
+  uint16: ["getUint16", 2],
+  int: ["getInt32", 4],
+  int32: ["getInt32", 4],
+  uint: ["getUint32", 4],
+  uint32: ["getUint32", 4],
+  float: ["getFloat32", 4],
+  float32: ["getFloat32", 4],
+  double: ["getFloat64", 8],
+  float64: ["getFloat64", 8],
+};
+
+const decodeText = (bytes) => new TextDecoder().decode(bytes);
+
+const plyType = (name) => {
+  const type = PLY_TYPES[name];
+  if (!type) throw new Error(`Unsupported PLY property type: ${name}`);
+  return type;
+};
+
+const parsePlyHeader = (bytes) => {
+  // The header is ASCII; search for its terminator without decoding the binary body.
+  const marker = "end_header";
+  let end = -1;
+  for (let i = 0; i + marker.length <= bytes.length && end < 0; i++) {
+    let match = true;
+    for (let k = 0; k < marker.length && match; k++) match = bytes[i + k] === marker.charCodeAt(k);
+    if (match) end = i + marker.length;
+  }
+  if (end < 0) throw new Error("PLY header has no end_header");
+
+  // Skip the line terminator (\n or \r\n) after end_header.
+  if (bytes[end] === 13) end++;
+  if (bytes[end] === 10) end++;
+
+  const lines = decodeText(bytes.subarray(0, end)).split(/\r?\n/);
+  if (lines[0].trim() !== "ply") throw new Error("Not a PLY file");
+
+  let format = null;
+  const elements = [];
+
+  lines.forEach((line) => {
+    const parts = line.trim().split(/\s+/);
+    if (parts[0] === "format") {
+      format = parts[1];
+    } else if (parts[0] === "element") {
+      elements.push({ name: parts[1], count: parseInt(parts[2], 10), properties: [] });
+    } else if (parts[0] === "property" && elements.length > 0) {
+      const props = elements[elements.length - 1].properties;
+      if (parts[1] === "list") {
+        props.push({ name: parts[4], list: true, countType: parts[2], type: parts[3] });
+      } else {
+        props.push({ name: parts[2], list: false, type: parts[1] });
+      }
+    }
+  });
+
+  if (!format) throw new Error("PLY header has no format line");
+  return { format, elements, bodyOffset: end };
+};
+
+const vertexFromValues = (element, values) => {
+  const idx = (name) => element.properties.findIndex((p) => p.name === name);
+  const ix = idx("x");
+  const iy = idx("y");
+  const iz = idx("z");
+  if (ix < 0 || iy < 0 || iz < 0) throw new Error("PLY vertex element lacks x/y/z");
+  return { x: values[ix], y: values[iy], z: values[iz] };
+};
+
+const parsePlyAscii = (bytes, header) => {
+  const tokens = decodeText(bytes.subarray(header.bodyOffset)).split(/\s+/).filter(Boolean);
+  let t = 0;
+  const points = [];
+
+  header.elements.forEach((element) => {
+    for (let e = 0; e < element.count; e++) {
+      const values = element.properties.map((prop) => {
+        if (!prop.list) return parseFloat(tokens[t++]);
+        const n = parseInt(tokens[t++], 10);
+        t += n;
+        return null;
+      });
+      if (element.name === "vertex") points.push(vertexFromValues(element, values));
+    }
+  });
+
+  return points;
+};
+
+const parsePlyBinary = (bytes, header, littleEndian) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = header.bodyOffset;
+  const points = [];
+
+  const read = (typeName) => {
+    const [getter, size] = plyType(typeName);
+    if (offset + size > view.byteLength) throw new Error("Truncated PLY body");
+    const value = view[getter](offset, littleEndian);
+    offset += size;
+    return value;
+  };
+
+  for (const element of header.elements) {
+    for (let e = 0; e < element.count; e++) {
+      const values = element.properties.map((prop) => {
+        if (!prop.list) return read(prop.type);
+        const n = read(prop.countType);
+        offset += n * plyType(prop.type)[1];
+        return null;
+      });
+      if (element.name === "vertex") points.push(vertexFromValues(element, values));
+    }
+    // Nothing after the vertices is needed.
+    if (element.name === "vertex") break;
+  }
+
+  return points;
+};
+
+/**
+ * Parse ASCII or binary (little/big endian) PLY vertices.
+ */
+export const parsePLY = (bytes) => {
+  const header = parsePlyHeader(bytes);
+  if (header.format === "ascii") return parsePlyAscii(bytes, header);
+  if (header.format === "binary_little_endian") return parsePlyBinary(bytes, header, true);
+  if (header.format === "binary_big_endian") return parsePlyBinary(bytes, header, false);
+  throw new Error(`Unsupported PLY format: ${header.format}`);
+};
+
+/**
+ * Parse plain XYZ text: one point per line, first three numeric columns
+ * (whitespace, comma or semicolon separated). Comment and header lines are skipped.
+ */
+export const parseXYZ = (text) => {
+  const points = [];
+
+  text.split(/\r?\n/).forEach((line) => {
+    const parts = line.trim().split(/[\s,;]+/);
+    if (parts.length < 3) return;
+    const [x, y, z] = parts.slice(0, 3).map(Number);
+    if (Number.isFinite(x) && Number.isFinite(y) && Number.isFinite(z)) points.push({ x, y, z });
+  });
+
+  return points;
+};
+
+/**
+ * Parse the `v x y z` vertex list of a Wavefront OBJ (faces are ignored).
+ */
+export const parseOBJ = (text) => {
+  const points = [];
+
+  text.split(/\r?\n/).forEach((line) => {
+    const parts = line.trim().split(/\s+/);
+    if (parts[0] !== "v" || parts.length < 4) return;
+    const [x, y, z] = parts.slice(1, 4).map(Number);
+    if (Number.isFinite(x) && Number.isFinite(y) && Number.isFinite(z)) points.push({ x, y, z });
+  });
+
+  return points;
+};
+
+/**
+ * Parse a point cloud file by extension (falling back to content sniffing).
+ * Accepts an ArrayBuffer or Uint8Array.
+ */
+export const parsePointCloud = (fileName, input) => {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  const name = fileName.toLowerCase();
+  const isPly = name.endsWith(".ply") || decodeText(bytes.subarray(0, 4)).startsWith("ply");
+
+  let points;
+  if (isPly) points = parsePLY(bytes);
+  else if (name.endsWith(".obj")) points = parseOBJ(decodeText(bytes));
+  else points = parseXYZ(decodeText(bytes));
+
+  if (points.length === 0) throw new Error(`No vertices found in ${fileName}`);
+  return points;
+};
+
+/**
+ * Convert xyz vertices to scan points (theta, phi, R) around `origin`.
+ *
+ * With `normalize`, radii are rescaled so the mean radius equals BASE_RADIUS,
+ * keeping imported scans in the range the phase map and Fourier clamp expect.
+ * Returns { points, scale } where scale maps phase-space radii back to file units.
+ */
+export const toPhasePoints = (vertices, origin = { x: 0, y: 0, z: 0 }, { normalize = true } = {}) => {
+  const polar = [];
+
+  vertices.forEach((v) => {
+    const dx = v.x - origin.x;
+    const dy = v.y - origin.y;
+    const dz = v.z - origin.z;
+    const r = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    if (r < 1e-12) return; // Ω₀ itself has no direction
+
+    let theta = Math.atan2(dy, dx);
+    if (theta < 0) theta += TAU;
+    const phi = Math.acos(Math.max(-1, Math.min(1, dz / r)));
+    polar.push({ theta, phi, r });
+  });
+
+  const meanR = polar.reduce((sum, p) => sum + p.r, 0) / Math.max(polar.length, 1);
+  const scale = normalize && meanR > 0 ? meanR / BASE_RADIUS : 1;
+
+  return {
+    points: polar.map((p) => scanPoint(p.theta, p.phi, p.r / scale)),
+    scale,
+  };
+};
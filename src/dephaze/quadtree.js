@@ -0,0 +1,205 @@
+import { TAU, warpR, decodeRadius } from "./kernel.js";
+import { BASE_RADIUS, cellCenter } from "./phaseMap.js";
+
+// === ADAPTIVE PHASE MAP (quadtree) ===
+// The uniform N×N map spends the same cell budget everywhere: near the poles a row of N
+// θ cells covers a sliver of the sphere, while a sharp feature gets no more cells than a
+// flat patch. The adaptive map starts from a coarse ADAPTIVE_ROOT² grid over (θ, φ) and
+// splits a cell into four (θ and φ halves) only while the RMS radial error of its
+// constant value over the scan points inside it exceeds `tolerance`. The finest cells
+// match the uniform grid of resolution N, so storage follows detail instead of N².
+//
+// A node is { Rw, count, children } with children null for a leaf, or four nodes in
+// the order (θ low, φ low), (θ low, φ high), (θ high, φ low), (θ high, φ high). Leaves
+// hold the mean warped radius of their points; an empty child keeps its parent's value.
+// The map is { root, cells } with cells[i][j] the tree of root cell (i, j), theta-major.
+
+export const ADAPTIVE_ROOT = 4;
+
+// Default RMS radial error a leaf may keep, in phase-space units (mean R = 2).
+export const ADAPTIVE_TOLERANCE = 0.05;
+
+// Cells with fewer points are not split: their error estimate is mostly noise.
+export const ADAPTIVE_MIN_POINTS = 4;
+
+// Deepest split a stored tree may claim (a 4 × 2¹² grid is far beyond any scan).
+const MAX_STORED_DEPTH = 12;
+
+/**
+ * Quadtree depth whose finest cells are at least as fine as an N×N uniform grid.
+ */
+export const adaptiveDepth = (N, root = ADAPTIVE_ROOT) => Math.max(0, Math.ceil(Math.log2(N / root)));
+
+const rmsError = (points, Rw) => {
+  let sumSq = 0;
+  points.forEach((p) => {
+    const error = decodeRadius(Rw, p.theta, p.phi) - p.R;
+    sumSq += error * error;
+  });
+  return Math.sqrt(sumSq / points.length);
+};
+
+// Node over the (θ, φ) rectangle [t0, t1) × [p0, p1) holding `points`.
+const buildNode = (points, bounds, depth, fallback, options) => {
+  const Rw = points.length > 0 ? points.reduce((sum, p) => sum + p.Rw, 0) / points.length : fallback;
+  const node = { Rw, count: points.length, children: null };
+  if (depth >= options.maxDepth || points.length < options.minPoints || rmsError(points, Rw) <= options.tolerance) {
+    return node;
+  }
+
+  const { t0, t1, p0, p1 } = bounds;
+  const tm = (t0 + t1) / 2;
+  const pm = (p0 + p1) / 2;
+  const quadrants = [[], [], [], []];
+  points.forEach((p) => quadrants[(p.theta >= tm ? 2 : 0) + (p.phi >= pm ? 1 : 0)].push(p));
+  const halves = [
+    { t0, t1: tm, p0, p1: pm },
+    { t0, t1: tm, p0: pm, p1 },
+    { t0: tm, t1, p0, p1: pm },
+    { t0: tm, t1, p0: pm, p1 },
+  ];
+  node.children = quadrants.map((q, k) => buildNode(q, halves[k], depth + 1, Rw, options));
+  return node;
+};
+
+/**
+ * Build an adaptive phase map from scan points, refined up to the resolution of an N×N
+ * uniform map (see above).
+ */
+export const buildAdaptivePhaseMap = (
+  points,
+  phaseResolution,
+  { tolerance = ADAPTIVE_TOLERANCE, minPoints = ADAPTIVE_MIN_POINTS, root = ADAPTIVE_ROOT } = {}
+) => {
+  const options = { tolerance, minPoints, maxDepth: adaptiveDepth(phaseResolution, root) };
+  const buckets = Array.from({ length: root }, () => Array.from({ length: root }, () => []));
+  points.forEach((p) => {
+    const i = Math.floor((p.theta / TAU) * root) % root;
+    const j = Math.min(root - 1, Math.floor((p.phi / Math.PI) * root));
+    if (j >= 0) buckets[i][j].push(p);
+  });
+
+  const cells = buckets.map((row, i) =>
+    row.map((cellPoints, j) => {
+      const { theta, phi } = cellCenter(i, j, root);
+      const bounds = { t0: (i / root) * TAU, t1: ((i + 1) / root) * TAU, p0: (j / root) * Math.PI, p1: ((j + 1) / root) * Math.PI };
+      return buildNode(cellPoints, bounds, 0, warpR(BASE_RADIUS, theta, phi), options);
+    })
+  );
+  return { root, cells };
+};
+
+/**
+ * Leaf node containing (theta, phi), or null for phi outside [0, π].
+ */
+export const adaptiveLeafAt = ({ root, cells }, theta, phi) => {
+  const u = (((theta / TAU) % 1) + 1) % 1 * root;
+  const v = (phi / Math.PI) * root;
+  if (v < 0 || v > root) return null;
+  const i = Math.floor(u) % root;
+  const j = Math.min(root - 1, Math.floor(v));
+  let fu = u - Math.floor(u);
+  let fv = v - j;
+  let node = cells[i][j];
+  while (node.children) {
+    const a = fu >= 0.5 ? 1 : 0;
+    const b = fv >= 0.5 ? 1 : 0;
+    fu = fu * 2 - a;
+    fv = fv * 2 - b;
+    node = node.children[2 * a + b];
+  }
+  return node;
+};
+
+/**
+ * Adaptive-mode reconstruction: the containing leaf's value, unwarped.
+ */
+export const reconstructAdaptive = (adaptiveMap, theta, phi, warpExponent) => {
+  const leaf = adaptiveLeafAt(adaptiveMap, theta, phi);
+  return leaf ? decodeRadius(leaf.Rw, theta, phi, { warpExponent }) : BASE_RADIUS;
+};
+
+/**
+ * Every leaf with its (θ, φ) rectangle: [{ theta0, theta1, phi0, phi1, depth, Rw, count }].
+ */
+export const adaptiveLeaves = ({ root, cells }) => {
+  const leaves = [];
+  const visit = (node, theta0, theta1, phi0, phi1, depth) => {
+    if (!node.children) {
+      leaves.push({ theta0, theta1, phi0, phi1, depth, Rw: node.Rw, count: node.count });
+      return;
+    }
+    const tm = (theta0 + theta1) / 2;
+    const pm = (phi0 + phi1) / 2;
+    visit(node.children[0], theta0, tm, phi0, pm, depth + 1);
+    visit(node.children[1], theta0, tm, pm, phi1, depth + 1);
+    visit(node.children[2], tm, theta1, phi0, pm, depth + 1);
+    visit(node.children[3], tm, theta1, pm, phi1, depth + 1);
+  };
+  cells.forEach((row, i) =>
+    row.forEach((node, j) =>
+      visit(node, (i / root) * TAU, ((i + 1) / root) * TAU, (j / root) * Math.PI, ((j + 1) / root) * Math.PI, 0)
+    )
+  );
+  return leaves;
+};
+
+/**
+ * Tree size: { leaves, nodes, depth, N } with depth the deepest split reached and N the
+ * resolution of the uniform map with the same finest cells.
+ */
+export const adaptiveStats = (adaptiveMap) => {
+  const leaves = adaptiveLeaves(adaptiveMap);
+  const depth = leaves.reduce((max, leaf) => Math.max(max, leaf.depth), 0);
+  return {
+    leaves: leaves.length,
+    nodes: adaptiveNodeCount(adaptiveMap.root, leaves.length),
+    depth,
+    N: adaptiveMap.root * 2 ** depth,
+  };
+};
+
+/**
+ * Node count of a quadtree forest with `root`² trees and `leaves` leaves: every split
+ * turns one leaf into four.
+ */
+export const adaptiveNodeCount = (root, leaves) => leaves + (leaves - root * root) / 3;
+
+/**
+ * Depth-first structure bits (1 = split, 0 = leaf; root cells theta-major, bit k in byte
+ * k >> 3 at position k & 7) and the leaf values in the same order.
+ */
+export const packAdaptiveTree = ({ root, cells }) => {
+  const leaves = adaptiveLeaves({ root, cells }).length;
+  const structure = new Uint8Array(Math.ceil(adaptiveNodeCount(root, leaves) / 8));
+  const values = [];
+  let bit = 0;
+  const visit = (node) => {
+    if (node.children) structure[bit >> 3] |= 1 << (bit & 7);
+    bit++;
+    if (node.children) node.children.forEach(visit);
+    else values.push(node.Rw);
+  };
+  cells.forEach((row) => row.forEach(visit));
+  return { structure, values };
+};
+
+/**
+ * Inverse of packAdaptiveTree: rebuild the map from its structure bits and leaf values.
+ */
+export const unpackAdaptiveTree = (root, structure, values) => {
+  let bit = 0;
+  let leaf = 0;
+  const read = (depth) => {
+    if (bit >= structure.length * 8) throw new Error("Adaptive phase map structure is truncated");
+    const split = (structure[bit >> 3] >> (bit & 7)) & 1;
+    bit++;
+    if (split && depth >= MAX_STORED_DEPTH) throw new Error(`Adaptive phase map is deeper than ${MAX_STORED_DEPTH} levels`);
+    if (split) return { Rw: 0, count: 1, children: [0, 1, 2, 3].map(() => read(depth + 1)) };
+    if (leaf >= values.length) throw new Error("Adaptive phase map has more leaves than values");
+    return { Rw: values[leaf++], count: 1, children: null };
+  };
+  const cells = Array.from({ length: root }, () => Array.from({ length: root }, () => read(0)));
+  if (leaf !== values.length) throw new Error("Adaptive phase map has fewer leaves than values");
+  return { root, cells };
+};
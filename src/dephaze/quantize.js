@@ -0,0 +1,201 @@
+import { shIndex } from "./sphericalHarmonics.js";
+import { createRangeEncoder, createRangeDecoder, createUIntModel, encodeUInt, decodeUInt, zigzag, unzigzag } from "./rangeCoder.js";
+
+// === QUANTIZED, ENTROPY-CODED PAYLOADS ===
+// A model with `quantization: { bits }` stores its transport values as integers:
+//   spatial   cells on a uniform grid from min to max (2^bits levels)
+//   fourier   re / im on a symmetric grid ±max |value| (2^(bits−1) − 1 levels each way)
+//   harmonic  values on the same symmetric grid
+// and range-codes them (see rangeCoder.js). Cells are coded as differences along the
+// theta-major order; Fourier (kx, ky) and SH (l, m) pairs are packed into one index,
+// sorted, and coded as gaps. quantizeModel rounds a model to what the file will hold,
+// so metrics computed on it include the quantization error.
+//
+// Payload (after the .dphz header and hybrid base):
+//   u8 bits, f64 min | DC | c₀₀, f64 step, then the range-coded stream
+
+export const QUANT_BITS = [8, 12, 16];
+export const QUANT_MODES = ["spatial", "fourier", "harmonic"];
+
+const BITS_BYTES = 1;
+const PARAM_BYTES = 8;
+
+// Uniform grid over [min, max] of `values`: { offset, step, levels }.
+const uniformGrid = (values, bits) => {
+  // reduce rather than Math.min(...values): a large map has more cells than a call may take arguments.
+  const min = values.reduce((low, v) => Math.min(low, v), Infinity);
+  const max = values.reduce((high, v) => Math.max(high, v), -Infinity);
+  const levels = 2 ** bits - 1;
+  return { offset: min, step: max > min ? (max - min) / levels : 1, levels };
+};
+
+// Grid symmetric about zero: { offset: 0, step, levels } with |q| ≤ levels.
+const symmetricGrid = (values, bits) => {
+  const maxAbs = values.reduce((max, v) => Math.max(max, Math.abs(v)), 0);
+  const levels = 2 ** (bits - 1) - 1;
+  return { offset: 0, step: maxAbs > 0 ? maxAbs / levels : 1, levels };
+};
+
+const toLevel = (value, { offset, step, levels }) =>
+  Math.max(-levels, Math.min(levels, Math.round((value - offset) / step)));
+
+const fromLevel = (q, { offset, step }) => offset + q * step;
+
+const checkBits = (bits) => {
+  if (!QUANT_BITS.includes(bits)) throw new Error(`Unsupported quantization depth: ${bits} bits`);
+};
+
+// Packed spectral index of a coefficient, and its inverse.
+const fourierIndex = (c, N) => {
+  const h = Math.floor(N / 2);
+  return (c.kx + h) * (2 * h + 1) + (c.ky + h);
+};
+const fourierPair = (index, N) => {
+  const h = Math.floor(N / 2);
+  return { kx: Math.floor(index / (2 * h + 1)) - h, ky: (index % (2 * h + 1)) - h };
+};
+const shPair = (index) => {
+  const l = Math.floor(Math.sqrt(index));
+  return { l, m: index - l * l - l };
+};
+
+// Quantization grid and integer levels of a model's transport values.
+const quantizeValues = (model, bits) => {
+  if (model.mode === "spatial") {
+    const values = model.phaseMap.flat().map((cell) => cell.Rw);
+    const grid = uniformGrid(values, bits);
+    return { grid, levels: values.map((v) => toLevel(v, grid)) };
+  }
+  if (model.mode === "fourier") {
+    const { coefficients } = model.fourierData;
+    const grid = symmetricGrid(coefficients.flatMap((c) => [c.real, c.imag]), bits);
+    return { grid, levels: coefficients.map((c) => [toLevel(c.real, grid), toLevel(c.imag, grid)]) };
+  }
+  const { coefficients } = model.shData;
+  const grid = symmetricGrid(coefficients.map((c) => c.value), bits);
+  return { grid, levels: coefficients.map((c) => toLevel(c.value, grid)) };
+};
+
+/**
+ * Copy of a spatial, Fourier or harmonic model with its values rounded to `bits`-bit
+ * levels, as encodeDphz will store them.
+ */
+export const quantizeModel = (model, bits) => {
+  checkBits(bits);
+  if (!QUANT_MODES.includes(model.mode)) throw new Error(`A ${model.mode} model cannot be quantized`);
+  const { grid, levels } = quantizeValues(model, bits);
+  const quantization = { bits };
+
+  if (model.mode === "spatial") {
+    const N = model.phaseMap.length;
+    const phaseMap = model.phaseMap.map((row, i) =>
+      row.map((cell, j) => ({ ...cell, Rw: fromLevel(levels[i * N + j], grid) }))
+    );
+    return { ...model, phaseMap, quantization };
+  }
+  if (model.mode === "fourier") {
+    const coefficients = model.fourierData.coefficients.map((c, k) => {
+      const real = fromLevel(levels[k][0], grid);
+      const imag = fromLevel(levels[k][1], grid);
+      return { ...c, real, imag, amplitude: Math.sqrt(real * real + imag * imag) };
+    });
+    return { ...model, fourierData: { ...model.fourierData, coefficients }, quantization };
+  }
+  const coefficients = model.shData.coefficients.map((c, k) => {
+    const value = fromLevel(levels[k], grid);
+    return { ...c, value, energy: value * value };
+  });
+  return { ...model, shData: { ...model.shData, coefficients }, quantization };
+};
+
+/**
+ * Quantized payload bytes of a model carrying `quantization` (see above).
+ */
+export const encodeQuantizedPayload = (model) => {
+  const { bits } = model.quantization;
+  checkBits(bits);
+  const { grid, levels } = quantizeValues(model, bits);
+  const encoder = createRangeEncoder();
+  let first;
+
+  if (model.mode === "spatial") {
+    first = grid.offset;
+    const cells = createUIntModel();
+    levels.forEach((q, k) => encodeUInt(encoder, cells, zigzag(q - (k > 0 ? levels[k - 1] : 0))));
+  } else {
+    const fourier = model.mode === "fourier";
+    const data = fourier ? model.fourierData : model.shData;
+    first = data.dc;
+    const entries = data.coefficients
+      .map((c, k) => ({ index: fourier ? fourierIndex(c, data.N) : shIndex(c.l, c.m), values: [].concat(levels[k]) }))
+      .sort((a, b) => a.index - b.index);
+    const gaps = createUIntModel();
+    const valueModels = entries.length > 0 ? entries[0].values.map(() => createUIntModel()) : [];
+    entries.forEach((e, k) => {
+      encodeUInt(encoder, gaps, k > 0 ? e.index - entries[k - 1].index - 1 : e.index);
+      e.values.forEach((q, v) => encodeUInt(encoder, valueModels[v], zigzag(q)));
+    });
+  }
+
+  const stream = encoder.finish();
+  const bytes = new Uint8Array(BITS_BYTES + 2 * PARAM_BYTES + stream.length);
+  const view = new DataView(bytes.buffer);
+  view.setUint8(0, bits);
+  view.setFloat64(BITS_BYTES, first, true);
+  view.setFloat64(BITS_BYTES + PARAM_BYTES, grid.step, true);
+  bytes.set(stream, BITS_BYTES + 2 * PARAM_BYTES);
+  return bytes;
+};
+
+/**
+ * Decode a quantized payload of `count` entries at resolution N. Returns the transport
+ * fields of the model ({ phaseMap } | { fourierData } | { shData }) and `quantization`.
+ */
+export const decodeQuantizedPayload = (mode, bytes, N, count) => {
+  if (bytes.length < BITS_BYTES + 2 * PARAM_BYTES) throw new Error("Truncated .dphz payload");
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const bits = view.getUint8(0);
+  checkBits(bits);
+  const first = view.getFloat64(BITS_BYTES, true);
+  const step = view.getFloat64(BITS_BYTES + PARAM_BYTES, true);
+  const decoder = createRangeDecoder(bytes, BITS_BYTES + 2 * PARAM_BYTES);
+  const quantization = { bits };
+
+  if (mode === "spatial") {
+    const cells = createUIntModel();
+    const grid = { offset: first, step };
+    let q = 0;
+    const phaseMap = Array.from({ length: N }, () =>
+      Array.from({ length: N }, () => {
+        q += unzigzag(decodeUInt(decoder, cells));
+        return { Rw: fromLevel(q, grid), count: 1 };
+      })
+    );
+    return { phaseMap, quantization };
+  }
+
+  const fourier = mode === "fourier";
+  const grid = { offset: 0, step };
+  const gaps = createUIntModel();
+  const valueModels = (fourier ? [0, 1] : [0]).map(() => createUIntModel());
+  const coefficients = [];
+  let index = -1;
+  for (let k = 0; k < count; k++) {
+    index += decodeUInt(decoder, gaps) + 1;
+    const values = valueModels.map((m) => fromLevel(unzigzag(decodeUInt(decoder, m)), grid));
+    if (fourier) {
+      const [real, imag] = values;
+      coefficients.push({ ...fourierPair(index, N), real, imag, amplitude: Math.sqrt(real * real + imag * imag) });
+    } else {
+      coefficients.push({ ...shPair(index), value: values[0], energy: values[0] * values[0] });
+    }
+  }
+
+  if (fourier) {
+    coefficients.sort((a, b) => b.amplitude - a.amplitude);
+    return { fourierData: { coefficients, dc: first, N, totalCoeffs: count }, quantization };
+  }
+  coefficients.sort((a, b) => b.energy - a.energy);
+  const L = coefficients.reduce((max, c) => Math.max(max, c.l), 0);
+  return { shData: { coefficients, dc: first, L, N, totalCoeffs: count }, quantization };
+};
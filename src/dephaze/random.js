@@ -0,0 +1,38 @@
+// === SEEDED RANDOM NUMBERS ===
+// Scans, holdout splits and scanner noise draw from a seeded generator, so a seed
+// reproduces a run (and every Ξ value reported from it) exactly.
+
+// Seed of a fresh session.
+export const DEFAULT_SEED = 1;
+
+// Seeds are unsigned 32-bit integers.
+export const MAX_SEED = 0xffffffff;
+
+/**
+ * Uniform generator on [0, 1) seeded by a 32-bit integer (mulberry32). Without a seed,
+ * Math.random.
+ */
+export const createRandom = (seed) => {
+  if (seed === undefined || seed === null) return Math.random;
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 2 ** 32;
+  };
+};
+
+/**
+ * Standard normal sample from a uniform generator (Box–Muller).
+ */
+export const gaussian = (random) => {
+  const u = 1 - random(); // (0, 1], keeps the log finite
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+};
+
+/**
+ * A new seed for the "new seed" control.
+ */
+export const randomSeed = () => Math.floor(Math.random() * MAX_SEED);
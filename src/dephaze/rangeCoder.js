@@ -0,0 +1,137 @@
+// === ADAPTIVE BINARY RANGE CODER ===
+// LZMA-style range coder: every bit is coded against an adaptive 11-bit probability,
+// so a stream of small, similar integers compresses to well under its raw width.
+// Integers are binarised as Elias-gamma codes (unary bit length, then the mantissa),
+// each position with its own probability.
+
+const TOP = 2 ** 24;
+const PROB_BITS = 11;
+const PROB_ONE = 1 << PROB_BITS;
+const MOVE_BITS = 5;
+
+// Magnitude classes of the integer model: values up to 2³¹ − 2.
+const MAX_BITS = 31;
+
+/**
+ * `count` adaptive bit probabilities, all starting at ½.
+ */
+export const createProbabilities = (count) => new Uint16Array(count).fill(PROB_ONE >> 1);
+
+export const createRangeEncoder = () => {
+  const out = [];
+  let low = 0; // below 2⁴⁰, so exact as a Number
+  let range = 0xffffffff;
+  let cache = 0;
+  let cacheSize = 1;
+
+  // Emit the top byte of low, propagating a pending carry through buffered 0xFF bytes.
+  const shiftLow = () => {
+    if (low % 2 ** 32 < 0xff000000 || low >= 2 ** 32) {
+      const carry = low >= 2 ** 32 ? 1 : 0;
+      let temp = cache;
+      do {
+        out.push((temp + carry) & 0xff);
+        temp = 0xff;
+      } while (--cacheSize !== 0);
+      cache = Math.floor((low % 2 ** 32) / TOP);
+    }
+    cacheSize++;
+    low = (low % TOP) * 256;
+  };
+
+  return {
+    encodeBit(probs, index, bit) {
+      const p = probs[index];
+      const bound = (range >>> PROB_BITS) * p;
+      if (bit === 0) {
+        range = bound;
+        probs[index] = p + ((PROB_ONE - p) >> MOVE_BITS);
+      } else {
+        low += bound;
+        range -= bound;
+        probs[index] = p - (p >> MOVE_BITS);
+      }
+      while (range < TOP) {
+        range = (range * 256) >>> 0;
+        shiftLow();
+      }
+    },
+
+    /**
+     * Flush the coder and return the coded bytes.
+     */
+    finish() {
+      for (let k = 0; k < 5; k++) shiftLow();
+      return Uint8Array.from(out);
+    },
+  };
+};
+
+/**
+ * Decoder for a stream written by createRangeEncoder, starting at `offset` of `bytes`.
+ * Reads past the end of `bytes` as zeros.
+ */
+export const createRangeDecoder = (bytes, offset = 0) => {
+  let position = offset;
+  const next = () => (position < bytes.length ? bytes[position++] : 0);
+  let range = 0xffffffff;
+  let code = 0;
+  for (let k = 0; k < 5; k++) code = (code * 256 + next()) % 2 ** 32;
+
+  return {
+    decodeBit(probs, index) {
+      const p = probs[index];
+      const bound = (range >>> PROB_BITS) * p;
+      let bit;
+      if (code < bound) {
+        range = bound;
+        probs[index] = p + ((PROB_ONE - p) >> MOVE_BITS);
+        bit = 0;
+      } else {
+        code -= bound;
+        range -= bound;
+        probs[index] = p - (p >> MOVE_BITS);
+        bit = 1;
+      }
+      while (range < TOP) {
+        range = (range * 256) >>> 0;
+        code = (code * 256 + next()) >>> 0;
+      }
+      return bit;
+    },
+  };
+};
+
+// --- Integers ---
+
+/**
+ * Adaptive model for one stream of non-negative integers.
+ */
+export const createUIntModel = () => ({
+  classes: createProbabilities(MAX_BITS + 1),
+  mantissa: createProbabilities(MAX_BITS * MAX_BITS),
+});
+
+export const encodeUInt = (encoder, model, value) => {
+  if (!Number.isInteger(value) || value < 0 || value >= 2 ** MAX_BITS - 1) {
+    throw new Error(`Cannot range-code ${value}`);
+  }
+  const v = value + 1;
+  let bits = 0;
+  while (v >= 2 ** (bits + 1)) bits++;
+  for (let k = 0; k < bits; k++) encoder.encodeBit(model.classes, k, 1);
+  encoder.encodeBit(model.classes, bits, 0);
+  for (let k = bits - 1; k >= 0; k--) encoder.encodeBit(model.mantissa, bits * MAX_BITS + k, Math.floor(v / 2 ** k) & 1);
+};
+
+export const decodeUInt = (decoder, model) => {
+  let bits = 0;
+  while (bits < MAX_BITS && decoder.decodeBit(model.classes, bits) === 1) bits++;
+  let v = 1;
+  for (let k = bits - 1; k >= 0; k--) v = v * 2 + decoder.decodeBit(model.mantissa, bits * MAX_BITS + k);
+  return v - 1;
+};
+
+// Signed ↔ unsigned: 0, −1, 1, −2, 2, … → 0, 1, 2, 3, 4, …
+export const zigzag = (value) => (value >= 0 ? 2 * value : -2 * value - 1);
+export const unzigzag = (value) => (value % 2 === 0 ? value / 2 : -(value + 1) / 2);
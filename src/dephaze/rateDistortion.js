@@ -0,0 +1,133 @@
+import { buildPhaseMap, phaseMatrix, meshRadius } from "./phaseMap.js";
+import { fourierCompress } from "./fourier.js";
+import { shCompress, DEFAULT_SH_DEGREE } from "./sphericalHarmonics.js";
+import { createSurfaceSampler } from "./reconstruct.js";
+import { dphzByteLength } from "./dphz.js";
+import { fibonacciDirections, radialErrorStats } from "./errorMetrics.js";
+import { QUANT_MODES, quantizeModel } from "./quantize.js";
+import { buildAdaptivePhaseMap } from "./quadtree.js";
+import { DEFAULT_INTERPOLATION, DEFAULT_FILL } from "./interpolation.js";
+
+// === RATE–DISTORTION SWEEP ===
+// Every (mode, N, K, bits) combination is encoded and scored: rate is the real .dphz byte
+// length, distortion the held-out radial RMSE (and, for synthetic meshes, the RMSE
+// against the analytic surface). Each phase map and spectrum is computed once per N;
+// the Top-K variants are prefixes of the same amplitude-sorted coefficient list, and
+// each is scored as float32 and at every quantization depth (see quantize.js). Adaptive
+// maps are refined to each N at every tolerance instead (see quadtree.js).
+
+export const SWEEP_MODES = ["spatial", "fourier", "harmonic", "adaptive"];
+export const SWEEP_RESOLUTIONS = [16, 24, 32, 48, 64];
+export const SWEEP_TOP_KS = [5, 10, 20, 40, 80, 160, 320];
+// null = unquantized float32 storage.
+export const SWEEP_QUANTIZATIONS = [null, 16, 12, 8];
+export const SWEEP_TOLERANCES = [0.02, 0.05, 0.1, 0.2];
+
+// Directions for the ground-truth RMSE of each sweep entry.
+const TRUTH_SAMPLES = 1000;
+
+const CSV_COLUMNS = ["mode", "N", "K", "bits", "tolerance", "bytes", "rmse", "maxError", "relativeError", "truthRmse", "pareto"];
+
+// Variants of one mode at resolution N: [{ K, tolerance, model }].
+const variants = (mode, phaseMap, { train, N, topKs, tolerances, base, shDegree, interpolation }) => {
+  if (mode === "spatial") return [{ K: null, tolerance: null, model: { mode, phaseMap, base, interpolation } }];
+  if (mode === "adaptive") {
+    return tolerances.map((tolerance) => ({
+      K: null,
+      tolerance,
+      model: { mode, adaptiveMap: buildAdaptivePhaseMap(train, N, { tolerance }) },
+    }));
+  }
+
+  const matrix = phaseMatrix(phaseMap);
+  const full = mode === "fourier" ? fourierCompress(matrix, Infinity) : shCompress(matrix, shDegree, Infinity);
+  const key = mode === "fourier" ? "fourierData" : "shData";
+  return topKs
+    .filter((K, i) => i === 0 || topKs[i - 1] < full.coefficients.length)
+    .map((K) => ({ K, tolerance: null, model: { mode, [key]: { ...full, coefficients: full.coefficients.slice(0, K) }, base } }));
+};
+
+/**
+ * Mark the rows no other row beats on both rate and distortion (`pareto: true`).
+ */
+export const paretoFront = (rows, rate = "bytes", distortion = "rmse") =>
+  rows.map((row) => ({
+    ...row,
+    pareto: !rows.some(
+      (other) =>
+        other[rate] <= row[rate] &&
+        other[distortion] <= row[distortion] &&
+        (other[rate] < row[rate] || other[distortion] < row[distortion])
+    ),
+  }));
+
+/**
+ * Sweep `modes` × `resolutions` × `topKs` × `quantizations` (× `tolerances` for adaptive
+ * maps) on training points `train`, scored on the held-out `test` points. `meshType`
+ * adds the ground-truth RMSE of a synthetic mesh; `base` makes every spatial, Fourier
+ * and harmonic map hybrid (see hybrid.js); `fill` inpaints every map and spatial maps
+ * are read with `interpolation` (see interpolation.js). Returns rows { mode, N, K, bits,
+ * tolerance, bytes, rmse, maxError, relativeError, truthRmse, pareto } sorted by bytes;
+ * K is null for spatial and adaptive maps, bits null for float32 storage, tolerance null
+ * outside adaptive maps.
+ */
+export const sweepRateDistortion = (
+  {
+    train,
+    test,
+    meshType,
+    base,
+    modes = SWEEP_MODES,
+    resolutions = SWEEP_RESOLUTIONS,
+    topKs = SWEEP_TOP_KS,
+    shDegree = DEFAULT_SH_DEGREE,
+    quantizations = SWEEP_QUANTIZATIONS,
+    tolerances = SWEEP_TOLERANCES,
+    interpolation = DEFAULT_INTERPOLATION,
+    fill = DEFAULT_FILL,
+  },
+  onProgress = () => {}
+) => {
+  if (test.length === 0) throw new Error("The rate–distortion sweep needs held-out points");
+  const truth = meshType
+    ? fibonacciDirections(TRUTH_SAMPLES).map(({ theta, phi }) => ({ theta, phi, R: meshRadius(meshType, theta, phi) }))
+    : null;
+
+  const rows = [];
+  const steps = resolutions.length * modes.length;
+  resolutions.forEach((N, i) => {
+    const phaseMap = buildPhaseMap(train, N, { base, fill });
+    modes.forEach((mode, j) => {
+      variants(mode, phaseMap, { train, N, topKs, tolerances, base, shDegree, interpolation }).forEach(({ K, tolerance, model: exact }) =>
+        (QUANT_MODES.includes(mode) ? quantizations : [null]).forEach((bits) => {
+          const model = bits ? quantizeModel(exact, bits) : exact;
+          const surfaces = createSurfaceSampler(model);
+          const { rmse, maxError, relativeError } = radialErrorStats(test, surfaces);
+          rows.push({
+            mode,
+            N,
+            K,
+            bits,
+            tolerance,
+            bytes: dphzByteLength(model),
+            rmse,
+            maxError,
+            relativeError,
+            truthRmse: truth ? radialErrorStats(truth, surfaces).rmse : null,
+          });
+        })
+      );
+      onProgress((i * modes.length + j + 1) / steps);
+    });
+  });
+
+  return paretoFront(rows).sort((a, b) => a.bytes - b.bytes);
+};
+
+/**
+ * Sweep rows as CSV text (one header line, one line per row).
+ */
+export const rateDistortionCSV = (rows) => {
+  const cell = (value) => (value === null || value === undefined ? "" : String(value));
+  return [CSV_COLUMNS.join(","), ...rows.map((row) => CSV_COLUMNS.map((column) => cell(row[column])).join(","))].join("\n") + "\n";
+};
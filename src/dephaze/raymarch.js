@@ -0,0 +1,178 @@
+import { project3D } from "./kernel.js";
+import { superDistanceBound, radialBounds, createDistanceField } from "./distance.js";
+import { primitiveShape, superNormal, shapeBoundingRadius } from "./superellipsoid.js";
+import { isComposite, treeBoundingRadius, createCompositeField } from "./csg.js";
+
+// === SPHERE-TRACING RENDERER ===
+// Orthographic ray casting of a model's signed distance bound, seen through the same
+// camera as project3D (screen x right, y up, viewer on +z). Images are produced in tiles
+// so a frame can be spread over workers; each tile is rendered at a pixel stride and the
+// caller refines 8 → 4 → 2 → 1 for progressive display.
+//
+// Scenes and cameras are plain objects so they cross postMessage unchanged:
+//   scene   { model, color: { r, g, b }, radius, bounds }   (see createRaymarchScene)
+//   camera  { width, height, scale, rotX, rotY }           (scale in pixels per unit)
+//   tile    { x, y, w, h }                                  (pixels)
+
+export const RAYMARCH_STRIDES = [8, 4, 2, 1];
+export const RAYMARCH_TILE = 128;
+
+const MAX_STEPS = 256;
+const HIT_EPSILON = 1e-3;
+const BISECTION_STEPS = 16;
+
+// Smallest march step as a fraction of the bounding radius. Radial models with steep
+// phase maps have a very conservative bound; the floor keeps rays moving, and bisection
+// recovers the crossing when a floor step lands inside.
+const MIN_STEP_FRACTION = 1 / 96;
+
+// View-space light and Phong terms.
+const LIGHT = (() => {
+  const l = [-0.4, 0.6, 0.7];
+  const len = Math.hypot(...l);
+  return l.map((c) => c / len);
+})();
+const AMBIENT = 0.12;
+const DIFFUSE = 0.78;
+const SPECULAR = 0.35;
+const SHININESS = 32;
+
+/**
+ * Scene description for renderTile. The bounding sphere and, for radial models, the
+ * Lipschitz normalisation are computed once here rather than in every tile job.
+ */
+export const createRaymarchScene = (model, color) => {
+  if (model.mode === "primitive") {
+    // The shape lies in its a × b × c box, so the box's circumsphere encloses it.
+    return { model, color, radius: shapeBoundingRadius(primitiveShape(model)) * 1.01, bounds: null };
+  }
+  if (isComposite(model)) {
+    return { model, color, radius: treeBoundingRadius(model.root) * 1.01 + 1e-3, bounds: null };
+  }
+  const bounds = radialBounds(model);
+  return { model, color, radius: bounds.rMax * 1.15 + 1e-3, bounds };
+};
+
+// Inverse of project3D: view coordinates back to world coordinates.
+const viewToWorld = (vx, vy, vz, rotX, rotY) => {
+  const cosY = Math.cos(rotY);
+  const sinY = Math.sin(rotY);
+  const x = vx * cosY - vz * sinY;
+  const z1 = vx * sinY + vz * cosY;
+
+  const cosX = Math.cos(rotX);
+  const sinX = Math.sin(rotX);
+  return { x, y: vy * cosX + z1 * sinX, z: -vy * sinX + z1 * cosX };
+};
+
+const sceneField = (scene) => {
+  const { model } = scene;
+  if (model.mode === "primitive") {
+    const shape = primitiveShape(model);
+    return {
+      bound: (x, y, z) => superDistanceBound(x, y, z, shape),
+      normal: (x, y, z) => superNormal(x, y, z, shape),
+    };
+  }
+  const field = isComposite(model) ? createCompositeField(model) : createDistanceField(model, scene.bounds);
+  return { bound: field.bound, normal: field.normal };
+};
+
+// March from t = 0 to tMax along origin + t·dir; returns the hit parameter or null.
+const trace = (bound, origin, dir, tMax, minStep) => {
+  const at = (t) => bound(origin.x + dir.x * t, origin.y + dir.y * t, origin.z + dir.z * t);
+  let t = 0;
+  let prev = 0;
+
+  for (let step = 0; step < MAX_STEPS && t <= tMax; step++) {
+    const d = at(t);
+    if (Math.abs(d) < HIT_EPSILON) return t;
+
+    if (d < 0) {
+      // Stepped through the surface: bisect between the last outside point and here.
+      let lo = prev;
+      let hi = t;
+      for (let k = 0; k < BISECTION_STEPS; k++) {
+        const mid = (lo + hi) / 2;
+        if (at(mid) > 0) lo = mid;
+        else hi = mid;
+      }
+      return hi;
+    }
+
+    prev = t;
+    t += Math.max(d, minStep);
+  }
+
+  return null;
+};
+
+const shade = (color, n) => {
+  const diffuse = Math.max(0, n.x * LIGHT[0] + n.y * LIGHT[1] + n.z * LIGHT[2]);
+  // Reflect the light about the normal; the viewer looks down −z, so R·V = R.z.
+  const reflectZ = 2 * diffuse * n.z - LIGHT[2];
+  const specular = diffuse > 0 ? Math.pow(Math.max(0, reflectZ), SHININESS) : 0;
+  const light = AMBIENT + DIFFUSE * diffuse;
+  return [
+    color.r * light + 255 * SPECULAR * specular,
+    color.g * light + 255 * SPECULAR * specular,
+    color.b * light + 255 * SPECULAR * specular,
+  ];
+};
+
+/**
+ * Render one tile at `stride` (one ray per stride × stride block). Returns RGBA pixels,
+ * row-major, w × h; rays that miss are fully transparent.
+ */
+export const renderTile = (scene, camera, tile, stride = 1) => {
+  const { width, height, scale, rotX, rotY } = camera;
+  const { radius, color } = scene;
+  const { bound, normal } = sceneField(scene);
+  const dir = viewToWorld(0, 0, -1, rotX, rotY);
+  const minStep = radius * MIN_STEP_FRACTION;
+  const rgba = new Uint8ClampedArray(tile.w * tile.h * 4);
+
+  for (let by = 0; by < tile.h; by += stride) {
+    for (let bx = 0; bx < tile.w; bx += stride) {
+      const vx = (tile.x + bx + 0.5 - width / 2) / scale;
+      const vy = (height / 2 - (tile.y + by + 0.5)) / scale;
+      const chord2 = radius * radius - vx * vx - vy * vy;
+      if (chord2 <= 0) continue;
+
+      // Enter the bounding sphere on the viewer's side.
+      const half = Math.sqrt(chord2);
+      const origin = viewToWorld(vx, vy, half, rotX, rotY);
+      const t = trace(bound, origin, dir, 2 * half, minStep);
+      if (t === null) continue;
+
+      const hit = { x: origin.x + dir.x * t, y: origin.y + dir.y * t, z: origin.z + dir.z * t };
+      const nWorld = normal(hit.x, hit.y, hit.z);
+      const [r, g, b] = shade(color, project3D(nWorld.x, nWorld.y, nWorld.z, rotX, rotY));
+
+      for (let y = by; y < Math.min(by + stride, tile.h); y++) {
+        for (let x = bx; x < Math.min(bx + stride, tile.w); x++) {
+          const o = (y * tile.w + x) * 4;
+          rgba[o] = r;
+          rgba[o + 1] = g;
+          rgba[o + 2] = b;
+          rgba[o + 3] = 255;
+        }
+      }
+    }
+  }
+
+  return rgba;
+};
+
+/**
+ * Split a width × height frame into tiles of at most `size` pixels per side.
+ */
+export const tileGrid = (width, height, size = RAYMARCH_TILE) => {
+  const tiles = [];
+  for (let y = 0; y < height; y += size) {
+    for (let x = 0; x < width; x += size) {
+      tiles.push({ x, y, w: Math.min(size, width - x), h: Math.min(size, height - y) });
+    }
+  }
+  return tiles;
+};
@@ -0,0 +1,75 @@
+import { PHI3, Xi, direction, decodeRadius } from "./kernel.js";
+import { reconstructSpatial } from "./phaseMap.js";
+import { evaluateFourier } from "./fourier.js";
+import { evaluateSH } from "./sphericalHarmonics.js";
+import { layersAt, surfaceRadii } from "./layers.js";
+import { reconstructAdaptive } from "./quadtree.js";
+import { primitiveShape, shapeRadius } from "./superellipsoid.js";
+
+// Fourier and SH reconstructions are clamped to this radial band to suppress ringing.
+export const FOURIER_R_MIN = 0.5;
+export const FOURIER_R_MAX = 4.0;
+
+// === 4. RECONSTRUCTION ===
+// Reconstruct R by reconstructing warped-radius Rw, then unwarping:
+//   R = Rw / Xi_dir(theta,phi)
+//
+// `model` describes a stored representation:
+//   { mode: "primitive", R, n }  or  { mode: "primitive", a, b, c, e1, e2, ... }
+//   { mode: "spatial", phaseMap, interpolation }
+//   { mode: "fourier", fourierData }
+//   { mode: "harmonic", shData }
+//   { mode: "layered", layeredMap }
+//   { mode: "adaptive", adaptiveMap }
+// and may carry `warpExponent` (defaults to PHI3). Spatial, Fourier and harmonic models
+// with a fitted `base` primitive { R, n } store the residual R − R_base instead, and
+// reconstruct R = R_base + residual. A spatial map is read with `interpolation` (one of
+// INTERPOLATION_METHODS, "nearest" when absent; see interpolation.js).
+export const reconstructR = (model, theta, phi) => {
+  const warpExponent = model.warpExponent ?? PHI3;
+
+  if (model.mode === "primitive") {
+    // Along a unit direction u the surface Xi = 1 sits at R / ||u||ₙ = Xi(u).
+    const u = direction(theta, phi);
+    if (model.a !== undefined) return shapeRadius(primitiveShape(model), u);
+    return Xi(u.x, u.y, u.z, model.R, model.n);
+  }
+
+  if (model.mode === "layered") {
+    // Outer envelope; use reconstructLayers for every interval.
+    const layers = layersAt(model.layeredMap, theta, phi);
+    return layers[layers.length - 1].exit;
+  }
+
+  if (model.mode === "adaptive") return reconstructAdaptive(model.adaptiveMap, theta, phi, warpExponent);
+
+  if (model.mode === "fourier" && model.fourierData) {
+    const R = decodeRadius(evaluateFourier(model.fourierData, theta, phi), theta, phi, { base: model.base, warpExponent });
+    return Math.max(FOURIER_R_MIN, Math.min(FOURIER_R_MAX, R));
+  }
+
+  if (model.mode === "harmonic" && model.shData) {
+    const R = decodeRadius(evaluateSH(model.shData, theta, phi), theta, phi, { base: model.base, warpExponent });
+    return Math.max(FOURIER_R_MIN, Math.min(FOURIER_R_MAX, R));
+  }
+
+  return reconstructSpatial(model.phaseMap, theta, phi, warpExponent, model.base, model.interpolation);
+};
+
+/**
+ * Bind a model into a (theta, phi) => R function.
+ */
+export const createReconstructor = (model) => (theta, phi) => reconstructR(model, theta, phi);
+
+/**
+ * Radial intervals [entry, exit] along (theta, phi). Single-layer models yield [0, R].
+ */
+export const reconstructLayers = (model, theta, phi) => {
+  if (model.mode === "layered") return layersAt(model.layeredMap, theta, phi);
+  return [{ entry: 0, exit: reconstructR(model, theta, phi) }];
+};
+
+/**
+ * Bind a model into a (theta, phi) => [surface radii] function covering every layer.
+ */
+export const createSurfaceSampler = (model) => (theta, phi) => surfaceRadii(reconstructLayers(model, theta, phi));
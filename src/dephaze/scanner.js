@@ -0,0 +1,104 @@
+import { TAU, direction } from "./kernel.js";
+import { generateScan, meshRadius } from "./phaseMap.js";
+import { toPhasePoints } from "./pointCloud.js";
+import { fibonacciDirections } from "./errorMetrics.js";
+import { gaussian } from "./random.js";
+
+// === SCANNER SIMULATION ===
+// Imperfect measurements of the synthetic meshes. Virtual range scanners sit on a
+// sphere around Ω₀; a surface sample is kept only if at least one scanner sees it
+// (its line of sight does not pass through the mesh), and is then measured by the
+// nearest such scanner:
+//   noise     Gaussian range error along the line of sight, σ in phase-space units
+//   outliers  share of measurements whose range is off by a uniform factor 0.5–1.5
+// With no scanners every sample is visible, as if seen from Ω₀.
+
+export const SCANNER_DEFAULTS = { noise: 0, outliers: 0, scanners: 0, distance: 6 };
+
+// Steps of the line-of-sight march, and the stretch next to the sample it skips so the
+// sample's own surface does not occlude it.
+const OCCLUSION_STEPS = 48;
+const SURFACE_MARGIN = 0.05;
+
+// Outlier ranges are the true range times a factor in [1 − spread, 1 + spread).
+const OUTLIER_SPREAD = 0.5;
+
+/**
+ * Positions { x, y, z } of `count` scanners spread evenly at `distance` from Ω₀.
+ */
+export const scannerPositions = (count, distance = SCANNER_DEFAULTS.distance) =>
+  fibonacciDirections(count).map(({ theta, phi }) => {
+    const u = direction(theta, phi);
+    return { x: distance * u.x, y: distance * u.y, z: distance * u.z };
+  });
+
+// Whether a point lies strictly inside the star-shaped mesh.
+const insideMesh = (meshType, q) => {
+  const r = Math.sqrt(q.x * q.x + q.y * q.y + q.z * q.z);
+  if (r < 1e-9) return true;
+  let theta = Math.atan2(q.y, q.x);
+  if (theta < 0) theta += TAU;
+  const phi = Math.acos(Math.max(-1, Math.min(1, q.z / r)));
+  return r < meshRadius(meshType, theta, phi);
+};
+
+/**
+ * Whether the segment from scanner `s` to surface point `p` stays outside the mesh.
+ */
+export const lineOfSight = (meshType, s, p) => {
+  const dx = p.x - s.x;
+  const dy = p.y - s.y;
+  const dz = p.z - s.z;
+  const length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+  const end = 1 - SURFACE_MARGIN / length;
+  for (let k = 1; k < OCCLUSION_STEPS; k++) {
+    const t = k / OCCLUSION_STEPS;
+    if (t >= end) break;
+    if (insideMesh(meshType, { x: s.x + t * dx, y: s.y + t * dy, z: s.z + t * dz })) return false;
+  }
+  return true;
+};
+
+/**
+ * Scan a synthetic mesh through the scanner model above. Returns { points, stats } with
+ * stats { sampled, occluded, outliers }; without imperfections the points equal
+ * generateScan(meshType, density, random).
+ */
+export const simulateScan = (meshType, density, options = {}, random = Math.random) => {
+  const { noise, outliers, scanners, distance } = { ...SCANNER_DEFAULTS, ...options };
+  const surface = generateScan(meshType, density, random);
+  const stats = { sampled: surface.length, occluded: 0, outliers: 0 };
+  if (noise === 0 && outliers === 0 && scanners === 0) return { points: surface, stats };
+
+  const positions = scannerPositions(scanners, distance);
+  const measured = [];
+  surface.forEach((p) => {
+    // The nearest scanner with a clear line of sight; Ω₀ itself without scanners.
+    let source = { x: 0, y: 0, z: 0 };
+    if (positions.length > 0) {
+      const visible = positions
+        .map((s) => ({ s, d: Math.hypot(p.x - s.x, p.y - s.y, p.z - s.z) }))
+        .sort((a, b) => a.d - b.d)
+        .find(({ s }) => lineOfSight(meshType, s, p));
+      if (!visible) {
+        stats.occluded++;
+        return;
+      }
+      source = visible.s;
+    }
+
+    const dx = p.x - source.x;
+    const dy = p.y - source.y;
+    const dz = p.z - source.z;
+    const range = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    let measuredRange = range + noise * gaussian(random);
+    if (random() < outliers) {
+      measuredRange = range * (1 - OUTLIER_SPREAD + 2 * OUTLIER_SPREAD * random());
+      stats.outliers++;
+    }
+    const f = measuredRange / range;
+    measured.push({ x: source.x + f * dx, y: source.y + f * dy, z: source.z + f * dz });
+  });
+
+  return { points: toPhasePoints(measured, undefined, { normalize: false }).points, stats };
+};
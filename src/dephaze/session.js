@@ -0,0 +1,175 @@
+// === SESSIONS ===
+// A session is the state of every tab: { tab, tabs: { [tabId]: params } }, where params
+// is a plain JSON object of that tab's controls. It travels two ways:
+//   URL hash      #s=<base64url JSON>, replaced as the controls change so the address
+//                 bar always opens the current view
+//   session file  pretty-printed JSON with a format tag, like the keyframe files
+// A tab's `importedCloud` ({ name, vertices: [{ x, y, z }] }) is too large for a URL:
+// the hash drops it, the file stores the vertices as one flat [x, y, z, …] array.
+
+export const SESSION_FORMAT = "dephaze-session";
+export const SESSION_VERSION = 1;
+
+const HASH_KEY = "s";
+
+const toBase64Url = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  let binary = "";
+  bytes.forEach((b) => (binary += String.fromCharCode(b)));
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+
+const fromBase64Url = (encoded) => {
+  const binary = atob(encoded.replace(/-/g, "+").replace(/_/g, "/"));
+  return new TextDecoder().decode(Uint8Array.from(binary, (c) => c.charCodeAt(0)));
+};
+
+// Every tab's params with its imported cloud removed or packed.
+const mapTabs = (tabs, cloud) =>
+  Object.fromEntries(
+    Object.entries(tabs || {}).map(([id, params]) => {
+      const { importedCloud, ...rest } = params || {};
+      const packed = importedCloud ? cloud(importedCloud) : null;
+      return [id, packed ? { ...rest, importedCloud: packed } : rest];
+    })
+  );
+
+const checkSession = (data, source) => {
+  if (!data || typeof data !== "object") throw new Error(`${source} holds no session`);
+  if (data.version !== SESSION_VERSION) throw new Error(`Unsupported session version ${data.version}`);
+  if (data.tab !== undefined && typeof data.tab !== "string") throw new Error(`${source} has an invalid tab`);
+  if (data.tabs !== undefined && (typeof data.tabs !== "object" || Array.isArray(data.tabs))) {
+    throw new Error(`${source} has invalid tab parameters`);
+  }
+};
+
+const sameType = (value, fallback) => {
+  if (fallback === null) return true;
+  if (typeof fallback === "number") return Number.isFinite(value);
+  if (Array.isArray(fallback)) return Array.isArray(value);
+  if (typeof fallback === "object") return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+  return typeof value === typeof fallback;
+};
+
+const isAllowed = (value, allowed) => {
+  if (Array.isArray(allowed)) return allowed.includes(value);
+  try {
+    allowed(value);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * `params[key]` when it has the same JSON type as `fallback` (any value for a null
+ * fallback), otherwise `fallback`. Tabs read restored sessions through it, so a stale or
+ * hand-edited URL cannot put a string where a number belongs. `allowed` narrows the
+ * value further: the list of accepted values of an enum, or a validator that throws for
+ * a value it rejects (like validateTree for a scene, or numberIn and objectOf below).
+ */
+export const sessionParam = (params, key, fallback, allowed) => {
+  const value = params ? params[key] : undefined;
+  if (value === undefined || !sameType(value, fallback)) return fallback;
+  return allowed === undefined || isAllowed(value, allowed) ? value : fallback;
+};
+
+// --- Validators for sessionParam ---
+
+/**
+ * Validator accepting finite numbers in [min, max], and only whole ones when `integer`.
+ * Tabs pass their slider bounds, so a link cannot ask for a map or grid far larger than
+ * the controls allow.
+ */
+export const numberIn = (min, max, { integer = false } = {}) => (value) => {
+  if (!Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+    throw new Error(`${value} is not ${integer ? "a whole number" : "a number"} in [${min}, ${max}]`);
+  }
+};
+
+export const finiteNumber = numberIn(-Infinity, Infinity);
+
+/**
+ * Validator accepting objects with exactly the keys of `fields`, each value accepted by
+ * its field's list or validator.
+ */
+export const objectOf = (fields) => (value) => {
+  const keys = Object.keys(fields);
+  if (!value || typeof value !== "object" || Object.keys(value).length !== keys.length) throw new Error(`Expected the fields ${keys.join(", ")}`);
+  keys.forEach((key) => {
+    if (!(key in value) || !isAllowed(value[key], fields[key])) throw new Error(`Invalid field ${key}`);
+  });
+};
+
+/**
+ * Validator for an imported point cloud { name, vertices: [{ x, y, z }] }.
+ */
+export const validateCloud = (cloud) => {
+  if (!cloud || typeof cloud.name !== "string" || !Array.isArray(cloud.vertices) || cloud.vertices.length === 0) {
+    throw new Error("Not a point cloud");
+  }
+  if (!cloud.vertices.every((v) => v && [v.x, v.y, v.z].every(Number.isFinite))) throw new Error("Point cloud has invalid vertices");
+};
+
+/**
+ * URL hash (with the leading "#") holding `session` without imported clouds.
+ */
+export const encodeSessionHash = (session) =>
+  `#${HASH_KEY}=${toBase64Url(JSON.stringify({ version: SESSION_VERSION, tab: session.tab, tabs: mapTabs(session.tabs, () => null) }))}`;
+
+/**
+ * Session encoded in a URL hash by encodeSessionHash, or null when the hash holds none.
+ * A hash that carries a session but cannot be read throws.
+ */
+export const parseSessionHash = (hash) => {
+  const encoded = new URLSearchParams(hash.replace(/^#/, "")).get(HASH_KEY);
+  if (!encoded) return null;
+  let data;
+  try {
+    data = JSON.parse(fromBase64Url(encoded));
+  } catch (err) {
+    throw new Error(`URL session is not valid: ${err.message}`);
+  }
+  checkSession(data, "URL");
+  return { tab: data.tab, tabs: data.tabs || {} };
+};
+
+/**
+ * JSON session file (see parseSession).
+ */
+export const encodeSession = (session) =>
+  JSON.stringify(
+    {
+      format: SESSION_FORMAT,
+      version: SESSION_VERSION,
+      tab: session.tab,
+      tabs: mapTabs(session.tabs, ({ name, vertices }) => ({ name, points: vertices.flatMap((v) => [v.x, v.y, v.z]) })),
+    },
+    null,
+    2
+  );
+
+/**
+ * Parse and validate a session file written by encodeSession. Imported clouds come
+ * back as { name, vertices: [{ x, y, z }] }.
+ */
+export const parseSession = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Session file is not valid JSON: ${err.message}`);
+  }
+  if (!data || data.format !== SESSION_FORMAT) throw new Error("Not a Dephaze session file");
+  checkSession(data, "Session file");
+
+  const tabs = mapTabs(data.tabs, ({ name, points }) => {
+    if (!Array.isArray(points) || points.length === 0 || points.length % 3 !== 0 || !points.every(Number.isFinite)) {
+      throw new Error(`Session file has an invalid point cloud${name ? ` "${name}"` : ""}`);
+    }
+    const vertices = [];
+    for (let k = 0; k < points.length; k += 3) vertices.push({ x: points[k], y: points[k + 1], z: points[k + 2] });
+    return { name: String(name || "points"), vertices };
+  });
+  return { tab: data.tab, tabs };
+};
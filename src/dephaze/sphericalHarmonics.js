@@ -0,0 +1,110 @@
+import { TAU } from "./kernel.js";
+import { cellCenter } from "./phaseMap.js";
+
+// === SPHERICAL-HARMONIC TRANSPORT ===
+// Real orthonormal spherical harmonics Y_lm(θ, φ) with θ = azimuth, φ = polar.
+// Unlike a 2D DFT on the (θ, φ) grid, the basis is smooth across the θ seam and at
+// the poles, so truncation does not ring there.
+
+export const DEFAULT_SH_DEGREE = 16;
+
+// Flat index of (l, m) in a basis vector of length (L + 1)².
+export const shIndex = (l, m) => l * l + l + m;
+
+/**
+ * All real spherical harmonics up to degree L at one direction, as a
+ * Float64Array indexed by shIndex(l, m).
+ */
+export const shBasis = (L, theta, phi) => {
+  const basis = new Float64Array((L + 1) * (L + 1));
+  const x = Math.cos(phi);
+  const s = Math.sin(phi);
+
+  // Fully normalized associated Legendre functions P̄_l^m(cos φ), built up per m.
+  let pmm = Math.sqrt(1 / (4 * Math.PI));
+  for (let m = 0; m <= L; m++) {
+    if (m > 0) pmm *= Math.sqrt((2 * m + 1) / (2 * m)) * s;
+
+    const cosM = Math.cos(m * theta);
+    const sinM = Math.sin(m * theta);
+    const put = (l, p) => {
+      if (m === 0) {
+        basis[shIndex(l, 0)] = p;
+      } else {
+        basis[shIndex(l, m)] = Math.SQRT2 * p * cosM;
+        basis[shIndex(l, -m)] = Math.SQRT2 * p * sinM;
+      }
+    };
+
+    put(m, pmm);
+    if (m === L) break;
+
+    let pPrev = pmm;
+    let p = Math.sqrt(2 * m + 3) * x * pmm;
+    put(m + 1, p);
+
+    for (let l = m + 2; l <= L; l++) {
+      const a = Math.sqrt((4 * l * l - 1) / (l * l - m * m));
+      const b = Math.sqrt(((l - 1) * (l - 1) - m * m) / (4 * (l - 1) * (l - 1) - 1));
+      const next = a * (x * p - b * pPrev);
+      pPrev = p;
+      p = next;
+      put(l, p);
+    }
+  }
+
+  return basis;
+};
+
+/**
+ * Project an N×N (θ, φ) matrix onto real SH up to degree L by midpoint quadrature
+ * and keep the Top-K coefficients (l ≥ 1) by energy. The l = 0 term is kept as `dc`.
+ */
+export const shCompress = (matrix, L, topK) => {
+  const N = matrix.length;
+  const size = (L + 1) * (L + 1);
+  const projection = new Float64Array(size);
+  const cellArea = (TAU / N) * (Math.PI / N);
+
+  for (let i = 0; i < N; i++) {
+    for (let j = 0; j < N; j++) {
+      const { theta, phi } = cellCenter(i, j, N);
+      const w = matrix[i][j] * Math.sin(phi) * cellArea;
+      const basis = shBasis(L, theta, phi);
+      for (let k = 0; k < size; k++) projection[k] += w * basis[k];
+    }
+  }
+
+  const allCoeffs = [];
+  for (let l = 1; l <= L; l++) {
+    for (let m = -l; m <= l; m++) {
+      const value = projection[shIndex(l, m)];
+      if (Math.abs(value) > 0.0001) allCoeffs.push({ l, m, value, energy: value * value });
+    }
+  }
+
+  allCoeffs.sort((a, b) => b.energy - a.energy);
+
+  return {
+    coefficients: allCoeffs.slice(0, Math.min(topK, allCoeffs.length)),
+    dc: projection[0],
+    L,
+    N,
+    totalCoeffs: allCoeffs.length,
+  };
+};
+
+/**
+ * Evaluate the truncated SH series at (theta, phi), returning the warped radius Rw.
+ */
+export const evaluateSH = (shData, theta, phi) => {
+  const maxL = shData.coefficients.reduce((max, c) => Math.max(max, c.l), 0);
+  const basis = shBasis(maxL, theta, phi);
+
+  let Rw = shData.dc * basis[0];
+  shData.coefficients.forEach((c) => {
+    Rw += c.value * basis[shIndex(c.l, c.m)];
+  });
+
+  return Rw;
+};
@@ -0,0 +1,275 @@
+import { LIMIT_ORDER } from "./kernel.js";
+
+// === SUPERELLIPSOID PRIMITIVE ===
+// Per-axis generalisation of the kernel (Barr's superquadric inside-outside function):
+//
+//   ‖p‖ = ( (|x/a|^(2/ε2) + |y/b|^(2/ε2))^(ε2/ε1) + |z/c|^(2/ε1) )^(ε1/2)
+//
+// evaluated in the shape's local frame, with Xi = 1 / ‖p‖ and the surface at Xi = 1.
+// a, b, c are the semi-axes, ε1 the north-south (z) and ε2 the east-west (xy) exponent.
+// The kernel's (R, n) is the special case a = b = c = R, ε1 = ε2 = 2 / n. Exponents are
+// kept in (0, 2] so the shape stays convex, like n ≥ 1 for the kernel.
+//
+// A primitive model is either { mode: "primitive", R, n } or
+//   { mode: "primitive", a, b, c, e1, e2, rotation?, translation? }
+// where rotation is XYZ Euler angles in radians (applied x, then y, then z) and
+// translation moves the rotated shape; both are { x, y, z }.
+
+// The smallest exponent is the kernel's sharpest finite order, n = 2 / ε = LIMIT_ORDER: a
+// cube with rounded corners. Only ε = 0 (n = ∞) gives the Chebyshev cube itself.
+export const EPSILON_MIN = 2 / LIMIT_ORDER;
+export const EPSILON_MAX = 2;
+
+const ZERO = { x: 0, y: 0, z: 0 };
+
+/**
+ * Superellipsoid equivalent of the kernel's (R, n).
+ */
+export const lameShape = (R, n) => ({
+  a: R,
+  b: R,
+  c: R,
+  e1: 2 / n,
+  e2: 2 / n,
+  rotation: ZERO,
+  translation: ZERO,
+});
+
+/**
+ * Full shape parameters of a primitive model, in either form.
+ */
+export const primitiveShape = (model) => {
+  if (model.a === undefined) return lameShape(model.R, model.n);
+  return {
+    a: model.a,
+    b: model.b,
+    c: model.c,
+    e1: model.e1,
+    e2: model.e2,
+    rotation: model.rotation || ZERO,
+    translation: model.translation || ZERO,
+  };
+};
+
+const isZero = (v) => !v || (v.x === 0 && v.y === 0 && v.z === 0);
+
+export const hasTransform = (shape) => !isZero(shape.rotation) || !isZero(shape.translation);
+
+/**
+ * True when the shape is an untransformed kernel primitive (one radius, one exponent).
+ */
+export const isUniformShape = (shape) =>
+  shape.a === shape.b && shape.b === shape.c && shape.e1 === shape.e2 && !hasTransform(shape);
+
+// Lᵖ norm of (u, v), with the Chebyshev limit above LIMIT_ORDER; scaled to avoid overflow.
+const pairNorm = (u, v, p) => {
+  const au = Math.abs(u);
+  const av = Math.abs(v);
+  const m = Math.max(au, av);
+  if (p > LIMIT_ORDER || m === 0) return m;
+  return m * Math.pow(Math.pow(au / m, p) + Math.pow(av / m, p), 1 / p);
+};
+
+const rotateX = (v, angle) => {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return { x: v.x, y: v.y * cos - v.z * sin, z: v.y * sin + v.z * cos };
+};
+
+const rotateY = (v, angle) => {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return { x: v.x * cos + v.z * sin, y: v.y, z: -v.x * sin + v.z * cos };
+};
+
+const rotateZ = (v, angle) => {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return { x: v.x * cos - v.y * sin, y: v.x * sin + v.y * cos, z: v.z };
+};
+
+/**
+ * Rotate a local-frame vector into the world frame (no translation).
+ */
+export const rotateToWorld = (v, shape) => {
+  const r = shape.rotation || ZERO;
+  return rotateZ(rotateY(rotateX(v, r.x), r.y), r.z);
+};
+
+/**
+ * Local-frame point to world coordinates.
+ */
+export const toWorld = (v, shape) => {
+  const p = rotateToWorld(v, shape);
+  const t = shape.translation || ZERO;
+  return { x: p.x + t.x, y: p.y + t.y, z: p.z + t.z };
+};
+
+/**
+ * World point to the shape's local frame.
+ */
+export const toLocal = (x, y, z, shape) => {
+  const r = shape.rotation || ZERO;
+  const t = shape.translation || ZERO;
+  const p = { x: x - t.x, y: y - t.y, z: z - t.z };
+  return rotateX(rotateY(rotateZ(p, -r.z), -r.y), -r.x);
+};
+
+// Norm of a local-frame point (homogeneous of degree 1 in the point).
+const localNorm = (l, shape) => {
+  const xy = pairNorm(l.x / shape.a, l.y / shape.b, 2 / shape.e2);
+  return pairNorm(xy, l.z / shape.c, 2 / shape.e1);
+};
+
+/**
+ * Superellipsoid norm of a world point: 1 on the surface, < 1 inside.
+ */
+export const shapeNorm = (x, y, z, shape) => localNorm(toLocal(x, y, z, shape), shape);
+
+/**
+ * Stability coefficient of the per-axis kernel.
+ */
+export const superXi = (x, y, z, shape) => 1 / shapeNorm(x, y, z, shape);
+
+/**
+ * Implicit form: negative inside, zero on the surface, positive outside.
+ */
+export const superField = (x, y, z, shape) => shapeNorm(x, y, z, shape) - 1;
+
+export const superExists = (x, y, z, shape, tolerance = 0.01) => Math.abs(superXi(x, y, z, shape) - 1) < tolerance;
+
+// d‖(u, v)‖ₚ / du, with the dominant-axis subgradient in the Chebyshev limit.
+const pairPartial = (u, v, norm, p) => {
+  if (norm === 0) return 0;
+  if (p > LIMIT_ORDER) return Math.abs(u) >= Math.abs(v) ? Math.sign(u) : 0;
+  return Math.sign(u) * Math.pow(Math.abs(u) / norm, p - 1);
+};
+
+/**
+ * World-frame gradient of shapeNorm.
+ */
+export const superGradient = (x, y, z, shape) => {
+  const l = toLocal(x, y, z, shape);
+  const u = l.x / shape.a;
+  const v = l.y / shape.b;
+  const w = l.z / shape.c;
+  const p1 = 2 / shape.e1;
+  const p2 = 2 / shape.e2;
+
+  const xy = pairNorm(u, v, p2);
+  const norm = pairNorm(xy, w, p1);
+  const dXy = pairPartial(xy, w, norm, p1);
+
+  return rotateToWorld(
+    {
+      x: (dXy * pairPartial(u, v, xy, p2)) / shape.a,
+      y: (dXy * pairPartial(v, u, xy, p2)) / shape.b,
+      z: pairPartial(w, xy, norm, p1) / shape.c,
+    },
+    shape
+  );
+};
+
+/**
+ * Outward unit normal of the level set through (x, y, z).
+ */
+export const superNormal = (x, y, z, shape) => {
+  const g = superGradient(x, y, z, shape);
+  const len = Math.sqrt(g.x * g.x + g.y * g.y + g.z * g.z) || 1;
+  return { x: g.x / len, y: g.y / len, z: g.z / len };
+};
+
+/**
+ * Lipschitz constant of superField. Each nested 2D Lᵖ norm with p < 2 contributes
+ * 2^(1/p − 1/2); the semi-axes stretch it by 1 / min(a, b, c).
+ */
+export const shapeLipschitz = (shape) => {
+  const factor = (p) => Math.pow(2, Math.max(0, 1 / p - 0.5));
+  return (factor(2 / shape.e1) * factor(2 / shape.e2)) / Math.min(shape.a, shape.b, shape.c);
+};
+
+/**
+ * Radius of a sphere about the world origin that encloses the shape.
+ */
+export const shapeBoundingRadius = (shape) => {
+  const t = shape.translation || ZERO;
+  return Math.hypot(t.x, t.y, t.z) + Math.hypot(shape.a, shape.b, shape.c);
+};
+
+/**
+ * Half-size of the smallest origin-centred cube enclosing the shape's rotated box.
+ */
+export const shapeExtent = (shape) => {
+  const t = shape.translation || ZERO;
+  const axes = [
+    rotateToWorld({ x: shape.a, y: 0, z: 0 }, shape),
+    rotateToWorld({ x: 0, y: shape.b, z: 0 }, shape),
+    rotateToWorld({ x: 0, y: 0, z: shape.c }, shape),
+  ];
+  return Math.max(
+    ...["x", "y", "z"].map((k) => Math.abs(t[k]) + axes.reduce((sum, axis) => sum + Math.abs(axis[k]), 0))
+  );
+};
+
+/**
+ * Radial projection onto the surface through the shape's centre.
+ */
+export const projectToSurface = (x, y, z, shape) => {
+  const l = toLocal(x, y, z, shape);
+  const norm = localNorm(l, shape);
+  if (norm === 0) return toWorld({ x: shape.a, y: 0, z: 0 }, shape);
+  return toWorld({ x: l.x / norm, y: l.y / norm, z: l.z / norm }, shape);
+};
+
+/**
+ * Brute-force surface sweep of a shape, as sampleKernelShell. The grid grows past the
+ * default ±3 when the shape does, keeping the same number of samples per axis.
+ */
+export const sampleShapeShell = (shape, { extent = 3, step = 0.15, tolerance = 0.05 } = {}, onProgress) => {
+  const needed = shapeExtent(shape) + step;
+  const scale = Math.max(1, needed / extent);
+  const gridExtent = extent * scale;
+  const gridStep = step * scale;
+  const count = Math.round((2 * gridExtent) / gridStep) + 1;
+  const xyz = [];
+
+  for (let i = 0; i < count; i++) {
+    const x = -gridExtent + i * gridStep;
+    for (let j = 0; j < count; j++) {
+      const y = -gridExtent + j * gridStep;
+      for (let k = 0; k < count; k++) {
+        const z = -gridExtent + k * gridStep;
+        if (superExists(x, y, z, shape, tolerance)) xyz.push(x, y, z);
+      }
+    }
+    if (onProgress) onProgress((i + 1) / count);
+  }
+
+  return new Float32Array(xyz);
+};
+
+// Samples along a ray when searching for the outermost crossing of a translated shape.
+const RAY_SAMPLES = 64;
+
+/**
+ * Distance from the world origin to the outermost surface crossing along unit vector u
+ * (0 when the ray misses). Closed form unless the shape is translated.
+ */
+export const shapeRadius = (shape, u) => {
+  if (isZero(shape.translation)) return 1 / shapeNorm(u.x, u.y, u.z, shape);
+
+  const tMax = shapeBoundingRadius(shape);
+  const inside = (t) => shapeNorm(u.x * t, u.y * t, u.z * t, shape) <= 1;
+  for (let k = RAY_SAMPLES - 1; k >= 0; k--) {
+    let lo = (k / RAY_SAMPLES) * tMax;
+    let hi = ((k + 1) / RAY_SAMPLES) * tMax;
+    if (!inside(lo)) continue;
+    for (let i = 0; i < 40; i++) {
+      const mid = (lo + hi) / 2;
+      if (inside(mid)) lo = mid;
+      else hi = mid;
+    }
+    return lo;
+  }
+  return 0;
+};
@@ -0,0 +1,62 @@
+import { scanPoint } from "./phaseMap.js";
+
+// === TYPED-ARRAY PACKING ===
+// Flat typed arrays for moving scans and phase maps between threads as
+// transferables instead of structured-cloning object graphs.
+
+// [x, y, z, x, y, z, ...]
+export const packVertices = (vertices) => {
+  const out = new Float64Array(vertices.length * 3);
+  vertices.forEach((v, i) => {
+    out[i * 3] = v.x;
+    out[i * 3 + 1] = v.y;
+    out[i * 3 + 2] = v.z;
+  });
+  return out;
+};
+
+export const unpackVertices = (packed) => {
+  const vertices = [];
+  for (let i = 0; i < packed.length; i += 3) vertices.push({ x: packed[i], y: packed[i + 1], z: packed[i + 2] });
+  return vertices;
+};
+
+// [theta, phi, R, ...]; the remaining scan-point fields are derived on unpack.
+export const packPoints = (points) => {
+  const out = new Float64Array(points.length * 3);
+  points.forEach((p, i) => {
+    out[i * 3] = p.theta;
+    out[i * 3 + 1] = p.phi;
+    out[i * 3 + 2] = p.R;
+  });
+  return out;
+};
+
+export const unpackPoints = (packed) => {
+  const points = [];
+  for (let i = 0; i < packed.length; i += 3) points.push(scanPoint(packed[i], packed[i + 1], packed[i + 2]));
+  return points;
+};
+
+// { N, rw: Float32Array(N²), counts: Uint32Array(N²) }, theta-major.
+export const packPhaseMap = (phaseMap) => {
+  const N = phaseMap.length;
+  const rw = new Float32Array(N * N);
+  const counts = new Uint32Array(N * N);
+  phaseMap.forEach((row, i) =>
+    row.forEach((cell, j) => {
+      rw[i * N + j] = cell.Rw;
+      counts[i * N + j] = cell.count;
+    })
+  );
+  return { N, rw, counts };
+};
+
+export const unpackPhaseMap = ({ N, rw, counts }) =>
+  Array(N)
+    .fill(null)
+    .map((_, i) =>
+      Array(N)
+        .fill(null)
+        .map((__, j) => ({ Rw: rw[i * N + j], count: counts[i * N + j] }))
+    );
@@ -0,0 +1,147 @@
+import { Xi } from "./kernel.js";
+import { lameDistance, SURFACE_TOLERANCE } from "./distance.js";
+
+// === KERNEL VALIDATION SUITE ===
+// Monte-Carlo check of the Lamé kernel against the classical shapes it claims to
+// reproduce. Points are drawn uniformly by area on the closed-form sphere, octahedron
+// and cube; at each one the suite evaluates Ξ (exactly 1 on the Lamé surface of the
+// matching order) and the Euclidean distance to that surface. Every statistic comes
+// with a 95% confidence interval: normal for means, Wilson for the on-surface share.
+//
+// The cube is the limit n = ∞, where the kernel is the Chebyshev norm. At any finite
+// order the error is real and has a closed form: the Lamé surface is furthest from the
+// cube at the corners, √3 R (1 − 3^(−1/n)) away.
+
+export const CLASSICAL_ORDERS = { octahedron: 1, sphere: 2, cube: Infinity };
+
+export const VALIDATION_SAMPLES = 4000;
+
+// Orders of the cube convergence curve.
+export const CONVERGENCE_ORDERS = [2, 2.5, 3, 4, 5, 6, 8, 10, 12, 16, 20, 25, 30, 40, 50];
+
+// Two-sided 95% normal quantile.
+const Z95 = 1.959964;
+
+// Samples kept with each result for display.
+const SAMPLE_ROWS = 15;
+
+/**
+ * `count` points { x, y, z } uniformly distributed by area on the classical sphere,
+ * octahedron (|x| + |y| + |z| = R) or cube (max |x|, |y|, |z| = R).
+ */
+export const sampleClassicalSurface = (shape, R, count, random = Math.random) =>
+  Array.from({ length: count }, () => {
+    if (shape === "sphere") {
+      const z = 2 * random() - 1;
+      const angle = 2 * Math.PI * random();
+      const rho = Math.sqrt(1 - z * z);
+      return { x: R * rho * Math.cos(angle), y: R * rho * Math.sin(angle), z: R * z };
+    }
+    if (shape === "octahedron") {
+      // A uniform point of the simplex, on one of the eight equal faces.
+      let u = random();
+      let v = random();
+      if (u + v > 1) [u, v] = [1 - u, 1 - v];
+      const sign = () => (random() < 0.5 ? -1 : 1);
+      return { x: sign() * R * u, y: sign() * R * v, z: sign() * R * (1 - u - v) };
+    }
+    if (shape === "cube") {
+      const p = [R * (2 * random() - 1), R * (2 * random() - 1), 0];
+      p[2] = random() < 0.5 ? -R : R;
+      const axis = Math.floor(random() * 3);
+      [p[axis], p[2]] = [p[2], p[axis]];
+      return { x: p[0], y: p[1], z: p[2] };
+    }
+    throw new Error(`Unknown classical shape: ${shape}`);
+  });
+
+/**
+ * Mean of `values` with its 95% confidence interval: { mean, std, low, high }.
+ */
+export const meanInterval = (values) => {
+  const count = values.length;
+  const mean = values.reduce((sum, v) => sum + v, 0) / count;
+  const std = count > 1 ? Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (count - 1)) : 0;
+  const half = (Z95 * std) / Math.sqrt(count);
+  return { mean, std, low: mean - half, high: mean + half };
+};
+
+/**
+ * Share `successes / count` with its 95% Wilson score interval: { rate, low, high }.
+ */
+export const wilsonInterval = (successes, count) => {
+  const rate = successes / count;
+  const z2 = Z95 * Z95;
+  const denominator = 1 + z2 / count;
+  const centre = (rate + z2 / (2 * count)) / denominator;
+  const half = (Z95 * Math.sqrt((rate * (1 - rate)) / count + z2 / (4 * count * count))) / denominator;
+  return { rate, low: Math.max(0, centre - half), high: Math.min(1, centre + half) };
+};
+
+/**
+ * Largest distance between the cube of half-size R and the Lamé surface of order n.
+ */
+export const cubeHausdorff = (R, n) => Math.sqrt(3) * R * (1 - Math.pow(3, -1 / n));
+
+/**
+ * Monte-Carlo comparison of the Lamé surface of order `n` with the classical `shape`.
+ * Returns { shape, R, n, count, xiError, distance, maxDistance, analyticMax, onSurface,
+ * samples }: xiError and distance are meanIntervals of |Ξ − 1| and |distance| over the
+ * samples, onSurface the wilsonInterval of samples within SURFACE_TOLERANCE, analyticMax
+ * the closed-form largest distance (0 for every shape at its own order).
+ */
+export const validateClassical = (shape, { R = 2, n = CLASSICAL_ORDERS[shape], count = VALIDATION_SAMPLES, random } = {}) => {
+  const points = sampleClassicalSurface(shape, R, count, random);
+  const xiErrors = [];
+  const distances = [];
+  let within = 0;
+  const samples = [];
+
+  points.forEach((p) => {
+    const xi = Xi(p.x, p.y, p.z, R, n);
+    const distance = Math.abs(lameDistance(p.x, p.y, p.z, R, n));
+    xiErrors.push(Math.abs(xi - 1));
+    distances.push(distance);
+    if (distance < SURFACE_TOLERANCE) within++;
+    if (samples.length < SAMPLE_ROWS) samples.push({ ...p, xi, distance });
+  });
+
+  const exactOrder = { sphere: 2, octahedron: 1 }[shape];
+  return {
+    shape,
+    R,
+    n,
+    count,
+    xiError: meanInterval(xiErrors),
+    distance: meanInterval(distances),
+    maxDistance: distances.reduce((max, d) => Math.max(max, d), 0),
+    analyticMax: shape === "cube" ? cubeHausdorff(R, n) : n === exactOrder ? 0 : null,
+    onSurface: wilsonInterval(within, count),
+    samples,
+  };
+};
+
+/**
+ * Distance from the cube to the Lamé surface across `orders`: one row per order with
+ * the Monte-Carlo mean and 95% interval, the sampled and analytic maximum, and the
+ * on-surface share.
+ */
+export const cubeConvergence = (
+  { R = 2, orders = CONVERGENCE_ORDERS, count = VALIDATION_SAMPLES, random } = {},
+  onProgress = () => {}
+) =>
+  orders.map((n, k) => {
+    const result = validateClassical("cube", { R, n, count, random });
+    onProgress((k + 1) / orders.length);
+    return {
+      n,
+      mean: result.distance.mean,
+      low: result.distance.low,
+      high: result.distance.high,
+      max: result.maxDistance,
+      analytic: result.analyticMax,
+      onSurface: result.onSurface.rate,
+      onSurfaceLow: result.onSurface.low,
+      onSurfaceHigh: result.onSurface.high,
+    };
+  });
@@ -0,0 +1,16 @@
+import { JOBS } from "./jobs.js";
+
+// Protocol: in { id, type, payload }; out { id, progress } | { id, result } | { id, error }.
+self.onmessage = (e) => {
+  const { id, type, payload } = e.data;
+
+  try {
+    const job = JOBS[type];
+    if (!job) throw new Error(`Unknown job type: ${type}`);
+
+    const { result, transfer = [] } = job(payload, (progress) => self.postMessage({ id, progress }));
+    self.postMessage({ id, result }, transfer);
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
@@ -0,0 +1,110 @@
+import {
+  runPhasePipeline,
+  loadScan,
+  splitScan,
+  createRandom,
+  fitBase,
+  sweepRateDistortion,
+  primitiveShape,
+  sampleShapeShell,
+  isComposite,
+  sampleCompositeShell,
+  extractModelSurface,
+  encodeMesh,
+  fitPrimitive,
+  CLASSICAL_ORDERS,
+  validateClassical,
+  cubeConvergence,
+  renderTile,
+  unpackVertices,
+  packPoints,
+  unpackPoints,
+  packPhaseMap,
+  unpackPhaseMap,
+} from "../dephaze/index.js";
+
+// Job handlers shared by the worker and the inline (no-Worker) fallback.
+// Each returns { result, transfer } where transfer lists the ArrayBuffers to move.
+export const JOBS = {
+  phasePipeline: (payload, onProgress) => {
+    const scan = payload.scan.vertices
+      ? { vertices: unpackVertices(payload.scan.vertices), origin: payload.scan.origin }
+      : payload.scan;
+    const { points, phaseMap, ...rest } = runPhasePipeline({ ...payload, scan }, onProgress);
+
+    const packedPoints = packPoints(points);
+    const packedMap = packPhaseMap(phaseMap);
+
+    return {
+      result: { ...rest, points: packedPoints, phaseMap: packedMap },
+      transfer: [packedPoints.buffer, packedMap.rw.buffer, packedMap.counts.buffer],
+    };
+  },
+
+  // Scan and split as phasePipeline does, then sweep every (mode, N, K) combination.
+  rateDistortion: ({ scan, holdout, hybrid, options }, onProgress) => {
+    const random = createRandom(scan.seed);
+    const { points } = loadScan(scan.vertices ? { ...scan, vertices: unpackVertices(scan.vertices) } : scan, random);
+    const { train, test } = splitScan(points, holdout, random);
+    const base = hybrid ? fitBase(train) : undefined;
+    const rows = sweepRateDistortion({ ...options, train, test, meshType: scan.meshType, base }, onProgress);
+    return { result: rows, transfer: [] };
+  },
+
+  kernelShell: ({ model, options }, onProgress) => {
+    const shell = isComposite(model)
+      ? sampleCompositeShell(model, options, onProgress)
+      : sampleShapeShell(primitiveShape(model), options, onProgress);
+    return { result: shell, transfer: [shell.buffer] };
+  },
+
+  kernelMesh: ({ model, options }, onProgress) => {
+    onProgress(0);
+    const mesh = extractModelSurface(model, options);
+    onProgress(1);
+    return { result: mesh, transfer: [mesh.positions.buffer, mesh.normals.buffer, mesh.indices.buffer] };
+  },
+
+  // One classical benchmark, then the cube convergence curve, from one seeded stream.
+  kernelValidation: ({ shape, seed, count }, onProgress) => {
+    const random = createRandom(seed);
+    onProgress(0);
+    const benchmark = validateClassical(shape, { count, random });
+    const convergence = cubeConvergence({ count, random }, onProgress);
+    return { result: { benchmark, convergence, seed }, transfer: [] };
+  },
+
+  raymarchTile: ({ scene, camera, tile, stride }) => {
+    const rgba = renderTile(scene, camera, tile, stride);
+    return { result: rgba, transfer: [rgba.buffer] };
+  },
+
+  // Free fit plus the classical references: the same fit with n held at 2, 1 and ∞.
+  primitiveFit: ({ vertices, options }, onProgress) => {
+    const points = unpackVertices(vertices);
+    onProgress(0);
+    const fit = fitPrimitive(points, options);
+    const references = {};
+    Object.entries(CLASSICAL_ORDERS).forEach(([name, n], k) => {
+      onProgress((k + 1) / 4);
+      references[name] = fitPrimitive(points, { ...options, n });
+    });
+    return { result: { fit, references }, transfer: [] };
+  },
+
+  meshExport: ({ model, format, options, name }, onProgress) => {
+    onProgress(0);
+    const bytes = encodeMesh(extractModelSurface(model, options), format, { name });
+    onProgress(1);
+    return { result: bytes, transfer: [bytes.buffer] };
+  },
+};
+
+/**
+ * Rebuild the object form of a phasePipeline result on the receiving thread.
+ */
+export const unpackPipelineResult = (result) => ({
+  ...result,
+  points: unpackPoints(result.points),
+  phaseMap: unpackPhaseMap(result.phaseMap),
+});
@@ -0,0 +1,63 @@
+import { RAYMARCH_STRIDES, tileGrid } from "../dephaze/index.js";
+import { getDephazePool } from "./workerPool.js";
+
+// === PROGRESSIVE RAYMARCH FRAMES ===
+// Spreads raymarch tiles over the worker pool, one pass per stride (coarse to fine).
+// Only the latest requested frame is rendered: a request made mid-pass waits for that
+// pass to drain and then restarts at the coarsest stride, so dragging never queues up
+// stale frames and never has to terminate a worker.
+
+/**
+ * `onTile(tile, rgba, stride)` receives each finished tile of the current frame.
+ * Returns { request(scene, camera), cancel() }; request's promise resolves true once
+ * the frame is complete at stride 1, or false if it was superseded or cancelled.
+ */
+export const createProgressiveRenderer = ({ onTile, pool = getDephazePool() }) => {
+  let pending = null; // { scene, camera, tiles, pass, done } of the latest request
+  let busy = false;
+
+  const settle = (frame, complete) => {
+    if (pending === frame) pending = null;
+    frame.done(complete);
+  };
+
+  const next = () => {
+    if (busy || !pending) return;
+    const frame = pending;
+    const stride = RAYMARCH_STRIDES[frame.pass];
+    busy = true;
+
+    const jobs = frame.tiles.map((tile) =>
+      pool.run("raymarchTile", { scene: frame.scene, camera: frame.camera, tile, stride }).then((rgba) => {
+        if (pending === frame) onTile(tile, rgba, stride);
+      })
+    );
+
+    Promise.all(jobs)
+      .then(() => {
+        if (pending === frame) {
+          frame.pass++;
+          if (frame.pass >= RAYMARCH_STRIDES.length) settle(frame, true);
+        }
+      })
+      .catch(() => {
+        if (pending === frame) settle(frame, false);
+      })
+      .finally(() => {
+        busy = false;
+        next();
+      });
+  };
+
+  return {
+    request: (scene, camera) =>
+      new Promise((done) => {
+        if (pending) pending.done(false);
+        pending = { scene, camera, tiles: tileGrid(camera.width, camera.height), pass: 0, done };
+        next();
+      }),
+    cancel: () => {
+      if (pending) settle(pending, false);
+    },
+  };
+};
@@ -0,0 +1,139 @@
+import { JOBS } from "./jobs.js";
+
+// === WORKER POOL ===
+// Runs JOBS on a fixed set of module workers. Jobs submitted on a `channel` supersede
+// the previous job on that channel: a queued one is dropped, a running one has its
+// worker terminated and replaced. Superseded promises reject with an AbortError.
+//
+// Without Worker support (Node, old browsers) jobs run inline on the calling thread.
+
+const abortError = () => new DOMException("Superseded by a newer job", "AbortError");
+
+export const createWorkerPool = ({ size, createWorker }) => {
+  const inline = typeof Worker === "undefined";
+  const slots = [];
+  const queue = [];
+  const inlineJobs = new Map(); // channel -> latest inline job
+  let nextId = 1;
+
+  const spawn = (slot) => {
+    slot.worker = createWorker();
+    slot.job = null;
+    slot.worker.onmessage = (e) => {
+      const { id, progress, result, error } = e.data;
+      const job = slot.job;
+      if (!job || job.id !== id) return;
+
+      if (progress !== undefined) {
+        if (job.onProgress) job.onProgress(progress);
+        return;
+      }
+
+      slot.job = null;
+      if (error !== undefined) job.reject(new Error(error));
+      else job.resolve(result);
+      pump();
+    };
+    slot.worker.onerror = (e) => {
+      const job = slot.job;
+      slot.job = null;
+      if (job) job.reject(new Error(e.message || "Worker failed"));
+      pump();
+    };
+  };
+
+  const pump = () => {
+    for (const slot of slots) {
+      if (queue.length === 0) return;
+      if (slot.job) continue;
+      const job = queue.shift();
+      slot.job = job;
+      slot.worker.postMessage({ id: job.id, type: job.type, payload: job.payload }, job.transfer);
+    }
+  };
+
+  const runInline = (job) => {
+    // Yield first so a newer job on the same channel can supersede this one.
+    setTimeout(() => {
+      if (job.cancelled) return;
+      if (job.channel) inlineJobs.delete(job.channel);
+      try {
+        const { result } = JOBS[job.type](job.payload, job.onProgress || (() => {}));
+        job.resolve(result);
+      } catch (err) {
+        job.reject(err);
+      }
+    }, 0);
+  };
+
+  const cancelChannel = (channel) => {
+    const queued = queue.findIndex((job) => job.channel === channel);
+    if (queued >= 0) queue.splice(queued, 1)[0].reject(abortError());
+
+    slots.forEach((slot) => {
+      if (slot.job && slot.job.channel === channel) {
+        const job = slot.job;
+        slot.worker.terminate();
+        spawn(slot);
+        job.reject(abortError());
+      }
+    });
+  };
+
+  if (!inline) {
+    for (let i = 0; i < size; i++) {
+      const slot = {};
+      spawn(slot);
+      slots.push(slot);
+    }
+  }
+
+  /**
+   * Run job `type` with `payload`. Options: channel (supersede key), onProgress(fraction),
+   * transfer (ArrayBuffers in payload to move to the worker).
+   */
+  const run = (type, payload, { channel, onProgress, transfer = [] } = {}) =>
+    new Promise((resolve, reject) => {
+      const job = { id: nextId++, type, payload, channel, onProgress, transfer, resolve, reject };
+
+      if (inline) {
+        if (channel && inlineJobs.has(channel)) {
+          const stale = inlineJobs.get(channel);
+          stale.cancelled = true;
+          stale.reject(abortError());
+        }
+        if (channel) inlineJobs.set(channel, job);
+        runInline(job);
+        return;
+      }
+
+      if (channel) cancelChannel(channel);
+      queue.push(job);
+      pump();
+    });
+
+  const terminate = () => {
+    slots.forEach((slot) => slot.worker.terminate());
+    queue.splice(0).forEach((job) => job.reject(abortError()));
+  };
+
+  return { run, terminate, size: inline ? 0 : size };
+};
+
+let sharedPool = null;
+
+/**
+ * The app-wide pool, created on first use.
+ */
+export const getDephazePool = () => {
+  if (!sharedPool) {
+    const cores = (typeof navigator !== "undefined" && navigator.hardwareConcurrency) || 2;
+    sharedPool = createWorkerPool({
+      size: Math.max(1, Math.min(4, cores - 1)),
+      createWorker: () => new Worker(new URL("./dephaze.worker.js", import.meta.url), { type: "module" }),
+    });
+  }
+  return sharedPool;
+};
+
+export const isAbortError = (err) => err && err.name === "AbortError";
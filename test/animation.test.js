@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  KEYFRAME_FORMAT,
+  KEYFRAME_VERSION,
+  EASINGS,
+  sortKeyframes,
+  timelineDuration,
+  sampleTimeline,
+  encodeKeyframes,
+  parseKeyframes,
+} from "../src/dephaze/index.js";
+
+const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+const TIMELINE = [
+  { time: 4, easing: "linear", params: { n: 50, R: 3, label: "cube" } },
+  { time: 0, easing: "linear", params: { n: 1, R: 1, rotX: 0.5, label: "octahedron" } },
+  { time: 2, easing: "easeInOut", params: { n: 2, R: 2, label: "sphere" } },
+];
+
+test("every easing runs from 0 to 1 and stays monotone", () => {
+  Object.entries(EASINGS).forEach(([name, { ease }]) => {
+    if (name === "step") return;
+    close(ease(0), 0);
+    close(ease(1), 1);
+    for (let u = 0; u < 1; u += 0.05) assert.ok(ease(u + 0.05) >= ease(u), `${name} at ${u}`);
+  });
+  close(EASINGS.easeInOut.ease(0.5), 0.5);
+  assert.ok(EASINGS.easeIn.ease(0.5) < 0.5 && EASINGS.easeOut.ease(0.5) > 0.5);
+  assert.equal(EASINGS.step.ease(0.99), 0);
+});
+
+test("sampleTimeline holds the end values outside the keyframes", () => {
+  assert.deepEqual(sampleTimeline([], 1), {});
+  assert.deepEqual(sampleTimeline(TIMELINE, -1), TIMELINE[1].params);
+  assert.deepEqual(sampleTimeline(TIMELINE, 9), TIMELINE[0].params);
+  assert.equal(timelineDuration(TIMELINE), 4);
+  assert.equal(timelineDuration([]), 0);
+  assert.deepEqual(sortKeyframes(TIMELINE).map((k) => k.time), [0, 2, 4]);
+});
+
+test("numbers interpolate with the earlier keyframe's easing, n geometrically", () => {
+  const linear = sampleTimeline(TIMELINE, 1);
+  close(linear.R, 1.5);
+  close(linear.n, Math.SQRT2);
+  assert.equal(linear.label, "octahedron");
+  // rotX is only in the first keyframe, so it holds.
+  assert.equal(linear.rotX, 0.5);
+
+  const eased = sampleTimeline(TIMELINE, 2.5);
+  const u = EASINGS.easeInOut.ease(0.25);
+  close(eased.R, 2 + u);
+  close(eased.n, 2 * Math.pow(25, u));
+  assert.equal(eased.label, "sphere");
+});
+
+test("keyframes survive the JSON round trip, sorted and with a default easing", () => {
+  const text = encodeKeyframes(TIMELINE);
+  const data = JSON.parse(text);
+  assert.equal(data.format, KEYFRAME_FORMAT);
+  assert.equal(data.version, KEYFRAME_VERSION);
+  assert.deepEqual(parseKeyframes(text), sortKeyframes(TIMELINE));
+
+  const bare = JSON.stringify({ format: KEYFRAME_FORMAT, version: KEYFRAME_VERSION, keyframes: [{ time: 1, params: { n: 2 } }] });
+  assert.deepEqual(parseKeyframes(bare), [{ time: 1, easing: "linear", params: { n: 2 } }]);
+});
+
+test("parseKeyframes rejects foreign and broken files", () => {
+  const file = (keyframes, extra = {}) => JSON.stringify({ format: KEYFRAME_FORMAT, version: KEYFRAME_VERSION, keyframes, ...extra });
+  assert.throws(() => parseKeyframes("["), /not valid JSON/);
+  assert.throws(() => parseKeyframes(JSON.stringify({ format: "other" })), /Not a Dephaze keyframe file/);
+  assert.throws(() => parseKeyframes(file([], { version: KEYFRAME_VERSION + 1 })), /Unsupported keyframe file version/);
+  assert.throws(() => parseKeyframes(file({})), /has no keyframes/);
+  assert.throws(() => parseKeyframes(file([{ time: -1, params: {} }])), /Keyframe 0 has an invalid time/);
+  assert.throws(() => parseKeyframes(file([{ time: 0, params: {} }, { time: 1, easing: "bounce", params: {} }])), /Keyframe 1 has unknown easing "bounce"/);
+  assert.throws(() => parseKeyframes(file([{ time: 0 }])), /Keyframe 0 has no parameters/);
+});
@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { crc32, encodeZip } from "../src/dephaze/index.js";
+
+const bytesOf = (text) => new TextEncoder().encode(text);
+
+test("crc32 matches the standard check values", () => {
+  assert.equal(crc32(bytesOf("123456789")), 0xcbf43926);
+  assert.equal(crc32(new Uint8Array(0)), 0);
+  assert.equal(crc32(bytesOf("The quick brown fox jumps over the lazy dog")), 0x414fa339);
+});
+
+test("encodeZip stores each file behind a local header and lists it in the directory", () => {
+  const files = [
+    { name: "frame-0001.png", bytes: bytesOf("first") },
+    { name: "ω/frame-0002.png", bytes: new Uint8Array([0, 1, 2, 255]) },
+  ];
+  const zip = encodeZip(files);
+  const view = new DataView(zip.buffer);
+  const names = files.map((f) => bytesOf(f.name));
+
+  // Local headers with the data right after each name.
+  let offset = 0;
+  const offsets = files.map((file, k) => {
+    const start = offset;
+    assert.equal(view.getUint32(offset, true), 0x04034b50);
+    assert.equal(view.getUint16(offset + 6, true), 0x0800);
+    assert.equal(view.getUint16(offset + 8, true), 0);
+    assert.equal(view.getUint32(offset + 14, true), crc32(file.bytes));
+    assert.equal(view.getUint32(offset + 18, true), file.bytes.length);
+    assert.equal(view.getUint32(offset + 22, true), file.bytes.length);
+    assert.equal(view.getUint16(offset + 26, true), names[k].length);
+    assert.deepEqual(zip.subarray(offset + 30, offset + 30 + names[k].length), names[k]);
+    offset += 30 + names[k].length;
+    assert.deepEqual(zip.subarray(offset, offset + file.bytes.length), file.bytes);
+    offset += file.bytes.length;
+    return start;
+  });
+
+  // Central directory entries pointing back at them.
+  const directoryStart = offset;
+  files.forEach((file, k) => {
+    assert.equal(view.getUint32(offset, true), 0x02014b50);
+    assert.equal(view.getUint32(offset + 16, true), crc32(file.bytes));
+    assert.equal(view.getUint32(offset + 42, true), offsets[k]);
+    assert.deepEqual(zip.subarray(offset + 46, offset + 46 + names[k].length), names[k]);
+    offset += 46 + names[k].length;
+  });
+
+  assert.equal(view.getUint32(offset, true), 0x06054b50);
+  assert.equal(view.getUint16(offset + 8, true), 2);
+  assert.equal(view.getUint16(offset + 10, true), 2);
+  assert.equal(view.getUint32(offset + 12, true), offset - directoryStart);
+  assert.equal(view.getUint32(offset + 16, true), directoryStart);
+  assert.equal(zip.length, offset + 22);
+});
+
+test("an empty archive is just the end record", () => {
+  const zip = encodeZip([]);
+  assert.equal(zip.length, 22);
+  assert.equal(new DataView(zip.buffer).getUint32(0, true), 0x06054b50);
+});
@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const CLI = fileURLToPath(new URL("../bin/dephaze.js", import.meta.url));
+
+// Run the command line with `args`: { status, stdout, stderr }.
+const dephaze = (...args) => spawnSync(process.execPath, [CLI, ...args], { encoding: "utf8" });
+
+const USAGE_HINT = 'Run "dephaze --help" for the options.';
+
+test("--help prints the usage and exits cleanly", () => {
+  const { status, stdout } = dephaze("--help");
+  assert.equal(status, 0);
+  assert.match(stdout, /^Usage: dephaze <command>/);
+});
+
+test("out-of-range options are usage errors with exit code 2", () => {
+  [
+    [["metrics", "--mesh", "bumpy", "--resolution", "0"], /--resolution must be at least 1, got "0"/],
+    [["metrics", "--mesh", "bumpy", "--holdout", "1"], /--holdout must be at least 0 and below 1, got "1"/],
+    [["metrics", "--mesh", "bumpy", "--outliers", "1.5"], /--outliers must be at least 0 and at most 1/],
+    [["metrics", "--mesh", "bumpy", "--density", "many"], /--density expects a number, got "many"/],
+    [["metrics", "--bogus"], /Unknown option '--bogus'/],
+    [["compress"], /Unknown command "compress"/],
+  ].forEach(([args, message]) => {
+    const { status, stderr } = dephaze(...args);
+    assert.equal(status, 2, args.join(" "));
+    assert.match(stderr, message);
+    assert.ok(stderr.includes(USAGE_HINT), args.join(" "));
+  });
+});
+
+test("other failures exit with code 1 and no usage hint", () => {
+  const { status, stderr } = dephaze("decode");
+  assert.equal(status, 1);
+  assert.match(stderr, /Expected a \.dphz file/);
+  assert.ok(!stderr.includes(USAGE_HINT));
+});
+
+test("validate reports the cube at n = ∞ as a string in JSON", () => {
+  const { status, stdout } = dephaze("validate", "--shape", "cube", "--samples", "200", "--skip-convergence");
+  assert.equal(status, 0);
+  const [cube] = JSON.parse(stdout).benchmarks;
+  assert.equal(cube.n, "Infinity");
+  assert.equal(cube.onSurface.rate, 1);
+  assert.equal(cube.analyticMax, 0);
+});
+
+test("encode writes a .dphz file that decode turns into points", () => {
+  const dir = mkdtempSync(join(tmpdir(), "dephaze-"));
+  try {
+    const file = join(dir, "scan.dphz");
+    const encoded = dephaze("encode", "--mesh", "bumpy", "--density", "300", "--resolution", "16", "-o", file, "--json");
+    assert.equal(encoded.status, 0, encoded.stderr);
+    assert.equal(JSON.parse(encoded.stdout).output, file);
+
+    const points = join(dir, "scan.xyz");
+    const decoded = dephaze("decode", file, "-o", points, "--samples", "100", "--json");
+    assert.equal(decoded.status, 0, decoded.stderr);
+    assert.equal(JSON.parse(decoded.stdout).points, 100);
+    assert.equal(readFileSync(points, "utf8").trim().split("\n").length, 100);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
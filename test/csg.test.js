@@ -0,0 +1,100 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  smoothMin,
+  validateTree,
+  createCompositeField,
+  treeNodeCount,
+  removeNode,
+  encodeDphz,
+  decodeDphz,
+} from "../src/dephaze/index.js";
+
+const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+const SPHERE = { mode: "primitive", R: 1, n: 2 };
+const BOX = {
+  mode: "primitive",
+  a: 1.2,
+  b: 0.8,
+  c: 0.6,
+  e1: 0.3,
+  e2: 0.3,
+  rotation: { x: 0, y: 0.4, z: 0 },
+  translation: { x: 1, y: 0, z: 0 },
+};
+
+const SCENE = {
+  mode: "composite",
+  root: {
+    op: "subtraction",
+    children: [{ op: "blend", k: 0.5, children: [SPHERE, BOX] }, { ...SPHERE, R: 0.5 }],
+  },
+};
+
+// Points on a coarse grid through the scene.
+const PROBES = [-1.5, -0.7, 0, 0.6, 1.4].flatMap((x) => [-0.9, 0.1, 0.8].flatMap((y) => [-0.5, 0.3].map((z) => [x, y, z])));
+
+test("smoothMin is min away from the seam and at most k / 4 below it", () => {
+  close(smoothMin(1, 3, 0.5), 1);
+  close(smoothMin(1, 1, 0.5), 1 - 0.5 / 4);
+  close(smoothMin(2, 1, 0), 1);
+});
+
+test("operators combine the leaf distances with min, max and −", () => {
+  const sphere = (R) => ({ mode: "primitive", R, n: 2 });
+  const field = (op, children) => createCompositeField({ mode: "composite", root: { op, children } }).bound;
+  close(field("union", [sphere(1), sphere(2)])(3, 0, 0), 1);
+  close(field("intersection", [sphere(1), sphere(2)])(3, 0, 0), 2);
+  // A hollow shell: the centre is 1 outside it, a point at radius 1.5 is 0.5 inside.
+  close(field("subtraction", [sphere(2), sphere(1)])(0, 0, 0), 1);
+  close(field("subtraction", [sphere(2), sphere(1)])(1.5, 0, 0), -0.5);
+});
+
+test("validateTree accepts a nested scene", () => {
+  assert.doesNotThrow(() => validateTree(SCENE.root));
+});
+
+test("validateTree rejects malformed nodes", () => {
+  assert.throws(() => validateTree(null), /not an object/);
+  assert.throws(() => validateTree({ op: "xor", children: [SPHERE] }), /Unknown composite operation: xor/);
+  assert.throws(() => validateTree({ op: "union", children: [] }), /no children/);
+  assert.throws(() => validateTree({ op: "union" }), /no children/);
+  assert.throws(() => validateTree({ op: "blend", k: NaN, children: [SPHERE] }), /invalid blend/);
+  assert.throws(() => validateTree({ op: "union", children: [{ ...SPHERE, R: "2" }] }), /invalid parameters/);
+  assert.throws(() => validateTree({ ...BOX, translation: { x: 0, y: Infinity, z: 0 } }), /invalid parameters/);
+});
+
+test("validateTree rejects shapes and blends outside the supported range", () => {
+  [{ a: 0 }, { b: -1 }, { c: -0.5 }, { e1: 0 }, { e2: 2.5 }, { e1: 0.01 }, { e2: "0.5" }].forEach((change) =>
+    assert.throws(() => validateTree({ ...BOX, ...change }), /invalid parameters/, JSON.stringify(change))
+  );
+  [{ R: 0 }, { n: 0.5 }, { n: 60 }, { n: Infinity }].forEach((change) =>
+    assert.throws(() => validateTree({ ...SPHERE, ...change }), /invalid parameters/, JSON.stringify(change))
+  );
+  assert.doesNotThrow(() => validateTree({ ...SPHERE, n: 1 }));
+  assert.doesNotThrow(() => validateTree({ ...SPHERE, n: 50 }));
+  assert.doesNotThrow(() => validateTree({ op: "blend", k: 0, children: [SPHERE] }));
+  assert.throws(() => validateTree({ op: "blend", k: -0.1, children: [SPHERE] }), /invalid blend/);
+});
+
+test("removeNode drops emptied operators and keeps the last primitive", () => {
+  const root = { op: "union", children: [{ op: "intersection", children: [SPHERE] }, BOX] };
+  assert.deepEqual(removeNode(root, [0, 0]), { op: "union", children: [BOX] });
+  assert.throws(() => removeNode({ op: "union", children: [SPHERE] }, [0]), /at least one primitive/);
+  assert.throws(() => removeNode(root, []), /root/);
+});
+
+test("a composite survives a .dphz round trip", () => {
+  const decoded = decodeDphz(encodeDphz(SCENE));
+  assert.equal(decoded.mode, "composite");
+  assert.equal(treeNodeCount(decoded.root), treeNodeCount(SCENE.root));
+  const expected = createCompositeField(SCENE).bound;
+  const actual = createCompositeField(decoded).bound;
+  PROBES.forEach(([x, y, z]) => close(actual(x, y, z), expected(x, y, z), 1e-6));
+});
+
+test("encoding rejects an invalid scene", () => {
+  assert.throws(() => encodeDphz({ mode: "composite", root: { op: "union", children: [] } }), /no children/);
+});
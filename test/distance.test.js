@@ -0,0 +1,142 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  lameNorm,
+  fibonacciDirections,
+  lameGradient,
+  lameNormal,
+  lameLipschitz,
+  lameDistanceBound,
+  lameClosestPoint,
+  lameDistance,
+  superDistanceBound,
+  superDistance,
+  onSurface,
+  distanceGradient,
+  radialBounds,
+  createDistanceField,
+} from "../src/dephaze/index.js";
+
+const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+const R = 2;
+const PROBES = [
+  [3, 0, 0],
+  [2.5, 2.5, 2.5],
+  [0.5, -0.2, 0.1],
+  [-1, 1.8, 0.4],
+  [0.3, 0.3, -3],
+];
+
+// Lamé surface points along a dense set of directions, for a brute-force nearest distance.
+const surfaceSamples = (n, count) =>
+  fibonacciDirections(count).map(({ theta, phi }) => {
+    const u = [Math.sin(phi) * Math.cos(theta), Math.sin(phi) * Math.sin(theta), Math.cos(phi)];
+    const norm = lameNorm(u[0], u[1], u[2], n);
+    return u.map((c) => (c * R) / norm);
+  });
+
+const nearest = (samples, [x, y, z]) => samples.reduce((min, s) => Math.min(min, Math.hypot(x - s[0], y - s[1], z - s[2])), Infinity);
+
+test("closed forms give the exact distance for n = 1, 2 and ∞", () => {
+  close(lameDistance(3, 4, 0, R, 2), 3);
+  close(lameDistance(0.5, 0, 0, R, 2), -1.5);
+  close(lameDistance(3, 0, 0, R, Infinity), 1);
+  close(lameDistance(3, 3, 3, R, Infinity), Math.sqrt(3));
+  close(lameDistance(0.5, 0, 0, R, Infinity), -1.5);
+  close(lameDistance(1, 1, 1, 1, 1), 2 / Math.sqrt(3));
+  close(lameDistance(3, 0, 0, 1, 1), 2);
+  close(lameDistance(0, 0, 0, 1, 1), -1 / Math.sqrt(3));
+});
+
+test("lameDistance matches a brute-force nearest surface point for intermediate n", () => {
+  [1.5, 4].forEach((n) => {
+    const samples = surfaceSamples(n, 20000);
+    PROBES.forEach((p) => {
+      const d = lameDistance(...p, R, n);
+      const s = lameClosestPoint(...p, R, n);
+      close(lameNorm(s.x, s.y, s.z, n), R, 1e-6);
+      close(Math.abs(d), nearest(samples, p), 0.03);
+      assert.equal(Math.sign(d), Math.sign(lameNorm(...p, n) - R));
+    });
+  });
+});
+
+test("the bound never overestimates the distance and keeps its sign", () => {
+  [1, 1.5, 2, 4, 12, Infinity].forEach((n) => {
+    PROBES.forEach((p) => {
+      const d = lameDistance(...p, R, n);
+      const b = lameDistanceBound(...p, R, n);
+      assert.ok(Math.abs(b) <= Math.abs(d) + 1e-9, `n = ${n}: |${b}| > |${d}|`);
+      assert.equal(Math.sign(b), Math.sign(d));
+    });
+  });
+});
+
+test("lameGradient is the gradient of the norm, with the stated Euclidean length", () => {
+  [1.5, 2, 4].forEach((n) => {
+    const field = (x, y, z) => lameNorm(x, y, z, n);
+    PROBES.forEach((p) => {
+      const g = lameGradient(...p, n);
+      const numeric = distanceGradient(field, ...p, 1e-6);
+      ["x", "y", "z"].forEach((axis) => close(g[axis], numeric[axis], 1e-5));
+      const length = Math.hypot(g.x, g.y, g.z);
+      assert.ok(length <= lameLipschitz(n) + 1e-12);
+      if (n === 2) close(length, 1);
+    });
+  });
+  assert.deepEqual(lameGradient(1, -3, 2, Infinity), { x: 0, y: -1, z: 0 });
+  assert.deepEqual(lameNormal(0, 0, 5, 4), { x: 0, y: 0, z: 1 });
+  close(lameLipschitz(1), Math.sqrt(3));
+  assert.equal(lameLipschitz(Infinity), 1);
+});
+
+test("onSurface uses a metric tolerance", () => {
+  assert.ok(onSurface(2.005, 0, 0, R, 4));
+  assert.ok(!onSurface(2.02, 0, 0, R, 4));
+  assert.ok(onSurface(2.015, 0, 0, R, 4, 0.02));
+});
+
+test("a stretched superellipsoid gets the distance to its nearest face", () => {
+  const shape = { a: 2, b: 1, c: 1, e1: 1, e2: 1, rotation: { x: 0, y: 0, z: 0 }, translation: { x: 1, y: 0, z: 0 } };
+  close(superDistance(4, 0, 0, shape), 1, 1e-6);
+  close(superDistance(1, 2, 0, shape), 1, 1e-6);
+  close(superDistance(1, 0, 0, shape), -1, 1e-6);
+  [[4, 0, 0], [1, 2, 0], [1.5, 0.2, 0.3]].forEach((p) => {
+    const b = superDistanceBound(...p, shape);
+    assert.ok(Math.abs(b) <= Math.abs(superDistance(...p, shape)) + 1e-9);
+  });
+  // A uniform shape is the kernel (R, n) = (a, 2 / ε).
+  const uniform = { ...shape, a: R, b: R, c: R, e1: 0.5, e2: 0.5, translation: { x: 0, y: 0, z: 0 } };
+  close(superDistance(2.5, 2.5, 2.5, uniform), lameDistance(2.5, 2.5, 2.5, R, 4));
+});
+
+test("a primitive model's field is exact with a unit normal", () => {
+  const field = createDistanceField({ mode: "primitive", R, n: 2 });
+  assert.equal(field.exact, true);
+  close(field.distance(0, 3, 4), 3);
+  const normal = field.normal(0, 3, 4);
+  close(normal.y, 0.6);
+  close(normal.z, 0.8);
+});
+
+test("a radial model's field never overestimates the distance", () => {
+  const cells = (layers) => Array.from({ length: 8 }, () => Array.from({ length: 8 }, () => ({ layers, count: 1 })));
+  const ball = { mode: "layered", layeredMap: cells([{ entry: 0, exit: R }]) };
+  assert.deepEqual(radialBounds(ball), { rMin: R, rMax: R, slope: 0 });
+  const field = createDistanceField(ball);
+  assert.equal(field.exact, false);
+  close(field.distance(3, 0, 0), 1);
+  close(field.distance(0, 0, -1), -1);
+  const normal = field.normal(0, 3, 0);
+  close(normal.y, 1, 1e-6);
+
+  // A hollow ball from 1 to 2, probed inside the wall, in its cavity and outside.
+  const hollow = createDistanceField({ mode: "layered", layeredMap: cells([{ entry: 1, exit: R }]) });
+  [[1.5, 0, 0], [0, 0.5, 0], [0, 0, 3]].forEach((p) => {
+    const exact = Math.max(1 - Math.hypot(...p), Math.hypot(...p) - R);
+    const d = hollow.distance(...p);
+    assert.ok(Math.abs(d) <= Math.abs(exact) + 1e-9 && Math.sign(d) === Math.sign(exact), `${d} vs ${exact}`);
+  });
+});
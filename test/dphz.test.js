@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DPHZ_MAGIC,
+  DPHZ_HEADER_BYTES,
+  fibonacciDirections,
+  generateScan,
+  buildPhaseMap,
+  phaseMatrix,
+  fourierCompress,
+  shCompress,
+  createRandom,
+  createReconstructor,
+  encodeDphz,
+  decodeDphz,
+  dphzByteLength,
+} from "../src/dephaze/index.js";
+
+const N = 16;
+const points = generateScan("bumpy", 800, createRandom(3));
+const phaseMap = buildPhaseMap(points, N);
+const matrix = phaseMatrix(phaseMap);
+
+const MODELS = {
+  spatial: { mode: "spatial", phaseMap },
+  fourier: { mode: "fourier", fourierData: fourierCompress(matrix, 24) },
+  harmonic: { mode: "harmonic", shData: shCompress(matrix, 8, 24) },
+  primitive: { mode: "primitive", R: 2.5, n: 3.5 },
+};
+
+// Stored values are float32, so a decoded model agrees to single precision.
+const assertSameSurface = (a, b) => {
+  const ra = createReconstructor(a);
+  const rb = createReconstructor(b);
+  fibonacciDirections(200).forEach(({ theta, phi }) => {
+    const expected = ra(theta, phi);
+    assert.ok(Math.abs(rb(theta, phi) - expected) <= 1e-5 * Math.max(1, Math.abs(expected)), `R along (${theta}, ${phi})`);
+  });
+};
+
+Object.entries(MODELS).forEach(([name, model]) => {
+  test(`a ${name} model survives the .dphz round trip`, () => {
+    const bytes = encodeDphz(model);
+    assert.ok(bytes instanceof Uint8Array);
+    assert.equal(new TextDecoder().decode(bytes.subarray(0, 4)), DPHZ_MAGIC);
+    assert.equal(bytes.length, dphzByteLength(model));
+
+    const decoded = decodeDphz(bytes);
+    assert.equal(decoded.mode, model.mode);
+    assertSameSurface(model, decoded);
+  });
+});
+
+test("decodeDphz accepts an ArrayBuffer", () => {
+  const bytes = encodeDphz(MODELS.spatial);
+  assertSameSurface(MODELS.spatial, decodeDphz(bytes.slice().buffer));
+});
+
+test("decodeDphz rejects a foreign or truncated file", () => {
+  const bytes = encodeDphz(MODELS.fourier);
+  const foreign = bytes.slice();
+  foreign[0] = 0;
+  assert.throws(() => decodeDphz(foreign));
+  assert.throws(() => decodeDphz(bytes.subarray(0, DPHZ_HEADER_BYTES - 1)));
+  assert.throws(() => decodeDphz(bytes.subarray(0, bytes.length - 4)));
+});
@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  scanPoint,
+  fibonacciDirections,
+  surfacePoints,
+  surfaceDistances,
+  hausdorffChamfer,
+  evaluateAccuracy,
+} from "../src/dephaze/index.js";
+
+const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+const sphere = () => [2];
+
+// A surface whose radial error overstates the distance to it wherever it is sloped.
+const lobed = (theta, phi) => [2 + 0.4 * Math.cos(3 * theta) * Math.sin(phi)];
+
+const scanAt = (surfaces, offset) =>
+  fibonacciDirections(60).map(({ theta, phi }) => scanPoint(theta, phi, surfaces(theta, phi)[0] + offset));
+
+test("surfaceDistances refines past the spacing of coarse samples", () => {
+  const directions = fibonacciDirections(40);
+  const samples = surfacePoints(sphere, directions);
+  const spacing = Math.sqrt((4 * Math.PI) / directions.length);
+  const points = [scanPoint(0.37, 1.21, 2.5), scanPoint(4.4, 2.7, 1.5), scanPoint(2, 0.05, 3)];
+  const distances = surfaceDistances(points, sphere, samples, spacing);
+  [0.5, 0.5, 1].forEach((expected, i) => close(distances[i], expected, 1e-4));
+});
+
+test("hausdorffChamfer is symmetric and zero between identical sets", () => {
+  const a = surfacePoints(sphere, fibonacciDirections(50));
+  const b = surfacePoints(() => [2.5], fibonacciDirections(50));
+  assert.deepEqual(hausdorffChamfer(a, a), { hausdorff: 0, chamfer: 0 });
+  assert.deepEqual(hausdorffChamfer(a, b), hausdorffChamfer(b, a));
+  close(hausdorffChamfer(a, b).hausdorff, 0.5);
+});
+
+test("held-out distances to a sphere equal the radial offset", () => {
+  const { holdout } = evaluateAccuracy({ surfaces: sphere, test: scanAt(sphere, 0.3), truth: null });
+  close(holdout.maxError, 0.3, 1e-9);
+  close(holdout.hausdorff, 0.3, 1e-6);
+  close(holdout.chamfer, 0.3, 1e-6);
+});
+
+test("held-out distances never exceed the radial error", () => {
+  const { holdout, groundTruth } = evaluateAccuracy({
+    surfaces: lobed,
+    test: scanAt(lobed, 0.25),
+    truth: (theta, phi) => lobed(theta, phi)[0],
+  });
+  assert.ok(holdout.hausdorff <= holdout.maxError + 1e-9);
+  assert.ok(holdout.chamfer < holdout.meanError);
+  close(groundTruth.hausdorff, 0);
+  close(groundTruth.rmse, 0);
+});
+
+test("evaluateAccuracy has no holdout scores without test points", () => {
+  assert.equal(evaluateAccuracy({ surfaces: sphere, test: [], truth: null }).holdout, null);
+  assert.equal(evaluateAccuracy({ surfaces: sphere, test: [], truth: null }).groundTruth, null);
+});
@@ -0,0 +1,97 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  FIT_METHODS,
+  lameShape,
+  createRandom,
+  residualStats,
+  levenbergMarquardt,
+  nelderMead,
+  fitPrimitive,
+  samplePrimitivePoints,
+} from "../src/dephaze/index.js";
+
+const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+// Rosenbrock's valley, minimum 0 at (1, 1).
+const ROSENBROCK = (x) => [10 * (x[1] - x[0] * x[0]), 1 - x[0]];
+
+test("residualStats summarises absolute residuals", () => {
+  assert.deepEqual(residualStats([3, -4, 1, -2]), {
+    count: 4,
+    rms: Math.sqrt(30 / 4),
+    meanAbs: 2.5,
+    median: 2.5,
+    max: 4,
+  });
+  assert.equal(residualStats([-1, 5, 2]).median, 2);
+  assert.deepEqual(residualStats([]), { count: 0, rms: 0, meanAbs: 0, median: 0, max: 0 });
+});
+
+test("both minimisers find the bottom of Rosenbrock's valley", () => {
+  const lm = levenbergMarquardt(ROSENBROCK, [-1.2, 1]);
+  assert.ok(lm.converged);
+  close(lm.x[0], 1, 1e-5);
+  close(lm.x[1], 1, 1e-5);
+
+  const cost = (x) => ROSENBROCK(x).reduce((sum, r) => sum + r * r, 0);
+  const nm = nelderMead(cost, [-1.2, 1], { step: [0.5, 0.5], maxIterations: 2000 });
+  close(nm.x[0], 1, 1e-4);
+  close(nm.x[1], 1, 1e-4);
+  assert.ok(nm.cost < 1e-8);
+});
+
+test("noise-free samples recover R and n with either method", () => {
+  [
+    [1.5, 1],
+    [2, 2],
+    [2.5, 6],
+  ].forEach(([R, n]) => {
+    const vertices = samplePrimitivePoints(lameShape(R, n), 300, { random: createRandom(n) });
+    Object.keys(FIT_METHODS).forEach((method) => {
+      const fit = fitPrimitive(vertices, { method });
+      close(fit.R, R, 1e-3);
+      close(fit.n, n, 0.01 * n);
+      assert.ok(fit.residuals.rms < 1e-4, `${method}: rms ${fit.residuals.rms}`);
+      assert.equal(fit.onSurface, 1);
+      assert.deepEqual(Object.keys(fit.model), ["mode", "R", "n"]);
+    });
+  });
+});
+
+test("noisy samples land near the truth with distances on the noise scale", () => {
+  const vertices = samplePrimitivePoints(lameShape(2, 4), 800, { noise: 0.02, random: createRandom(7) });
+  const fit = fitPrimitive(vertices);
+  close(fit.R, 2, 0.02);
+  close(fit.n, 4, 0.4);
+  // Only the noise along the normal moves a point off the surface.
+  close(fit.distances.rms, 0.02, 0.003);
+});
+
+test("fitCenter recovers an off-centre primitive", () => {
+  const shape = { ...lameShape(2, 3), translation: { x: 0.4, y: -0.3, z: 0.2 } };
+  const vertices = samplePrimitivePoints(shape, 120, { random: createRandom(3) });
+  Object.keys(FIT_METHODS).forEach((method) => {
+    const fit = fitPrimitive(vertices, { method, fitCenter: true });
+    close(fit.R, 2, 1e-3);
+    close(fit.n, 3, 0.05);
+    ["x", "y", "z"].forEach((axis) => close(fit.center[axis], shape.translation[axis], 1e-3));
+    assert.equal(fit.model.mode, "primitive");
+    assert.deepEqual(fit.model.translation, fit.center);
+  });
+});
+
+test("a fixed order fits only R", () => {
+  const vertices = samplePrimitivePoints(lameShape(2, 6), 200, { random: createRandom(5) });
+  const fit = fitPrimitive(vertices, { n: 2 });
+  assert.equal(fit.n, 2);
+  assert.ok(fit.R > 2 && fit.R < 2 * Math.sqrt(3));
+  assert.ok(fit.residuals.rms > 0.01);
+});
+
+test("fitPrimitive rejects too few points and unknown methods", () => {
+  assert.throws(() => fitPrimitive([{ x: 1, y: 0, z: 0 }]), /at least 3 points/);
+  const vertices = samplePrimitivePoints(lameShape(1, 2), 10, { random: createRandom(1) });
+  assert.throws(() => fitPrimitive(vertices, { method: "bfgs" }), /Unknown fit method "bfgs"/);
+});
@@ -0,0 +1,106 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  TAU,
+  INTERPOLATION_METHODS,
+  FILL_METHODS,
+  unwarpR,
+  scanPoint,
+  cellCenter,
+  buildPhaseMap,
+  samplePhaseMap,
+  inpaintPhaseMap,
+} from "../src/dephaze/index.js";
+
+const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+const N = 16;
+
+// N×N map with cell (i, j) holding value(i, j), every cell observed.
+const mapOf = (value) =>
+  Array.from({ length: N }, (_, i) => Array.from({ length: N }, (_, j) => ({ Rw: value(i, j), count: 1 })));
+
+// Directions through the seam, the poles and the cell corners as well as the centres.
+const PROBES = [0, 1e-9, 0.5, 2, TAU - 1e-9].flatMap((theta) => [0, 0.05, 1, Math.PI / 2, 3, Math.PI].map((phi) => ({ theta, phi })));
+
+// One point through the centre of every cell, on the surface of constant warped radius W.
+const flatScan = (W) =>
+  Array.from({ length: N * N }, (_, k) => {
+    const { theta, phi } = cellCenter(Math.floor(k / N), k % N, N);
+    return scanPoint(theta, phi, unwarpR(W, theta, phi));
+  });
+
+test("every method reads a constant map as that constant", () => {
+  const map = mapOf(() => 2.5);
+  INTERPOLATION_METHODS.forEach((method) => {
+    PROBES.forEach(({ theta, phi }) => close(samplePhaseMap(map, theta, phi, method), 2.5, 1e-12));
+  });
+});
+
+test("every method returns the stored value at a cell centre", () => {
+  const map = mapOf((i, j) => Math.sin(i) + j * j);
+  INTERPOLATION_METHODS.forEach((method) => {
+    [[0, 0], [3, 7], [N - 1, N - 1], [8, 1]].forEach(([i, j]) => {
+      const { theta, phi } = cellCenter(i, j, N);
+      close(samplePhaseMap(map, theta, phi, method), map[i][j].Rw, 1e-9);
+    });
+  });
+});
+
+test("interpolated values are continuous across the seam", () => {
+  const map = mapOf((i, j) => i + j);
+  ["bilinear", "bicubic", "spherical"].forEach((method) => {
+    close(samplePhaseMap(map, 1e-9, 1, method), samplePhaseMap(map, TAU - 1e-9, 1, method), 1e-6);
+  });
+});
+
+test("spherical interpolation closes each pole at the mean of its row", () => {
+  const map = mapOf((i, j) => i + j);
+  const north = samplePhaseMap(map, 0, 0, "spherical");
+  close(north, (N - 1) / 2);
+  [1, 2, 4].forEach((theta) => close(samplePhaseMap(map, theta, 0, "spherical"), north));
+});
+
+test("samplePhaseMap rejects directions off the sphere and unknown methods", () => {
+  const map = mapOf(() => 1);
+  assert.equal(samplePhaseMap(map, 0, -0.1), null);
+  assert.equal(samplePhaseMap(map, 0, Math.PI + 0.1), null);
+  assert.throws(() => samplePhaseMap(map, 1, 1, "cubic"), /Unknown interpolation: cubic/);
+});
+
+test("inpaintPhaseMap solves Laplace's equation over a hole", () => {
+  // Linear in φ and constant in θ: harmonic for the 4-neighbour stencil away from the poles.
+  const map = mapOf((i, j) => j);
+  for (let i = 3; i < 9; i++) for (let j = 5; j < 11; j++) Object.assign(map[i][j], { Rw: 0, count: 0 });
+  const { holes, depth, iterations } = inpaintPhaseMap(map);
+  assert.equal(holes, 36);
+  assert.equal(depth, 3);
+  assert.ok(iterations > 0);
+  map.forEach((column) => column.forEach((cell, j) => close(cell.Rw, j, 1e-5)));
+});
+
+test("inpaintPhaseMap leaves a fully observed or fully empty map unchanged", () => {
+  assert.deepEqual(inpaintPhaseMap(mapOf(() => 1)), { holes: 0, depth: 0, iterations: 0 });
+  const empty = mapOf(() => 3).map((column) => column.map((cell) => ({ ...cell, count: 0 })));
+  assert.deepEqual(inpaintPhaseMap(empty), { holes: N * N, depth: 0, iterations: 0 });
+  empty.forEach((column) => column.forEach((cell) => assert.equal(cell.Rw, 3)));
+});
+
+test("every fill leaves finite values in the unobserved cells", () => {
+  const northern = flatScan(2).filter((p) => p.phi < Math.PI / 2);
+  FILL_METHODS.forEach((fill) => {
+    const map = buildPhaseMap(northern, N, { fill });
+    map.forEach((column) => column.forEach((cell) => assert.ok(Number.isFinite(cell.Rw))));
+    assert.ok(map.some((column) => column.some((cell) => cell.count === 0)));
+  });
+  assert.throws(() => buildPhaseMap(northern, N, { fill: "nope" }), /Unknown phase map fill/);
+});
+
+test("diffusion carries the observed value across a wide hole; neighbors does not", () => {
+  const banded = flatScan(2).filter((p) => p.phi < 1 || p.phi > 2);
+  const diffused = buildPhaseMap(banded, N, { fill: "diffusion" });
+  diffused.forEach((column) => column.forEach((cell) => close(cell.Rw, 2, 1e-5)));
+  const neighbors = buildPhaseMap(banded, N, { fill: "neighbors" });
+  assert.ok(neighbors.some((column) => column.some((cell) => Math.abs(cell.Rw - 2) > 0.01)));
+});
@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_SEED,
+  ISOSURFACE_METHODS,
+  lameNorm,
+  shapeNorm,
+  dualContouring,
+  extractKernelSurface,
+  extractShapeSurface,
+  extractModelSurface,
+  openEdgeCount,
+  runPhasePipeline,
+} from "../src/dephaze/index.js";
+
+// Largest |norm − 1| over the mesh vertices.
+const surfaceGap = (mesh, norm) => {
+  let gap = 0;
+  for (let v = 0; v < mesh.positions.length; v += 3) {
+    const [x, y, z] = mesh.positions.slice(v, v + 3);
+    gap = Math.max(gap, Math.abs(norm(x, y, z) - 1));
+  }
+  return gap;
+};
+
+const SHAPE = {
+  a: 2,
+  b: 1.2,
+  c: 0.8,
+  e1: 0.4,
+  e2: 1.5,
+  rotation: { x: 0.3, y: -0.5, z: 0.2 },
+  translation: { x: 0.2, y: 0, z: -0.1 },
+};
+
+ISOSURFACE_METHODS.forEach((method) => {
+  test(`${method}: kernel meshes are closed and lie on Xi = 1`, () => {
+    [1, 2, 4, 12].forEach((n) => {
+      const mesh = extractKernelSurface(2, n, { resolution: 24, method });
+      assert.ok(mesh.positions.length > 0);
+      assert.equal(openEdgeCount(mesh), 0, `n = ${n}`);
+      assert.ok(surfaceGap(mesh, (x, y, z) => lameNorm(x, y, z, n) / 2) < 0.1, `n = ${n}`);
+    });
+  });
+
+  test(`${method}: a rotated, translated superellipsoid mesh is closed`, () => {
+    const mesh = extractShapeSurface(SHAPE, { resolution: 24, method });
+    assert.equal(openEdgeCount(mesh), 0);
+    assert.ok(surfaceGap(mesh, (x, y, z) => shapeNorm(x, y, z, SHAPE)) < 0.25);
+  });
+});
+
+test("dual contouring closes the mesh of a layered phase map", () => {
+  const result = runPhasePipeline({
+    scan: { meshType: "bumpy", density: 500, seed: DEFAULT_SEED },
+    phaseResolution: 32,
+    mode: "layered",
+    topK: 20,
+  });
+  const model = { mode: "layered", layeredMap: result.layeredMap, interpolation: "bilinear" };
+  assert.equal(openEdgeCount(extractModelSurface(model, { resolution: 32, method: "dual" })), 0);
+});
+
+test("dual contouring closes surfaces that cross the first layer of grid cells", () => {
+  // A sphere offset towards the low corner, so part of it lies between node 0 and 1.
+  const field = (x, y, z) => Math.hypot(x + 0.6, y + 0.6, z + 0.6) - 1.3;
+  const mesh = dualContouring(field, { min: -2, max: 2, resolution: 12 });
+  assert.equal(openEdgeCount(mesh), 0);
+});
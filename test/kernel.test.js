@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  LIMIT_ORDER,
+  lameNorm,
+  Xi,
+  exists,
+  direction,
+  warpR,
+  unwarpR,
+  encodeRadius,
+  decodeRadius,
+  getShapeName,
+} from "../src/dephaze/index.js";
+
+const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+// Directions spread over the sphere, away from the poles and the seam.
+const DIRECTIONS = [0.3, 1.1, 2.0, 2.9, 4.1, 5.5].flatMap((theta) => [0.4, 1.2, 2.3].map((phi) => ({ theta, phi })));
+
+test("lameNorm is the L1, Euclidean and Chebyshev norm at n = 1, 2 and ∞", () => {
+  close(lameNorm(1, -2, 3, 1), 6);
+  close(lameNorm(1, -2, 3, 2), Math.sqrt(14));
+  close(lameNorm(1, -2, 3, Infinity), 3);
+});
+
+test("lameNorm switches to the Chebyshev norm above LIMIT_ORDER", () => {
+  close(lameNorm(1, -2, 3, LIMIT_ORDER + 1), 3);
+  assert.ok(lameNorm(1, -2, 3, LIMIT_ORDER) > 3);
+});
+
+test("Xi is 1 on the Lamé surface and exists accepts it", () => {
+  [1, 2, 4, Infinity].forEach((n) => {
+    DIRECTIONS.forEach(({ theta, phi }) => {
+      const u = direction(theta, phi);
+      const scale = 2.5 / lameNorm(u.x, u.y, u.z, n);
+      close(Xi(u.x * scale, u.y * scale, u.z * scale, 2.5, n), 1, 1e-12);
+      assert.ok(exists(u.x * scale, u.y * scale, u.z * scale, 2.5, n));
+    });
+  });
+});
+
+test("Xi is above 1 inside the surface and below 1 outside", () => {
+  assert.ok(Xi(0.5, 0.5, 0.5, 2, 2) > 1);
+  assert.ok(Xi(3, 0, 0, 2, 2) < 1);
+});
+
+test("unwarpR inverts warpR", () => {
+  DIRECTIONS.forEach(({ theta, phi }) => close(unwarpR(warpR(2.3, theta, phi), theta, phi), 2.3, 1e-12));
+});
+
+test("decodeRadius inverts encodeRadius, with and without a base primitive", () => {
+  const base = { R: 1.8, n: 3 };
+  DIRECTIONS.forEach(({ theta, phi }) => {
+    close(decodeRadius(encodeRadius(2.1, theta, phi), theta, phi), 2.1, 1e-12);
+    close(decodeRadius(encodeRadius(2.1, theta, phi, { base }), theta, phi, { base }), 2.1, 1e-12);
+  });
+});
+
+test("getShapeName labels the classical orders", () => {
+  assert.equal(getShapeName(1), "Octahedron");
+  assert.equal(getShapeName(2), "Euclidean Sphere");
+  assert.equal(getShapeName(Infinity), "Limit Topology (Cube)");
+});
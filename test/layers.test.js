@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  BASE_RADIUS,
+  MAX_LAYERS,
+  scanPoint,
+  cellCenter,
+  clusterRadii,
+  hitsToIntervals,
+  buildLayeredPhaseMap,
+  layersAt,
+  surfaceRadii,
+  layerCount,
+  reconstructR,
+  reconstructLayers,
+  createSurfaceSampler,
+  encodeDphz,
+  decodeDphz,
+} from "../src/dephaze/index.js";
+
+const N = 8;
+
+// Points through the centre of cell (i, j) at each of `radii`.
+const cellHits = (i, j, radii) => {
+  const { theta, phi } = cellCenter(i, j, N);
+  return radii.map((R) => scanPoint(theta, phi, R));
+};
+
+test("clusterRadii merges hits closer than the gap", () => {
+  assert.deepEqual(clusterRadii([1, 1.5, 4, 4.5, 5], 1), [
+    { R: 1.25, count: 2 },
+    { R: 4.5, count: 3 },
+  ]);
+});
+
+test("hitsToIntervals pairs hits, starting at 0 when Ω₀ is inside", () => {
+  assert.deepEqual(hitsToIntervals([2]), [{ entry: 0, exit: 2 }]);
+  assert.deepEqual(hitsToIntervals([1, 2]), [{ entry: 1, exit: 2 }]);
+  assert.deepEqual(hitsToIntervals([1, 2, 3]), [
+    { entry: 0, exit: 1 },
+    { entry: 2, exit: 3 },
+  ]);
+  assert.deepEqual(hitsToIntervals([]), []);
+  assert.equal(hitsToIntervals([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]).length, MAX_LAYERS);
+  assert.equal(hitsToIntervals([1, 2, 3, 4], 1).length, 1);
+});
+
+test("buildLayeredPhaseMap keeps every shell along a ray", () => {
+  // A hollow ball seen from its empty centre: inner wall at 1, outer at 2, each hit twice.
+  const map = buildLayeredPhaseMap(cellHits(2, 3, [1, 1, 2, 2]), N);
+  assert.deepEqual(map[2][3].layers, [{ entry: 1, exit: 2 }]);
+  assert.equal(map[2][3].count, 4);
+});
+
+test("empty cells copy an observed neighbour, else the default sphere", () => {
+  const map = buildLayeredPhaseMap(cellHits(2, 3, [1.5, 2.5]), N);
+  assert.deepEqual(map[3][3].layers, map[2][3].layers);
+  assert.equal(map[3][3].count, 0);
+  assert.deepEqual(map[6][6].layers, [{ entry: 0, exit: BASE_RADIUS }]);
+  assert.equal(layerCount(map), N * N);
+});
+
+test("layered reconstruction reads the outer envelope and every surface", () => {
+  const map = buildLayeredPhaseMap(cellHits(2, 3, [0.8, 1.5, 2.5]), N);
+  const model = { mode: "layered", layeredMap: map };
+  const { theta, phi } = cellCenter(2, 3, N);
+  assert.equal(reconstructR(model, theta, phi), 2.5);
+  assert.deepEqual(reconstructLayers(model, theta, phi), [
+    { entry: 0, exit: 0.8 },
+    { entry: 1.5, exit: 2.5 },
+  ]);
+  assert.deepEqual(createSurfaceSampler(model)(theta, phi), [0.8, 1.5, 2.5]);
+  assert.deepEqual(surfaceRadii([{ entry: 0, exit: 1 }]), [1]);
+});
+
+test("cells without intervals read as the default sphere, also after a .dphz round trip", () => {
+  const layeredMap = Array.from({ length: N }, (_, i) =>
+    Array.from({ length: N }, (_, j) => ({ layers: i === 0 && j === 0 ? [{ entry: 1, exit: 2 }] : [], count: 1 }))
+  );
+  const decoded = decodeDphz(encodeDphz({ mode: "layered", layeredMap }));
+  const empty = cellCenter(4, 4, N);
+  assert.deepEqual(decoded.layeredMap[4][4].layers, []);
+  assert.deepEqual(layersAt(decoded.layeredMap, empty.theta, empty.phi), [{ entry: 0, exit: BASE_RADIUS }]);
+  assert.equal(reconstructR(decoded, empty.theta, empty.phi), BASE_RADIUS);
+  const stored = cellCenter(0, 0, N);
+  assert.equal(reconstructR(decoded, stored.theta, stored.phi), 2);
+});
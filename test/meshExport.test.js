@@ -0,0 +1,100 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MESH_FORMATS, encodeSTL, encodeOBJ, encodePLY, encodeGLB, encodeMesh, parsePLY } from "../src/dephaze/index.js";
+
+const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+// Two triangles of the unit square in z = 0, plus one in the x = 0 plane.
+const MESH = {
+  positions: new Float32Array([0, 0, 0, 1, 0, 0, 1, 1, 0, 0, 1, 0, 0, 0, 1]),
+  normals: new Float32Array([0, 0, 1, 0, 0, 1, 0, 0, 1, 0, 0, 1, -1, 0, 0]),
+  indices: new Uint32Array([0, 1, 2, 0, 2, 3, 0, 3, 4]),
+};
+
+const text = (bytes) => new TextDecoder().decode(bytes);
+
+test("encodeSTL writes the header, the count and one 50-byte facet per triangle", () => {
+  const bytes = encodeSTL(MESH, { name: "square" });
+  const view = new DataView(bytes.buffer);
+  assert.equal(bytes.length, 80 + 4 + 3 * 50);
+  assert.equal(text(bytes.subarray(0, 6)), "square");
+  assert.equal(bytes[6], 0);
+  assert.equal(view.getUint32(80, true), 3);
+
+  const facet = (t) => Array.from({ length: 12 }, (_, k) => view.getFloat32(84 + t * 50 + k * 4, true));
+  assert.deepEqual(facet(0), [0, 0, 1, 0, 0, 0, 1, 0, 0, 1, 1, 0]);
+  assert.deepEqual(facet(2).slice(0, 3), [1, 0, 0]);
+  assert.equal(view.getUint16(84 + 50 - 2, true), 0);
+});
+
+test("encodeOBJ numbers vertices and normals from 1", () => {
+  const lines = text(encodeOBJ(MESH, { name: "square" })).trimEnd().split("\n");
+  assert.equal(lines[0], "# Dephaze surface, 5 vertices, 3 triangles");
+  assert.equal(lines[1], "o square");
+  assert.equal(lines.filter((l) => l.startsWith("v ")).length, 5);
+  assert.equal(lines[3], "v 1.000000 0.000000 0.000000");
+  assert.equal(lines[11], "vn -1.000000 0.000000 0.000000");
+  assert.deepEqual(lines.slice(12), ["f 1//1 2//2 3//3", "f 1//1 3//3 4//4", "f 1//1 4//4 5//5"]);
+});
+
+test("encodePLY writes a binary body that parsePLY reads back", () => {
+  const bytes = encodePLY(MESH);
+  const header = text(bytes.subarray(0, text(bytes).indexOf("end_header\n") + "end_header\n".length));
+  assert.match(header, /element vertex 5\n/);
+  assert.match(header, /element face 3\nproperty list uchar uint vertex_indices\nend_header\n$/);
+  assert.equal(bytes.length, header.length + 5 * 24 + 3 * 13);
+
+  const vertices = parsePLY(bytes);
+  assert.equal(vertices.length, 5);
+  vertices.forEach((v, i) => assert.deepEqual([v.x, v.y, v.z], Array.from(MESH.positions.subarray(i * 3, i * 3 + 3))));
+
+  const view = new DataView(bytes.buffer);
+  const faces = header.length + 5 * 24;
+  assert.equal(view.getUint8(faces + 13), 3);
+  assert.deepEqual([1, 5, 9].map((k) => view.getUint32(faces + 13 + k, true)), [0, 2, 3]);
+});
+
+test("encodeGLB lays out padded JSON and BIN chunks with matching accessors", () => {
+  const bytes = encodeGLB(MESH, { name: "square" });
+  const view = new DataView(bytes.buffer);
+  assert.equal(text(bytes.subarray(0, 4)), "glTF");
+  assert.equal(view.getUint32(4, true), 2);
+  assert.equal(view.getUint32(8, true), bytes.length);
+  assert.equal(bytes.length % 4, 0);
+
+  const jsonLength = view.getUint32(12, true);
+  assert.equal(jsonLength % 4, 0);
+  assert.equal(text(bytes.subarray(16, 20)), "JSON");
+  const gltf = JSON.parse(text(bytes.subarray(20, 20 + jsonLength)));
+  assert.equal(gltf.asset.version, "2.0");
+  assert.equal(gltf.meshes[0].name, "square");
+  assert.deepEqual(gltf.accessors[0].min, [0, 0, 0]);
+  assert.deepEqual(gltf.accessors[0].max, [1, 1, 1]);
+  assert.deepEqual(gltf.accessors.map((a) => a.count), [5, 5, 9]);
+
+  const binStart = 20 + jsonLength;
+  assert.equal(text(bytes.subarray(binStart + 4, binStart + 7)), "BIN");
+  assert.equal(view.getUint32(binStart, true), gltf.buffers[0].byteLength);
+  const bin = binStart + 8;
+  const indexView = gltf.bufferViews[2];
+  const indices = Array.from({ length: 9 }, (_, k) => view.getUint32(bin + indexView.byteOffset + k * 4, true));
+  assert.deepEqual(indices, Array.from(MESH.indices));
+  close(view.getFloat32(bin + gltf.bufferViews[1].byteOffset + 12 * 4, true), -1);
+});
+
+test("encodeGLB bounds an empty mesh at the origin", () => {
+  const empty = { positions: new Float32Array(0), normals: new Float32Array(0), indices: new Uint32Array(0) };
+  const bytes = encodeGLB(empty);
+  const jsonLength = new DataView(bytes.buffer).getUint32(12, true);
+  const gltf = JSON.parse(text(bytes.subarray(20, 20 + jsonLength)));
+  assert.deepEqual(gltf.accessors[0].min, [0, 0, 0]);
+  assert.deepEqual(gltf.accessors[0].max, [0, 0, 0]);
+});
+
+test("encodeMesh dispatches every format and rejects unknown ones", () => {
+  assert.deepEqual(Object.keys(MESH_FORMATS), ["stl", "obj", "ply", "glb"]);
+  assert.deepEqual(encodeMesh(MESH, "stl"), encodeSTL(MESH));
+  assert.deepEqual(encodeMesh(MESH, "glb", { name: "x" }), encodeGLB(MESH, { name: "x" }));
+  assert.throws(() => encodeMesh(MESH, "fbx"), /Unknown mesh format "fbx"/);
+});
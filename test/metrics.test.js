@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  PRIMITIVE_BYTES,
+  cellCenter,
+  scanPoint,
+  generateScan,
+  buildPhaseMap,
+  createRandom,
+  createReconstructor,
+  encodeDphz,
+  meshBytes,
+  primitiveMemory,
+  phaseMapBytes,
+  averageRadialError,
+  xiStability,
+  computeMetrics,
+} from "../src/dephaze/index.js";
+
+const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+const N = 16;
+
+test("meshBytes counts three float32 coordinates per point", () => {
+  assert.equal(meshBytes(1000), 12000);
+  const memory = primitiveMemory(1000);
+  assert.equal(memory.dephazeBytes, PRIMITIVE_BYTES);
+  close(memory.ratio, 12000 / PRIMITIVE_BYTES);
+});
+
+test("xiStability is 100 without error and never negative", () => {
+  assert.equal(xiStability(0), 100);
+  close(xiStability(0.5), 75);
+  assert.equal(xiStability(10), 0);
+});
+
+test("averageRadialError is the mean absolute radial error", () => {
+  const points = [scanPoint(1, 1, 2), scanPoint(2, 2, 3)];
+  close(averageRadialError(points, () => 2.5), 0.5);
+  assert.equal(averageRadialError([], () => 0), 0);
+});
+
+test("computeMetrics scores a model by its .dphz size and surface error", () => {
+  const points = Array.from({ length: N * N }, (_, k) => {
+    const { theta, phi } = cellCenter(Math.floor(k / N), k % N, N);
+    return scanPoint(theta, phi, 2);
+  });
+  const model = { mode: "spatial", phaseMap: buildPhaseMap(points, N) };
+  const metrics = computeMetrics({ points, model });
+
+  assert.equal(metrics.meshSize, meshBytes(points.length));
+  assert.equal(metrics.dephazeSize, encodeDphz(model).length);
+  close(metrics.avgError, 0);
+  assert.equal(metrics.xiStability, 100);
+  close(metrics.ratio, metrics.meshSize / metrics.dephazeSize);
+});
+
+test("computeMetrics still takes the original reconstruct form", () => {
+  const points = generateScan("organic", 300, createRandom(5));
+  const model = { mode: "spatial", phaseMap: buildPhaseMap(points, N) };
+  const reconstruct = createReconstructor(model);
+  const metrics = computeMetrics({ points, reconstruct, mode: "spatial", phaseResolution: N, topK: 20 });
+
+  assert.equal(metrics.dephazeSize, phaseMapBytes({ mode: "spatial", phaseResolution: N }));
+  close(metrics.avgError, averageRadialError(points, reconstruct));
+  assert.equal(phaseMapBytes({ mode: "fourier", topK: 20 }), 16 + 20 * 16 + 8);
+});
@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  fibonacciDirections,
+  toPhasePoints,
+  centroid,
+  boundingBoxCenter,
+  starDiagnostic,
+  visibleFraction,
+  optimizeOrigin,
+  estimateOrigin,
+} from "../src/dephaze/index.js";
+
+const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+const ORIGIN = { x: 0, y: 0, z: 0 };
+
+const sphere = (center, r, count) =>
+  fibonacciDirections(count).map(({ theta, phi }) => ({
+    x: center.x + r * Math.sin(phi) * Math.cos(theta),
+    y: center.y + r * Math.sin(phi) * Math.sin(theta),
+    z: center.z + r * Math.cos(phi),
+  }));
+
+test("centroid and boundingBoxCenter differ for a lopsided cloud", () => {
+  const vertices = [
+    { x: 0, y: 0, z: 0 },
+    { x: 1, y: 0, z: 0 },
+    { x: 1, y: 0, z: 0 },
+    { x: 4, y: 2, z: -2 },
+  ];
+  assert.deepEqual(centroid(vertices), { x: 1.5, y: 0.5, z: -0.5 });
+  assert.deepEqual(boundingBoxCenter(vertices), { x: 2, y: 1, z: -1 });
+  assert.deepEqual(estimateOrigin(vertices), centroid(vertices));
+  assert.deepEqual(estimateOrigin(vertices, "bbox"), boundingBoxCenter(vertices));
+});
+
+test("a sphere seen from its centre has no multi-hit direction", () => {
+  const points = toPhasePoints(sphere(ORIGIN, 1, 2000), ORIGIN, { normalize: false }).points;
+  const result = starDiagnostic(points);
+  assert.equal(result.resolution, 24);
+  assert.ok(result.occupied > 0);
+  assert.deepEqual(result.multiHit, []);
+  assert.equal(result.multiHitFraction, 0);
+  assert.equal(result.visibleFraction, 1);
+});
+
+test("a hollow ball is hit twice in every direction, and only its inner wall is visible", () => {
+  const vertices = [...sphere(ORIGIN, 1, 2000), ...sphere(ORIGIN, 2, 2000)];
+  const result = starDiagnostic(toPhasePoints(vertices, ORIGIN, { normalize: false }).points);
+  assert.equal(result.multiHit.length, result.occupied);
+  assert.equal(result.multiHitFraction, 1);
+  close(result.visibleFraction, 0.5, 0.01);
+  result.multiHit.forEach(({ hits }) => assert.deepEqual(hits.map(Math.round), [1, 2]));
+  close(visibleFraction(vertices, ORIGIN), result.visibleFraction);
+});
+
+test("starDiagnostic reports an empty cloud as fully visible", () => {
+  assert.deepEqual(starDiagnostic([]), { resolution: 24, occupied: 0, multiHit: [], multiHitFraction: 0, visibleFraction: 1 });
+});
+
+test("optimizeOrigin keeps a star centre and improves on a poor one", () => {
+  const center = { x: 3, y: -1, z: 2 };
+  const ball = sphere(center, 1.5, 2000);
+  const kept = optimizeOrigin(ball);
+  ["x", "y", "z"].forEach((axis) => close(kept[axis], center[axis], 1e-3));
+
+  // Two separate balls: Ω₀ in the gap between them sees the far side of both.
+  const pair = [...sphere({ x: -2, y: 0, z: 0 }, 1, 1000), ...sphere({ x: 2, y: 0, z: 0 }, 1, 1000)];
+  const start = Math.max(visibleFraction(pair, centroid(pair)), visibleFraction(pair, boundingBoxCenter(pair)));
+  const best = estimateOrigin(pair, "optimize");
+  assert.ok(visibleFraction(pair, best) > start, `${visibleFraction(pair, best)} is not above ${start}`);
+});
@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  MESH_TYPES,
+  meshRadius,
+  scanPoint,
+  generateScan,
+  cellIndex,
+  cellCenter,
+  buildPhaseMap,
+  reconstructSpatial,
+  reconstructR,
+  fibonacciDirections,
+  fitBase,
+  createRandom,
+} from "../src/dephaze/index.js";
+
+const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+const N = 16;
+
+// One point of the sphere of radius R through the centre of every cell.
+const sphereScan = (R) =>
+  Array.from({ length: N * N }, (_, k) => {
+    const { theta, phi } = cellCenter(Math.floor(k / N), k % N, N);
+    return scanPoint(theta, phi, R);
+  });
+
+test("cellIndex finds the cell whose centre cellCenter gives", () => {
+  for (let i = 0; i < N; i++) {
+    for (let j = 0; j < N; j++) {
+      const { theta, phi } = cellCenter(i, j, N);
+      assert.deepEqual(cellIndex(theta, phi, N), { thetaIdx: i, phiIdx: j });
+    }
+  }
+});
+
+test("generateScan samples the mesh surface and repeats under the same seed", () => {
+  MESH_TYPES.forEach((meshType) => {
+    const a = generateScan(meshType, 200, createRandom(7));
+    const b = generateScan(meshType, 200, createRandom(7));
+    assert.deepEqual(a, b);
+    a.forEach((p) => close(p.R, meshRadius(meshType, p.theta, p.phi)));
+  });
+});
+
+test("buildPhaseMap is N × N with one observation per sampled cell", () => {
+  const map = buildPhaseMap(sphereScan(2), N);
+  assert.equal(map.length, N);
+  map.forEach((column) => {
+    assert.equal(column.length, N);
+    column.forEach((cell) => assert.equal(cell.count, 1));
+  });
+});
+
+test("nearest reconstruction returns the scanned radius at every cell centre", () => {
+  const map = buildPhaseMap(sphereScan(2.4), N);
+  for (let i = 0; i < N; i++) {
+    for (let j = 0; j < N; j++) {
+      const { theta, phi } = cellCenter(i, j, N);
+      close(reconstructSpatial(map, theta, phi), 2.4);
+    }
+  }
+});
+
+test("a hybrid map stores the residual against its base and adds the base back", () => {
+  const base = { R: 2, n: 2 };
+  const map = buildPhaseMap(sphereScan(2.2), N, { base });
+  map.forEach((column) => column.forEach((cell) => close(cell.Rw, 0.2)));
+  const { theta, phi } = cellCenter(3, 5, N);
+  close(reconstructSpatial(map, theta, phi, undefined, base), 2.2);
+});
+
+test("fitBase recovers the primitive a scan was taken from", () => {
+  const points = fibonacciDirections(400).map(({ theta, phi }) =>
+    scanPoint(theta, phi, reconstructR({ mode: "primitive", R: 2, n: 3 }, theta, phi))
+  );
+  const base = fitBase(points);
+  close(base.R, 2, 1e-6);
+  close(base.n, 3, 1e-6);
+});
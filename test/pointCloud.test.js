@@ -0,0 +1,128 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { BASE_RADIUS, parsePLY, parseXYZ, parseOBJ, parsePointCloud, toPhasePoints } from "../src/dephaze/index.js";
+
+const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+const VERTICES = [
+  { x: 1, y: 2, z: 3 },
+  { x: -0.5, y: 0.25, z: -4 },
+];
+
+const ascii = (text) => new TextEncoder().encode(text);
+
+// Binary PLY with float x, y, z, a uchar colour channel in between, and one triangle face.
+const binaryPly = (littleEndian) => {
+  const header = ascii(
+    [
+      "ply",
+      `format binary_${littleEndian ? "little" : "big"}_endian 1.0`,
+      `element vertex ${VERTICES.length}`,
+      "property float x",
+      "property float y",
+      "property uchar red",
+      "property float z",
+      "element face 1",
+      "property list uchar int vertex_indices",
+      "end_header",
+      "",
+    ].join("\n")
+  );
+  const body = new DataView(new ArrayBuffer(VERTICES.length * 13 + 1 + 3 * 4));
+  let offset = 0;
+  VERTICES.forEach(({ x, y, z }) => {
+    body.setFloat32(offset, x, littleEndian);
+    body.setFloat32(offset + 4, y, littleEndian);
+    body.setUint8(offset + 8, 255);
+    body.setFloat32(offset + 9, z, littleEndian);
+    offset += 13;
+  });
+  body.setUint8(offset, 3);
+  const bytes = new Uint8Array(header.length + body.byteLength);
+  bytes.set(header);
+  bytes.set(new Uint8Array(body.buffer), header.length);
+  return bytes;
+};
+
+test("parsePLY reads ASCII vertices and skips list properties", () => {
+  const text = [
+    "ply",
+    "format ascii 1.0",
+    "comment written by hand",
+    "element vertex 2",
+    "property float x",
+    "property float y",
+    "property float z",
+    "property list uchar int extra",
+    "element face 1",
+    "property list uchar int vertex_indices",
+    "end_header",
+    "1 2 3 2 7 8",
+    "-0.5 0.25 -4 0",
+    "3 0 1 0",
+  ].join("\r\n");
+  assert.deepEqual(parsePLY(ascii(text)), VERTICES);
+});
+
+test("parsePLY reads little- and big-endian binary bodies", () => {
+  assert.deepEqual(parsePLY(binaryPly(true)), VERTICES);
+  assert.deepEqual(parsePLY(binaryPly(false)), VERTICES);
+  const truncated = binaryPly(true);
+  assert.throws(() => parsePLY(truncated.subarray(0, truncated.length - 20)), /Truncated PLY body/);
+});
+
+test("parsePLY rejects malformed headers", () => {
+  assert.throws(() => parsePLY(ascii("ply\nformat ascii 1.0\n")), /no end_header/);
+  assert.throws(() => parsePLY(ascii("obj\nend_header\n")), /Not a PLY file/);
+  assert.throws(() => parsePLY(ascii("ply\nelement vertex 0\nend_header\n")), /no format line/);
+  assert.throws(() => parsePLY(ascii("ply\nformat binary_middle_endian 1.0\nend_header\n")), /Unsupported PLY format/);
+  const noZ = "ply\nformat ascii 1.0\nelement vertex 1\nproperty float x\nproperty float y\nend_header\n1 2\n";
+  assert.throws(() => parsePLY(ascii(noZ)), /lacks x\/y\/z/);
+  const oddType = "ply\nformat binary_little_endian 1.0\nelement vertex 1\nproperty half x\nend_header\n";
+  assert.throws(() => parsePLY(ascii(oddType)), /Unsupported PLY property type: half/);
+});
+
+test("parseXYZ takes the first three numeric columns of each line", () => {
+  const text = "# x y z\nX,Y,Z\n1 2 3 0.9\n-0.5;0.25;-4\n\n7 8\n";
+  assert.deepEqual(parseXYZ(text), VERTICES);
+});
+
+test("parseOBJ keeps the v lines only", () => {
+  const text = "# cube\nv 1 2 3\nvn 0 0 1\nvt 0.5 0.5\nv -0.5 0.25 -4 1\nf 1 2 1\n";
+  assert.deepEqual(parseOBJ(text), VERTICES);
+});
+
+test("parsePointCloud dispatches by extension and sniffs PLY content", () => {
+  assert.deepEqual(parsePointCloud("scan.OBJ", ascii("v 1 2 3\nv -0.5 0.25 -4\n")), VERTICES);
+  assert.deepEqual(parsePointCloud("scan.txt", ascii("1 2 3\n-0.5 0.25 -4\n").buffer), VERTICES);
+  assert.deepEqual(parsePointCloud("scan.bin", binaryPly(false)), VERTICES);
+  assert.throws(() => parsePointCloud("empty.xyz", ascii("# nothing\n")), /No vertices found in empty.xyz/);
+});
+
+test("toPhasePoints measures directions from Ω₀ and normalizes the mean radius", () => {
+  const origin = { x: 1, y: 1, z: 1 };
+  const vertices = [
+    { x: 2, y: 1, z: 1 },
+    { x: 1, y: 1, z: 4 },
+    { x: 1, y: -2, z: 1 },
+    { x: 1, y: 1, z: 1 },
+  ];
+  const { points, scale } = toPhasePoints(vertices, origin);
+  assert.equal(points.length, 3);
+  close(scale, (1 + 3 + 3) / 3 / BASE_RADIUS);
+  close(points.reduce((sum, p) => sum + p.R, 0) / points.length, BASE_RADIUS);
+  close(points[0].theta, 0);
+  close(points[0].phi, Math.PI / 2);
+  close(points[1].phi, 0);
+  close(points[2].theta, (3 * Math.PI) / 2);
+  points.forEach((p, k) => {
+    close(p.x * scale + origin.x, vertices[k].x);
+    close(p.y * scale + origin.y, vertices[k].y);
+    close(p.z * scale + origin.z, vertices[k].z);
+  });
+
+  const raw = toPhasePoints(vertices, origin, { normalize: false });
+  assert.equal(raw.scale, 1);
+  assert.deepEqual(raw.points.map((p) => p.R), [1, 3, 3]);
+});
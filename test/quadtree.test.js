@@ -0,0 +1,78 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  ADAPTIVE_ROOT,
+  unwarpR,
+  scanPoint,
+  generateScan,
+  fibonacciDirections,
+  createRandom,
+  adaptiveDepth,
+  buildAdaptivePhaseMap,
+  reconstructAdaptive,
+  adaptiveLeaves,
+  adaptiveStats,
+  adaptiveNodeCount,
+  packAdaptiveTree,
+  unpackAdaptiveTree,
+  createReconstructor,
+  encodeDphz,
+  decodeDphz,
+  dphzByteLength,
+} from "../src/dephaze/index.js";
+
+const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+const N = 32;
+const bumpy = generateScan("bumpy", 3000, createRandom(4));
+const bumpyMap = buildAdaptivePhaseMap(bumpy, N, { tolerance: 0.02 });
+
+test("adaptiveDepth reaches the uniform resolution", () => {
+  assert.equal(adaptiveDepth(ADAPTIVE_ROOT), 0);
+  assert.equal(adaptiveDepth(32), 3);
+  assert.equal(adaptiveDepth(33), 4);
+});
+
+test("a surface of constant warped radius needs no split and reconstructs exactly", () => {
+  const flat = fibonacciDirections(2000).map(({ theta, phi }) => scanPoint(theta, phi, unwarpR(2, theta, phi)));
+  const map = buildAdaptivePhaseMap(flat, N);
+  assert.deepEqual(adaptiveStats(map), { leaves: ADAPTIVE_ROOT ** 2, nodes: ADAPTIVE_ROOT ** 2, depth: 0, N: ADAPTIVE_ROOT });
+  fibonacciDirections(50).forEach(({ theta, phi }) => close(reconstructAdaptive(map, theta, phi), unwarpR(2, theta, phi), 1e-9));
+});
+
+test("detail is refined only as deep as N allows, and leaves tile the sphere", () => {
+  const stats = adaptiveStats(bumpyMap);
+  assert.ok(stats.depth > 0 && stats.depth <= adaptiveDepth(N));
+  assert.ok(stats.N <= N);
+  assert.ok(stats.leaves < N * N);
+  assert.equal(stats.nodes, adaptiveNodeCount(ADAPTIVE_ROOT, stats.leaves));
+  const area = adaptiveLeaves(bumpyMap).reduce((sum, l) => sum + (l.theta1 - l.theta0) * (l.phi1 - l.phi0), 0);
+  close(area, 2 * Math.PI * Math.PI, 1e-9);
+});
+
+test("a tighter tolerance refines further", () => {
+  const coarse = adaptiveStats(buildAdaptivePhaseMap(bumpy, N, { tolerance: 0.2 }));
+  assert.ok(coarse.leaves < adaptiveStats(bumpyMap).leaves);
+});
+
+test("packAdaptiveTree and unpackAdaptiveTree round-trip the structure and values", () => {
+  const { structure, values } = packAdaptiveTree(bumpyMap);
+  const unpacked = unpackAdaptiveTree(ADAPTIVE_ROOT, structure, values);
+  assert.deepEqual(adaptiveLeaves(unpacked).map(({ count, ...leaf }) => leaf), adaptiveLeaves(bumpyMap).map(({ count, ...leaf }) => leaf));
+  assert.throws(() => unpackAdaptiveTree(ADAPTIVE_ROOT, structure, values.slice(1)), /more leaves than values/);
+  assert.throws(() => unpackAdaptiveTree(ADAPTIVE_ROOT, structure, [...values, 2]), /fewer leaves than values/);
+  assert.throws(() => unpackAdaptiveTree(ADAPTIVE_ROOT, structure.slice(0, 1), values), /truncated/);
+});
+
+test("an adaptive model survives the .dphz round trip", () => {
+  const model = { mode: "adaptive", adaptiveMap: bumpyMap };
+  const bytes = encodeDphz(model);
+  assert.equal(bytes.length, dphzByteLength(model));
+  const decoded = decodeDphz(bytes);
+  assert.equal(decoded.mode, "adaptive");
+  assert.deepEqual(adaptiveStats(decoded.adaptiveMap), adaptiveStats(bumpyMap));
+  const expected = createReconstructor(model);
+  const actual = createReconstructor(decoded);
+  fibonacciDirections(200).forEach(({ theta, phi }) => close(actual(theta, phi), expected(theta, phi), 1e-5));
+});
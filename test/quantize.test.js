@@ -0,0 +1,103 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  QUANT_BITS,
+  generateScan,
+  buildPhaseMap,
+  phaseMatrix,
+  fourierCompress,
+  shCompress,
+  createRandom,
+  quantizeModel,
+  encodeDphz,
+  decodeDphz,
+  createRangeEncoder,
+  createRangeDecoder,
+  createUIntModel,
+  encodeUInt,
+  decodeUInt,
+  zigzag,
+  unzigzag,
+} from "../src/dephaze/index.js";
+
+const N = 16;
+const points = generateScan("bumpy", 800, createRandom(5));
+const phaseMap = buildPhaseMap(points, N);
+const matrix = phaseMatrix(phaseMap);
+
+const MODELS = {
+  spatial: { mode: "spatial", phaseMap },
+  fourier: { mode: "fourier", fourierData: fourierCompress(matrix, 24) },
+  harmonic: { mode: "harmonic", shData: shCompress(matrix, 8, 24) },
+};
+
+// The transport values a quantized model stores, in cell or coefficient-index order
+// (coefficients of equal amplitude may come back from a file in another order).
+const storedValues = (model) => {
+  if (model.mode === "spatial") return model.phaseMap.flat().map((cell) => cell.Rw);
+  const byIndex = (a, b) => a[0] - b[0] || a[1] - b[1];
+  if (model.mode === "fourier") {
+    const pairs = model.fourierData.coefficients.map((c) => [c.kx, c.ky, c.real, c.imag]);
+    return pairs.sort(byIndex).flatMap((c) => c.slice(2));
+  }
+  return model.shData.coefficients.map((c) => [c.l, c.m, c.value]).sort(byIndex).map((c) => c[2]);
+};
+
+// Half a level of the grid each mode quantizes onto (see quantize.js).
+const halfStep = (values, mode, bits) => {
+  if (mode === "spatial") return (Math.max(...values) - Math.min(...values)) / (2 ** bits - 1) / 2;
+  return Math.max(...values.map(Math.abs)) / (2 ** (bits - 1) - 1) / 2;
+};
+
+test("range-coded integers decode to what was written", () => {
+  const values = [0, 1, 2, 3, 7, 8, 1000, 0, 0, 5, 2 ** 30, 42];
+  const encoder = createRangeEncoder();
+  const written = createUIntModel();
+  values.forEach((v) => encodeUInt(encoder, written, v));
+  const decoder = createRangeDecoder(encoder.finish());
+  const read = createUIntModel();
+  assert.deepEqual(values.map(() => decodeUInt(decoder, read)), values);
+  assert.throws(() => encodeUInt(createRangeEncoder(), createUIntModel(), -1), /Cannot range-code/);
+});
+
+test("zigzag interleaves signed integers", () => {
+  assert.deepEqual([0, -1, 1, -2, 2].map(zigzag), [0, 1, 2, 3, 4]);
+  [-7, 0, 12].forEach((v) => assert.equal(unzigzag(zigzag(v)), v));
+});
+
+Object.entries(MODELS).forEach(([name, model]) => {
+  QUANT_BITS.forEach((bits) => {
+    test(`a ${bits}-bit ${name} model is within half a level and survives the .dphz round trip`, () => {
+      const original = storedValues(model);
+      const quantized = quantizeModel(model, bits);
+      const tolerance = halfStep(original, name, bits) * (1 + 1e-9);
+      storedValues(quantized).forEach((v, k) => assert.ok(Math.abs(v - original[k]) <= tolerance, `value ${k}`));
+
+      const bytes = encodeDphz(quantized);
+      const decoded = decodeDphz(bytes);
+      assert.deepEqual(decoded.quantization, { bits });
+      storedValues(decoded).forEach((v, k) => assert.ok(Math.abs(v - storedValues(quantized)[k]) <= 1e-12, `value ${k}`));
+      assert.ok(bytes.length < encodeDphz(model).length);
+    });
+  });
+});
+
+test("a large quantized spatial map survives the .dphz round trip", () => {
+  const size = 400;
+  const large = {
+    mode: "spatial",
+    phaseMap: Array.from({ length: size }, (_, i) =>
+      Array.from({ length: size }, (_, j) => ({ Rw: 2 + 0.3 * Math.sin(i / 7) * Math.cos(j / 5), count: 1 }))
+    ),
+  };
+  const quantized = quantizeModel(large, 8);
+  const decoded = decodeDphz(encodeDphz(quantized));
+  assert.equal(decoded.phaseMap.length, size);
+  const expected = storedValues(quantized);
+  storedValues(decoded).forEach((v, k) => assert.ok(Math.abs(v - expected[k]) <= 1e-12, `value ${k}`));
+});
+
+test("quantizeModel rejects other depths and modes", () => {
+  assert.throws(() => quantizeModel(MODELS.spatial, 10), /Unsupported quantization depth/);
+  assert.throws(() => quantizeModel({ mode: "primitive", R: 2, n: 2 }, 8), /cannot be quantized/);
+});
@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  generateScan,
+  createRandom,
+  paretoFront,
+  sweepRateDistortion,
+  rateDistortionCSV,
+} from "../src/dephaze/index.js";
+
+const scan = generateScan("bumpy", 2000, createRandom(9));
+const train = scan.slice(0, 1600);
+const held = scan.slice(1600);
+
+test("paretoFront keeps the rows nothing beats on both axes", () => {
+  const rows = [
+    { id: "a", bytes: 100, rmse: 0.5 },
+    { id: "b", bytes: 200, rmse: 0.2 },
+    { id: "c", bytes: 250, rmse: 0.3 },
+    { id: "d", bytes: 200, rmse: 0.2 },
+    { id: "e", bytes: 100, rmse: 0.6 },
+  ];
+  assert.deepEqual(
+    paretoFront(rows).map((row) => [row.id, row.pareto]),
+    [["a", true], ["b", true], ["c", false], ["d", true], ["e", false]]
+  );
+  const renamed = rows.map(({ id, bytes, rmse }) => ({ id, size: bytes, error: rmse }));
+  assert.deepEqual(
+    paretoFront(renamed, "size", "error").filter((row) => row.pareto).map((row) => row.id),
+    ["a", "b", "d"]
+  );
+});
+
+test("the sweep scores every combination, sorted by size", () => {
+  const progress = [];
+  const rows = sweepRateDistortion(
+    {
+      train,
+      test: held,
+      meshType: "bumpy",
+      resolutions: [16, 24],
+      topKs: [5, 20],
+      quantizations: [null, 8],
+      tolerances: [0.05, 0.2],
+    },
+    (fraction) => progress.push(fraction)
+  );
+
+  // Per N: spatial × 2 bits, Fourier and harmonic × 2 K × 2 bits, adaptive × 2 tolerances.
+  assert.equal(rows.length, 2 * (2 + 4 + 4 + 2));
+  assert.deepEqual(progress, [1 / 8, 2 / 8, 3 / 8, 4 / 8, 5 / 8, 6 / 8, 7 / 8, 1]);
+  rows.slice(1).forEach((row, i) => assert.ok(rows[i].bytes <= row.bytes));
+  rows.forEach((row) => {
+    assert.ok(row.rmse > 0 && row.maxError >= row.rmse && row.truthRmse > 0, row.mode);
+    assert.equal(row.K === null, row.mode === "spatial" || row.mode === "adaptive");
+    assert.equal(row.tolerance === null, row.mode !== "adaptive");
+    if (row.mode === "adaptive") assert.equal(row.bits, null);
+  });
+  assert.ok(rows.some((row) => row.pareto));
+  assert.ok(rows[0].pareto);
+
+  const at = (mode, N, K, bits) => rows.find((r) => r.mode === mode && r.N === N && r.K === K && r.bits === bits);
+  assert.ok(at("spatial", 16, null, 8).bytes < at("spatial", 16, null, null).bytes);
+  assert.ok(at("fourier", 24, 5, null).bytes < at("fourier", 24, 20, null).bytes);
+  assert.ok(at("spatial", 24, null, null).bytes > at("spatial", 16, null, null).bytes);
+});
+
+test("the sweep needs held-out points", () => {
+  assert.throws(() => sweepRateDistortion({ train, test: [] }), /needs held-out points/);
+});
+
+test("rateDistortionCSV writes one line per row with empty cells for nulls", () => {
+  const csv = rateDistortionCSV([
+    { mode: "spatial", N: 16, K: null, bits: 8, tolerance: null, bytes: 300, rmse: 0.1, maxError: 0.3, relativeError: 0.05, truthRmse: null, pareto: true },
+  ]);
+  assert.equal(
+    csv,
+    "mode,N,K,bits,tolerance,bytes,rmse,maxError,relativeError,truthRmse,pareto\nspatial,16,,8,,300,0.1,0.3,0.05,,true\n"
+  );
+  assert.equal(rateDistortionCSV([]), "mode,N,K,bits,tolerance,bytes,rmse,maxError,relativeError,truthRmse,pareto\n");
+});
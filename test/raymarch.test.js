@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { RAYMARCH_TILE, createRaymarchScene, renderTile, tileGrid } from "../src/dephaze/index.js";
+
+const COLOR = { r: 200, g: 100, b: 50 };
+const SIZE = 64;
+const SCALE = 20; // pixels per unit
+const FRAME = { x: 0, y: 0, w: SIZE, h: SIZE };
+
+const camera = (rotX = 0, rotY = 0) => ({ width: SIZE, height: SIZE, scale: SCALE, rotX, rotY });
+
+// Pixel centre (px, py) in view units, as renderTile places its rays.
+const viewAt = (px, py) => ({ x: (px + 0.5 - SIZE / 2) / SCALE, y: (SIZE / 2 - (py + 0.5)) / SCALE });
+
+const alphaAt = (rgba, px, py) => rgba[(py * SIZE + px) * 4 + 3];
+
+// Every pixel clearly inside `inside` is hit and every pixel clearly outside is not.
+const assertSilhouette = (rgba, distanceToEdge) => {
+  for (let py = 0; py < SIZE; py++) {
+    for (let px = 0; px < SIZE; px++) {
+      const { x, y } = viewAt(px, py);
+      const edge = distanceToEdge(x, y);
+      if (edge < -0.05) assert.equal(alphaAt(rgba, px, py), 255, `(${px}, ${py}) should be hit`);
+      if (edge > 0.05) assert.equal(alphaAt(rgba, px, py), 0, `(${px}, ${py}) should miss`);
+    }
+  }
+};
+
+const disc = (R) => (x, y) => Math.hypot(x, y) - R;
+
+test("a sphere renders as a disc from any angle", () => {
+  const scene = createRaymarchScene({ mode: "primitive", R: 1, n: 2 }, COLOR);
+  assertSilhouette(renderTile(scene, camera(), FRAME), disc(1));
+  assertSilhouette(renderTile(scene, camera(0.7, -1.2), FRAME), disc(1));
+});
+
+test("a cube seen face-on renders as a square", () => {
+  const scene = createRaymarchScene({ mode: "primitive", R: 1, n: Infinity }, COLOR);
+  assertSilhouette(renderTile(scene, camera(), FRAME), (x, y) => Math.max(Math.abs(x), Math.abs(y)) - 1);
+});
+
+test("the surface facing the viewer is lit by the fixed view-space light", () => {
+  const scene = createRaymarchScene({ mode: "primitive", R: 1, n: 2 }, COLOR);
+  const rgba = renderTile(scene, camera(), FRAME);
+  const centre = (SIZE / 2) * SIZE * 4 + (SIZE / 2) * 4;
+  // Upper-left faces the light: brighter than lower-right.
+  const upperLeft = ((SIZE / 2 - 10) * SIZE + SIZE / 2 - 10) * 4;
+  const lowerRight = ((SIZE / 2 + 10) * SIZE + SIZE / 2 + 10) * 4;
+  assert.ok(rgba[upperLeft] > rgba[lowerRight]);
+  assert.ok(rgba[centre] > 0 && rgba[centre + 1] < rgba[centre]);
+});
+
+test("radial and composite models render the same disc as the primitive", () => {
+  const cells = Array.from({ length: 8 }, () => Array.from({ length: 8 }, () => ({ layers: [{ entry: 0, exit: 1 }], count: 1 })));
+  const layered = createRaymarchScene({ mode: "layered", layeredMap: cells }, COLOR);
+  assert.ok(layered.bounds && layered.radius > 1);
+  assertSilhouette(renderTile(layered, camera(0.3, 0.4), FRAME), disc(1));
+
+  const composite = createRaymarchScene({ mode: "composite", root: { mode: "primitive", R: 1, n: 2 } }, COLOR);
+  assert.equal(composite.bounds, null);
+  assertSilhouette(renderTile(composite, camera(), FRAME), disc(1));
+});
+
+test("a coarse stride fills whole blocks, and tiles render their part of the frame", () => {
+  const scene = createRaymarchScene({ mode: "primitive", R: 1, n: 2 }, COLOR);
+  const coarse = renderTile(scene, camera(), FRAME, 8);
+  for (let py = 0; py < SIZE; py += 8) {
+    for (let px = 0; px < SIZE; px += 8) {
+      const a = alphaAt(coarse, px, py);
+      for (let k = 1; k < 8; k++) assert.equal(alphaAt(coarse, px + k, py + k), a);
+    }
+  }
+
+  const full = renderTile(scene, camera(), FRAME);
+  tileGrid(SIZE, SIZE, 24).forEach((tile) => {
+    const part = renderTile(scene, camera(), tile);
+    for (let y = 0; y < tile.h; y++) {
+      const row = full.subarray(((tile.y + y) * SIZE + tile.x) * 4, ((tile.y + y) * SIZE + tile.x + tile.w) * 4);
+      assert.deepEqual(part.subarray(y * tile.w * 4, (y + 1) * tile.w * 4), row);
+    }
+  });
+});
+
+test("tileGrid covers the frame with clipped edge tiles", () => {
+  assert.deepEqual(tileGrid(300, 130), [
+    { x: 0, y: 0, w: RAYMARCH_TILE, h: RAYMARCH_TILE },
+    { x: 128, y: 0, w: 128, h: 128 },
+    { x: 256, y: 0, w: 44, h: 128 },
+    { x: 0, y: 128, w: 128, h: 2 },
+    { x: 128, y: 128, w: 128, h: 2 },
+    { x: 256, y: 128, w: 44, h: 2 },
+  ]);
+});
@@ -0,0 +1,78 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  SCANNER_DEFAULTS,
+  meshRadius,
+  scanPoint,
+  generateScan,
+  createRandom,
+  scannerPositions,
+  lineOfSight,
+  simulateScan,
+} from "../src/dephaze/index.js";
+
+const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+const MESH = "bumpy";
+const DENSITY = 600;
+
+const surfacePoint = (theta, phi) => scanPoint(theta, phi, meshRadius(MESH, theta, phi));
+
+test("scanners sit evenly at the given distance from Ω₀", () => {
+  const positions = scannerPositions(6, 4);
+  assert.equal(positions.length, 6);
+  positions.forEach((s) => close(Math.hypot(s.x, s.y, s.z), 4));
+  scannerPositions(3).forEach((s) => close(Math.hypot(s.x, s.y, s.z), SCANNER_DEFAULTS.distance));
+  assert.deepEqual(scannerPositions(0), []);
+});
+
+test("lineOfSight sees the near side of the mesh and not the far side", () => {
+  const above = { x: 0, y: 0, z: 6 };
+  assert.ok(lineOfSight(MESH, above, surfacePoint(0, 0.1)));
+  assert.ok(!lineOfSight(MESH, above, surfacePoint(0, Math.PI - 0.1)));
+});
+
+test("without imperfections the scan is the plain surface sample", () => {
+  const { points, stats } = simulateScan(MESH, DENSITY, {}, createRandom(1));
+  assert.deepEqual(points, generateScan(MESH, DENSITY, createRandom(1)));
+  assert.deepEqual(stats, { sampled: DENSITY, occluded: 0, outliers: 0 });
+});
+
+test("range noise moves points along their line of sight from Ω₀", () => {
+  const surface = generateScan(MESH, DENSITY, createRandom(2));
+  const { points, stats } = simulateScan(MESH, DENSITY, { noise: 0.05 }, createRandom(2));
+  assert.equal(points.length, DENSITY);
+  assert.equal(stats.outliers, 0);
+  let sumSquares = 0;
+  points.forEach((p, i) => {
+    close(p.theta, surface[i].theta, 1e-9);
+    close(p.phi, surface[i].phi, 1e-9);
+    sumSquares += (p.R - surface[i].R) ** 2;
+  });
+  close(Math.sqrt(sumSquares / DENSITY), 0.05, 0.01);
+});
+
+test("outliers scale the range by a factor in [0.5, 1.5)", () => {
+  const { points, stats } = simulateScan(MESH, DENSITY, { outliers: 1 }, createRandom(3));
+  assert.equal(stats.outliers, DENSITY);
+  points.forEach((p) => {
+    const factor = p.R / meshRadius(MESH, p.theta, p.phi);
+    assert.ok(factor >= 0.5 - 1e-9 && factor < 1.5 + 1e-9, `${factor}`);
+  });
+
+  const some = simulateScan(MESH, DENSITY, { outliers: 0.1 }, createRandom(3)).stats.outliers;
+  assert.ok(some > 0.05 * DENSITY && some < 0.15 * DENSITY, `${some} outliers`);
+});
+
+test("scanners keep the surface points they see and count the rest as occluded", () => {
+  const single = simulateScan(MESH, DENSITY, { scanners: 1 }, createRandom(4));
+  assert.equal(single.points.length + single.stats.occluded, DENSITY);
+  // From distance 6 a ball of radius 2 shows a cap of a third of its surface.
+  close(single.stats.occluded / DENSITY, 2 / 3, 0.1);
+  // Noise-free measurements lie on the surface whichever scanner took them.
+  single.points.forEach((p) => close(p.R, meshRadius(MESH, p.theta, p.phi), 1e-9));
+
+  const ring = simulateScan(MESH, DENSITY, { scanners: 8 }, createRandom(4));
+  assert.ok(ring.stats.occluded < single.stats.occluded);
+});
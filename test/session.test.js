@@ -0,0 +1,114 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  SESSION_FORMAT,
+  SESSION_VERSION,
+  sessionParam,
+  numberIn,
+  objectOf,
+  validateCloud,
+  validateTree,
+  encodeSessionHash,
+  parseSessionHash,
+  encodeSession,
+  parseSession,
+} from "../src/dephaze/index.js";
+
+const CLOUD = { name: "scan.ply", vertices: [{ x: 1, y: 2, z: 3 }, { x: -1, y: 0.5, z: 0 }] };
+
+const SESSION = {
+  tab: "phase",
+  tabs: {
+    phase: { meshType: "spike", resolution: 32, hybrid: true, importedCloud: CLOUD },
+    kernel: { R: 2.5, n: 4, scene: { op: "union", children: [{ mode: "primitive", R: 1, n: 2 }] } },
+  },
+};
+
+test("sessionParam falls back on missing values and mismatched types", () => {
+  const params = { n: 3, mode: "fourier", smooth: true, axis: [1, 0, 0], label: "Ω", bad: NaN };
+  assert.equal(sessionParam(params, "n", 2), 3);
+  assert.equal(sessionParam(params, "missing", 2), 2);
+  assert.equal(sessionParam(params, "mode", 2), 2);
+  assert.equal(sessionParam(params, "bad", 2), 2);
+  assert.equal(sessionParam(params, "smooth", false), true);
+  assert.deepEqual(sessionParam(params, "axis", [0, 0, 1]), [1, 0, 0]);
+  assert.deepEqual(sessionParam(params, "axis", { x: 0 }), { x: 0 });
+  assert.equal(sessionParam(params, "label", null), "Ω");
+  assert.equal(sessionParam(undefined, "n", 2), 2);
+});
+
+test("sessionParam keeps only allowed values", () => {
+  const modes = ["spatial", "fourier"];
+  assert.equal(sessionParam({ mode: "fourier" }, "mode", "spatial", modes), "fourier");
+  assert.equal(sessionParam({ mode: "wavelet" }, "mode", "spatial", modes), "spatial");
+
+  const fallback = { op: "union", children: [{ mode: "primitive", R: 2, n: 2 }] };
+  const scene = SESSION.tabs.kernel.scene;
+  assert.equal(sessionParam({ scene }, "scene", fallback, validateTree), scene);
+  assert.equal(sessionParam({ scene: { op: "union", children: [] } }, "scene", fallback, validateTree), fallback);
+});
+
+test("numberIn keeps restored numbers within the slider range", () => {
+  const resolution = numberIn(16, 64, { integer: true });
+  assert.equal(sessionParam({ resolution: 32 }, "resolution", 24, resolution), 32);
+  assert.equal(sessionParam({ resolution: 1e6 }, "resolution", 24, resolution), 24);
+  assert.equal(sessionParam({ resolution: 8 }, "resolution", 24, resolution), 24);
+  assert.equal(sessionParam({ resolution: 32.5 }, "resolution", 24, resolution), 24);
+  assert.equal(sessionParam({ noise: 0.05 }, "noise", 0, numberIn(0, 0.1)), 0.05);
+  assert.equal(sessionParam({ noise: -0.05 }, "noise", 0, numberIn(0, 0.1)), 0);
+});
+
+test("objectOf checks every field of an object param", () => {
+  const rotation = objectOf({ x: numberIn(-Math.PI, Math.PI), y: numberIn(-Math.PI, Math.PI) });
+  const fallback = { x: 0, y: 0 };
+  assert.deepEqual(sessionParam({ rotation: { x: 1, y: -1 } }, "rotation", fallback, rotation), { x: 1, y: -1 });
+  assert.equal(sessionParam({ rotation: { x: 1 } }, "rotation", fallback, rotation), fallback);
+  assert.equal(sessionParam({ rotation: { x: 1, y: "1" } }, "rotation", fallback, rotation), fallback);
+  assert.equal(sessionParam({ rotation: { x: 1, y: 9 } }, "rotation", fallback, rotation), fallback);
+  assert.equal(sessionParam({ rotation: { x: 1, y: 0, z: 0 } }, "rotation", fallback, rotation), fallback);
+  const nested = objectOf({ pose: rotation, mode: ["a", "b"] });
+  assert.throws(() => nested({ pose: null, mode: "a" }), /Invalid field pose/);
+  assert.throws(() => nested({ pose: fallback, mode: "c" }), /Invalid field mode/);
+});
+
+test("validateCloud accepts only clouds of finite points", () => {
+  validateCloud(CLOUD);
+  assert.throws(() => validateCloud(null), /Not a point cloud/);
+  assert.throws(() => validateCloud({ name: "empty.ply", vertices: [] }), /Not a point cloud/);
+  assert.throws(() => validateCloud({ name: "bad.ply", vertices: [{ x: 1, y: 2 }] }), /invalid vertices/);
+  assert.equal(sessionParam({ importedCloud: { name: 1 } }, "importedCloud", null, validateCloud), null);
+});
+
+test("a URL hash carries the session without imported clouds", () => {
+  const hash = encodeSessionHash(SESSION);
+  assert.match(hash, /^#s=[\w-]+$/);
+  const { importedCloud, ...phase } = SESSION.tabs.phase;
+  assert.ok(importedCloud);
+  assert.deepEqual(parseSessionHash(hash), { tab: "phase", tabs: { ...SESSION.tabs, phase } });
+});
+
+test("parseSessionHash ignores other hashes and rejects unreadable sessions", () => {
+  assert.equal(parseSessionHash(""), null);
+  assert.equal(parseSessionHash("#view=3"), null);
+  assert.throws(() => parseSessionHash("#s=not-json"), /URL session is not valid/);
+  const future = `#s=${btoa(JSON.stringify({ version: SESSION_VERSION + 1 }))}`;
+  assert.throws(() => parseSessionHash(future), /Unsupported session version/);
+});
+
+test("a session file keeps imported clouds", () => {
+  const text = encodeSession(SESSION);
+  const data = JSON.parse(text);
+  assert.equal(data.format, SESSION_FORMAT);
+  assert.deepEqual(data.tabs.phase.importedCloud, { name: "scan.ply", points: [1, 2, 3, -1, 0.5, 0] });
+  assert.deepEqual(parseSession(text), SESSION);
+});
+
+test("parseSession rejects foreign files and broken clouds", () => {
+  assert.throws(() => parseSession("{"), /not valid JSON/);
+  assert.throws(() => parseSession(JSON.stringify({ format: "other" })), /Not a Dephaze session file/);
+  const broken = JSON.parse(encodeSession(SESSION));
+  broken.tabs.phase.importedCloud.points.pop();
+  assert.throws(() => parseSession(JSON.stringify(broken)), /invalid point cloud "scan.ply"/);
+  broken.tabs = [];
+  assert.throws(() => parseSession(JSON.stringify(broken)), /invalid tab parameters/);
+});
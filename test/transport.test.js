@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  TAU,
+  cellCenter,
+  fft,
+  fourierCompress,
+  evaluateFourier,
+  shIndex,
+  shBasis,
+  shCompress,
+  evaluateSH,
+} from "../src/dephaze/index.js";
+
+const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+const N = 32;
+
+// A band-limited field on the (θ, φ) grid, sampled at index (i, j).
+const smooth = (i, j) => 2 + 0.3 * Math.cos((TAU * 2 * i) / N) + 0.2 * Math.sin((TAU * 3 * j) / N) + 0.1 * Math.cos((TAU * (i + j)) / N);
+const smoothMatrix = Array.from({ length: N }, (_, i) => Array.from({ length: N }, (_, j) => smooth(i, j)));
+
+// Compare an fft result with the direct sum over the input.
+const checkDFT = (re, spectrum) =>
+  re.forEach((_, k) => {
+    let sr = 0;
+    let si = 0;
+    re.forEach((x, t) => {
+      sr += x * Math.cos((-TAU * k * t) / re.length);
+      si += x * Math.sin((-TAU * k * t) / re.length);
+    });
+    close(spectrum.re[k], sr, 1e-9);
+    close(spectrum.im[k], si, 1e-9);
+  });
+
+test("fft matches the direct DFT, radix-2 and Bluestein", () => {
+  [[1, 2, 0, -1, 3, 0.5, -2, 1], [1, 2, 0, -1, 3, 0.5]].forEach((re) => {
+    const spectrum = { re: re.slice(), im: new Array(re.length).fill(0) };
+    fft(spectrum.re, spectrum.im);
+    checkDFT(re, spectrum);
+  });
+});
+
+test("fourierCompress keeps the mean and the Top-K coefficients by amplitude", () => {
+  const data = fourierCompress(smoothMatrix, 4);
+  close(data.dc, 2, 1e-12);
+  assert.equal(data.coefficients.length, 4);
+  data.coefficients.slice(1).forEach((c, k) => assert.ok(c.amplitude <= data.coefficients[k].amplitude));
+});
+
+test("a band-limited field survives Fourier transport at the grid points", () => {
+  const data = fourierCompress(smoothMatrix, 100);
+  for (let i = 0; i < N; i += 3) {
+    for (let j = 0; j < N; j += 5) {
+      close(evaluateFourier(data, (i / N) * TAU, (j / N) * Math.PI), smooth(i, j), 1e-9);
+    }
+  }
+});
+
+test("shCompress recovers the coefficients of a field built from the SH basis", () => {
+  const terms = [
+    [1, 0, 0.4],
+    [2, 1, -0.25],
+    [3, -2, 0.15],
+  ];
+  const field = (theta, phi) => {
+    const basis = shBasis(3, theta, phi);
+    return 1.5 * basis[0] + terms.reduce((sum, [l, m, value]) => sum + value * basis[shIndex(l, m)], 0);
+  };
+  const M = 64;
+  const matrix = Array.from({ length: M }, (_, i) =>
+    Array.from({ length: M }, (_, j) => {
+      const { theta, phi } = cellCenter(i, j, M);
+      return field(theta, phi);
+    })
+  );
+
+  const data = shCompress(matrix, 4, terms.length);
+  close(data.dc, 1.5, 5e-3);
+  assert.equal(data.coefficients.length, terms.length);
+  terms.forEach(([l, m, value]) => {
+    const found = data.coefficients.find((c) => c.l === l && c.m === m);
+    assert.ok(found, `coefficient (${l}, ${m}) kept`);
+    close(found.value, value, 5e-3);
+  });
+  close(evaluateSH(data, 1.3, 0.9), field(1.3, 0.9), 1e-2);
+});
@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  CLASSICAL_ORDERS,
+  lameNorm,
+  createRandom,
+  sampleClassicalSurface,
+  meanInterval,
+  wilsonInterval,
+  cubeHausdorff,
+  validateClassical,
+  cubeConvergence,
+} from "../src/dephaze/index.js";
+
+const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+const R = 2;
+const COUNT = 400;
+
+test("classical samples lie on their closed-form surfaces", () => {
+  Object.entries(CLASSICAL_ORDERS).forEach(([shape, n]) => {
+    const points = sampleClassicalSurface(shape, R, COUNT, createRandom(1));
+    assert.equal(points.length, COUNT);
+    points.forEach((p) => close(lameNorm(p.x, p.y, p.z, n), R, 1e-9));
+  });
+});
+
+test("meanInterval and wilsonInterval bracket their estimate", () => {
+  const { mean, low, high } = meanInterval([1, 2, 3, 4]);
+  close(mean, 2.5);
+  assert.ok(low < mean && mean < high);
+  const share = wilsonInterval(90, 100);
+  close(share.rate, 0.9);
+  assert.ok(share.low < 0.9 && share.high > 0.9 && share.high <= 1);
+});
+
+test("every classical shape is reproduced exactly at its own order", () => {
+  assert.deepEqual(CLASSICAL_ORDERS, { octahedron: 1, sphere: 2, cube: Infinity });
+  Object.keys(CLASSICAL_ORDERS).forEach((shape) => {
+    const result = validateClassical(shape, { R, count: COUNT, random: createRandom(2) });
+    assert.equal(result.onSurface.rate, 1, shape);
+    assert.equal(result.analyticMax, 0, shape);
+    assert.ok(result.maxDistance < 1e-9, shape);
+  });
+});
+
+test("validateClassical handles more samples than a call takes arguments", () => {
+  const result = validateClassical("sphere", { R, count: 200000, random: createRandom(4) });
+  assert.equal(result.count, 200000);
+  assert.ok(result.maxDistance < 1e-9);
+});
+
+test("cubeHausdorff is zero at n = ∞ and shrinks with the order", () => {
+  assert.equal(cubeHausdorff(R, Infinity), 0);
+  close(cubeHausdorff(R, 2), Math.sqrt(3) * R - R);
+  assert.ok(cubeHausdorff(R, 50) < cubeHausdorff(R, 10));
+});
+
+test("the sampled cube distance never exceeds the analytic maximum", () => {
+  const rows = cubeConvergence({ R, orders: [2, 4, 12], count: COUNT, random: createRandom(3) });
+  rows.forEach((row) => {
+    assert.ok(row.max <= row.analytic + 1e-6, `n = ${row.n}`);
+    assert.ok(row.mean > 0 && row.low <= row.mean && row.mean <= row.high, `n = ${row.n}`);
+  });
+  assert.ok(rows[2].mean < rows[0].mean);
+});